@@ -0,0 +1,314 @@
+// lib/apiDocs.js - Documentación de cada ruta para el documento OpenAPI (ver lib/openapi.js)
+//
+// Parámetros, body y autenticación salen de la propia ruta; acá va lo que Express no sabe: un
+// resumen y las respuestas. Las specs siguen el formato de lib/schemas.js (`required` por
+// campo, `nullable`) y con ellas también se comprueban las respuestas reales, así que cada
+// campo marcado como obligatorio tiene que estar siempre. Los objetos admiten campos de más.
+// Al agregar una ruta en server.js hay que agregarla acá (GET /openapi.json avisa en
+// `x-undocumented` de las que faltan).
+
+const str = { type: "string" };
+const int = { type: "integer" };
+const num = { type: "number" };
+const bool = { type: "boolean" };
+const anyObject = { type: "object", additionalProperties: true };
+
+const required = spec => ({ ...spec, required: true });
+const nullable = spec => ({ ...spec, nullable: true });
+const object = properties => ({ type: "object", properties, additionalProperties: true });
+const list = items => ({ type: "array", items });
+const paged = items => object({ items: required(list(items)), nextCursor: required(nullable(str)) });
+
+// respuestas
+const json = (spec, description) => ({ description, spec });
+const ok = spec => ({ 200: json(spec) });
+const redirect = description => ({ 302: { description } });
+const file = (type, description) => ({ 200: { description, content: { [type]: { schema: { type: "string", format: "binary" } } } } });
+const csvOrJson = description => ({
+  200: { description, content: { "text/csv": { schema: str }, "application/json": { schema: { type: "array", items: anyObject } } } }
+});
+const rawBody = types => ({ content: Object.fromEntries(types.map(t => [t, { schema: { type: "string", format: "binary" } }])) });
+
+// ---- componentes ----
+const ErrorBody = object({
+  code: required(str),
+  message: required(str),
+  fields: list(object({ field: required(str), in: str, code: required(str), message: required(str), row: int, line: int }))
+});
+const Message = object({ message: required(str) });
+const Session = object({ uid: str, token: required(str), refreshToken: required(str), expiresIn: required(int) });
+const User = object({
+  uid: required(str),
+  username: required(str),
+  email: required(str),
+  emailVerified: bool,
+  role: required(str),
+  roles: required(list(str)),
+  createdAt: str
+});
+const RatingSummary = object({ average: required(nullable(num)), count: required(int), distribution: required(anyObject) });
+const Event = object({
+  id: required(str),
+  title: required(str),
+  date: required(str),
+  location: str,
+  description: str,
+  creatorUid: str,
+  creatorName: str,
+  capacity: nullable(int),
+  attendeeCount: int,
+  coOrganizers: list(str),
+  recurring: bool,
+  rrule: nullable(str),
+  recurrenceEnd: nullable(str),
+  // ocurrencias de una serie: la serie es `seriesId` y el día `occurrence`
+  occurrence: str,
+  seriesId: str,
+  cancelled: bool,
+  lat: nullable(num),
+  lng: nullable(num),
+  cover: nullable(anyObject),
+  commentsLocked: bool,
+  visibility: str,
+  ratingSummary: anyObject,
+  sequence: int,
+  createdAt: str,
+  updatedAt: nullable(str),
+  deletedAt: nullable(str)
+});
+// sin limit ni cursor los listados responden el array completo; con ellos { items, nextCursor }
+const EventList = { ...paged(Event), type: ["array", "object"], items: Event };
+const Comment = object({
+  id: required(str),
+  uid: nullable(str),
+  username: str,
+  comment: required(str),
+  rating: nullable(int),
+  parentId: str,
+  depth: int,
+  status: str,
+  occurrence: str,
+  reactions: anyObject,
+  pinnedAt: nullable(str),
+  createdAt: required(str),
+  editedAt: str
+});
+Comment.properties.replies = list(Comment);
+// al crear o editar: si el `rating` no se aceptó, el comentario se guarda igual y el motivo va acá
+const CommentWrite = object({ ...Comment.properties, ratingError: ErrorBody });
+// los de cuentas eliminadas quedan anónimos (uid null)
+const Attendee = object({
+  id: required(str),
+  uid: required(nullable(str)),
+  username: str,
+  confirmed: bool,
+  status: nullable(str),
+  waitlistPosition: nullable(int),
+  checkedInAt: nullable(str),
+  updatedAt: str
+});
+const Ticket = object({ ticketId: required(str), token: required(str) });
+const Attachment = object({ id: required(str), name: str, contentType: str, size: int, url: required(str), createdAt: str });
+const Rating = object({ uid: required(nullable(str)), rating: required(int), createdAt: str, updatedAt: str });
+const Notification = object({ id: required(str), type: required(str), read: required(bool), createdAt: str });
+const ModerationItem = object({ id: required(str), eventId: required(str), commentId: required(str), status: str, comment: nullable(anyObject), reports: list(anyObject) });
+const AuditEntry = object({ id: required(str), at: required(str), action: required(str), actorUid: nullable(str) });
+const StatsReport = object({
+  from: required(str),
+  to: required(str),
+  totals: required(anyObject),
+  attendance: required(object({ confirmed: required(int), checkedIn: required(int), noShow: required(int) })),
+  rates: required(anyObject),
+  days: required(list(object({ day: required(str) })))
+});
+const CalendarFeeds = object({ token: required(str), attendingUrl: required(str), createdUrl: required(str) });
+// email null en las creadas con el enlace del evento; uid null hasta que se acepta la de un email
+const Invitation = object({
+  id: required(str),
+  eventId: required(str),
+  email: required(nullable(str)),
+  uid: required(nullable(str)),
+  status: required(str),
+  via: required(str),
+  invitedBy: nullable(str),
+  createdAt: str,
+  respondedAt: nullable(str)
+});
+const ShareLinks = object({ url: required(str), icsUrl: required(str), inviteUrl: str });
+const ImportReport = object({ dryRun: required(bool), total: required(int), valid: int, invalid: int, imported: int, errors: list(anyObject), items: list(Event) });
+
+const components = {
+  Error: ErrorBody, Message, Session, User, Event, EventList, Comment, Attendee, Ticket, Attachment, Rating, RatingSummary,
+  Notification, ModerationItem, AuditEntry, StatsReport, CalendarFeeds, ImportReport, Invitation
+};
+
+const ICS = file("text/calendar", "Calendario iCalendar");
+const SSE = { 200: { description: "Stream de Server-Sent Events", content: { "text/event-stream": { schema: str } } } };
+
+// ---- rutas: "MÉTODO /ruta de Express" -> { summary, responses, body } ----
+const routes = {
+  "GET /": { summary: "Estado de la API", responses: ok(Message) },
+  "GET /openapi.json": { summary: "Este documento OpenAPI", responses: ok(anyObject) },
+  "GET /docs": { summary: "Documentación interactiva (Swagger UI)", responses: file("text/html", "Página HTML") },
+
+  // auth
+  "POST /auth/register": { summary: "Registrar usuario (inicia sesión)", responses: ok(Session) },
+  "POST /auth/login": { summary: "Iniciar sesión", responses: ok(Session) },
+  "POST /auth/refresh": { summary: "Cambiar un refresh token por un par nuevo", responses: ok(Session) },
+  "GET /auth/verify-email": { summary: "Verificar el email (enlace del correo)", responses: ok(object({ message: required(str), uid: required(str), email: required(str) })) },
+  "POST /auth/verify-email": { summary: "Verificar el email (desde la app)", responses: ok(object({ message: required(str), uid: required(str), email: required(str) })) },
+  "POST /auth/resend-verification": { summary: "Reenviar el correo de verificación", responses: ok(Message) },
+  "POST /auth/forgot-password": { summary: "Pedir el enlace para restablecer la contraseña", responses: ok(Message) },
+  "POST /auth/reset-password": { summary: "Restablecer la contraseña con el token del correo", responses: ok(Message) },
+  "POST /auth/logout": { summary: "Cerrar sesión en este dispositivo", responses: ok(Message) },
+  "POST /auth/logout-all": { summary: "Cerrar sesión en todos los dispositivos", responses: ok(Message) },
+
+  // usuarios
+  "GET /users/:uid": { summary: "Perfil público de un usuario", responses: ok(User) },
+  "PUT /users/:uid": { summary: "Editar perfil (el propio usuario o user:manage)", responses: ok(User) },
+  "PUT /users/:uid/password": { summary: "Cambiar la contraseña (cierra las demás sesiones)", responses: ok({ ...Session, properties: { ...Session.properties, message: required(str) } }) },
+  "DELETE /users/:uid": { summary: "Eliminar la cuenta", responses: ok(Message) },
+
+  // eventos
+  "GET /events/trash": { summary: "Eventos en la papelera", responses: ok(list(object({ ...Event.properties, restorableUntil: required(str) }))) },
+  "GET /events": { summary: "Listar eventos (filtros, orden y paginación)", responses: ok(EventList) },
+  "GET /events/upcoming": { summary: "Próximos eventos, con las ocurrencias de los recurrentes", responses: ok(EventList) },
+  "GET /events/past": { summary: "Eventos pasados", responses: ok(EventList) },
+  "GET /events/top-rated": { summary: "Mejor calificados", responses: ok(paged(Event)) },
+  "GET /events/nearby": { summary: "Eventos cerca de un punto, del más cercano al más lejano", responses: ok(paged(object({ ...Event.properties, distanceKm: required(num) }))) },
+  "GET /events/search": { summary: "Buscar eventos por texto", responses: ok(list(object({ ...Event.properties, score: required(num), highlights: required(anyObject) }))) },
+  "GET /events/creator/:uid": { summary: "Eventos creados por un usuario", responses: ok(EventList) },
+  "GET /events/:id.ics": { summary: "Evento en formato iCalendar", responses: ICS },
+  "GET /events/:id": { summary: "Obtener evento (cuenta una vista)", responses: ok(Event) },
+  "POST /events": { summary: "Crear evento", responses: ok(Event) },
+  "PUT /events/:id": { summary: "Editar evento (organizadores o event:manage)", responses: ok(Event) },
+  "DELETE /events/:id": { summary: "Eliminar evento (va a la papelera)", responses: ok(object({ message: required(str), restorableUntil: required(str) })) },
+  "POST /events/:id/restore": { summary: "Restaurar evento de la papelera", responses: ok(Event) },
+  "GET /events/:id/share": { summary: "URL pública para compartir (con inviteUrl en los privados, para quien invita)", responses: ok(ShareLinks) },
+  "POST /events/:id/share/rotate": { summary: "Regenerar el enlace de invitación de un evento privado", responses: ok(ShareLinks) },
+
+  // invitaciones
+  "GET /events/:id/invitations": { summary: "Invitaciones del evento", responses: ok(list(Invitation)) },
+  "POST /events/:id/invitations": { summary: "Invitar por email a un evento privado", responses: { 201: json(object({ items: required(list(Invitation)) })) } },
+  "DELETE /events/:id/invitations/:iid": { summary: "Quitar una invitación", responses: ok(Message) },
+  "POST /events/:id/invitations/accept": { summary: "Aceptar la invitación (token del enlace o del correo)", responses: ok(Invitation) },
+  "POST /events/:id/invitations/decline": { summary: "Rechazar la invitación", responses: ok(Invitation) },
+  "GET /users/:uid/invitations": { summary: "Invitaciones del propio usuario", responses: ok(list(object({ ...Invitation.properties, event: required(anyObject) }))) },
+
+  // archivos
+  "PUT /events/:id/cover": { summary: "Subir o reemplazar la portada", body: rawBody(["image/jpeg", "image/png", "image/webp"]), responses: ok(object({ cover: required(anyObject) })) },
+  "DELETE /events/:id/cover": { summary: "Quitar la portada", responses: ok(Message) },
+  "GET /events/:id/cover": { summary: "Redirige a la portada (o su miniatura)", responses: redirect("URL firmada de la imagen") },
+  "GET /events/:id/attachments": { summary: "Adjuntos del evento", responses: ok(list(Attachment)) },
+  "POST /events/:id/attachments": { summary: "Agregar un adjunto (pdf o imagen)", body: rawBody(["application/pdf", "image/jpeg", "image/png", "image/webp"]), responses: { 201: json(Attachment) } },
+  "GET /events/:id/attachments/:aid": { summary: "Redirige al adjunto", responses: redirect("URL firmada del adjunto") },
+  "DELETE /events/:id/attachments/:aid": { summary: "Eliminar un adjunto", responses: ok(Message) },
+  "GET /files/*": { summary: "Archivo del almacenamiento local (URL firmada)", responses: file("application/octet-stream", "El archivo") },
+
+  // ocurrencias y co-organizadores
+  "GET /events/:id/occurrences": { summary: "Ocurrencias de un evento recurrente", responses: ok(list(Event)) },
+  "PUT /events/:id/occurrences/:day": { summary: "Editar una ocurrencia", responses: ok(Event) },
+  "DELETE /events/:id/occurrences/:day": { summary: "Cancelar una ocurrencia", responses: ok(Message) },
+  "GET /events/:id/organizers": { summary: "Creador y co-organizadores", responses: ok(list(object({ uid: required(str), username: required(str), role: required(str) }))) },
+  "POST /events/:id/organizers": { summary: "Agregar co-organizador", responses: ok(object({ message: required(str), coOrganizers: required(list(str)) })) },
+  "DELETE /events/:id/organizers/:uid": { summary: "Quitar co-organizador", responses: ok(object({ message: required(str), coOrganizers: required(list(str)) })) },
+
+  // comentarios
+  "PUT /events/:id/comments/lock": { summary: "Cerrar los comentarios", responses: ok(object({ message: required(str), commentsLocked: required(bool) })) },
+  "DELETE /events/:id/comments/lock": { summary: "Abrir los comentarios", responses: ok(object({ message: required(str), commentsLocked: required(bool) })) },
+  "POST /events/:id/comments": { summary: "Comentar (o responder con parentId)", responses: { 200: json(CommentWrite), 202: json(CommentWrite, "Retenido para moderación") } },
+  "GET /events/:id/comments": { summary: "Comentarios publicados (threaded=true en hilos)", responses: ok(list(Comment)) },
+  "PUT /events/:id/comments/:cid": { summary: "Editar comentario", responses: { 200: json(CommentWrite), 202: json(CommentWrite, "Retenido para moderación") } },
+  "DELETE /events/:id/comments/:cid": { summary: "Eliminar comentario (va a la papelera)", responses: ok(object({ message: required(str), restorableUntil: required(str) })) },
+  "GET /events/:id/comments/trash": { summary: "Comentarios en la papelera", responses: ok(list(object({ ...Comment.properties, restorableUntil: required(str) }))) },
+  "POST /events/:id/comments/:cid/restore": { summary: "Restaurar comentario", responses: ok(Comment) },
+  "PUT /events/:id/comments/:cid/pin": { summary: "Fijar comentario", responses: ok(Comment) },
+  "DELETE /events/:id/comments/:cid/pin": { summary: "Desfijar comentario", responses: ok(Comment) },
+  "PUT /events/:id/comments/:cid/reactions/:emoji": { summary: "Reaccionar", responses: ok(object({ reactions: required(anyObject), mine: required(list(str)) })) },
+  "DELETE /events/:id/comments/:cid/reactions/:emoji": { summary: "Quitar reacción", responses: ok(object({ reactions: required(anyObject), mine: required(list(str)) })) },
+  "POST /events/:id/comments/:cid/report": { summary: "Reportar comentario", responses: { 202: json(Message) } },
+
+  // calificaciones
+  "GET /events/:id/rating": { summary: "Promedio, cantidad y distribución", responses: ok(RatingSummary) },
+  "GET /events/:id/ratings/:uid": { summary: "Calificación de un usuario", responses: ok(Rating) },
+  "PUT /events/:id/ratings/:uid": { summary: "Calificar (el propio usuario)", responses: ok(object({ rating: required(Rating), summary: required(RatingSummary) })) },
+  "DELETE /events/:id/ratings/:uid": { summary: "Quitar calificación", responses: ok(object({ message: required(str), summary: required(RatingSummary) })) },
+
+  // moderación
+  "GET /moderation/queue": { summary: "Cola de moderación", responses: ok(paged(ModerationItem)) },
+  "POST /moderation/queue/:id/:action": { summary: "Resolver un item (approve, hide o ban)", responses: ok(object({ item: required(ModerationItem), comment: required(anyObject), ban: nullable(anyObject) })) },
+  "DELETE /moderation/bans/:uid": { summary: "Levantar el bloqueo de comentarios", responses: ok(Message) },
+
+  // asistencia
+  "POST /attend/:eventId/confirm": { summary: "Confirmar asistencia (o entrar en lista de espera)", responses: ok(object({ message: required(str), status: required(str), ticket: nullable(Ticket), waitlistPosition: nullable(int) })) },
+  "POST /attend/:eventId/cancel": { summary: "Cancelar asistencia", responses: ok(object({ message: required(str), promotedUid: nullable(str) })) },
+  "GET /attend/:eventId/attendees": { summary: "Asistentes y lista de espera", responses: ok(list(Attendee)) },
+  "GET /attend/:eventId/ticket": { summary: "Entrada del propio usuario (JSON o QR)", responses: { 200: { description: "Entrada", content: { "application/json": { schema: { $ref: "#/components/schemas/Ticket" } }, "image/png": { schema: { type: "string", format: "binary" } }, "image/svg+xml": { schema: str } } } } },
+  "POST /attend/:eventId/check-in": { summary: "Registrar el ingreso con la entrada", responses: ok(object({ message: required(str), uid: required(str), username: nullable(str), occurrence: nullable(str), checkedInAt: required(str) })) },
+  "GET /attend/:eventId/status/:uid": { summary: "Estado de asistencia de un usuario", responses: ok(object({ confirmed: required(bool), status: required(nullable(str)), waitlistPosition: nullable(int) })) },
+  "GET /events/:id/attendees/count": { summary: "Contador de asistentes", responses: ok(object({ count: required(int), waitlistCount: required(int), capacity: required(nullable(int)) })) },
+
+  // estadísticas
+  "GET /events/:id/stats": { summary: "Estadísticas diarias del evento (JSON o CSV)", responses: ok(StatsReport) },
+  "GET /events/creator/:uid/stats": { summary: "Estadísticas de todos los eventos de un creador", responses: ok({ ...StatsReport, properties: { ...StatsReport.properties, events: required(list(anyObject)) } }) },
+
+  // importar / exportar
+  "POST /events/import": {
+    summary: "Importar eventos desde CSV o JSON (dryRun valida sin guardar)",
+    body: { content: { "text/csv": { schema: str }, "application/json": { schema: { type: "array", items: anyObject } } } },
+    responses: {
+      200: json(ImportReport, "Informe del dryRun"),
+      201: json(ImportReport, "Eventos creados"),
+      500: json(object({ ...ErrorBody.properties, ...ImportReport.properties }), "IMPORT_INCOMPLETE: se guardaron sólo los eventos de `items`")
+    }
+  },
+  "GET /events/creator/:uid/export": { summary: "Exportar los eventos de un creador", responses: csvOrJson("Eventos") },
+  "GET /events/:id/attendees/export": { summary: "Exportar los asistentes", responses: csvOrJson("Asistentes") },
+  "GET /events/:id/comments/export": { summary: "Exportar los comentarios", responses: csvOrJson("Comentarios") },
+
+  // notificaciones y calendario
+  "GET /users/:uid/notifications": { summary: "Bandeja de notificaciones", responses: ok({ ...paged(Notification), properties: { ...paged(Notification).properties, unreadCount: required(int) } }) },
+  "POST /users/:uid/notifications/read": { summary: "Marcar notificaciones como leídas", responses: ok(object({ updated: required(int), unreadCount: required(int) })) },
+  "GET /users/:uid/notification-preferences": { summary: "Preferencias de notificación", responses: ok(anyObject) },
+  "PUT /users/:uid/notification-preferences": { summary: "Cambiar preferencias de notificación", responses: ok(anyObject) },
+  "POST /users/:uid/devices": { summary: "Registrar un dispositivo para push", responses: ok(Message) },
+  "DELETE /users/:uid/devices/:token": { summary: "Quitar un dispositivo", responses: ok(Message) },
+  "GET /users/:uid/calendar": { summary: "URLs de los feeds de calendario", responses: ok(CalendarFeeds) },
+  "POST /users/:uid/calendar/rotate": { summary: "Regenerar el token de los feeds", responses: ok(CalendarFeeds) },
+  "GET /calendar/:uid/attending.ics": { summary: "Feed de los eventos a los que asiste", responses: ICS },
+  "GET /calendar/:uid/created.ics": { summary: "Feed de los eventos creados", responses: ICS },
+
+  // tiempo real
+  "GET /events/:id/stream": { summary: "Cambios de un evento (SSE)", responses: SSE },
+  "GET /feeds/:feed/stream": { summary: "Feed de eventos (SSE)", responses: SSE },
+
+  // admin
+  "GET /admin/users": { summary: "Todos los usuarios, sin secretos", responses: ok(list(object({ uid: required(str), username: str, email: str }))) },
+  "GET /admin/roles": { summary: "Roles y permisos", responses: ok(object({ roles: required(list(anyObject)), permissions: required(anyObject) })) },
+  "POST /admin/users/:uid/roles": { summary: "Asignar rol", responses: ok(object({ uid: required(str), role: required(str), roles: required(list(str)) })) },
+  "DELETE /admin/users/:uid/roles/:role": { summary: "Quitar rol", responses: ok(object({ uid: required(str), role: required(str), roles: required(list(str)) })) },
+  "POST /admin/users/:uid/make-admin": {
+    summary: "Hacer admin a un usuario",
+    description: "Obsoleta: usar POST /admin/users/{uid}/roles con { role: \"admin\" }. Después del Sunset responde 410 API_SUNSET.",
+    responses: ok(Message)
+  },
+  "POST /admin/trash/purge": { summary: "Purgar lo vencido de la papelera", responses: ok(object({ purged: required(anyObject), retentionDays: required(num) })) },
+  "POST /admin/ratings/rebuild": { summary: "Migrar y recalcular las calificaciones", responses: ok(object({ events: required(int), imported: required(int) })) },
+  "GET /admin/dump": { summary: "Volcado completo sin secretos (NDJSON)", responses: file("application/x-ndjson", "Un documento por línea") },
+  "POST /admin/restore": {
+    summary: "Restaurar un volcado (dryRun lo revisa)",
+    body: { content: { "application/x-ndjson": { schema: str } } },
+    responses: ok(object({ dryRun: required(bool), documents: required(int), collections: required(anyObject), errors: list(anyObject) }))
+  },
+  "GET /admin/audit": { summary: "Registro de auditoría (JSON paginado o CSV)", responses: ok(paged(AuditEntry)) }
+};
+
+module.exports = {
+  info: {
+    title: "API DSM",
+    version: require("../package.json").version,
+    description: "Eventos, comentarios, asistencia y calificaciones. Los errores siguen siempre el formato de Error."
+  },
+  components,
+  routes
+};
@@ -0,0 +1,54 @@
+// lib/audit.js - Registro de auditoría de las escrituras y acciones administrativas
+//
+// Cada entrada guarda quién (actorUid), qué (action, p. ej. "event.update"), sobre qué
+// (targetType / targetId, y eventId cuando el objetivo pertenece a un evento), los cambios
+// campo a campo ({ campo: { before, after } }), IP, user agent y fecha. Los campos secretos
+// nunca se guardan: aparecen como "[redacted]".
+
+const REDACTED = "[redacted]";
+const SECRET_FIELDS = ["passwordHash", "calendarToken", "tokenVersion", "refreshToken", "password", "fcmTokens"];
+
+function redact(value, field) {
+  return SECRET_FIELDS.includes(field) && value !== undefined ? REDACTED : value;
+}
+
+// Cambios campo a campo. En altas sólo hay `after` y en bajas sólo `before`; en ediciones
+// `after` es el parche aplicado y se compara sólo lo que trae.
+function diff(before, after) {
+  const changes = {};
+  for (const key of Object.keys(after || before || {})) {
+    if (key === "id" || key === "uid") continue;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (before && after && JSON.stringify(a) === JSON.stringify(b)) continue;
+    changes[key] = { before: a === undefined ? null : redact(a, key), after: b === undefined ? null : redact(b, key) };
+  }
+  return changes;
+}
+
+function createAuditLog(repo) {
+  return {
+    // Registra la acción; los errores se informan en consola y no cortan el request,
+    // porque la escritura auditada ya se hizo.
+    async record(req, action, { type, id, eventId, before, after, actorUid, meta } = {}) {
+      try {
+        await repo.append({
+          at: new Date().toISOString(),
+          actorUid: actorUid || (req.user && req.user.uid) || null,
+          action,
+          targetType: type || null,
+          targetId: id || null,
+          eventId: eventId || (type === "event" ? id : null) || null,
+          changes: before || after ? diff(before, after) : {},
+          meta: meta || null,
+          ip: req.ip || null,
+          userAgent: req.get("User-Agent") || null
+        });
+      } catch (e) {
+        console.error("Error registrando auditoría:", action, e);
+      }
+    }
+  };
+}
+
+module.exports = { createAuditLog, diff };
@@ -0,0 +1,101 @@
+// lib/backup.js - Volcado completo de los datos (admin) y su restauración
+//
+// El volcado es NDJSON: una primera línea { format, version, exportedAt } y después un documento
+// por línea { path, data }, con `path` completo ("events/abc/comments/xyz"). Recorre las
+// colecciones de DUMP_TREE con sus subcolecciones; no incluye las sesiones (refreshTokens,
+// revokedTokens), los contadores de rate limit ni el registro de auditoría (auditLog se exporta
+// con GET /admin/audit y un restore no puede reescribirlo), y a cada documento se le quitan los campos
+// secretos de SECRET_FIELDS (hashes de contraseña, tokens de calendario y de push, ids de las
+// entradas). Al restaurar, los usuarios que ya existen conservan esos campos y los nuevos
+// entran sin contraseña (tienen que restablecerla); las entradas se vuelven a emitir solas.
+
+const DUMP_FORMAT = "api-dsm-dump";
+const DUMP_VERSION = 1;
+
+// colección -> subcolecciones (mismo formato)
+const scopeChildren = { attendees: {}, comments: { reactions: {} }, ratings: {} };
+const DUMP_TREE = {
+  users: {},
+  events: { ...scopeChildren, occurrences: scopeChildren, attachments: {}, dailyStats: {}, invitations: {} },
+  eventTombstones: {},
+  notifications: {},
+  sentReminders: {},
+  moderationQueue: { reports: {} }
+};
+
+// nombre de la colección -> campos que nunca salen en el volcado
+const SECRET_FIELDS = {
+  users: ["passwordHash", "calendarToken", "fcmTokens", "tokenVersion"],
+  attendees: ["ticketId"]
+};
+
+const collectionOf = path => path.split("/").slice(-2)[0];
+
+function stripSecrets(collection, data) {
+  const secret = SECRET_FIELDS[collection];
+  if (!secret) return data;
+  const out = { ...data };
+  secret.forEach(field => delete out[field]);
+  return out;
+}
+
+// true si el path es de un documento de alguna colección del volcado
+function isDumpPath(path) {
+  const parts = String(path).split("/");
+  if (parts.length % 2 !== 0 || parts.some(p => !p)) return false;
+  let tree = DUMP_TREE;
+  for (let i = 0; i < parts.length; i += 2) {
+    if (!Object.prototype.hasOwnProperty.call(tree, parts[i])) return false;
+    tree = tree[parts[i]];
+  }
+  return true;
+}
+
+function dumpHeader() {
+  return { format: DUMP_FORMAT, version: DUMP_VERSION, exportedAt: new Date().toISOString() };
+}
+
+// Lee un volcado. Devuelve { docs, errors }; errors: [{ line, field, code, message }] con la
+// línea (1 = encabezado) de cada problema. Los campos secretos que traiga se descartan.
+function parseDump(text) {
+  const docs = [];
+  const errors = [];
+  const lines = String(text).split(/\r?\n/);
+  const fail = (line, field, code, message) => errors.push({ line, field, code, message });
+
+  let header = null;
+  try {
+    header = JSON.parse(lines[0] || "null");
+  } catch (e) {
+    // se informa abajo
+  }
+  if (!header || header.format !== DUMP_FORMAT) {
+    fail(1, "format", "invalid_format", `la primera línea debe ser el encabezado de ${DUMP_FORMAT}`);
+    return { docs, errors };
+  }
+  if (header.version !== DUMP_VERSION) {
+    fail(1, "version", "invalid_enum", `versión de volcado no soportada: ${header.version}`);
+    return { docs, errors };
+  }
+
+  lines.slice(1).forEach((raw, i) => {
+    const line = i + 2;
+    if (!raw.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (e) {
+      return fail(line, "line", "invalid_json", "no es JSON válido");
+    }
+    if (!entry || typeof entry.path !== "string" || !isDumpPath(entry.path)) {
+      return fail(line, "path", "invalid", "path no es un documento de una colección del volcado");
+    }
+    if (!entry.data || typeof entry.data !== "object" || Array.isArray(entry.data)) {
+      return fail(line, "data", "invalid_type", "data debe ser un objeto");
+    }
+    docs.push({ path: entry.path, data: stripSecrets(collectionOf(entry.path), entry.data) });
+  });
+  return { docs, errors };
+}
+
+module.exports = { DUMP_TREE, SECRET_FIELDS, collectionOf, stripSecrets, isDumpPath, dumpHeader, parseDump };
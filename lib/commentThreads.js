@@ -0,0 +1,44 @@
+// lib/commentThreads.js - Orden de los comentarios y armado de los hilos de respuestas
+//
+// Cada respuesta guarda `parentId` (las de antes de los hilos, `replyTo`). Los fijados
+// (`pinnedAt`) van primero y, entre ellos, el último fijado arriba.
+
+const parentOf = comment => comment.parentId || comment.replyTo || null;
+
+function byPinnedThenNewest(a, b) {
+  if (!!a.pinnedAt !== !!b.pinnedAt) return a.pinnedAt ? -1 : 1;
+  if (a.pinnedAt && a.pinnedAt !== b.pinnedAt) return a.pinnedAt < b.pinnedAt ? 1 : -1;
+  return String(b.createdAt || "").localeCompare(String(a.createdAt || ""));
+}
+
+// lista plana: fijados primero, luego los más recientes
+function pinnedFirst(comments) {
+  return [...comments].sort(byPinnedThenNewest);
+}
+
+// Árbol de comentarios: los principales (fijados primero, luego los más recientes) con sus
+// `replies` anidadas en orden cronológico. Una respuesta cuyo comentario padre ya no se ve
+// (eliminado u oculto) cuelga de un marcador { id, unavailable: true } en el primer nivel.
+function buildThreads(comments) {
+  const nodes = new Map(comments.map(c => [c.id, { ...c, replies: [] }]));
+  const roots = [];
+  const chronological = [...comments].sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+  for (const comment of chronological) {
+    const node = nodes.get(comment.id);
+    const parentId = parentOf(comment);
+    if (!parentId) {
+      roots.push(node);
+      continue;
+    }
+    let parent = nodes.get(parentId);
+    if (!parent) {
+      parent = { id: parentId, unavailable: true, createdAt: comment.createdAt, replies: [] };
+      nodes.set(parentId, parent);
+      roots.push(parent);
+    }
+    parent.replies.push(node);
+  }
+  return roots.sort(byPinnedThenNewest);
+}
+
+module.exports = { buildThreads, pinnedFirst, parentOf };
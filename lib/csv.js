@@ -0,0 +1,83 @@
+// lib/csv.js - Generación y lectura de CSV (RFC 4180) para las exportaciones e importaciones
+// Los valores que empiezan con = + - @ se anteponen con ' para que Excel / Sheets no los
+// interpreten como fórmulas (inyección de fórmulas en CSV); al leer se quita ese ' para que
+// un archivo exportado se pueda volver a importar tal cual.
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, header }] o nombres de campo
+function csvRow(row, columns) {
+  return columns.map(c => csvValue(row[typeof c === "string" ? c : c.key])).join(",") + "\r\n";
+}
+
+function csvHeader(columns) {
+  return columns.map(c => csvValue(typeof c === "string" ? c : c.header || c.key)).join(",") + "\r\n";
+}
+
+function toCsv(rows, columns) {
+  return csvHeader(columns) + rows.map(r => csvRow(r, columns)).join("");
+}
+
+// Filas del texto como arrays de strings (acepta BOM, \r\n o \n y campos entre comillas con
+// saltos de línea). Las líneas vacías se descartan.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+  const endValue = () => {
+    row.push(/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+    value = "";
+  };
+  const endRow = () => {
+    endValue();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"' && value === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      endValue();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      value += ch;
+    }
+  }
+  if (value !== "" || row.length) endRow();
+  return rows;
+}
+
+// Objetos { columna: valor } usando la primera fila como encabezado; los valores vacíos no se
+// incluyen (igual que un campo que no se envía)
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(h => h.trim());
+  return rows.map(values => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column && values[i] !== undefined && values[i] !== "") row[column] = values[i];
+    });
+    return row;
+  });
+}
+
+module.exports = { toCsv, csvRow, csvHeader, csvValue, parseCsv };
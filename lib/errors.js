@@ -0,0 +1,78 @@
+// lib/errors.js - Errores de la API y manejador central
+//
+// Todas las respuestas de error tienen la misma forma:
+//   { code: "VALIDATION_ERROR", message: "Datos inválidos", fields: [{ field, in, code, message }] }
+// `code` es estable (para el cliente), `message` es para mostrar y `fields` sólo aparece en
+// errores de validación. Los handlers lanzan ApiError (o usan los atajos de abajo) y el
+// manejador central arma la respuesta; las excepciones inesperadas se registran y se
+// responden como 500 sin exponer el mensaje interno.
+
+class ApiError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    if (fields) this.fields = fields;
+  }
+}
+
+const badRequest = (message, code = "BAD_REQUEST") => new ApiError(400, code, message);
+const unauthorized = (message, code = "UNAUTHORIZED") => new ApiError(401, code, message);
+const forbidden = (message = "Acceso denegado", code = "FORBIDDEN") => new ApiError(403, code, message);
+const notFound = (message, code = "NOT_FOUND") => new ApiError(404, code, message);
+const conflict = (message, code = "CONFLICT") => new ApiError(409, code, message);
+const gone = (message, code = "GONE") => new ApiError(410, code, message);
+
+// fields: [{ field, in: "body" | "query" | "params", code, message }]
+function validationError(fields, message = "Datos inválidos") {
+  return new ApiError(400, "VALIDATION_ERROR", message, fields);
+}
+
+// Express 4 no captura promesas rechazadas: el wrapper las pasa a next()
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+function toBody(err) {
+  const body = { code: err.code, message: err.message };
+  if (err.fields) body.fields = err.fields;
+  return body;
+}
+
+// Rutas inexistentes
+function notFoundHandler(req, res) {
+  res.status(404).json(toBody(notFound(`Ruta no encontrada: ${req.method} ${req.path}`, "ROUTE_NOT_FOUND")));
+}
+
+// Manejador central (va al final, después de todas las rutas). Express lo reconoce como
+// manejador de errores por tener 4 parámetros, aunque `next` casi no se use.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) return res.status(err.status).json(toBody(err));
+
+  // errores de express.json()
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json(toBody(badRequest("El cuerpo no es JSON válido", "INVALID_JSON")));
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json(toBody(new ApiError(413, "PAYLOAD_TOO_LARGE", "El cuerpo es demasiado grande")));
+  }
+
+  console.error(err);
+  res.status(500).json(toBody(new ApiError(500, "INTERNAL_ERROR", "Error interno del servidor")));
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  gone,
+  validationError,
+  asyncHandler,
+  notFoundHandler,
+  errorHandler
+};
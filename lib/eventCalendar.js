@@ -0,0 +1,102 @@
+// lib/eventCalendar.js - Conversión de eventos (y ocurrencias / eventos eliminados) a VEVENTs
+// UIDs estables: "{eventId}@{host}" para eventos y series, "{eventId}-{día}@{host}" para
+// ocurrencias publicadas sueltas (feed de asistencia). SEQUENCE sale del campo `sequence`
+// del evento, que PUT /events/:id incrementa en cada cambio.
+const { buildOccurrences, occurrenceDate, formatRule } = require("./recurrence");
+const { formatDate } = require("./ical");
+
+function createEventCalendar({ baseUrl }) {
+  const host = new URL(baseUrl).hostname;
+  const uidFor = (eventId, day) => (day ? `${eventId}-${day}@${host}` : `${eventId}@${host}`);
+
+  // UNTIL debe tener el mismo tipo que DTSTART (fecha, hora flotante o UTC)
+  function icsRule(event) {
+    const rule = event.recurrence;
+    let rrule = formatRule({ ...rule, until: null });
+    if (rule.until) {
+      const start = formatDate(event.date);
+      const until = rule.until.replace(/-/g, "");
+      rrule += `;UNTIL=${start.date ? until : `${until}T235959${start.text.endsWith("Z") ? "Z" : ""}`}`;
+    }
+    return rrule;
+  }
+
+  function baseEntry(event, status) {
+    return {
+      uid: uidFor(event.id),
+      start: event.date,
+      summary: event.title,
+      description: event.description,
+      location: event.location,
+      geo: typeof event.lat === "number" && typeof event.lng === "number" ? { lat: event.lat, lng: event.lng } : null,
+      url: `${baseUrl}/events/${event.id}`,
+      sequence: event.sequence || 0,
+      created: event.createdAt,
+      lastModified: event.updatedAt || event.createdAt,
+      status
+    };
+  }
+
+  function occurrenceFields(event, occurrenceDocs, day) {
+    const [occ] = buildOccurrences(event, occurrenceDocs, { from: day, to: day, includeCancelled: true });
+    const doc = occurrenceDocs[day] || {};
+    return {
+      start: occ.date,
+      summary: occ.title,
+      description: occ.description,
+      location: occ.location,
+      sequence: (event.sequence || 0) + (doc.sequence || 0),
+      lastModified: doc.updatedAt || event.updatedAt || event.createdAt,
+      status: occ.cancelled ? "CANCELLED" : "CONFIRMED"
+    };
+  }
+
+  return {
+    // VEVENTs de un evento: uno simple o, si es recurrente, el maestro con RRULE y EXDATE
+    // (ocurrencias canceladas) más un VEVENT con RECURRENCE-ID por cada ocurrencia editada
+    eventEntries(event, occurrenceDocs = {}) {
+      const base = baseEntry(event, "CONFIRMED");
+      if (!event.recurring) return [base];
+
+      const docs = Object.keys(occurrenceDocs).map(day => ({ day, ...occurrenceDocs[day] }));
+      const master = {
+        ...base,
+        rrule: icsRule(event),
+        exdates: docs.filter(d => d.cancelled).map(d => occurrenceDate(event.date, d.day))
+      };
+      const overrides = docs
+        .filter(d => !d.cancelled && d.overrides && Object.keys(d.overrides).length)
+        .map(d => ({
+          ...base,
+          ...occurrenceFields(event, occurrenceDocs, d.day),
+          recurrenceId: occurrenceDate(event.date, d.day)
+        }));
+      return [master, ...overrides];
+    },
+
+    // una ocurrencia como evento independiente (p. ej. la que confirmó un asistente)
+    occurrenceEntry(event, occurrenceDocs, day) {
+      return {
+        ...baseEntry(event, "CONFIRMED"),
+        ...occurrenceFields(event, occurrenceDocs, day),
+        uid: uidFor(event.id, day)
+      };
+    },
+
+    // evento eliminado: mismo UID con STATUS:CANCELLED (o sus ocurrencias, si se indican días)
+    tombstoneEntries(tombstone, days = []) {
+      const event = { ...tombstone, updatedAt: tombstone.deletedAt };
+      if (!days.length) {
+        const entry = baseEntry(event, "CANCELLED");
+        return [tombstone.recurring ? { ...entry, rrule: icsRule(event) } : entry];
+      }
+      return days.map(day => ({
+        ...baseEntry(event, "CANCELLED"),
+        uid: uidFor(event.id, day),
+        start: occurrenceDate(event.date, day)
+      }));
+    }
+  };
+}
+
+module.exports = { createEventCalendar };
@@ -0,0 +1,119 @@
+// lib/eventSearch.js - Búsqueda de eventos (y opcionalmente comentarios) sobre TextIndex
+// El índice vive en memoria: se construye con todos los eventos la primera vez que se usa
+// y luego lo mantienen al día los handlers de escritura de eventos y comentarios.
+const { TextIndex, highlight } = require("./textIndex");
+
+const FIELDS = { title: 3, location: 1, description: 1, comment: 1 };
+// peso de los comentarios en la relevancia del evento al que pertenecen
+const COMMENT_WEIGHT = 0.5;
+
+function createEventSearch(repos) {
+  const index = new TextIndex(FIELDS);
+  let ready = null;
+
+  function addEvent(event) {
+    index.add(`event:${event.id}`, event, { type: "event", eventId: event.id, event });
+  }
+
+  function addComment(eventId, comment) {
+    index.add(`comment:${eventId}/${comment.id}`, comment, { type: "comment", eventId, comment });
+  }
+
+  async function build() {
+    const events = await repos.events.listAll();
+    events.forEach(addEvent);
+    // incluye los comentarios de ocurrencias de eventos recurrentes
+    const comments = await repos.comments.listAll();
+    comments.forEach(({ eventId, ...comment }) => addComment(eventId, comment));
+  }
+
+  function ensureReady() {
+    if (!ready) {
+      ready = build().catch(e => {
+        ready = null; // se reintenta en la próxima llamada
+        throw e;
+      });
+    }
+    return ready;
+  }
+
+  // Los errores del índice no deben romper la escritura que ya se hizo: se registran y listo.
+  async function safely(fn) {
+    try {
+      await ensureReady();
+      fn();
+    } catch (e) {
+      console.error("Error actualizando índice de búsqueda:", e);
+    }
+  }
+
+  return {
+    ensureReady,
+
+    indexEvent(event) {
+      return safely(() => addEvent(event));
+    },
+
+    removeEvent(eventId) {
+      return safely(() => {
+        [...index.docs.keys()]
+          .filter(key => index.docs.get(key).meta.eventId === eventId)
+          .forEach(key => index.remove(key));
+      });
+    },
+
+    indexComment(eventId, comment) {
+      return safely(() => addComment(eventId, comment));
+    },
+
+    removeComment(eventId, cid) {
+      return safely(() => index.remove(`comment:${eventId}/${cid}`));
+    },
+
+    // Devuelve eventos ordenados por relevancia con `score`, `highlights` y,
+    // si includeComments, los comentarios que coinciden en `matchedComments`.
+    async search(query, { includeComments = false } = {}) {
+      await ensureReady();
+      const hits = index.search(query, { filter: meta => includeComments || meta.type === "event" });
+
+      const byEvent = new Map();
+      hits.forEach(hit => {
+        const { eventId } = hit.meta;
+        const eventDoc = index.docs.get(`event:${eventId}`);
+        if (!eventDoc) return; // comentario huérfano
+        if (!byEvent.has(eventId)) {
+          byEvent.set(eventId, { event: eventDoc.meta.event, score: 0, highlights: {}, matchedComments: [] });
+        }
+        const entry = byEvent.get(eventId);
+
+        if (hit.meta.type === "event") {
+          entry.score += hit.score;
+          ["title", "description", "location"].forEach(field => {
+            const marked = highlight(entry.event[field], hit.terms);
+            if (marked) entry.highlights[field] = marked;
+          });
+        } else {
+          entry.score += hit.score * COMMENT_WEIGHT;
+          const { comment } = hit.meta;
+          entry.matchedComments.push({
+            id: comment.id,
+            uid: comment.uid,
+            username: comment.username,
+            snippet: highlight(comment.comment, hit.terms)
+          });
+        }
+      });
+
+      return [...byEvent.values()]
+        .sort((a, b) => b.score - a.score)
+        .map(({ event, score, highlights, matchedComments }) => ({
+          ...event,
+          score: Math.round(score * 1000) / 1000,
+          highlights,
+          ...(includeComments ? { matchedComments } : {})
+        }));
+    }
+  };
+}
+
+module.exports = { createEventSearch };
@@ -0,0 +1,103 @@
+// lib/eventStats.js - Estadísticas de los organizadores en baldes diarios
+//
+// Parte de los contadores diarios de repositories/stats.js. Cada día del rango (UTC, `from` y
+// `to` inclusivos, también los días sin movimiento) trae vistas, confirmaciones, cancelaciones,
+// ingresos, comentarios, calificaciones nuevas y el promedio de calificación acumulado hasta ese
+// día (la tendencia). Las calificaciones anteriores a los contadores se toman como previas al
+// primer día, así el promedio del último día coincide con el del evento.
+
+const COUNTERS = ["views", "confirmations", "cancellations", "checkIns", "comments", "ratingCount", "ratingSum"];
+const CSV_COLUMNS = ["day", "views", "confirmations", "cancellations", "checkIns", "comments", "ratings", "ratingAverage"];
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split("T")[0];
+}
+
+// días de from a to inclusive
+function daysBetween(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+}
+
+const ratio = (part, total) => (total ? Math.round((part / total) * 10000) / 10000 : null);
+const average = (sum, count) => (count ? Math.round((sum / count) * 100) / 100 : null);
+
+// Filas de un evento: contadores del día más las calificaciones acumuladas hasta ese día
+// (ratedCount / ratedSum). docs: todos los días guardados del evento hasta `to`.
+function eventRows(docs, { from, to, ratingSummary }) {
+  const byDay = new Map(docs.map(d => [d.day, d]));
+  const recorded = docs.reduce((acc, d) => ({ count: acc.count + (d.ratingCount || 0), sum: acc.sum + (d.ratingSum || 0) }), { count: 0, sum: 0 });
+  const summary = ratingSummary || { count: 0, sum: 0 };
+  // lo calificado antes de que existieran los contadores
+  let ratedCount = Math.max(0, (summary.count || 0) - recorded.count);
+  let ratedSum = Math.max(0, (summary.sum || 0) - recorded.sum);
+  docs.filter(d => d.day < from).forEach(d => {
+    ratedCount += d.ratingCount || 0;
+    ratedSum += d.ratingSum || 0;
+  });
+
+  return daysBetween(from, to).map(day => {
+    const doc = byDay.get(day) || {};
+    const row = { day };
+    COUNTERS.forEach(key => { row[key] = doc[key] || 0; });
+    ratedCount += row.ratingCount;
+    ratedSum += row.ratingSum;
+    return { ...row, ratedCount, ratedSum };
+  });
+}
+
+// Suma día a día las filas de varios eventos (mismo rango)
+function sumRows(rowsList, { from, to }) {
+  return daysBetween(from, to).map((day, i) => {
+    const row = { day };
+    [...COUNTERS, "ratedCount", "ratedSum"].forEach(key => {
+      row[key] = rowsList.reduce((acc, rows) => acc + rows[i][key], 0);
+    });
+    return row;
+  });
+}
+
+function presentDay(row) {
+  return {
+    day: row.day,
+    views: row.views,
+    confirmations: row.confirmations,
+    cancellations: row.cancellations,
+    checkIns: row.checkIns,
+    comments: row.comments,
+    ratings: row.ratingCount,
+    ratingAverage: average(row.ratedSum, row.ratedCount)
+  };
+}
+
+// Reporte { from, to, totals, rates, days }. attendance: { confirmed, checkedIn } actuales.
+// no-show son los confirmados que no ingresaron (tiene sentido una vez pasado el evento).
+function buildReport(rows, { from, to, attendance }) {
+  const totals = {};
+  ["views", "confirmations", "cancellations", "checkIns", "comments"].forEach(key => {
+    totals[key] = rows.reduce((acc, r) => acc + r[key], 0);
+  });
+  totals.ratings = rows.reduce((acc, r) => acc + r.ratingCount, 0);
+  const last = rows[rows.length - 1];
+  totals.ratingAverage = last ? average(last.ratedSum, last.ratedCount) : null;
+
+  const noShow = attendance.confirmed - attendance.checkedIn;
+  return {
+    from,
+    to,
+    totals,
+    attendance: { confirmed: attendance.confirmed, checkedIn: attendance.checkedIn, noShow },
+    rates: {
+      // confirmaciones por vista en el rango
+      conversion: ratio(totals.confirmations, totals.views),
+      checkIn: ratio(attendance.checkedIn, attendance.confirmed),
+      noShow: ratio(noShow, attendance.confirmed)
+    },
+    days: rows.map(presentDay)
+  };
+}
+
+module.exports = { eventRows, sumRows, buildReport, daysBetween, CSV_COLUMNS };
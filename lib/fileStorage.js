@@ -0,0 +1,104 @@
+// lib/fileStorage.js - Archivos subidos (portadas y adjuntos de eventos) con driver intercambiable
+//
+// Un driver es un objeto con (todos async):
+//   put(key, buffer, contentType), remove(key), removePrefix(prefix), signedUrl(key, expiresAt)
+// Incluidos:
+//   - local: guarda los archivos en `dir` (desarrollo). Sus URLs firmadas apuntan a
+//     GET /files/<key> de esta misma API con `expires` y `signature` (HMAC con `secret`).
+//   - firebase: un bucket de Firebase Storage (Cloud Storage), con URLs firmadas v4.
+// Para otro proveedor (S3, etc.) se pasa directamente el objeto driver.
+//
+// Los archivos nunca son públicos: se entregan con URLs firmadas que vencen en `urlTtlMinutes`.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function localDriver({ dir, secret, baseUrl }) {
+  const root = path.resolve(dir);
+  const sign = (key, expires) => crypto.createHmac("sha256", secret).update(`${key}\n${expires}`).digest("base64url");
+  // las claves las arma el servidor, pero igual no se sale de `dir`
+  const fileOf = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Clave de archivo inválida: ${key}`);
+    return file;
+  };
+
+  return {
+    dir: root,
+
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      await fs.promises.rm(fileOf(prefix), { recursive: true, force: true });
+    },
+
+    async signedUrl(key, expiresAt) {
+      const expires = Math.floor(expiresAt.getTime() / 1000);
+      return `${baseUrl}/files/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    // true si la firma corresponde a la clave y todavía no venció
+    verify(key, expires, signature) {
+      if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature || ""));
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+  };
+}
+
+// bucket: instancia de Bucket de firebase-admin (admin.storage().bucket(nombre))
+function firebaseDriver({ bucket }) {
+  return {
+    async put(key, buffer, contentType) {
+      await bucket.file(key).save(buffer, { contentType, resumable: false });
+    },
+
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+
+    async removePrefix(prefix) {
+      await bucket.deleteFiles({ prefix });
+    },
+
+    async signedUrl(key, expiresAt) {
+      const [url] = await bucket.file(key).getSignedUrl({ version: "v4", action: "read", expires: expiresAt });
+      return url;
+    }
+  };
+}
+
+const DRIVERS = { local: localDriver, firebase: firebaseDriver };
+
+// driver: nombre de un driver incluido ("local", "firebase") u objeto driver
+function createFileStorage({ driver = "local", urlTtlMinutes = 15, ...options } = {}) {
+  let impl = driver;
+  if (typeof driver === "string") {
+    if (!DRIVERS[driver]) throw new Error(`FILE_STORAGE desconocido: ${driver}`);
+    impl = DRIVERS[driver](options);
+  }
+
+  return {
+    // sólo el driver local sirve los archivos desde la API (GET /files/...)
+    local: typeof impl.verify === "function" ? impl : null,
+
+    put: (key, buffer, contentType) => impl.put(key, buffer, contentType),
+    remove: key => impl.remove(key),
+    removePrefix: prefix => impl.removePrefix(prefix),
+
+    async signedUrl(key) {
+      return impl.signedUrl(key, new Date(Date.now() + urlTtlMinutes * 60 * 1000));
+    }
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,86 @@
+// lib/geo.js - Coordenadas de los eventos: geohash y distancias
+//
+// Cada evento con lat / lng guarda también su `geohash` (GEOHASH_PRECISION caracteres, celdas
+// de unos 5 m). Los puntos cercanos comparten prefijo, así que "eventos a menos de r km" se
+// resuelve con consultas de rango por prefijo sobre ese campo (ver coveringPrefixes) y después
+// se descartan en memoria los que quedan fuera del círculo (distanceKm).
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const GEOHASH_PRECISION = 9;
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = 111.32;
+
+function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let ch = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    ch <<= 1;
+    if (value >= mid) {
+      ch |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+// alto y ancho en grados de las celdas de `precision` caracteres
+function cellSize(precision) {
+  const totalBits = 5 * precision;
+  return { lat: 180 / 2 ** Math.floor(totalBits / 2), lng: 360 / 2 ** Math.ceil(totalBits / 2) };
+}
+
+const toRadians = deg => (deg * Math.PI) / 180;
+
+// distancia en km sobre la esfera (haversine)
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Prefijos de geohash cuyas celdas cubren el círculo de `radiusKm` alrededor del punto: la celda
+// del centro y sus 8 vecinas, con la precisión más fina en la que una celda mide al menos el
+// radio. Cerca de los polos o con radios enormes devuelve [""] (hay que revisar todo).
+function coveringPrefixes(lat, lng, radiusKm) {
+  // el ancho de las celdas se achica hacia los polos: se mide en la latitud más alejada del ecuador
+  const farthestLat = Math.min(90, Math.abs(lat) + radiusKm / KM_PER_DEGREE);
+  const kmPerLngDegree = KM_PER_DEGREE * Math.cos(toRadians(farthestLat));
+  let precision = 0;
+  for (let p = GEOHASH_PRECISION; p >= 1; p--) {
+    const size = cellSize(p);
+    if (size.lat * KM_PER_DEGREE >= radiusKm && size.lng * kmPerLngDegree >= radiusKm) {
+      precision = p;
+      break;
+    }
+  }
+  if (!precision) return [""];
+
+  const size = cellSize(precision);
+  const prefixes = new Set();
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const cellLat = Math.max(-90, Math.min(90, lat + dLat * size.lat));
+      const cellLng = ((lng + dLng * size.lng + 540) % 360) - 180;
+      prefixes.add(encodeGeohash(cellLat, cellLng, precision));
+    }
+  }
+  return [...prefixes];
+}
+
+module.exports = { encodeGeohash, coveringPrefixes, distanceKm, GEOHASH_PRECISION };
@@ -0,0 +1,112 @@
+// lib/ical.js - Generación de iCalendar (RFC 5545)
+// Sólo lo necesario para publicar eventos: VCALENDAR con VEVENTs, texto escapado,
+// líneas plegadas a 75 octetos y CRLF.
+
+const PRODID = "-//API DSM//Eventos//ES";
+
+// 5545 §3.3.11: \ ; , y saltos de línea se escapan
+function escapeText(value) {
+  return String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// 5545 §3.1: líneas de máximo 75 octetos; las continuaciones empiezan con un espacio.
+// Se corta por caracteres completos para no partir secuencias UTF-8.
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length === 0 ? 75 : 74; // la continuación ya ocupa 1 octeto con el espacio
+    if (bytes + size > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function utcStamp(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// "2025-01-31" -> { date: true, text: "20250131" }
+// "2025-01-31T18:00" (sin zona) -> hora flotante "20250131T180000"
+// "2025-01-31T18:00:00Z" / con offset -> UTC "20250131T180000Z"
+function formatDate(value) {
+  const raw = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return { date: true, text: raw.replace(/-/g, "") };
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(raw)) return { date: false, text: utcStamp(raw) };
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(raw);
+  if (m) return { date: false, text: `${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}${m[6] || "00"}` };
+  // fecha en otro formato: se interpreta con Date y se publica en UTC
+  return { date: false, text: utcStamp(raw) };
+}
+
+function dateProperty(name, value) {
+  const { date, text } = formatDate(value);
+  return date ? `${name};VALUE=DATE:${text}` : `${name}:${text}`;
+}
+
+function nextDayText(text) {
+  const d = new Date(Date.UTC(Number(text.slice(0, 4)), Number(text.slice(4, 6)) - 1, Number(text.slice(6, 8)) + 1));
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// vevent: { uid, start, summary, description, location, geo: { lat, lng }, url, sequence, status,
+//           created, lastModified, rrule, exdates, recurrenceId }
+function buildEvent(vevent, now) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${vevent.uid}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    dateProperty("DTSTART", vevent.start)
+  ];
+  const start = formatDate(vevent.start);
+  // eventos de día completo: DTEND exclusivo al día siguiente
+  if (start.date) lines.push(`DTEND;VALUE=DATE:${nextDayText(start.text)}`);
+  if (vevent.recurrenceId) lines.push(dateProperty("RECURRENCE-ID", vevent.recurrenceId));
+  if (vevent.rrule) lines.push(`RRULE:${vevent.rrule}`);
+  (vevent.exdates || []).forEach(d => lines.push(dateProperty("EXDATE", d)));
+  lines.push(`SUMMARY:${escapeText(vevent.summary)}`);
+  if (vevent.description) lines.push(`DESCRIPTION:${escapeText(vevent.description)}`);
+  if (vevent.location) lines.push(`LOCATION:${escapeText(vevent.location)}`);
+  if (vevent.geo) lines.push(`GEO:${vevent.geo.lat};${vevent.geo.lng}`);
+  if (vevent.url) lines.push(`URL:${vevent.url}`);
+  if (vevent.created) lines.push(`CREATED:${utcStamp(vevent.created)}`);
+  if (vevent.lastModified) lines.push(`LAST-MODIFIED:${utcStamp(vevent.lastModified)}`);
+  lines.push(`SEQUENCE:${vevent.sequence || 0}`);
+  lines.push(`STATUS:${vevent.status || "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Devuelve el texto del calendario. `name` se publica como X-WR-CALNAME (Google/Outlook/Apple).
+function buildCalendar({ name, events }, now = new Date()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach(ev => lines.push(...buildEvent(ev, now)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar, escapeText, foldLine, formatDate };
@@ -0,0 +1,47 @@
+// lib/mailer.js - Envío de correos con transporte intercambiable
+//
+// Un transporte es un objeto con `send(message)` (async), donde message es
+// { from, to, subject, text }. Incluidos:
+//   - console: escribe el correo en la consola (desarrollo)
+//   - file: guarda cada correo como JSON en `dir` (pruebas locales, para leer los enlaces)
+// Para un proveedor real (SMTP, API de correo) se pasa directamente el objeto transporte.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function consoleTransport() {
+  return {
+    async send(message) {
+      console.log(`--- correo para ${message.to} ---\nAsunto: ${message.subject}\n\n${message.text}\n---`);
+    }
+  };
+}
+
+function fileTransport({ dir }) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+      await fs.promises.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    }
+  };
+}
+
+const TRANSPORTS = { console: consoleTransport, file: fileTransport };
+
+// transport: nombre de un transporte incluido ("console", "file") u objeto { send }
+function createMailer({ transport = "console", from, dir } = {}) {
+  let impl = transport;
+  if (typeof transport === "string") {
+    if (!TRANSPORTS[transport]) throw new Error(`MAIL_TRANSPORT desconocido: ${transport}`);
+    impl = TRANSPORTS[transport]({ dir });
+  }
+
+  return {
+    async send({ to, subject, text }) {
+      await impl.send({ from, to, subject, text });
+    }
+  };
+}
+
+module.exports = { createMailer };
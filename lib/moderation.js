@@ -0,0 +1,49 @@
+// lib/moderation.js - Moderación de comentarios: lista de palabras bloqueadas y estados
+//
+// Un comentario está "published" (visible; los anteriores a la moderación no tienen `status`),
+// "held" (lo retuvo el filtro, espera a un moderador) o "hidden" (lo ocultó un moderador). Los
+// comentarios reportados por usuarios y los que contienen palabras de la lista bloqueada van a
+// la cola de moderación (ver repositories/moderation.js), donde se aprueban, se ocultan o se
+// oculta el comentario y se bloquea a su autor.
+//
+// La lista se compara sin distinguir mayúsculas ni tildes y por palabra completa ("tonto" no
+// coincide con "tontería"); una entrada puede tener varias palabras.
+const fs = require("fs");
+
+const REPORT_REASONS = ["spam", "abuse", "offtopic", "other"];
+
+const isPublished = comment => !comment.status || comment.status === "published";
+
+function normalize(text) {
+  return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Palabras de `words` (separadas por comas) y de `file` (una por línea; "#" comenta la línea)
+function loadBlocklist({ words = "", file } = {}) {
+  const fromFile = file ? fs.readFileSync(file, "utf8").split(/\r?\n/).filter(line => !line.trim().startsWith("#")) : [];
+  return [...String(words).split(","), ...fromFile].map(w => w.trim()).filter(Boolean);
+}
+
+function createContentFilter(words = []) {
+  const terms = [...new Set(words.map(w => normalize(w).trim()).filter(Boolean))];
+  const patterns = terms.map(term => ({
+    term,
+    re: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term).replace(/\s+/g, "\\s+")}(?=$|[^\\p{L}\\p{N}])`, "u")
+  }));
+
+  return {
+    size: terms.length,
+
+    // términos de la lista que aparecen en el texto ([] si ninguno)
+    check(text) {
+      const normalized = normalize(text);
+      return patterns.filter(p => p.re.test(normalized)).map(p => p.term);
+    }
+  };
+}
+
+module.exports = { createContentFilter, loadBlocklist, isPublished, REPORT_REASONS };
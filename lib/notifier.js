@@ -0,0 +1,119 @@
+// lib/notifier.js - Notificaciones a usuarios por varios canales
+//
+// Tipos: reminder (el evento está por empezar), eventChanged (cambió fecha o lugar),
+// eventCancelled (evento u ocurrencia cancelados), commentReply (respondieron tu comentario) y
+// eventInvitation (te invitaron a un evento privado; el correo con el enlace sale aparte).
+// Canales: inApp (bandeja de GET /users/:uid/notifications), email y push (FCM). Cada usuario
+// elige en `notificationPreferences` qué tipos recibe por qué canal; lo que no indica toma
+// DEFAULT_PREFERENCES.
+//
+// Un canal es un objeto { async deliver(user, notification) } con
+// notification = { type, title, body, data }. Los errores de un canal se registran y no
+// impiden los demás.
+
+const NOTIFICATION_TYPES = ["reminder", "eventChanged", "eventCancelled", "commentReply", "eventInvitation"];
+const CHANNELS = ["inApp", "email", "push"];
+
+const DEFAULT_PREFERENCES = {
+  reminder: { inApp: true, email: true, push: true },
+  eventChanged: { inApp: true, email: true, push: true },
+  eventCancelled: { inApp: true, email: true, push: true },
+  commentReply: { inApp: true, email: false, push: true },
+  eventInvitation: { inApp: true, email: false, push: true }
+};
+
+// preferencias guardadas combinadas con las de por defecto
+function preferencesOf(user) {
+  const saved = user.notificationPreferences || {};
+  const out = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    out[type] = { ...DEFAULT_PREFERENCES[type], ...(saved[type] || {}) };
+  });
+  return out;
+}
+
+function inAppChannel(repos) {
+  return {
+    async deliver(user, { type, title, body, data }) {
+      await repos.notifications.create({ uid: user.uid, type, title, body, data, createdAt: new Date().toISOString(), readAt: null });
+    }
+  };
+}
+
+function emailChannel(mailer, { linkFor } = {}) {
+  return {
+    async deliver(user, notification) {
+      if (!user.email) return;
+      const link = linkFor ? linkFor(notification) : null;
+      await mailer.send({ to: user.email, subject: notification.title, text: `${notification.body}\n${link ? `\n${link}\n` : ""}` });
+    }
+  };
+}
+
+// sender: { async send(tokens, notification) -> { invalidTokens } } (ver createFcmSender).
+// Los tokens que FCM da por inválidos se quitan del usuario.
+function pushChannel(sender, repos) {
+  return {
+    async deliver(user, notification) {
+      const tokens = user.fcmTokens || [];
+      if (!tokens.length) return;
+      const { invalidTokens = [] } = (await sender.send(tokens, notification)) || {};
+      if (invalidTokens.length) {
+        await repos.users.update(user.uid, { fcmTokens: tokens.filter(t => !invalidTokens.includes(t)) });
+      }
+    }
+  };
+}
+
+// Envío por Firebase Cloud Messaging (messaging de firebase-admin)
+function createFcmSender(messaging) {
+  return {
+    async send(tokens, { type, title, body, data }) {
+      // FCM sólo admite strings en `data`
+      const payload = { type };
+      Object.entries(data || {}).forEach(([k, v]) => {
+        if (v !== null && v !== undefined) payload[k] = String(v);
+      });
+      const result = await messaging.sendEachForMulticast({ tokens, notification: { title, body }, data: payload });
+      const invalidTokens = tokens.filter((t, i) => {
+        const error = result.responses[i].error;
+        return error && ["messaging/registration-token-not-registered", "messaging/invalid-registration-token"].includes(error.code);
+      });
+      return { invalidTokens };
+    }
+  };
+}
+
+// channels: { inApp, email, push } (los que falten no se usan)
+function createNotifier({ repos, channels }) {
+  return {
+    // Envía la notificación a cada usuario por los canales que tenga activos para ese tipo.
+    // Los uids repetidos o inexistentes se ignoran.
+    async notify(uids, notification) {
+      for (const uid of new Set(uids)) {
+        const user = await repos.users.get(uid);
+        if (!user) continue;
+        const prefs = preferencesOf(user)[notification.type];
+        for (const name of CHANNELS) {
+          if (!channels[name] || !prefs[name]) continue;
+          try {
+            await channels[name].deliver(user, notification);
+          } catch (e) {
+            console.error(`Error enviando notificación (${name}):`, e);
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createNotifier,
+  inAppChannel,
+  emailChannel,
+  pushChannel,
+  createFcmSender,
+  preferencesOf,
+  NOTIFICATION_TYPES,
+  CHANNELS
+};
@@ -0,0 +1,191 @@
+// lib/openapi.js - Documento OpenAPI 3 de la API y comprobación de contrato de las respuestas
+//
+// El documento se arma recorriendo las rutas registradas en un router de Express (el de una
+// versión, ver lib/versioning.js): de cada una salen los parámetros y el body (el esquema de
+// validate(), ver lib/validation.js), si requiere sesión (los middlewares de `authenticators`;
+// los de `optionalAuthenticators` la aceptan sin exigirla),
+// el permiso de requirePermission() y si está obsoleta (deprecated()). El resumen y las
+// respuestas salen de la tabla de lib/apiDocs.js, con specs en el mismo formato que
+// lib/schemas.js; las rutas que no están en la tabla se listan igual, sin respuesta descrita.
+//
+// createContractCheck compara cada respuesta JSON con lo documentado para su ruta y status:
+// en "warn" avisa por consola y en "strict" la reemplaza por un 500 CONTRACT_VIOLATION. Las
+// pruebas corren en strict (test/helpers/api.js) y test/openapi.test.js recorre las rutas GET
+// del documento, así `npm test` falla cuando una respuesta se aparta de lo documentado.
+const { conforms } = require("./validation");
+
+const SPEC_ONLY = ["required", "trim"];
+
+// Express "/events/:id" -> OpenAPI "/events/{id}"; "/files/*" -> "/files/{path}"
+function openApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, "{$1}").replace(/\*$/, "{path}");
+}
+
+function pathParams(path) {
+  const names = [...path.matchAll(/:([A-Za-z0-9_]+)/g)].map(m => m[1]);
+  if (path.endsWith("*")) names.push("path");
+  return names;
+}
+
+// spec de lib/validation.js -> schema de OpenAPI 3.0. `refs` (spec -> nombre) reemplaza por
+// $ref las specs que son componentes.
+function toSchema(spec, refs = new Map(), root = true) {
+  if (!root && refs.has(spec)) return { $ref: `#/components/schemas/${refs.get(spec)}` };
+  const out = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (SPEC_ONLY.includes(key)) continue;
+    if (key === "properties") {
+      const { properties, required } = objectSchema(value, refs);
+      Object.assign(out, { properties }, required ? { required } : {});
+    }
+    else if (key === "items") out.items = toSchema(value, refs, false);
+    else out[key] = value;
+  }
+  // OpenAPI 3.0 no admite listas de tipos: una alternativa por tipo, cada una con lo suyo
+  if (Array.isArray(out.type)) {
+    const { type, items, properties, required, additionalProperties, ...rest } = out;
+    const variant = t => {
+      if (t === "array") return { type: t, ...(items ? { items } : {}) };
+      if (t === "object") return { type: t, ...(properties ? { properties, ...(required ? { required } : {}) } : {}), additionalProperties: true };
+      return { type: t };
+    };
+    return { ...rest, oneOf: type.map(variant) };
+  }
+  if (out.format === "date-or-time") out.format = "date-time";
+  return out;
+}
+
+function objectSchema(fields, refs) {
+  const properties = {};
+  const required = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    properties[name] = toSchema(spec, refs, false);
+    if (spec.required) required.push(name);
+  }
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
+
+// capas de las rutas de un router (o de la app) de Express: [{ method, path, handles }]
+function routesOf(router) {
+  const routes = [];
+  for (const layer of (router._router || router).stack) {
+    if (!layer.route || typeof layer.route.path !== "string") continue;
+    const handles = layer.route.stack.map(l => l.handle);
+    Object.keys(layer.route.methods).forEach(method => routes.push({ method: method.toUpperCase(), path: layer.route.path, handles }));
+  }
+  return routes;
+}
+
+const routeKey = (method, path) => `${method} ${path}`;
+
+const mediaFor = (spec, refs) => ({ "application/json": { schema: toSchema(spec, refs, false) } });
+
+// Documento OpenAPI. docs: { info, components: { Nombre: spec }, routes: { "GET /x": doc } } con
+// doc = { summary, description, responses: { status: { description, spec | content } }, body }:
+// `spec` es un body JSON y `content` otro tipo ya en formato OpenAPI (igual `body`, el request
+// cuando no es el JSON de validate()). authenticators: middlewares que exigen sesión;
+// optionalAuthenticators: los que la usan si viene.
+function buildOpenApi(router, { docs, authenticators = [], optionalAuthenticators = [], servers = [] }) {
+  const refs = new Map(Object.entries(docs.components).map(([name, spec]) => [spec, name]));
+  const paths = {};
+
+  for (const { method, path, handles } of routesOf(router)) {
+    const doc = docs.routes[routeKey(method, path)] || {};
+    const schema = (handles.find(h => h.schema) || {}).schema || {};
+    const auth = handles.some(h => authenticators.includes(h));
+    const optionalAuth = !auth && handles.some(h => optionalAuthenticators.includes(h));
+    const permission = (handles.find(h => h.permission) || {}).permission;
+    const deprecation = (handles.find(h => h.deprecation) || {}).deprecation;
+
+    const parameters = [];
+    const declaredParams = schema.params || {};
+    pathParams(path).forEach(name => {
+      parameters.push({ name, in: "path", required: true, schema: toSchema(declaredParams[name] || { type: "string" }, refs, false) });
+    });
+    Object.entries(schema.query || {}).forEach(([name, spec]) => {
+      parameters.push({ name, in: "query", required: !!spec.required, schema: toSchema(spec, refs, false) });
+    });
+
+    const operation = {
+      tags: [path.split("/")[1] || "root"],
+      summary: doc.summary || `${method} ${path}`,
+      ...(doc.description ? { description: doc.description } : {}),
+      ...(parameters.length ? { parameters } : {}),
+      ...(auth ? { security: [{ bearerAuth: [] }] } : {}),
+      ...(optionalAuth ? { security: [{}, { bearerAuth: [] }] } : {}),
+      ...(permission ? { "x-permission": permission } : {}),
+      ...(deprecation ? { deprecated: true } : {}),
+      ...(deprecation && deprecation.sunsetAt ? { "x-sunset": deprecation.sunsetAt.toISOString().split("T")[0] } : {})
+    };
+    if (doc.body) {
+      operation.requestBody = { required: true, content: doc.body.content };
+    } else if (schema.body && Object.keys(schema.body).length) {
+      // un body declarado vacío (rutas sin entrada) no se documenta
+      operation.requestBody = { required: Object.values(schema.body).some(s => s.required), content: { "application/json": { schema: objectSchema(schema.body, refs) } } };
+    }
+
+    operation.responses = {};
+    for (const [status, response] of Object.entries(doc.responses || { 200: {} })) {
+      const content = response.spec ? mediaFor(response.spec, refs) : response.content;
+      operation.responses[status] = { description: response.description || "OK", ...(content ? { content } : {}) };
+    }
+    if (auth) operation.responses[401] = { description: "Sin sesión o sesión vencida", content: mediaFor(docs.components.Error, refs) };
+    operation.responses.default = { description: "Error (ver lib/errors.js)", content: mediaFor(docs.components.Error, refs) };
+
+    const key = openApiPath(path);
+    paths[key] = paths[key] || {};
+    paths[key][method.toLowerCase()] = operation;
+  }
+
+  const schemas = {};
+  for (const [name, spec] of Object.entries(docs.components)) schemas[name] = toSchema(spec, refs);
+  return {
+    openapi: "3.0.3",
+    info: docs.info,
+    ...(servers.length ? { servers: servers.map(url => ({ url })) } : {}),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } }
+    }
+  };
+}
+
+// Rutas registradas que no están en la tabla de docs
+function undocumentedRoutes(router, docs) {
+  return routesOf(router).map(r => routeKey(r.method, r.path)).filter(key => !docs.routes[key]);
+}
+
+// Spec esperada de la respuesta: la documentada para el status o, en errores, la de Error.
+// undefined si no hay nada que comparar (p. ej. respuestas que no son JSON).
+function expectedSpec(docs, key, status) {
+  const doc = docs.routes[key];
+  if (status >= 400) return docs.components.Error;
+  if (!doc || !doc.responses) return undefined;
+  const response = doc.responses[status];
+  return response ? response.spec : null;
+}
+
+// Middleware (va antes de las rutas): mode "warn" o "strict"
+function createContractCheck(docs, { mode = "warn" } = {}) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (!req.route) return json(body);
+      const key = routeKey(req.method, req.route.path);
+      const spec = expectedSpec(docs, key, res.statusCode);
+      if (spec === undefined) return json(body);
+      const issues = spec === null
+        ? [{ field: "status", in: "response", code: "undocumented_status", message: `status ${res.statusCode} no documentado` }]
+        : conforms(spec, body, "response", "response");
+      if (!issues.length) return json(body);
+      console.warn(`Contrato OpenAPI: ${key} ${res.statusCode} no coincide con lib/apiDocs.js`, issues);
+      if (mode !== "strict") return json(body);
+      res.status(500);
+      return json({ code: "CONTRACT_VIOLATION", message: `La respuesta de ${key} no coincide con lo documentado`, fields: issues });
+    };
+    next();
+  };
+}
+
+module.exports = { buildOpenApi, undocumentedRoutes, createContractCheck, toSchema, openApiPath };
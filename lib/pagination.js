@@ -0,0 +1,30 @@
+// lib/pagination.js - Utilidades de paginación por cursor
+// El cursor es opaco para el cliente: base64url de { v: valor del campo de orden, id: id del doc }.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString("base64url");
+}
+
+// devuelve { value, id } o null si el cursor no es válido
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!data || typeof data.id !== "string") return null;
+    return { value: data.v, id: data.id };
+  } catch (e) {
+    return null;
+  }
+}
+
+// devuelve el número o null si el valor no es un entero entre 1 y MAX_LIMIT
+function parseLimit(raw) {
+  if (raw === undefined || raw === "") return DEFAULT_LIMIT;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LIMIT) return null;
+  return n;
+}
+
+module.exports = { encodeCursor, decodeCursor, parseLimit, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,110 @@
+// lib/policy.js - Roles, permisos y la política de autorización de la API
+//
+// Cada usuario tiene uno o más roles (`roles`; "user" siempre está implícito). Los roles dan
+// permisos globales y la política combina esos permisos con la relación del usuario con el
+// recurso (creador o co-organizador del evento, autor del comentario, el propio usuario).
+// Todas las comprobaciones de acceso de server.js pasan por `can`.
+//
+// Un usuario con el comentario bloqueado (`commentBan` vigente, ver la cola de moderación)
+// pierde comment:create mientras dure el bloqueo.
+
+const ROLES = ["user", "organizer", "moderator", "admin"];
+
+const PERMISSIONS = {
+  "event:create": "Crear eventos",
+  "event:manage": "Editar y eliminar cualquier evento, crear eventos a nombre de otro usuario",
+  "comment:create": "Comentar eventos",
+  "comment:moderate": "Editar y eliminar comentarios de otros usuarios, revisar la cola de moderación",
+  "comment:ban": "Impedir que un usuario comente",
+  "user:manage": "Ver y editar cualquier usuario",
+  "role:manage": "Asignar y quitar roles",
+  "audit:read": "Consultar el registro de auditoría",
+  "trash:purge": "Vaciar la papelera (eliminar para siempre lo vencido)",
+  "data:backup": "Volcar y restaurar todos los datos"
+};
+
+// openEventCreation: si es false sólo organizer, moderator y admin pueden crear eventos
+function rolePermissions({ openEventCreation = true } = {}) {
+  return {
+    user: [...(openEventCreation ? ["event:create"] : []), "comment:create"],
+    organizer: ["event:create", "comment:create"],
+    moderator: ["event:create", "comment:create", "comment:moderate", "comment:ban"],
+    admin: Object.keys(PERMISSIONS)
+  };
+}
+
+// roles guardados en el usuario; los usuarios anteriores sólo tienen `role`
+function rolesOf(user) {
+  const roles = Array.isArray(user.roles) ? user.roles : [user.role || "user"];
+  return ROLES.filter(r => r === "user" || roles.includes(r));
+}
+
+// bloqueo de comentarios vigente ({ at, by, until, reason }; until null = sin vencimiento) o null
+function commentBanOf(user, now = new Date()) {
+  const ban = user.commentBan;
+  if (!ban) return null;
+  return !ban.until || ban.until > now.toISOString() ? ban : null;
+}
+
+// el rol "más alto", que se sigue guardando en `role` para los clientes existentes
+function primaryRole(roles) {
+  return [...ROLES].reverse().find(r => roles.includes(r)) || "user";
+}
+
+function createPolicy(options) {
+  const table = rolePermissions(options);
+
+  function actorFor(user) {
+    const roles = rolesOf(user);
+    const permissions = new Set(roles.flatMap(r => table[r] || []));
+    const commentBan = commentBanOf(user);
+    if (commentBan) permissions.delete("comment:create");
+    return { uid: user.uid, roles, permissions, commentBan };
+  }
+
+  const has = (actor, permission) => actor.permissions.has(permission);
+  const isOrganizer = (actor, event) => event.creatorUid === actor.uid || (event.coOrganizers || []).includes(actor.uid);
+
+  // action: permiso global ("user:manage") o acción sobre un recurso ("event:update", evento)
+  function can(actor, action, resource) {
+    if (!actor) return false;
+    switch (action) {
+      case "event:update":
+      // escanear las entradas en la puerta
+      case "event:checkin":
+      // estadísticas del evento (lib/eventStats.js)
+      case "event:stats":
+      // exportar sus asistentes y comentarios
+      case "event:export":
+      // invitar a un evento privado y verlo aunque no sea público (ver lib/visibility.js)
+      case "event:invite":
+        return isOrganizer(actor, resource) || has(actor, "event:manage");
+      // fijar comentarios y cerrar los comentarios del evento
+      case "event:comments":
+        return isOrganizer(actor, resource) || has(actor, "comment:moderate");
+      case "event:delete":
+      case "event:restore":
+      case "event:organizers":
+        return resource.creatorUid === actor.uid || has(actor, "event:manage");
+      case "comment:update":
+      case "comment:delete":
+      case "comment:restore":
+        return resource.uid === actor.uid || has(actor, "comment:moderate");
+      case "rating:delete":
+        return resource.uid === actor.uid || has(actor, "comment:moderate");
+      case "user:update":
+      case "user:delete":
+        return resource.uid === actor.uid || has(actor, "user:manage");
+      // estadísticas y exportación de todos los eventos de un creador
+      case "user:stats":
+      case "user:export":
+        return resource.uid === actor.uid || has(actor, "event:manage");
+      default:
+        return has(actor, action);
+    }
+  }
+
+  return { actorFor, can, table };
+}
+
+module.exports = { createPolicy, rolesOf, primaryRole, ROLES, PERMISSIONS };
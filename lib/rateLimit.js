@@ -0,0 +1,157 @@
+// lib/rateLimit.js - Límite de solicitudes y bloqueo por intentos fallidos de login
+//
+// Ventanas fijas por clave: cada política (auth, writes, reads) tiene un balde por IP y,
+// opcionalmente, otro por cuenta (email en auth, uid en escrituras). Al pasarse de cualquiera
+// se responde 429 con Retry-After. Las respuestas llevan los encabezados RateLimit-Limit,
+// RateLimit-Remaining, RateLimit-Reset y RateLimit-Policy del balde más cercano a agotarse.
+//
+// El store guarda los contadores. Interfaz (todo async):
+//   increment(key, windowMs) -> { count, resetAt }   (resetAt en ms)
+//   get(key) -> valor | null;  set(key, value, ttlMs);  delete(key)
+// createMemoryStore() sirve para una sola instancia; con varias instancias se usa uno
+// compartido (ver repositories/rateLimits.js).
+const { ApiError } = require("./errors");
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30/15m" -> { max: 30, windowMs: 900000 }
+function parseRate(value) {
+  const m = /^(\d+)\/(\d+)?([smhd])$/.exec(String(value).trim());
+  if (!m) throw new Error(`Límite inválido: ${value} (formato "30/15m")`);
+  return { max: Number(m[1]), windowMs: Number(m[2] || 1) * UNITS[m[3]] };
+}
+
+function createMemoryStore({ sweepEvery = 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  let ops = 0;
+
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // limpieza perezosa de las claves vencidas, sin timers
+  function sweep(now) {
+    if (++ops % sweepEvery !== 0) return;
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      const entry = live(key, now);
+      if (!entry) {
+        const fresh = { value: { count: 1, resetAt: now + windowMs }, expiresAt: now + windowMs };
+        entries.set(key, fresh);
+        return { ...fresh.value };
+      }
+      entry.value.count++;
+      return { ...entry.value };
+    },
+
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function tooManyRequests(res, retryAfterMs, message, code = "RATE_LIMITED") {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return new ApiError(429, code, message);
+}
+
+// policies: { auth: { ip: "30/15m", account: "10/15m" }, writes: {...}, reads: {...} }
+function createRateLimiter({ store, policies, enabled = true }) {
+  const parsed = {};
+  for (const [group, buckets] of Object.entries(policies)) {
+    parsed[group] = {};
+    for (const [scope, rate] of Object.entries(buckets)) if (rate) parsed[group][scope] = parseRate(rate);
+  }
+
+  // Middleware para un grupo de rutas. `account(req)` da la clave de cuenta (o null).
+  function limit(group, { account } = {}) {
+    const policy = parsed[group];
+    if (!policy) throw new Error(`Política de rate limit desconocida: ${group}`);
+
+    return (req, res, next) => {
+      if (!enabled) return next();
+      const keys = [];
+      if (policy.ip) keys.push({ rate: policy.ip, key: `${group}:ip:${req.ip}` });
+      const accountKey = policy.account && account ? account(req) : null;
+      if (accountKey) keys.push({ rate: policy.account, key: `${group}:account:${accountKey}` });
+
+      Promise.all(keys.map(({ rate, key }) => store.increment(key, rate.windowMs)))
+        .then(results => {
+          const now = Date.now();
+          const state = results.map((r, i) => ({ ...r, rate: keys[i].rate, remaining: keys[i].rate.max - r.count }));
+          if (!state.length) return next();
+          // se informa el balde más restrictivo (menos restantes; a igualdad, el que tarda más en reiniciarse)
+          const tightest = state.reduce((a, b) => (b.remaining < a.remaining || (b.remaining === a.remaining && b.resetAt > a.resetAt) ? b : a));
+          res.set({
+            "RateLimit-Limit": String(tightest.rate.max),
+            "RateLimit-Remaining": String(Math.max(0, tightest.remaining)),
+            "RateLimit-Reset": String(Math.max(0, Math.ceil((tightest.resetAt - now) / 1000))),
+            "RateLimit-Policy": state.map(s => `${s.rate.max};w=${Math.round(s.rate.windowMs / 1000)}`).join(", ")
+          });
+          const exceeded = state.filter(s => s.remaining < 0);
+          if (!exceeded.length) return next();
+          const retryAfter = Math.max(...exceeded.map(s => s.resetAt - now));
+          next(tooManyRequests(res, retryAfter, "Demasiadas solicitudes, intenta de nuevo más tarde"));
+        })
+        .catch(next);
+    };
+  }
+
+  return { limit };
+}
+
+// Bloqueo de una cuenta tras `maxFailures` logins fallidos: el primer bloqueo dura `baseLockMs`
+// y cada fallo siguiente lo duplica (hasta `maxLockMs`). Los fallos se olvidan tras
+// `failureWindowMs` sin intentos fallidos o con un login correcto.
+function createLoginGuard({ store, maxFailures = 5, baseLockMs = 60 * 1000, maxLockMs = 60 * 60 * 1000, failureWindowMs = 60 * 60 * 1000 }) {
+  const keyFor = email => `login:${String(email).trim().toLowerCase()}`;
+
+  return {
+    // lanza 429 ACCOUNT_LOCKED si la cuenta está bloqueada
+    async check(email, res) {
+      const state = await store.get(keyFor(email));
+      const now = Date.now();
+      if (state && state.lockedUntil && state.lockedUntil > now) {
+        throw tooManyRequests(res, state.lockedUntil - now, "Demasiados intentos fallidos, cuenta bloqueada temporalmente", "ACCOUNT_LOCKED");
+      }
+    },
+
+    async fail(email) {
+      const key = keyFor(email);
+      const now = Date.now();
+      const state = (await store.get(key)) || { failures: 0, lockedUntil: null };
+      const failures = state.failures + 1;
+      let lockedUntil = null;
+      if (failures >= maxFailures) {
+        lockedUntil = now + Math.min(maxLockMs, baseLockMs * 2 ** (failures - maxFailures));
+      }
+      await store.set(key, { failures, lockedUntil }, Math.max(failureWindowMs, (lockedUntil || now) - now + failureWindowMs));
+      return { failures, lockedUntil };
+    },
+
+    async succeed(email) {
+      await store.delete(keyFor(email));
+    }
+  };
+}
+
+module.exports = { createRateLimiter, createLoginGuard, createMemoryStore, parseRate };
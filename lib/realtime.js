@@ -0,0 +1,97 @@
+// lib/realtime.js - Actualizaciones en tiempo real por Server-Sent Events (SSE)
+//
+// Los handlers publican mensajes en canales ("event:{id}", "feed:events", "feed:upcoming") y
+// cada conexión SSE recibe los de los canales a los que se suscribió. Cada mensaje tiene un id
+// "{arranque}-{n}" creciente; el cliente lo devuelve en Last-Event-ID (EventSource lo hace solo
+// al reconectar) y se le reenvía lo que se perdió desde el historial en memoria. Si ese id ya no
+// está en el historial (o es de otro arranque del servidor) se envía un mensaje "reset" para que
+// el cliente recargue por REST.
+//
+// El bus vive en memoria: con varias instancias cada una sólo ve sus propias escrituras.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function createRealtime({ historySize = 1000, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const epoch = Date.now().toString(36);
+  let seq = 0;
+  const history = []; // { id, seq, channels, type, data }
+  const subscribers = new Set();
+
+  function parseId(id) {
+    const m = /^([0-9a-z]+)-(\d+)$/.exec(String(id || ""));
+    return m ? { epoch: m[1], seq: Number(m[2]) } : null;
+  }
+
+  // mensajes posteriores a lastEventId para esos canales, o null si no se puede reanudar
+  function missedSince(lastEventId, channels) {
+    const last = parseId(lastEventId);
+    if (!last || last.epoch !== epoch || last.seq > seq) return null;
+    if (last.seq < seq && (!history.length || history[0].seq > last.seq + 1)) return null;
+    return history.filter(m => m.seq > last.seq && m.channels.some(c => channels.includes(c)));
+  }
+
+  return {
+    publish(channels, type, data) {
+      const message = { id: `${epoch}-${++seq}`, seq, channels: [].concat(channels), type, data, at: new Date().toISOString() };
+      history.push(message);
+      if (history.length > historySize) history.shift();
+      subscribers.forEach(sub => {
+        if (message.channels.some(c => sub.channels.includes(c))) sub.send(message);
+      });
+      return message;
+    },
+
+    // Abre la respuesta SSE y la suscribe a `channels`. La conexión se cierra sola en
+    // `expiresAt` (ms, vencimiento del access token) con un mensaje "auth-expired".
+    open(req, res, { channels, lastEventId, expiresAt }) {
+      res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no" // que los proxies no acumulen el stream
+      });
+      res.flushHeaders();
+
+      const write = text => res.write(text);
+      const send = message => {
+        write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify({ ...message.data, at: message.at })}\n\n`);
+      };
+      write(`retry: 5000\n\n`);
+
+      if (lastEventId) {
+        const missed = missedSince(lastEventId, channels);
+        if (missed) missed.forEach(send);
+        else write(`event: reset\ndata: {}\n\n`);
+      }
+      write(`event: ready\ndata: ${JSON.stringify({ channels, lastEventId: seq ? `${epoch}-${seq}` : null })}\n\n`);
+
+      const sub = { channels, send };
+      subscribers.add(sub);
+
+      const heartbeat = setInterval(() => write(`: ping\n\n`), heartbeatMs);
+      heartbeat.unref();
+      let expiry = null;
+      if (expiresAt) {
+        expiry = setTimeout(() => {
+          write(`event: auth-expired\ndata: {}\n\n`);
+          res.end();
+        }, Math.max(0, expiresAt - Date.now()));
+        expiry.unref();
+      }
+
+      const close = () => {
+        subscribers.delete(sub);
+        clearInterval(heartbeat);
+        if (expiry) clearTimeout(expiry);
+      };
+      req.on("close", close);
+      res.on("close", close);
+    },
+
+    subscriberCount() {
+      return subscribers.size;
+    }
+  };
+}
+
+module.exports = { createRealtime };
@@ -0,0 +1,203 @@
+// lib/recurrence.js - Reglas de recurrencia (subconjunto de RRULE, RFC 5545)
+//
+// Soportado: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, COUNT o UNTIL.
+//   - WEEKLY + BYDAY=MO,WE: esos días de cada semana (por defecto el día de DTSTART)
+//   - MONTHLY + BYDAY=1MO,-1FR: n-ésimo día de la semana del mes (sin número: todos)
+//   - MONTHLY sin BYDAY: el mismo día del mes que DTSTART (se saltan los meses que no lo tienen)
+// DTSTART es el `date` del evento. Las ocurrencias se identifican por su día (YYYY-MM-DD)
+// y todos los cálculos son sobre días UTC para no depender de la zona horaria del servidor.
+
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BYDAY_RE = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+// tope de ocurrencias generadas por serie, para reglas sin fin
+const MAX_OCCURRENCES = 5000;
+
+function toDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function parseDay(day) {
+  return new Date(`${String(day).slice(0, 10)}T00:00:00Z`);
+}
+
+function addDays(date, n) {
+  return new Date(date.getTime() + n * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// "20250131" o "20250131T235959Z" -> "2025-01-31"
+function parseUntil(value) {
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value));
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// Acepta un string RRULE ("FREQ=WEEKLY;BYDAY=MO;COUNT=10", con o sin "RRULE:") o un objeto
+// { freq, interval, byDay, count, until }. Devuelve { rule } o { error }.
+function parseRule(input) {
+  let raw = input;
+  if (typeof input === "string") {
+    raw = {};
+    const parts = input.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+    for (const part of parts) {
+      const [key, value] = part.split("=");
+      if (!key || value === undefined) return { error: `Parte inválida en la regla: ${part}` };
+      raw[key.trim().toLowerCase()] = value.trim();
+    }
+    if (raw.byday !== undefined) raw.byDay = raw.byday.split(",");
+  } else if (!input || typeof input !== "object") {
+    return { error: "recurrence debe ser un string RRULE o un objeto" };
+  }
+
+  const freq = String(raw.freq || "").toUpperCase();
+  if (!FREQS.includes(freq)) return { error: `FREQ debe ser uno de: ${FREQS.join(", ")}` };
+
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1) return { error: "INTERVAL debe ser un entero positivo" };
+
+  const byDay = (raw.byDay || []).map(d => String(d).trim().toUpperCase());
+  for (const d of byDay) {
+    const m = BYDAY_RE.exec(d);
+    if (!m) return { error: `BYDAY inválido: ${d}` };
+    if (m[1] && freq !== "MONTHLY") return { error: "BYDAY con número sólo se admite con FREQ=MONTHLY" };
+  }
+  if (byDay.length && freq === "DAILY") return { error: "BYDAY no se admite con FREQ=DAILY" };
+
+  if (raw.count !== undefined && raw.until !== undefined) return { error: "COUNT y UNTIL no pueden usarse juntos" };
+  let count = null;
+  if (raw.count !== undefined) {
+    count = Number(raw.count);
+    if (!Number.isInteger(count) || count < 1) return { error: "COUNT debe ser un entero positivo" };
+  }
+  let until = null;
+  if (raw.until !== undefined) {
+    until = parseUntil(raw.until);
+    if (!until) return { error: "UNTIL debe ser una fecha (YYYYMMDD o YYYY-MM-DD)" };
+  }
+
+  return { rule: { freq, interval, byDay, count, until } };
+}
+
+// objeto -> "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;COUNT=10"
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval}`];
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.join(",")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  return parts.join(";");
+}
+
+// primer día del período k (día, semana de lunes a domingo o mes)
+function periodStart(rule, start, k) {
+  if (rule.freq === "DAILY") return addDays(start, k * rule.interval);
+  if (rule.freq === "WEEKLY") return addDays(start, -((start.getUTCDay() + 6) % 7) + k * 7 * rule.interval);
+  const monthIndex = start.getUTCMonth() + k * rule.interval;
+  return new Date(Date.UTC(start.getUTCFullYear() + Math.floor(monthIndex / 12), ((monthIndex % 12) + 12) % 12, 1));
+}
+
+// días candidatos del período k, ordenados
+function periodDays(rule, start, k) {
+  const first = periodStart(rule, start, k);
+  if (rule.freq === "DAILY") return [first];
+
+  if (rule.freq === "WEEKLY") {
+    const days = rule.byDay.length ? rule.byDay : [WEEKDAYS[start.getUTCDay()]];
+    return days
+      .map(d => addDays(first, (WEEKDAYS.indexOf(d) + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  // MONTHLY
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const total = daysInMonth(year, month);
+  if (!rule.byDay.length) {
+    const day = start.getUTCDate();
+    return day <= total ? [new Date(Date.UTC(year, month, day))] : [];
+  }
+  const out = [];
+  rule.byDay.forEach(spec => {
+    const [, ordinal, weekday] = BYDAY_RE.exec(spec);
+    const matching = [];
+    for (let d = 1; d <= total; d++) {
+      const date = new Date(Date.UTC(year, month, d));
+      if (WEEKDAYS[date.getUTCDay()] === weekday) matching.push(date);
+    }
+    if (!ordinal) out.push(...matching);
+    else {
+      const n = Number(ordinal);
+      const pick = n > 0 ? matching[n - 1] : matching[matching.length + n];
+      if (pick) out.push(pick);
+    }
+  });
+  return out.sort((a, b) => a - b);
+}
+
+// Días de ocurrencia (YYYY-MM-DD) entre `from` y `to` (inclusivos, opcionales).
+// COUNT cuenta desde DTSTART, aunque la ventana empiece después. Sin `to`, la regla debe
+// terminar (COUNT/UNTIL) o se corta en MAX_OCCURRENCES.
+function expand(rule, dtstart, { from, to } = {}) {
+  const start = parseDay(dtstart);
+  const startDay = toDay(start);
+  const end = [to, rule.until].filter(Boolean).sort()[0];
+  const out = [];
+  let generated = 0;
+
+  for (let k = 0; generated < MAX_OCCURRENCES && k < MAX_OCCURRENCES * 4; k++) {
+    if (end && toDay(periodStart(rule, start, k)) > end) break;
+    for (const day of periodDays(rule, start, k).map(toDay)) {
+      if (day < startDay) continue;
+      if (end && day > end) return out;
+      generated++;
+      if (!from || day >= from) out.push(day);
+      if (rule.count && generated >= rule.count) return out;
+    }
+  }
+  return out;
+}
+
+// último día de la serie, o null si no termina
+function lastOccurrence(rule, dtstart) {
+  if (!rule.count && !rule.until) return null;
+  const days = expand(rule, dtstart);
+  return days.length ? days[days.length - 1] : null;
+}
+
+function isOccurrence(rule, dtstart, day) {
+  if (!DAY_RE.test(day)) return false;
+  return expand(rule, dtstart, { from: day, to: day }).length === 1;
+}
+
+// fecha de una ocurrencia conservando la hora de DTSTART si la tenía ("2025-01-06T18:00")
+function occurrenceDate(dtstart, day) {
+  return day + String(dtstart).slice(10);
+}
+
+// Ocurrencias de un evento recurrente entre `from` y `to` (días inclusivos), con los overrides
+// de cada ocurrencia aplicados. `occurrenceDocs` es { día: doc de events/{id}/occurrences }.
+// Cada ocurrencia conserva el id de la serie y se identifica con `occurrence` / `occurrenceId`.
+function buildOccurrences(event, occurrenceDocs, { from, to, includeCancelled = false } = {}) {
+  return expand(event.recurrence, event.date, { from, to })
+    .map(day => {
+      const doc = occurrenceDocs[day] || {};
+      return {
+        ...event,
+        date: occurrenceDate(event.date, day),
+        ...(doc.overrides || {}),
+        id: event.id,
+        seriesId: event.id,
+        occurrence: day,
+        occurrenceId: `${event.id}:${day}`,
+        cancelled: !!doc.cancelled,
+        attendeeCount: doc.attendeeCount || 0
+      };
+    })
+    .filter(o => includeCancelled || !o.cancelled);
+}
+
+module.exports = { parseRule, formatRule, expand, lastOccurrence, isOccurrence, occurrenceDate, buildOccurrences, DAY_RE };
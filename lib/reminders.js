@@ -0,0 +1,85 @@
+// lib/reminders.js - Recordatorios a los asistentes antes de que empiece el evento
+//
+// Cada `run()` busca los eventos (y ocurrencias de series) que empiezan dentro de la mayor
+// anticipación configurada y avisa a los asistentes confirmados. De las anticipaciones que ya
+// vencieron se envía sólo la menor: un evento creado 30 minutos antes recibe el aviso de 1h y
+// no el de 24h. Cada recordatorio se reclama en repos.reminders antes de enviarlo, así no se
+// repite; si cambia la fecha del evento, los de la fecha nueva se envían de nuevo.
+//
+// Las fechas de los eventos no tienen zona horaria: se interpretan con `utcOffset` ("-06:00").
+// Los eventos de día completo empiezan a las 00:00.
+const { buildOccurrences } = require("./recurrence");
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "24h,1h" -> [{ label: "24h", ms }, ...] ordenados de menor a mayor
+function parseOffsets(value) {
+  return String(value).split(",").map(part => {
+    const m = /^(\d+)([mhd])$/.exec(part.trim());
+    if (!m) throw new Error(`Anticipación de recordatorio inválida: ${part} (formato "24h,1h")`);
+    return { label: `${m[1]}${m[2]}`, ms: Number(m[1]) * UNITS[m[2]] };
+  }).sort((a, b) => a.ms - b.ms);
+}
+
+const dayOf = ms => new Date(ms).toISOString().split("T")[0];
+
+function createReminderScheduler({ repos, notifier, offsets = "24h,1h", utcOffset = "+00:00" }) {
+  const parsed = parseOffsets(offsets);
+  const maxOffset = parsed[parsed.length - 1].ms;
+
+  // instante de inicio (ms) de una fecha "YYYY-MM-DD" o "YYYY-MM-DDTHH:mm[:ss][zona]"
+  function startOf(date) {
+    const text = String(date);
+    if (text.length === 10) return Date.parse(`${text}T00:00:00${utcOffset}`);
+    return Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text}${utcOffset}`);
+  }
+
+  // { event, occurrence, start } que empiezan entre now y now + maxOffset
+  async function upcoming(now) {
+    // margen de un día por la zona horaria; el filtro fino es por `start`
+    const from = dayOf(now - UNITS.d);
+    const to = dayOf(now + maxOffset + UNITS.d);
+    const out = [];
+    const { items } = await repos.events.query({ dateGte: from, dateLt: dayOf(now + maxOffset + 2 * UNITS.d), excludeRecurring: true });
+    items.forEach(event => out.push({ event, occurrence: null, start: startOf(event.date) }));
+    for (const series of await repos.events.listRecurring()) {
+      const docs = await repos.occurrences.mapByDay(series.id);
+      buildOccurrences(series, docs, { from, to }).forEach(occ => out.push({ event: occ, occurrence: occ.occurrence, start: startOf(occ.date) }));
+    }
+    return out.filter(({ start }) => start > now && start - now <= maxOffset);
+  }
+
+  // Envía los recordatorios que vencieron. Devuelve cuántos se enviaron.
+  async function run(now = Date.now()) {
+    let sent = 0;
+    for (const { event, occurrence, start } of await upcoming(now)) {
+      const due = parsed.find(o => start - now <= o.ms);
+      const key = `${event.id}_${occurrence || "-"}_${event.date}_${due.label}`;
+      if (!(await repos.reminders.claim(key, { eventId: event.id, occurrence, offset: due.label }))) continue;
+
+      const attendees = await repos.attendees.list(event.id, occurrence);
+      const uids = attendees.filter(a => a.confirmed && a.uid).map(a => a.uid);
+      await notifier.notify(uids, {
+        type: "reminder",
+        title: `Recordatorio: ${event.title}`,
+        body: `"${event.title}" empieza el ${String(event.date).replace("T", " a las ")} en ${event.location}.`,
+        data: { eventId: event.id, occurrence }
+      });
+      sent++;
+    }
+    return sent;
+  }
+
+  // Corre cada intervalMs (no mantiene vivo el proceso). Devuelve una función para detenerlo.
+  function start(intervalMs) {
+    const timer = setInterval(() => {
+      run().catch(e => console.error("Error enviando recordatorios:", e));
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { run, start, startOf };
+}
+
+module.exports = { createReminderScheduler, parseOffsets };
@@ -0,0 +1,346 @@
+// lib/schemas.js - Esquemas de validación de cada ruta (ver lib/validation.js)
+const { MAX_LIMIT } = require("./pagination");
+const { ROLES } = require("./policy");
+const { NOTIFICATION_TYPES, CHANNELS } = require("./notifier");
+const { REPORT_REASONS } = require("./moderation");
+const { QR_FORMATS } = require("./tickets");
+const { VISIBILITIES } = require("./visibility");
+
+const EVENT_SORT_FIELDS = ["createdAt", "date", "title"];
+const FEEDS = ["events", "upcoming"];
+const NEARBY_WHEN = ["upcoming", "past"];
+const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🎉"];
+const MODERATION_STATUSES = ["pending", "approved", "hidden"];
+const MODERATION_ACTIONS = ["approve", "hide", "ban"];
+// checked_in: ya ingresaron; no_show: confirmados que todavía no ingresaron
+const ATTENDEE_STATUSES = ["confirmed", "waitlisted", "checked_in", "no_show"];
+const INVITATION_STATUSES = ["pending", "accepted", "declined"];
+const MAX_INVITATIONS = 50;
+
+// ---- piezas comunes ----
+const id = { type: "string", minLength: 1, maxLength: 128 };
+const day = { type: "string", format: "date" };
+const text = max => ({ type: "string", minLength: 1, maxLength: max });
+const email = { type: "string", format: "email", maxLength: 254 };
+const password = { type: "string", minLength: 6, maxLength: 128, trim: false };
+// tokens firmados de verificación de email y restablecimiento de contraseña
+const signedToken = { type: "string", minLength: 1, maxLength: 2000 };
+
+const eventParams = { id: { ...id, required: true } };
+const commentParams = { ...eventParams, cid: { ...id, required: true } };
+const attendParams = { eventId: { ...id, required: true } };
+const userParams = { uid: { ...id, required: true } };
+// rutas sin entrada: cualquier campo en la query o el body es un error
+const noInput = { query: {}, body: {} };
+// ?occurrence=YYYY-MM-DD (o en el body) en eventos recurrentes
+const occurrenceQuery = { occurrence: day };
+
+const listQuery = {
+  from: day,
+  to: day,
+  location: text(200),
+  creator: id,
+  sort: { type: "string", enum: EVENT_SORT_FIELDS },
+  order: { type: "string", enum: ["asc", "desc"] },
+  limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+  cursor: { type: "string", maxLength: 1000 }
+};
+
+const eventFields = {
+  title: text(200),
+  date: { type: "string", format: "date-or-time" },
+  location: text(200),
+  description: text(5000),
+  capacity: { type: "integer", minimum: 1, nullable: true },
+  // string RRULE u objeto { freq, interval, byDay, count, until }; el detalle lo valida lib/recurrence.js
+  recurrence: { type: ["string", "object"], nullable: true, maxLength: 500, additionalProperties: true },
+  // coordenadas del lugar (van juntas; null las quita)
+  lat: { type: "number", minimum: -90, maximum: 90, nullable: true },
+  lng: { type: "number", minimum: -180, maximum: 180, nullable: true },
+  // public (por defecto), unlisted o private (ver lib/visibility.js)
+  visibility: { type: "string", enum: VISIBILITIES }
+};
+
+// 1 a 5 estrellas; en los comentarios null quita la calificación
+const rating = { type: "integer", minimum: 1, maximum: 5, nullable: true };
+
+// { reminder: { inApp, email, push }, ... } (todo opcional)
+const channelSwitches = { type: "object", properties: Object.fromEntries(CHANNELS.map(c => [c, { type: "boolean" }])) };
+const notificationPreferences = Object.fromEntries(NOTIFICATION_TYPES.map(t => [t, channelSwitches]));
+
+// campos de un evento nuevo (POST /events y cada fila de una importación)
+const newEventFields = {
+  ...eventFields,
+  title: { ...eventFields.title, required: true },
+  date: { ...eventFields.date, required: true },
+  location: { ...eventFields.location, required: true },
+  description: { ...eventFields.description, required: true }
+};
+
+const format = { type: "string", enum: ["json", "csv"], default: "json" };
+const dryRunQuery = { dryRun: { type: "boolean", default: false } };
+
+const statsQuery = { from: day, to: day, format };
+
+// streams SSE: token por query (EventSource no envía encabezados) y reanudación
+const streamQuery = {
+  access_token: { type: "string", maxLength: 4096 },
+  lastEventId: { type: "string", maxLength: 100 }
+};
+
+// ---- rutas ----
+module.exports = {
+  EVENT_SORT_FIELDS,
+  FEEDS,
+  REACTIONS,
+
+  register: {
+    body: {
+      username: { ...text(50), required: true },
+      email: { ...email, required: true },
+      password: { ...password, required: true }
+    }
+  },
+  login: {
+    body: {
+      email: { ...email, required: true },
+      // sin largo mínimo: las cuentas anteriores a la validación pueden tener contraseñas cortas
+      password: { type: "string", minLength: 1, maxLength: 128, trim: false, required: true }
+    }
+  },
+  refresh: { body: { refreshToken: { type: "string", minLength: 1, maxLength: 200, required: true } } },
+  logout: { body: { refreshToken: { type: "string", minLength: 1, maxLength: 200 } } },
+  verifyEmail: { body: { token: { ...signedToken, required: true } } },
+  verifyEmailLink: { query: { token: { ...signedToken, required: true } } },
+  resendVerification: noInput,
+  forgotPassword: { body: { email: { ...email, required: true } } },
+  resetPassword: {
+    body: {
+      token: { ...signedToken, required: true },
+      newPassword: { ...password, required: true }
+    }
+  },
+
+  getUser: { params: userParams },
+  // el propio usuario confirma con su contraseña; un admin (user:manage) no la necesita
+  deleteUser: {
+    params: userParams,
+    body: { password: { type: "string", minLength: 1, maxLength: 128, trim: false } }
+  },
+  updateUser: {
+    params: userParams,
+    body: { username: text(50), email }
+  },
+  changePassword: {
+    params: userParams,
+    body: {
+      oldPassword: { type: "string", minLength: 1, maxLength: 128, trim: false, required: true },
+      newPassword: { ...password, required: true }
+    }
+  },
+
+  listEvents: { query: listQuery },
+  listCreatorEvents: { params: userParams, query: listQuery },
+  searchEvents: {
+    query: {
+      q: { ...text(200), required: true },
+      comments: { type: "boolean", default: false }
+    }
+  },
+  // radius en km; when y from / to filtran por fecha como /events/upcoming y /events/past
+  nearbyEvents: {
+    query: {
+      lat: { ...eventFields.lat, nullable: false, required: true },
+      lng: { ...eventFields.lng, nullable: false, required: true },
+      radius: { type: "number", minimum: 0.1, maximum: 500, default: 10 },
+      when: { type: "string", enum: NEARBY_WHEN },
+      from: day,
+      to: day,
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: "string", maxLength: 1000 }
+    }
+  },
+  getEvent: { params: eventParams },
+  // invite: el token del enlace de invitación o de la invitación por email (eventos privados)
+  viewEvent: { params: eventParams, query: { invite: signedToken } },
+  trashedEvents: noInput,
+  createEvent: { body: { ...newEventFields, creatorUid: { ...id, required: true } } },
+  // El body (CSV o JSON) lo lee el handler; `row` es el esquema de cada fila: sin creatorUid
+  // el evento queda a nombre de quien importa.
+  importEvents: { query: dryRunQuery, row: { ...newEventFields, creatorUid: id } },
+  updateEvent: { params: eventParams, body: eventFields },
+
+  // portada: size=thumbnail redirige a la miniatura
+  eventCover: { params: eventParams, query: { size: { type: "string", enum: ["full", "thumbnail"], default: "full" } } },
+  // el archivo va crudo en el body con su Content-Type; name es el nombre a mostrar
+  addAttachment: { params: eventParams, query: { name: text(200) } },
+  attachment: { params: { ...eventParams, aid: { ...id, required: true } } },
+  // URLs firmadas del almacenamiento local (ver lib/fileStorage.js)
+  signedFile: {
+    query: {
+      expires: { type: "string", maxLength: 20, required: true },
+      signature: { type: "string", maxLength: 200, required: true }
+    }
+  },
+
+  listOccurrences: { params: eventParams, query: { from: day, to: day } },
+  occurrence: { params: { ...eventParams, day: { ...day, required: true } } },
+  updateOccurrence: {
+    params: { ...eventParams, day: { ...day, required: true } },
+    body: {
+      title: eventFields.title,
+      date: eventFields.date,
+      location: eventFields.location,
+      description: eventFields.description
+    }
+  },
+
+  eventScope: { params: eventParams, query: occurrenceQuery },
+  rating: { params: { ...eventParams, uid: { ...id, required: true } }, query: occurrenceQuery },
+  setRating: {
+    params: { ...eventParams, uid: { ...id, required: true } },
+    query: occurrenceQuery,
+    body: { rating: { ...rating, nullable: false, required: true } }
+  },
+  topRated: {
+    query: {
+      minCount: { type: "integer", minimum: 1, default: 1 },
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: "string", maxLength: 1000 }
+    }
+  },
+  listComments: { params: eventParams, query: { ...occurrenceQuery, threaded: { type: "boolean", default: false } } },
+  createComment: {
+    params: eventParams,
+    query: occurrenceQuery,
+    // parentId: id de un comentario del mismo evento (u ocurrencia) al que se responde;
+    // replyTo es el nombre anterior y se sigue aceptando
+    body: { comment: { ...text(2000), required: true }, rating, parentId: id, replyTo: id }
+  },
+  comment: { params: commentParams, query: occurrenceQuery },
+  updateComment: {
+    params: commentParams,
+    query: occurrenceQuery,
+    body: { comment: text(2000), rating }
+  },
+  reaction: {
+    params: { ...commentParams, emoji: { type: "string", enum: REACTIONS, required: true } },
+    query: occurrenceQuery
+  },
+  reportComment: {
+    params: commentParams,
+    query: occurrenceQuery,
+    body: {
+      reason: { type: "string", enum: REPORT_REASONS, required: true },
+      details: text(500)
+    }
+  },
+
+  attend: { params: attendParams, query: occurrenceQuery, body: occurrenceQuery },
+  listAttendees: { params: attendParams, query: { ...occurrenceQuery, status: { type: "string", enum: ATTENDEE_STATUSES } } },
+  // json: { token, ... }; png / svg: el QR de la entrada
+  ticket: {
+    params: attendParams,
+    query: { ...occurrenceQuery, format: { type: "string", enum: ["json", ...QR_FORMATS], default: "json" } }
+  },
+  checkIn: { params: attendParams, body: { token: { type: "string", minLength: 1, maxLength: 2000, required: true } } },
+  attendStatus: { params: { ...attendParams, uid: { ...id, required: true } }, query: occurrenceQuery },
+
+  listNotifications: {
+    params: userParams,
+    query: {
+      unread: { type: "boolean", default: false },
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: "string", maxLength: 1000 }
+    }
+  },
+  // sin ids se marcan todas
+  readNotifications: {
+    params: userParams,
+    body: { ids: { type: "array", items: id, minItems: 1, maxItems: MAX_LIMIT } }
+  },
+  notificationPreferences: { params: userParams },
+  updateNotificationPreferences: { params: userParams, body: notificationPreferences },
+  // token de registro de FCM del dispositivo
+  addDevice: { params: userParams, body: { token: { type: "string", minLength: 1, maxLength: 4096, required: true } } },
+  device: { params: { ...userParams, token: { type: "string", minLength: 1, maxLength: 4096, required: true } } },
+
+  userCalendar: { params: userParams },
+  calendarFeed: { params: userParams, query: { token: { type: "string", minLength: 1, maxLength: 200, required: true } } },
+
+  eventStream: { params: eventParams, query: streamQuery },
+  feedStream: { params: { feed: { type: "string", enum: FEEDS, required: true } }, query: streamQuery },
+
+  // exportaciones (CSV o JSON, sin paginar)
+  exportCreatorEvents: { params: userParams, query: { format } },
+  exportAttendees: { params: eventParams, query: { format } },
+  exportComments: { params: eventParams, query: { format } },
+  dump: noInput,
+  // volcado NDJSON en el body (ver lib/backup.js)
+  restore: { query: dryRunQuery },
+
+  // estadísticas en baldes diarios (from / to inclusivos)
+  eventStats: { params: eventParams, query: statsQuery },
+  creatorStats: { params: userParams, query: statsQuery },
+
+  // invitaciones a eventos privados
+  listInvitations: { params: eventParams, query: { status: { type: "string", enum: INVITATION_STATUSES } } },
+  inviteByEmail: {
+    params: eventParams,
+    body: {
+      emails: { type: "array", items: email, minItems: 1, maxItems: MAX_INVITATIONS, required: true },
+      message: text(500)
+    }
+  },
+  invitation: { params: { ...eventParams, iid: { ...id, required: true } } },
+  // sin token responde la invitación que ya tiene el usuario (por uid o por su email)
+  respondInvitation: { params: eventParams, body: { token: signedToken } },
+  userInvitations: { params: userParams, query: { status: { type: "string", enum: INVITATION_STATUSES } } },
+
+  addOrganizer: { params: eventParams, body: { uid: { ...id, required: true } } },
+  organizer: { params: { ...eventParams, uid: { ...id, required: true } } },
+
+  logoutAll: noInput,
+
+  adminUsers: noInput,
+  adminRoles: noInput,
+  adminUser: { params: userParams },
+  grantRole: { params: userParams, body: { role: { type: "string", enum: ROLES, required: true } } },
+  revokeRole: { params: { ...userParams, role: { type: "string", enum: ROLES, required: true } } },
+  moderationQueue: {
+    query: {
+      status: { type: "string", enum: MODERATION_STATUSES, default: "pending" },
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: "string", maxLength: 1000 }
+    }
+  },
+  // ban oculta el comentario y bloquea al autor `days` días (sin days, hasta que se levante)
+  moderate: {
+    params: {
+      id: { type: "string", minLength: 1, maxLength: 400, required: true },
+      action: { type: "string", enum: MODERATION_ACTIONS, required: true }
+    },
+    body: {
+      note: text(500),
+      days: { type: "integer", minimum: 1, maximum: 3650 }
+    }
+  },
+  commentBan: { params: userParams },
+  purgeTrash: noInput,
+  rebuildRatings: noInput,
+  audit: {
+    query: {
+      actor: id,
+      action: text(100),
+      targetType: text(50),
+      target: id,
+      event: id,
+      // YYYY-MM-DD (día completo, `to` inclusivo) o fecha y hora
+      from: { type: "string", format: "date-or-time" },
+      to: { type: "string", format: "date-or-time" },
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: "string", maxLength: 1000 },
+      format
+    }
+  }
+};
@@ -0,0 +1,202 @@
+// lib/textIndex.js - Índice invertido en memoria para búsqueda de texto completo
+// Normaliza acentos, aplica un stemming ligero español/inglés, tolera errores de tipeo
+// (distancia de Levenshtein) y ordena por relevancia con BM25.
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+// palabras vacías frecuentes en español e inglés (ya normalizadas)
+const STOPWORDS = new Set([
+  "a", "al", "con", "de", "del", "el", "en", "es", "la", "las", "lo", "los", "o", "para", "por", "que", "se", "su", "un", "una", "y",
+  "an", "and", "at", "for", "in", "is", "of", "on", "or", "the", "to", "with"
+]);
+
+// sufijos de mayor a menor largo; se quita el primero que deje una raíz de 3+ letras
+const SUFFIXES = [
+  "amientos", "imientos", "aciones", "uciones", "amiento", "imiento", "idades", "ations", "mente",
+  "acion", "ucion", "ation", "anzas", "ibles", "ables", "istas", "ismos", "ness", "ments",
+  "ancia", "encia", "anza", "idad", "ible", "able", "ista", "ismo", "ando", "iendo", "ment",
+  "ados", "idos", "adas", "idas", "ings", "ado", "ido", "ada", "ida", "ing", "ies", "ers",
+  "ar", "er", "ir", "ed", "ly", "es", "os", "as", "s", "o", "a", "e"
+];
+
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+// texto -> palabras normalizadas sin stopwords
+function words(text) {
+  return (normalize(text).match(WORD_RE) || []).filter(w => !STOPWORDS.has(w));
+}
+
+// texto -> términos indexables (normalizados, sin stopwords, con stemming)
+function tokenize(text) {
+  return words(text).map(stem);
+}
+
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// errores permitidos según el largo del término
+function allowedEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Marca con <mark> las palabras del texto cuyo término está en `terms`.
+// Si el texto supera `maxLength`, recorta una ventana alrededor de la primera coincidencia.
+function highlight(text, terms, maxLength = 160) {
+  const source = String(text || "");
+  const matches = [...source.matchAll(WORD_RE)].filter(m => terms.has(stem(normalize(m[0]))));
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+    end = Math.min(source.length, start + maxLength);
+  }
+
+  let out = "";
+  let last = start;
+  matches
+    .filter(m => m.index >= start && m.index + m[0].length <= end)
+    .forEach(m => {
+      out += source.slice(last, m.index) + `<mark>${m[0]}</mark>`;
+      last = m.index + m[0].length;
+    });
+  out += source.slice(last, end);
+  return (start > 0 ? "…" : "") + out + (end < source.length ? "…" : "");
+}
+
+class TextIndex {
+  // fields: { nombre: peso }
+  constructor(fields) {
+    this.fields = fields;
+    this.postings = new Map(); // término -> Map(docId -> frecuencia ponderada)
+    this.docs = new Map(); // docId -> { length, terms: Set, words: Map, meta }
+    this.words = new Map(); // palabra sin stemming -> { term, count }, para tolerar errores antes del stemming
+    this.totalLength = 0;
+  }
+
+  add(id, values, meta = {}) {
+    this.remove(id);
+    const freqs = new Map();
+    const docWords = new Map();
+    let length = 0;
+    Object.keys(this.fields).forEach(field => {
+      const weight = this.fields[field];
+      words(values[field]).forEach(word => {
+        const term = stem(word);
+        freqs.set(term, (freqs.get(term) || 0) + weight);
+        docWords.set(word, term);
+        length++;
+      });
+    });
+    freqs.forEach((tf, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    });
+    docWords.forEach((term, word) => {
+      const entry = this.words.get(word) || { term, count: 0 };
+      entry.count++;
+      this.words.set(word, entry);
+    });
+    this.docs.set(id, { length, terms: new Set(freqs.keys()), words: docWords, meta });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+    doc.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+    doc.words.forEach((term, word) => {
+      const entry = this.words.get(word);
+      if (--entry.count === 0) this.words.delete(word);
+    });
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  // Términos del índice que se parecen a la palabra, con un factor de penalización por distancia.
+  // Se compara tanto la raíz contra las raíces como la palabra completa contra las palabras
+  // indexadas, porque un error de tipeo puede impedir que el stemming quite el sufijo.
+  expand(word) {
+    const term = stem(word);
+    const max = allowedEdits(word);
+    const best = new Map();
+    const consider = (candidate, distance) => {
+      if (distance <= max && (!best.has(candidate) || best.get(candidate) > distance)) best.set(candidate, distance);
+    };
+    if (this.postings.has(term)) consider(term, 0);
+    if (max > 0) {
+      for (const candidate of this.postings.keys()) consider(candidate, levenshtein(term, candidate, max));
+      for (const [candidate, { term: candidateTerm }] of this.words) consider(candidateTerm, levenshtein(word, candidate, max));
+    }
+    return [...best].map(([candidate, distance]) => ({ term: candidate, boost: 1 / (1 + distance) }));
+  }
+
+  // Devuelve [{ id, score, terms, meta }] ordenado por relevancia. `filter(meta)` descarta documentos.
+  search(query, { filter } = {}) {
+    const queryTerms = [...new Set(words(query))];
+    if (queryTerms.length === 0) return [];
+
+    const k1 = 1.2;
+    const b = 0.75;
+    const n = this.docs.size;
+    const avgLength = n ? this.totalLength / n : 0;
+    const results = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      this.expand(queryTerm).forEach(({ term, boost }) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+        posting.forEach((tf, id) => {
+          const doc = this.docs.get(id);
+          if (filter && !filter(doc.meta)) return;
+          const norm = tf + k1 * (1 - b + b * (doc.length / (avgLength || 1)));
+          const score = boost * idf * (tf * (k1 + 1)) / norm;
+          if (!results.has(id)) results.set(id, { id, score: 0, terms: new Set(), matched: new Set(), meta: doc.meta });
+          const entry = results.get(id);
+          entry.score += score;
+          entry.terms.add(term);
+          entry.matched.add(queryTerm);
+        });
+      });
+    });
+
+    // favorecer los documentos que contienen más términos de la consulta
+    return [...results.values()]
+      .map(({ matched, ...r }) => ({ ...r, score: r.score * (matched.size / queryTerms.length) }))
+      .sort((x, y) => y.score - x.score);
+  }
+}
+
+module.exports = { TextIndex, tokenize, normalize, stem, highlight };
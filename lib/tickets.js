@@ -0,0 +1,17 @@
+// lib/tickets.js - Código QR de las entradas
+// El QR contiene el token de la entrada tal cual (ver ticketToken en lib/tokens.js): lo lee la
+// app del organizador en la puerta y lo manda a POST /attend/:eventId/check-in.
+const QRCode = require("qrcode");
+
+const QR_OPTIONS = { errorCorrectionLevel: "M", margin: 2 };
+const QR_FORMATS = ["png", "svg"];
+
+// Devuelve { contentType, body } con el QR en PNG (512 px) o SVG
+async function renderTicketQr(token, format = "png") {
+  if (format === "svg") {
+    return { contentType: "image/svg+xml", body: await QRCode.toString(token, { ...QR_OPTIONS, type: "svg" }) };
+  }
+  return { contentType: "image/png", body: await QRCode.toBuffer(token, { ...QR_OPTIONS, type: "png", width: 512 }) };
+}
+
+module.exports = { renderTicketQr, QR_FORMATS };
@@ -0,0 +1,186 @@
+// lib/tokens.js - Access tokens (JWT de vida corta) y refresh tokens rotativos
+//
+// - El access token lleva uid, email, jti y `ver` (tokenVersion del usuario). Cambiar la contraseña
+//   o "cerrar sesión en todos los dispositivos" incrementa tokenVersion y deja inválidos los anteriores.
+// - El refresh token es un valor aleatorio opaco; en la base sólo se guarda su hash. Cada uso lo
+//   rota por uno nuevo de la misma familia (sesión). Si se presenta uno ya rotado se asume robo y
+//   se revoca la familia completa.
+// - Los tokens de verificación de email y de restablecimiento de contraseña son JWT con `purpose`:
+//   vencen solos y no sirven como access token. El de verificación lleva el email (deja de valer
+//   si el email cambia) y el de restablecimiento una huella del hash de la contraseña (sirve una
+//   sola vez: al cambiar la contraseña deja de coincidir).
+// - Las entradas (tickets) de asistencia también son JWT con `purpose`, sin vencimiento: llevan
+//   evento, ocurrencia, uid y el `ticketId` del asistente, que cambia si cancela y vuelve a
+//   confirmar (así la entrada anterior deja de valer).
+// - Las invitaciones a eventos privados: el enlace del evento (sin vencimiento, lleva la
+//   `inviteVersion` del evento y deja de valer cuando se regenera) y la invitación por email
+//   (lleva el id de la invitación y vence en invitationTtl).
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// huella corta del hash de la contraseña para los tokens de restablecimiento
+function passwordFingerprint(user) {
+  return hashToken(user.passwordHash || "").slice(0, 16);
+}
+
+function createTokenService({ repos, secret, accessTtl, refreshTtlDays, verifyEmailTtl = "2d", passwordResetTtl = "1h", invitationTtl = "30d" }) {
+  function signAccess(user) {
+    return jwt.sign(
+      { uid: user.uid, email: user.email, ver: user.tokenVersion || 0 },
+      secret,
+      { expiresIn: accessTtl, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  async function issueRefresh(user, familyId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date();
+    await repos.refreshTokens.create(hashToken(token), {
+      uid: user.uid,
+      familyId,
+      tokenVersion: user.tokenVersion || 0,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null
+    });
+    return token;
+  }
+
+  // payload de un token con ese `purpose`, o null
+  function verifyPurpose(token, purpose) {
+    try {
+      const payload = jwt.verify(token, secret);
+      return payload.purpose === purpose ? payload : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    // Nueva sesión (o continuación de una familia existente): { token, refreshToken, expiresIn }
+    async issue(user, familyId = crypto.randomUUID()) {
+      const token = signAccess(user);
+      const { iat, exp } = jwt.decode(token);
+      const refreshToken = await issueRefresh(user, familyId);
+      return { token, refreshToken, expiresIn: exp - iat };
+    },
+
+    // Rota el refresh token. Devuelve { uid, ...sesión } o null si no es válido.
+    async refresh(refreshToken) {
+      const now = new Date().toISOString();
+      const stored = await repos.refreshTokens.consume(hashToken(refreshToken), now);
+      if (!stored) return null;
+      if (stored.revokedAt) {
+        if (stored.revokedReason === "rotated") await repos.refreshTokens.revokeFamily(stored.familyId, "reuse-detected");
+        return null;
+      }
+      if (stored.expiresAt < now) return null;
+
+      const user = await repos.users.get(stored.uid);
+      if (!user || (user.tokenVersion || 0) !== stored.tokenVersion) return null;
+      const session = await this.issue(user, stored.familyId);
+      return { uid: user.uid, ...session };
+    },
+
+    // Payload del access token o null si es inválido, expiró, fue revocado o es anterior
+    // al último cambio de contraseña / cierre de todas las sesiones.
+    async verifyAccess(token) {
+      let payload;
+      try {
+        payload = jwt.verify(token, secret);
+      } catch (e) {
+        return null;
+      }
+      if (payload.purpose) return null; // tokens de verificación o restablecimiento
+      if (payload.jti && await repos.revokedTokens.has(payload.jti)) return null;
+      const user = await repos.users.get(payload.uid);
+      if (!user || (user.tokenVersion || 0) !== (payload.ver || 0)) return null;
+      return payload;
+    },
+
+    // Cierra la sesión actual: revoca el access token y, si se envía, la familia del refresh token
+    async logout(payload, refreshToken) {
+      if (payload.jti) {
+        await repos.revokedTokens.add(payload.jti, {
+          uid: payload.uid,
+          expiresAt: new Date(payload.exp * 1000).toISOString(),
+          revokedAt: new Date().toISOString()
+        });
+      }
+      if (refreshToken) {
+        const stored = await repos.refreshTokens.get(hashToken(refreshToken));
+        if (stored && stored.uid === payload.uid) await repos.refreshTokens.revokeFamily(stored.familyId, "logout");
+      }
+    },
+
+    emailVerificationToken(user) {
+      return jwt.sign({ purpose: "verify-email", uid: user.uid, email: user.email }, secret, { expiresIn: verifyEmailTtl });
+    },
+
+    // Usuario a verificar, o null si el token no es válido, venció o el email ya cambió
+    async verifyEmailToken(token) {
+      const payload = verifyPurpose(token, "verify-email");
+      if (!payload) return null;
+      const user = await repos.users.get(payload.uid);
+      return user && user.email === payload.email ? user : null;
+    },
+
+    passwordResetToken(user) {
+      return jwt.sign({ purpose: "reset-password", uid: user.uid, pwd: passwordFingerprint(user) }, secret, { expiresIn: passwordResetTtl });
+    },
+
+    // Usuario cuya contraseña se restablece, o null si el token no es válido, venció o ya se usó
+    async verifyPasswordResetToken(token) {
+      const payload = verifyPurpose(token, "reset-password");
+      if (!payload) return null;
+      const user = await repos.users.get(payload.uid);
+      return user && passwordFingerprint(user) === payload.pwd ? user : null;
+    },
+
+    // attendee: { eventId, occurrence, uid, ticketId }
+    ticketToken({ eventId, occurrence, uid, ticketId }) {
+      return jwt.sign({ purpose: "ticket", eid: eventId, occ: occurrence || null, uid, tid: ticketId }, secret);
+    },
+
+    // { eventId, occurrence, uid, ticketId } de una entrada con firma válida, o null si es falsa
+    verifyTicketToken(token) {
+      const payload = verifyPurpose(token, "ticket");
+      return payload ? { eventId: payload.eid, occurrence: payload.occ, uid: payload.uid, ticketId: payload.tid } : null;
+    },
+
+    inviteLinkToken(event) {
+      return jwt.sign({ purpose: "invite-link", eid: event.id, v: event.inviteVersion || 0 }, secret);
+    },
+
+    // { eventId, version } de un enlace de invitación con firma válida, o null
+    verifyInviteLinkToken(token) {
+      const payload = verifyPurpose(token, "invite-link");
+      return payload ? { eventId: payload.eid, version: payload.v } : null;
+    },
+
+    invitationToken({ eventId, id }) {
+      return jwt.sign({ purpose: "invitation", eid: eventId, iid: id }, secret, { expiresIn: invitationTtl });
+    },
+
+    // { eventId, invitationId } de una invitación por email vigente, o null
+    verifyInvitationToken(token) {
+      const payload = verifyPurpose(token, "invitation");
+      return payload ? { eventId: payload.eid, invitationId: payload.iid } : null;
+    },
+
+    // Invalida todos los access y refresh tokens emitidos hasta ahora para el usuario
+    async revokeAll(uid, reason) {
+      const user = await repos.users.get(uid);
+      if (!user) return null;
+      const updated = await repos.users.update(uid, { tokenVersion: (user.tokenVersion || 0) + 1 });
+      await repos.refreshTokens.revokeAllForUser(uid, reason);
+      return updated;
+    }
+  };
+}
+
+module.exports = { createTokenService, hashToken };
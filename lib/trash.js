@@ -0,0 +1,61 @@
+// lib/trash.js - Papelera: plazo de restauración y purga de lo eliminado
+//
+// Los eventos y comentarios eliminados quedan en la papelera (`deletedAt`) durante
+// `retentionDays`; en ese plazo se pueden restaurar. Pasado el plazo la purga los borra para
+// siempre (un evento, junto con sus comentarios, asistentes y archivos; también lo suyo en la
+// cola de moderación). La purga corre cada `intervalMs` con start() y también se puede lanzar a mano
+// (POST /admin/trash/purge); de paso limpia la lista de access tokens revocados que ya vencieron.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// files: almacenamiento de portadas y adjuntos (ver lib/fileStorage.js), opcional
+function createTrash({ repos, files = null, retentionDays = 30 }) {
+  const retentionMs = retentionDays * DAY_MS;
+
+  // fecha (ISO) hasta la que se puede restaurar algo eliminado en `deletedAt`
+  function restorableUntil(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + retentionMs).toISOString();
+  }
+
+  function isExpired(deletedAt) {
+    return restorableUntil(deletedAt) <= new Date().toISOString();
+  }
+
+  // Borra lo que lleva más de retentionDays en la papelera y los tokens revocados ya vencidos.
+  // Devuelve { events, comments, revokedTokens }.
+  async function purge() {
+    const cutoff = new Date(Date.now() - retentionMs).toISOString();
+    const events = await repos.events.listTrashed({ before: cutoff });
+    for (const event of events) {
+      await repos.events.purge(event.id);
+      await repos.moderation.deleteForEvent(event.id);
+      if (files) await files.removePrefix(`events/${event.id}/`);
+    }
+    // los comentarios de los eventos recién purgados ya no existen
+    const purged = new Set(events.map(e => e.id));
+    const comments = (await repos.comments.listTrashedBefore(cutoff)).filter(c => !purged.has(c.eventId));
+    for (const c of comments) {
+      await repos.comments.purge(c.eventId, c.id, c.occurrence);
+      await repos.moderation.deleteForComment(c.eventId, c.id, c.occurrence);
+    }
+    const revokedTokens = await repos.revokedTokens.deleteExpired(new Date().toISOString());
+    return { events: events.length, comments: comments.length, revokedTokens };
+  }
+
+  // Corre la purga cada intervalMs (no mantiene vivo el proceso). Devuelve una función para detenerla.
+  function start(intervalMs) {
+    const timer = setInterval(() => {
+      purge()
+        .then(result => {
+          if (result.events || result.comments || result.revokedTokens) console.log("Papelera purgada:", result);
+        })
+        .catch(e => console.error("Error purgando la papelera:", e));
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { restorableUntil, isExpired, purge, start };
+}
+
+module.exports = { createTrash };
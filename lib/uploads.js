@@ -0,0 +1,58 @@
+// lib/uploads.js - Validación de los archivos subidos y procesamiento de las portadas
+//
+// El tipo se comprueba por el contenido (firma de los primeros bytes), no sólo por el
+// Content-Type que declara el cliente: tienen que coincidir. Las portadas se re-codifican
+// (sin metadatos EXIF, con la orientación aplicada), se limitan a COVER_MAX_SIZE px de lado y
+// se genera una miniatura WebP cuadrada de THUMBNAIL_SIZE px para las tarjetas.
+const sharp = require("sharp");
+
+const COVER_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 400;
+
+// tipo -> extensión
+const IMAGE_TYPES = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+const ATTACHMENT_TYPES = { ...IMAGE_TYPES, "application/pdf": "pdf" };
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+
+// tipo real según los primeros bytes (null si no es uno de los conocidos)
+function sniffType(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf";
+  return null;
+}
+
+// Comprueba un archivo contra los tipos permitidos (IMAGE_TYPES o ATTACHMENT_TYPES).
+// Devuelve { contentType, extension } o { error, code }.
+function checkFile(buffer, declaredType, allowed) {
+  const declared = String(declaredType || "").split(";")[0].trim().toLowerCase();
+  if (!allowed[declared]) {
+    return { code: "UNSUPPORTED_MEDIA_TYPE", error: `Tipo de archivo no permitido; se aceptan: ${Object.keys(allowed).join(", ")}` };
+  }
+  if (sniffType(buffer) !== declared) {
+    return { code: "CONTENT_TYPE_MISMATCH", error: `El contenido del archivo no es ${declared}` };
+  }
+  return { contentType: declared, extension: allowed[declared] };
+}
+
+// Portada y miniatura a partir de la imagen subida (ya comprobada con checkFile). Devuelve
+// { image, thumbnail }, cada uno { buffer, contentType, width, height }; lanza un error si la
+// imagen está dañada.
+async function processCover(buffer, contentType) {
+  const format = IMAGE_TYPES[contentType] === "jpg" ? "jpeg" : IMAGE_TYPES[contentType];
+  const image = await sharp(buffer)
+    .rotate()
+    .resize({ width: COVER_MAX_SIZE, height: COVER_MAX_SIZE, fit: "inside", withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(image.data)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "cover" })
+    .webp()
+    .toBuffer({ resolveWithObject: true });
+  const out = (result, type) => ({ buffer: result.data, contentType: type, width: result.info.width, height: result.info.height });
+  return { image: out(image, contentType), thumbnail: out(thumbnail, "image/webp") };
+}
+
+module.exports = { checkFile, processCover, IMAGE_TYPES, ATTACHMENT_TYPES };
@@ -0,0 +1,182 @@
+// lib/validation.js - Validación declarativa de params, query y body
+//
+// Cada ruta declara un esquema { params, query, body } donde cada parte es un mapa
+// campo -> spec. La spec sigue la forma de JSON Schema (type, format, minLength, maximum,
+// enum, items, properties...) más `required` y `nullable` por campo, así la misma
+// descripción sirve para documentar la API.
+//
+//   validate({ body: { title: { type: "string", required: true, maxLength: 200 } } })
+//
+// El middleware deja en req.params / req.query / req.body los valores ya limpios (strings
+// recortados, query convertidos a número o booleano, sin campos desconocidos) o responde
+// VALIDATION_ERROR con la lista de problemas por campo (ver lib/errors.js). Una parte declarada
+// vacía ({}) no admite ningún campo: las rutas sin entrada rechazan lo que les llegue.
+const { validationError } = require("./errors");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_RE = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d)(?:\.\d{1,3})?)?(Z|[+-](?:[01]\d|2[0-3]):?[0-5]\d)?$/;
+
+// día de calendario existente (rechaza 2025-02-30)
+function isDay(value) {
+  const m = DAY_RE.exec(value);
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+function isDateTime(value) {
+  const m = DATE_TIME_RE.exec(value);
+  return !!m && isDay(m[1]);
+}
+
+const FORMATS = {
+  email: { test: v => EMAIL_RE.test(v), message: "debe ser un email válido" },
+  date: { test: isDay, message: "debe ser una fecha YYYY-MM-DD" },
+  "date-time": { test: isDateTime, message: "debe ser una fecha y hora YYYY-MM-DDTHH:mm" },
+  // día completo o con hora (`date` de los eventos, rangos de fechas)
+  "date-or-time": { test: v => isDay(v) || isDateTime(v), message: "debe ser YYYY-MM-DD o YYYY-MM-DDTHH:mm" }
+};
+
+const TYPE_NAMES = {
+  string: "un texto",
+  integer: "un entero",
+  number: "un número",
+  boolean: "true o false",
+  object: "un objeto",
+  array: "una lista"
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "integer" || (actual === "number" && Number.isFinite(value));
+  return actual === type;
+}
+
+// query y params llegan como texto: "10" -> 10, "true" -> true
+function coerce(types, value) {
+  if (typeof value !== "string") return value;
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+// Valida un valor contra su spec; agrega los problemas a `issues` y devuelve el valor limpio
+function checkValue(spec, value, field, where, issues) {
+  const fail = (code, message) => {
+    issues.push({ field, in: where, code, message: `${field} ${message}` });
+    return undefined;
+  };
+  const types = [].concat(spec.type || []);
+  if (where === "query" || where === "params") value = coerce(types, value);
+  if (value === null) return spec.nullable ? null : fail("invalid_type", "no puede ser null");
+  if (types.length && !types.some(t => matchesType(t, value))) {
+    return fail("invalid_type", `debe ser ${types.map(t => TYPE_NAMES[t] || t).join(" o ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (spec.trim !== false) value = value.trim();
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      return fail("too_short", spec.minLength === 1 ? "no puede estar vacío" : `debe tener al menos ${spec.minLength} caracteres`);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return fail("too_long", `debe tener como máximo ${spec.maxLength} caracteres`);
+    }
+    if (spec.format && FORMATS[spec.format] && !FORMATS[spec.format].test(value)) {
+      return fail("invalid_format", FORMATS[spec.format].message);
+    }
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) return fail("invalid_format", "tiene un formato inválido");
+  }
+
+  if (typeof value === "number") {
+    if (spec.minimum !== undefined && value < spec.minimum) return fail("too_small", `debe ser mayor o igual a ${spec.minimum}`);
+    if (spec.maximum !== undefined && value > spec.maximum) return fail("too_big", `debe ser menor o igual a ${spec.maximum}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) return fail("invalid_enum", `debe ser uno de: ${spec.enum.join(", ")}`);
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) return fail("too_short", `debe tener al menos ${spec.minItems} elementos`);
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) return fail("too_long", `debe tener como máximo ${spec.maxItems} elementos`);
+    if (spec.items) return value.map((item, i) => checkValue(spec.items, item, `${field}[${i}]`, where, issues));
+  }
+
+  if (typeOf(value) === "object" && spec.properties) {
+    return checkObject(spec.properties, value, where, issues, field, spec.additionalProperties);
+  }
+  return value;
+}
+
+// Valida los campos de un objeto; los que no están en el esquema se descartan
+// salvo con keepUnknown (additionalProperties).
+function checkObject(properties, source, where, issues, prefix, keepUnknown) {
+  const out = keepUnknown ? { ...source } : {};
+  for (const [name, spec] of Object.entries(properties)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    let value = source[name];
+    // en la query un parámetro vacío (?limit=) equivale a no enviarlo
+    if (where === "query" && value === "") value = undefined;
+    if (value === undefined) {
+      if (spec.required) issues.push({ field, in: where, code: "required", message: `${field} es obligatorio` });
+      else if (spec.default !== undefined) out[name] = spec.default;
+      continue;
+    }
+    const clean = checkValue(spec, value, field, where, issues);
+    if (clean !== undefined) out[name] = clean;
+  }
+  return out;
+}
+
+// Valida sin middleware: devuelve { value, issues }
+function check(properties, source, where = "body") {
+  const issues = [];
+  const value = checkObject(properties, source || {}, where, issues);
+  return { value, issues };
+}
+
+// Problemas de un valor cualquiera contra una spec (p. ej. una respuesta contra lo documentado,
+// ver lib/openapi.js); [] si cumple
+function conforms(spec, value, field, where) {
+  const issues = [];
+  checkValue(spec, value, field, where, issues);
+  return issues;
+}
+
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const issues = [];
+    for (const where of ["params", "query", "body"]) {
+      if (!schema[where]) continue;
+      let source = req[where];
+      if (source === undefined) source = {};
+      if (typeOf(source) !== "object") {
+        issues.push({ field: where, in: where, code: "invalid_type", message: `${where} debe ser un objeto` });
+        continue;
+      }
+      if (!Object.keys(schema[where]).length) {
+        for (const field of Object.keys(source)) {
+          issues.push({ field, in: where, code: "unknown_field", message: `${field} no se acepta en esta ruta` });
+        }
+      }
+      const clean = checkObject(schema[where], source, where, issues);
+      // req.params lo comparte Express entre los middlewares de la ruta: se actualiza en el lugar
+      if (where === "params") Object.assign(req.params, clean);
+      else req[where] = clean;
+    }
+    if (issues.length) return next(validationError(issues));
+    next();
+  };
+  // con el esquema a la vista lib/openapi.js documenta la ruta
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = { validate, check, conforms, isDay, FORMATS };
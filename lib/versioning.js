@@ -0,0 +1,108 @@
+// lib/versioning.js - Versiones de la API y rutas obsoletas
+//
+// Cada versión es un router de Express montado en /v{n}. Las rutas sin prefijo son alias de la
+// versión que pida el cliente con el encabezado Accept-Version ("1" o "v1"); sin él, de la
+// versión por defecto, así las apps ya instaladas siguen funcionando cuando aparezca una nueva.
+// Toda respuesta lleva API-Version con la versión que la atendió; en las rutas con prefijo
+// manda el prefijo y Accept-Version no se mira.
+//
+// deprecated() marca una ruta como obsoleta con Deprecation (RFC 9745), Sunset (RFC 8594) y un
+// Link a la que la reemplaza; pasada la fecha de Sunset la ruta responde 410 API_SUNSET. Lo
+// mismo se puede aplicar a todos los alias sin prefijo (opción `unversioned`).
+const { ApiError, gone } = require("./errors");
+
+const REQUEST_HEADER = "Accept-Version";
+const RESPONSE_HEADER = "API-Version";
+const VERSIONED_PATH = /^\/v\d+(\/|$)/;
+
+// "1" | "v1" -> "1"; null si no es una versión
+function parseVersion(value) {
+  const m = /^v?(\d+)$/i.exec(String(value).trim());
+  return m ? String(Number(m[1])) : null;
+}
+
+// "YYYY-MM-DD" (o fecha y hora) -> Date; lanza si no es una fecha
+function toDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} no es una fecha válida: ${value}`);
+  return date;
+}
+
+// { since, sunset, link } -> { deprecatedAt, sunsetAt, link } con las fechas ya leídas
+function readDeprecation({ since, sunset, link } = {}) {
+  return {
+    deprecatedAt: since ? toDate(since, "since") : null,
+    sunsetAt: sunset ? toDate(sunset, "sunset") : null,
+    link: link || null
+  };
+}
+
+// Encabezados de una ruta obsoleta; true si ya pasó el Sunset. link puede depender del request.
+function applyDeprecation(req, res, { deprecatedAt, sunsetAt, link }) {
+  if (deprecatedAt) res.set("Deprecation", `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+  if (sunsetAt) res.set("Sunset", sunsetAt.toUTCString());
+  const target = typeof link === "function" ? link(req) : link;
+  if (target) res.append("Link", `<${target}>; rel="successor-version"`);
+  return !!sunsetAt && sunsetAt.getTime() <= Date.now();
+}
+
+function sunsetError(sunsetAt) {
+  return gone(`Esta ruta dejó de estar disponible el ${sunsetAt.toISOString().split("T")[0]}`, "API_SUNSET");
+}
+
+// Middleware para una ruta obsoleta: deprecated({ since: "2026-10-19", sunset: "2027-04-30",
+// link: "/v1/..." }). link también puede ser una función (req) => url.
+function deprecated(options) {
+  const deprecation = readDeprecation(options);
+  const middleware = (req, res, next) => {
+    if (applyDeprecation(req, res, deprecation)) return next(sunsetError(deprecation.sunsetAt));
+    next();
+  };
+  // para el documento OpenAPI (ver lib/openapi.js)
+  middleware.deprecation = deprecation;
+  return middleware;
+}
+
+// versions: { "1": router }; defaultVersion: la de los alias sin Accept-Version;
+// unversioned: { since, sunset } para marcar obsoletos todos los alias sin prefijo
+function createVersioning({ versions, defaultVersion, unversioned = {} }) {
+  const supported = Object.keys(versions);
+  if (!versions[defaultVersion]) throw new Error(`Versión por defecto desconocida: ${defaultVersion}`);
+  const aliasDeprecation = unversioned.since || unversioned.sunset
+    ? readDeprecation({ ...unversioned, link: req => `/v${req.apiVersion}${req.url}` })
+    : null;
+
+  const unsupported = value => new ApiError(406, "UNSUPPORTED_API_VERSION", `Versión de la API no soportada: ${value}. Disponibles: ${supported.join(", ")}`);
+
+  function tag(version) {
+    return (req, res, next) => {
+      req.apiVersion = version;
+      res.set(RESPONSE_HEADER, version);
+      next();
+    };
+  }
+
+  // rutas sin prefijo: a la versión pedida en Accept-Version o a la por defecto
+  function negotiate(req, res, next) {
+    if (VERSIONED_PATH.test(req.path)) return next();
+    const requested = req.get(REQUEST_HEADER);
+    const version = requested === undefined || requested.trim() === "" ? defaultVersion : parseVersion(requested);
+    res.vary(REQUEST_HEADER);
+    if (!version || !versions[version]) return next(unsupported(requested));
+    tag(version)(req, res, () => {
+      if (aliasDeprecation && applyDeprecation(req, res, aliasDeprecation)) return next(sunsetError(aliasDeprecation.sunsetAt));
+      versions[version](req, res, next);
+    });
+  }
+
+  return {
+    supported,
+    // monta /v{n} para cada versión y después los alias sin prefijo
+    mount(app) {
+      for (const [version, router] of Object.entries(versions)) app.use(`/v${version}`, tag(version), router);
+      app.use(negotiate);
+    }
+  };
+}
+
+module.exports = { createVersioning, deprecated, parseVersion, REQUEST_HEADER, RESPONSE_HEADER };
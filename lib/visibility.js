@@ -0,0 +1,45 @@
+// lib/visibility.js - Quién ve cada evento según su `visibility`
+//
+// - public (por defecto, también los eventos anteriores al campo): lo ve cualquiera y aparece en
+//   los listados, la búsqueda y los feeds.
+// - unlisted: lo ve cualquiera que tenga el enlace, pero sólo aparece en los listados de sus
+//   organizadores.
+// - private: sólo lo ven sus organizadores, quien tenga event:manage y los invitados (invitación
+//   pendiente o aceptada, ver repositories/invitations.js); para el resto no existe.
+//
+// viewer: { manages(event) -> bool (organizador o event:manage), invited: Set de ids de eventos }.
+// Sin sesión es ANONYMOUS. `invited` puede quedar en null mientras no haga falta (cargarlo es una
+// consulta por usuario): needsInvitations dice cuándo hay que cargarlo antes de decidir; hasta
+// entonces cuenta como sin invitaciones.
+
+const VISIBILITIES = ["public", "unlisted", "private"];
+
+const ANONYMOUS = { manages: () => false, invited: new Set() };
+
+const visibilityOf = event => event.visibility || "public";
+
+// id de la serie (las ocurrencias de los listados llevan el de la serie en seriesId)
+const seriesIdOf = event => event.seriesId || event.id;
+
+// si para decidir sobre `event` hacen falta las invitaciones del usuario y no están cargadas
+function needsInvitations(event, viewer = ANONYMOUS) {
+  return !viewer.invited && visibilityOf(event) === "private" && !viewer.manages(event);
+}
+
+const isInvited = (event, viewer) => !!viewer.invited && viewer.invited.has(seriesIdOf(event));
+
+function canView(event, viewer = ANONYMOUS) {
+  const visibility = visibilityOf(event);
+  if (visibility !== "private") return true;
+  return viewer.manages(event) || isInvited(event, viewer);
+}
+
+// si aparece en listados, búsqueda y feeds para ese usuario
+function isListed(event, viewer = ANONYMOUS) {
+  const visibility = visibilityOf(event);
+  if (visibility === "public") return true;
+  if (viewer.manages(event)) return true;
+  return visibility === "private" && isInvited(event, viewer);
+}
+
+module.exports = { VISIBILITIES, ANONYMOUS, visibilityOf, needsInvitations, canView, isListed };
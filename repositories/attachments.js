@@ -0,0 +1,41 @@
+// repositories/attachments.js - Adjuntos de un evento: events/{id}/attachments/{id}
+// Cada doc describe un archivo del almacenamiento (ver lib/fileStorage.js): { name, key,
+// contentType, size, uploadedBy, createdAt }. El archivo se sube antes de crear el doc y se
+// borra después de eliminarlo.
+
+function toAttachment(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createAttachmentsRepository(db) {
+  const collection = eventId => db.collection("events").doc(eventId).collection("attachments");
+
+  return {
+    async get(eventId, id) {
+      return toAttachment(await collection(eventId).doc(id).get());
+    },
+
+    // los más antiguos primero
+    async list(eventId) {
+      const snap = await collection(eventId).orderBy("createdAt", "asc").get();
+      return snap.docs.map(toAttachment);
+    },
+
+    async count(eventId) {
+      const snap = await collection(eventId).count().get();
+      return snap.data().count;
+    },
+
+    // id: el mismo que forma parte de la clave del archivo
+    async create(eventId, id, data) {
+      await collection(eventId).doc(id).set(data);
+      return { id, ...data };
+    },
+
+    async delete(eventId, id) {
+      await collection(eventId).doc(id).delete();
+    }
+  };
+}
+
+module.exports = { createAttachmentsRepository };
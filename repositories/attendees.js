@@ -0,0 +1,251 @@
+// repositories/attendees.js - Acceso a la subcolección events/{id}/attendees
+// El id de cada documento es el uid del asistente, así se evita la doble confirmación.
+//
+// Cupo y lista de espera: si el evento tiene `capacity`, las confirmaciones que no entran
+// quedan con status "waitlisted" (confirmed: false) ordenadas por `waitlistSeq`. El evento
+// guarda `attendeeCount` (confirmados) y `waitlistSeq` (último número entregado, interno: no
+// sale en las respuestas, ver toEvent en repositories/events.js); todas las
+// altas y bajas pasan por una transacción sobre el doc del evento, así dos usuarios nunca
+// pueden quedarse con el último lugar.
+//
+// En eventos recurrentes la asistencia es por ocurrencia (parámetro `occurrence`): los
+// asistentes y los contadores viven en events/{id}/occurrences/{día} y el cupo es el de la serie.
+//
+// Entradas: cada asistente tiene un `ticketId` (la entrada firmada lo lleva, ver lib/tokens.js)
+// y, cuando la escanean en la puerta, `checkedInAt` / `checkedInBy`.
+const crypto = require("crypto");
+const { scopeRef } = require("./occurrences");
+const { commitInBatches } = require("./batches");
+
+function toAttendee(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function hasRoom(event, confirmedCount) {
+  return !event.capacity || confirmedCount < event.capacity;
+}
+
+function createAttendeesRepository(db) {
+  const eventRef = eventId => db.collection("events").doc(eventId);
+  const collection = (eventId, occurrence) => scopeRef(db, eventId, occurrence).collection("attendees");
+  const waitlistQuery = (eventId, occurrence) => collection(eventId, occurrence).where("status", "==", "waitlisted").orderBy("waitlistSeq", "asc");
+
+  // Lee en la transacción el evento (para el cupo) y el doc que guarda los contadores.
+  // Devuelve null si el evento no existe o está en la papelera.
+  async function readScope(tx, eventId, occurrence) {
+    const eventDoc = await tx.get(eventRef(eventId));
+    if (!eventDoc.exists || eventDoc.get("deletedAt")) return null;
+    const event = eventDoc.data();
+    const ref = scopeRef(db, eventId, occurrence);
+    let counters = event;
+    if (occurrence) {
+      const occDoc = await tx.get(ref);
+      counters = occDoc.exists ? occDoc.data() : {};
+    }
+    // confirmados actuales; los eventos anteriores al contador se cuentan una vez
+    let confirmedCount = counters.attendeeCount;
+    if (typeof confirmedCount !== "number") {
+      const snap = await tx.get(collection(eventId, occurrence).where("confirmed", "==", true));
+      confirmedCount = snap.size;
+    }
+    return { event, ref, confirmedCount, waitlistSeq: counters.waitlistSeq || 0 };
+  }
+
+  function writeCounters(tx, scope, eventId, occurrence, counters) {
+    const extra = occurrence ? { eventId, day: occurrence } : {};
+    tx.set(scope.ref, { ...extra, ...counters }, { merge: true });
+  }
+
+  return {
+    async get(eventId, uid, occurrence) {
+      return toAttendee(await collection(eventId, occurrence).doc(uid).get());
+    },
+
+    // confirmados primero, luego la lista de espera en orden
+    async list(eventId, occurrence) {
+      const snap = await collection(eventId, occurrence).get();
+      const attendees = snap.docs.map(toAttendee);
+      const confirmed = attendees.filter(a => a.confirmed);
+      const waitlisted = attendees
+        .filter(a => a.status === "waitlisted")
+        .sort((a, b) => a.waitlistSeq - b.waitlistSeq)
+        .map((a, i) => ({ ...a, waitlistPosition: i + 1 }));
+      return [...confirmed, ...waitlisted];
+    },
+
+    // uids de los asistentes (confirmados y en espera) del evento y de todas sus ocurrencias
+    async listUidsForEvent(eventId) {
+      const ref = eventRef(eventId);
+      const snaps = [await ref.collection("attendees").get()];
+      const occurrencesSnap = await ref.collection("occurrences").get();
+      for (const occ of occurrencesSnap.docs) snaps.push(await occ.ref.collection("attendees").get());
+      return [...new Set(snaps.flatMap(snap => snap.docs.map(d => d.get("uid")).filter(Boolean)))];
+    },
+
+    // asistencias confirmadas de un usuario en todos los eventos: [{ eventId, occurrence }]
+    async listConfirmedByUser(uid) {
+      const snap = await db.collectionGroup("attendees").where("uid", "==", uid).where("confirmed", "==", true).get();
+      return snap.docs.map(d => {
+        // events/{id}/attendees/{uid} o events/{id}/occurrences/{día}/attendees/{uid}
+        const parts = d.ref.path.split("/");
+        return { eventId: parts[1], occurrence: parts[2] === "occurrences" ? parts[3] : null };
+      });
+    },
+
+    // Desvincula del usuario sus asistencias: como el id del doc es el uid, cada una pasa a un doc
+    // anónimo nuevo con el mismo estado (los contadores y la lista de espera no cambian).
+    // Devuelve la cantidad de asistencias anonimizadas.
+    async anonymizeByUser(uid) {
+      const snap = await db.collectionGroup("attendees").where("uid", "==", uid).get();
+      return commitInBatches(db, snap.docs, (batch, d) => {
+        const { uid: _uid, username, ...data } = d.data();
+        batch.set(d.ref.parent.doc(`anon-${crypto.randomBytes(10).toString("hex")}`), { ...data, uid: null, anonymized: true });
+        batch.delete(d.ref);
+      }, { writesPerItem: 2 });
+    },
+
+    // Confirmados e ingresados del evento sumando todas sus ocurrencias: { confirmed, checkedIn }
+    async checkInTotals(eventId) {
+      const ref = eventRef(eventId);
+      const refs = [ref, ...(await ref.collection("occurrences").get()).docs.map(d => d.ref)];
+      const totals = { confirmed: 0, checkedIn: 0 };
+      for (const scope of refs) {
+        const snap = await scope.collection("attendees").where("confirmed", "==", true).get();
+        totals.confirmed += snap.size;
+        totals.checkedIn += snap.docs.filter(d => d.get("checkedInAt")).length;
+      }
+      return totals;
+    },
+
+    async count(eventId, occurrence) {
+      const snap = await collection(eventId, occurrence).where("confirmed", "==", true).count().get();
+      return snap.data().count;
+    },
+
+    async waitlistCount(eventId, occurrence) {
+      const snap = await collection(eventId, occurrence).where("status", "==", "waitlisted").count().get();
+      return snap.data().count;
+    },
+
+    // posición (1..n) en la lista de espera, o null si no está esperando
+    async waitlistPosition(eventId, uid, occurrence) {
+      const attendee = await this.get(eventId, uid, occurrence);
+      if (!attendee || attendee.status !== "waitlisted") return null;
+      const ahead = await collection(eventId, occurrence)
+        .where("status", "==", "waitlisted")
+        .where("waitlistSeq", "<", attendee.waitlistSeq)
+        .count()
+        .get();
+      return ahead.data().count + 1;
+    },
+
+    // Confirma o pone en lista de espera. Devuelve { status, already } o null si el evento no
+    // existe. Si el usuario ya estaba confirmado o esperando, no cambia nada (already: true).
+    async confirm(eventId, uid, data, occurrence) {
+      return db.runTransaction(async tx => {
+        const scope = await readScope(tx, eventId, occurrence);
+        if (!scope) return null;
+        const attendeeRef = collection(eventId, occurrence).doc(uid);
+        const current = await tx.get(attendeeRef);
+        if (current.exists && (current.data().confirmed || current.data().status === "waitlisted")) {
+          return { status: current.data().confirmed ? "confirmed" : "waitlisted", already: true };
+        }
+
+        const now = new Date().toISOString();
+        const extra = occurrence ? { occurrence } : {};
+        if (hasRoom(scope.event, scope.confirmedCount)) {
+          tx.set(attendeeRef, { ...data, ...extra, confirmed: true, status: "confirmed", updatedAt: now });
+          writeCounters(tx, scope, eventId, occurrence, { attendeeCount: scope.confirmedCount + 1 });
+          return { status: "confirmed", already: false };
+        }
+
+        const seq = scope.waitlistSeq + 1;
+        tx.set(attendeeRef, { ...data, ...extra, confirmed: false, status: "waitlisted", waitlistSeq: seq, waitlistedAt: now, updatedAt: now });
+        writeCounters(tx, scope, eventId, occurrence, { attendeeCount: scope.confirmedCount, waitlistSeq: seq });
+        return { status: "waitlisted", already: false };
+      });
+    },
+
+    // Cancela la asistencia (o sale de la lista de espera). Si se libera un lugar se promueve
+    // al primero de la lista. Devuelve { removed, wasConfirmed, promotedUid } o null si el
+    // evento no existe.
+    async cancel(eventId, uid, occurrence) {
+      return db.runTransaction(async tx => {
+        const scope = await readScope(tx, eventId, occurrence);
+        if (!scope) return null;
+        const attendeeRef = collection(eventId, occurrence).doc(uid);
+        const current = await tx.get(attendeeRef);
+        if (!current.exists) return { removed: false, wasConfirmed: false, promotedUid: null };
+
+        const wasConfirmed = !!current.data().confirmed;
+        let nextCount = wasConfirmed ? scope.confirmedCount - 1 : scope.confirmedCount;
+        let promotedUid = null;
+
+        if (wasConfirmed && hasRoom(scope.event, nextCount)) {
+          const next = await tx.get(waitlistQuery(eventId, occurrence).limit(1));
+          if (!next.empty) {
+            promotedUid = next.docs[0].id;
+            tx.update(next.docs[0].ref, { confirmed: true, status: "confirmed", promotedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+            nextCount++;
+          }
+        }
+
+        tx.delete(attendeeRef);
+        writeCounters(tx, scope, eventId, occurrence, { attendeeCount: nextCount });
+        return { removed: true, wasConfirmed, promotedUid };
+      });
+    },
+
+    // ticketId del asistente; a los anteriores a las entradas se les asigna uno. null si no está.
+    async ensureTicket(eventId, uid, occurrence) {
+      const ref = collection(eventId, occurrence).doc(uid);
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return null;
+        if (doc.get("ticketId")) return doc.get("ticketId");
+        const ticketId = crypto.randomBytes(12).toString("base64url");
+        tx.update(ref, { ticketId });
+        return ticketId;
+      });
+    },
+
+    // Registra el ingreso con la entrada `ticketId`. Devuelve { result, attendee } con result:
+    // "checked_in", "duplicate" (ya había ingresado), "not_confirmed" (en lista de espera) o
+    // "revoked" (canceló, o la entrada es de una confirmación anterior; attendee null si no está).
+    async checkIn(eventId, uid, ticketId, occurrence, { by = null } = {}) {
+      const ref = collection(eventId, occurrence).doc(uid);
+      return db.runTransaction(async tx => {
+        const attendee = toAttendee(await tx.get(ref));
+        if (!attendee || attendee.ticketId !== ticketId) return { result: "revoked", attendee };
+        if (!attendee.confirmed) return { result: "not_confirmed", attendee };
+        if (attendee.checkedInAt) return { result: "duplicate", attendee };
+        const now = new Date().toISOString();
+        const changes = { checkedInAt: now, checkedInBy: by, updatedAt: now };
+        tx.update(ref, changes);
+        return { result: "checked_in", attendee: { ...attendee, ...changes } };
+      });
+    },
+
+    // Llena los lugares libres con la lista de espera (p. ej. tras aumentar el cupo).
+    // Devuelve los uids promovidos.
+    async promoteWaitlisted(eventId, occurrence) {
+      return db.runTransaction(async tx => {
+        const scope = await readScope(tx, eventId, occurrence);
+        if (!scope) return [];
+        let q = waitlistQuery(eventId, occurrence);
+        if (scope.event.capacity) {
+          const free = scope.event.capacity - scope.confirmedCount;
+          if (free <= 0) return [];
+          q = q.limit(free);
+        }
+        const next = await tx.get(q);
+        const now = new Date().toISOString();
+        next.forEach(d => tx.update(d.ref, { confirmed: true, status: "confirmed", promotedAt: now, updatedAt: now }));
+        writeCounters(tx, scope, eventId, occurrence, { attendeeCount: scope.confirmedCount + next.size });
+        return next.docs.map(d => d.id);
+      });
+    }
+  };
+}
+
+module.exports = { createAttendeesRepository };
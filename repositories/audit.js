@@ -0,0 +1,42 @@
+// repositories/audit.js - Registro de auditoría: colección "auditLog"
+// Sólo se agregan entradas: el repositorio no expone update ni delete (en Firestore las
+// reglas deberían impedirlo también para los clientes).
+
+function toEntry(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createAuditRepository(db) {
+  const collection = () => db.collection("auditLog");
+
+  return {
+    async append(entry) {
+      const ref = await collection().add(entry);
+      return { id: ref.id, ...entry };
+    },
+
+    // Más recientes primero. since/until son ISO (since inclusivo, until exclusivo).
+    // Devuelve { items, hasMore }; `after` es el cursor { value: at, id }.
+    async query({ actorUid, action, targetType, targetId, eventId, since, until, limit, after } = {}) {
+      let q = collection();
+      if (actorUid) q = q.where("actorUid", "==", actorUid);
+      if (action) q = q.where("action", "==", action);
+      if (targetType) q = q.where("targetType", "==", targetType);
+      if (targetId) q = q.where("targetId", "==", targetId);
+      if (eventId) q = q.where("eventId", "==", eventId);
+      if (since) q = q.where("at", ">=", since);
+      if (until) q = q.where("at", "<", until);
+      q = q.orderBy("at", "desc").orderBy("__name__", "desc");
+      if (after) q = q.startAfter(after.value, after.id);
+      // pedimos uno de más para saber si hay página siguiente
+      if (limit) q = q.limit(limit + 1);
+
+      const snap = await q.get();
+      const items = snap.docs.map(toEntry);
+      const hasMore = !!limit && items.length > limit;
+      return { items: hasMore ? items.slice(0, limit) : items, hasMore };
+    }
+  };
+}
+
+module.exports = { createAuditRepository };
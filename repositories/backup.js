@@ -0,0 +1,40 @@
+// repositories/backup.js - Recorrido y escritura de documentos por path, para el volcado
+// completo de los datos y su restauración (el formato y qué se incluye están en lib/backup.js)
+
+const { commitInBatches } = require("./batches");
+
+function createBackupRepository(db) {
+  // "events/abc/comments/xyz" -> referencia al documento
+  function docRef(path) {
+    const parts = path.split("/");
+    let ref = db.collection(parts[0]).doc(parts[1]);
+    for (let i = 2; i < parts.length; i += 2) ref = ref.collection(parts[i]).doc(parts[i + 1]);
+    return ref;
+  }
+
+  return {
+    // Recorre las colecciones de `tree` ({ colección: { subcolección: {...} } }) y llama a
+    // onDoc({ path, collection, data }) por cada documento, los padres antes que sus hijos.
+    async walk(tree, onDoc, parent = null) {
+      for (const [name, children] of Object.entries(tree)) {
+        const snap = await (parent ? parent.collection(name) : db.collection(name)).get();
+        for (const doc of snap.docs) {
+          await onDoc({ path: doc.ref.path, collection: name, data: doc.data() });
+          if (Object.keys(children).length) await this.walk(children, onDoc, doc.ref);
+        }
+      }
+    },
+
+    // Escribe los documentos ({ path, data }) en batches (ver repositories/batches.js):
+    // reemplaza los que ya existen, salvo los de las colecciones en `merge` que conservan los
+    // campos que no vienen. Devuelve la cantidad escrita.
+    async writeAll(docs, { merge = [] } = {}) {
+      return commitInBatches(db, docs, (batch, { path, data }) => {
+        const collection = path.split("/").slice(-2)[0];
+        batch.set(docRef(path), data, merge.includes(collection) ? { merge: true } : {});
+      });
+    }
+  };
+}
+
+module.exports = { createBackupRepository };
@@ -0,0 +1,26 @@
+// repositories/batches.js - Escrituras en lote repartidas en varios batches
+// Firestore rechaza los batches de más de 500 escrituras, así que las operaciones que tocan una
+// cantidad de documentos que no controlamos (todos los de un usuario, los de un evento) se
+// hacen en partes de BATCH_SIZE. Cada parte es atómica; el conjunto no, por eso los que las usan
+// tienen que poder repetirse si fallan a mitad de camino.
+
+const BATCH_SIZE = 400;
+
+// write(batch, item) agrega las escrituras de un item; writesPerItem: cuántas agrega cada uno
+// (las de un mismo item quedan siempre en el mismo batch). Devuelve la cantidad de items.
+async function commitInBatches(db, items, write, { writesPerItem = 1 } = {}) {
+  const perBatch = Math.max(1, Math.floor(BATCH_SIZE / writesPerItem));
+  for (let i = 0; i < items.length; i += perBatch) {
+    const batch = db.batch();
+    items.slice(i, i + perBatch).forEach(item => write(batch, item));
+    await batch.commit();
+  }
+  return items.length;
+}
+
+// Borra los documentos de `refs` (referencias); devuelve cuántos
+function deleteAll(db, refs) {
+  return commitInBatches(db, refs, (batch, ref) => batch.delete(ref));
+}
+
+module.exports = { commitInBatches, deleteAll, BATCH_SIZE };
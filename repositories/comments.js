@@ -0,0 +1,124 @@
+// repositories/comments.js - Acceso a la subcolección events/{id}/comments
+// En eventos recurrentes los comentarios pueden ser de una ocurrencia:
+// events/{id}/occurrences/{día}/comments (parámetro opcional `occurrence`).
+// Eliminar un comentario lo manda a la papelera (`deletedAt`, como los eventos): deja de
+// aparecer en get y en los listados hasta que se restaura o se purga.
+// Los listados traen sólo los publicados (`status`, ver lib/moderation.js); get devuelve también
+// los retenidos u ocultos por moderación. Las reacciones de cada usuario van en la subcolección
+// comments/{cid}/reactions/{uid} y los totales por emoji en `reactions` del comentario.
+const { scopeRef } = require("./occurrences");
+const { commitInBatches, deleteAll } = require("./batches");
+
+function toComment(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+const isLive = comment => !comment.deletedAt;
+const isVisible = comment => isLive(comment) && (!comment.status || comment.status === "published");
+
+// events/{id}/comments/{cid} o events/{id}/occurrences/{día}/comments/{cid}
+function scopeOf(doc) {
+  const parts = doc.ref.path.split("/");
+  return { eventId: parts[1], occurrence: parts[2] === "occurrences" ? parts[3] : null };
+}
+
+function createCommentsRepository(db) {
+  const collection = (eventId, occurrence) => scopeRef(db, eventId, occurrence).collection("comments");
+
+  return {
+    // null si no existe o está en la papelera (salvo includeDeleted)
+    async get(eventId, cid, occurrence, { includeDeleted = false } = {}) {
+      const comment = toComment(await collection(eventId, occurrence).doc(cid).get());
+      return comment && (includeDeleted || isLive(comment)) ? comment : null;
+    },
+
+    // publicados, más recientes primero
+    async list(eventId, occurrence) {
+      const snap = await collection(eventId, occurrence).orderBy("createdAt", "desc").get();
+      return snap.docs.map(toComment).filter(isVisible);
+    },
+
+    // todos los comentarios publicados de todos los eventos (y ocurrencias), con su eventId
+    async listAll() {
+      const snap = await db.collectionGroup("comments").get();
+      return snap.docs.map(d => ({ eventId: scopeOf(d).eventId, ...toComment(d) })).filter(isVisible);
+    },
+
+    // comentarios en la papelera de un evento (o de una ocurrencia), los más recientes primero
+    async listTrashed(eventId, occurrence) {
+      const snap = await collection(eventId, occurrence).where("deletedAt", ">", "").orderBy("deletedAt", "desc").get();
+      return snap.docs.map(toComment);
+    },
+
+    // comentarios de cualquier evento eliminados antes de `before` (ISO), con eventId y occurrence
+    async listTrashedBefore(before) {
+      const snap = await db.collectionGroup("comments").where("deletedAt", ">", "").where("deletedAt", "<", before).get();
+      return snap.docs.map(d => ({ ...scopeOf(d), ...toComment(d) }));
+    },
+
+    async create(eventId, data, occurrence) {
+      const ref = await collection(eventId, occurrence).add(data);
+      return { id: ref.id, ...data };
+    },
+
+    async update(eventId, cid, changes, occurrence) {
+      await collection(eventId, occurrence).doc(cid).update(changes);
+      return this.get(eventId, cid, occurrence);
+    },
+
+    async trash(eventId, cid, { deletedBy = null } = {}, occurrence) {
+      await collection(eventId, occurrence).doc(cid).update({ deletedAt: new Date().toISOString(), deletedBy });
+    },
+
+    async restore(eventId, cid, occurrence) {
+      await collection(eventId, occurrence).doc(cid).update({ deletedAt: null, deletedBy: null });
+      return this.get(eventId, cid, occurrence);
+    },
+
+    // Agrega (on) o quita la reacción `emoji` del usuario. Devuelve { reactions, mine }: los
+    // totales por emoji y las reacciones del usuario en ese comentario.
+    async react(eventId, cid, uid, emoji, on, occurrence) {
+      const ref = collection(eventId, occurrence).doc(cid);
+      const reactionRef = ref.collection("reactions").doc(uid);
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        const reactionDoc = await tx.get(reactionRef);
+        const reactions = { ...(doc.get("reactions") || {}) };
+        const mine = reactionDoc.exists ? reactionDoc.get("emojis") || [] : [];
+        if (mine.includes(emoji) === on) return { reactions, mine };
+
+        reactions[emoji] = (reactions[emoji] || 0) + (on ? 1 : -1);
+        if (reactions[emoji] <= 0) delete reactions[emoji];
+        const emojis = on ? [...mine, emoji] : mine.filter(e => e !== emoji);
+        tx.update(ref, { reactions });
+        if (emojis.length) tx.set(reactionRef, { uid, emojis });
+        else tx.delete(reactionRef);
+        return { reactions, mine: emojis };
+      });
+    },
+
+    // Desvincula del usuario todos sus comentarios (también los de la papelera): sin uid y con
+    // `username` genérico. Devuelve los comentarios actualizados con eventId y occurrence.
+    async anonymizeByUser(uid, username) {
+      const snap = await db.collectionGroup("comments").where("uid", "==", uid).get();
+      const changes = { uid: null, username, anonymized: true };
+      await commitInBatches(db, snap.docs, (batch, d) => batch.update(d.ref, changes));
+      return snap.docs.map(d => ({ ...scopeOf(d), ...toComment(d), ...changes }));
+    },
+
+    // Borra las reacciones del usuario en cualquier comentario (los totales quedan)
+    async deleteReactionsByUser(uid) {
+      const snap = await db.collectionGroup("reactions").where("uid", "==", uid).get();
+      await deleteAll(db, snap.docs.map(d => d.ref));
+    },
+
+    // elimina para siempre, con sus reacciones (el comentario al final, ver repositories/batches.js)
+    async purge(eventId, cid, occurrence) {
+      const ref = collection(eventId, occurrence).doc(cid);
+      await deleteAll(db, (await ref.collection("reactions").get()).docs.map(r => r.ref));
+      await ref.delete();
+    }
+  };
+}
+
+module.exports = { createCommentsRepository };
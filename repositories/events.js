@@ -0,0 +1,256 @@
+// repositories/events.js - Acceso a la colección "events" (con sus subcolecciones)
+//
+// Papelera: eliminar un evento sólo le pone `deletedAt` / `deletedBy` (sus comentarios y
+// asistentes quedan intactos) y desde ahí no aparece en get, listados ni búsquedas. `restore`
+// lo devuelve tal cual estaba y `purge` lo borra para siempre con sus subcolecciones.
+
+const { deleteAll } = require("./batches");
+
+// Campos del doc que son de uso interno y no salen en las respuestas, los streams ni las
+// exportaciones: waitlistSeq es el contador de la lista de espera (ver repositories/attendees.js)
+const INTERNAL_FIELDS = ["waitlistSeq"];
+
+function toEvent(doc) {
+  if (!doc.exists) return null;
+  const event = { id: doc.id, ...doc.data() };
+  INTERNAL_FIELDS.forEach(field => delete event[field]);
+  return event;
+}
+
+// los eventos anteriores a la papelera no tienen `deletedAt` y los restaurados lo tienen en null
+const isLive = event => !event.deletedAt;
+
+function createEventsRepository(db) {
+  const collection = () => db.collection("events");
+
+  // uid -> días de los asistentes confirmados (vacío si asistía al evento completo)
+  async function confirmedAttendees(eventRef) {
+    const attendeeOccurrences = {};
+    const collect = (snap, day) => snap.forEach(a => {
+      if (!a.get("confirmed")) return;
+      attendeeOccurrences[a.id] = attendeeOccurrences[a.id] || [];
+      if (day) attendeeOccurrences[a.id].push(day);
+    });
+    collect(await eventRef.collection("attendees").get());
+    const occurrencesSnap = await eventRef.collection("occurrences").get();
+    for (const occ of occurrencesSnap.docs) collect(await occ.ref.collection("attendees").get(), occ.id);
+    return attendeeOccurrences;
+  }
+
+  return {
+    // null si no existe o está en la papelera (salvo includeDeleted)
+    async get(id, { includeDeleted = false } = {}) {
+      const event = toEvent(await collection().doc(id).get());
+      return event && (includeDeleted || isLive(event)) ? event : null;
+    },
+
+    async listAll() {
+      const snap = await collection().get();
+      return snap.docs.map(toEvent).filter(isLive);
+    },
+
+    // Listado filtrado y ordenado. Filtros opcionales: creatorUid, location (igualdad exacta),
+    // dateGte / dateLt (rango sobre "date"). El desempate es por id para que el cursor sea estable.
+    // Con Firestore cada combinación de filtros + orden necesita su índice compuesto.
+    // excludeRecurring descarta las series recurrentes (sus ocurrencias se expanden aparte);
+    // como los eventos viejos no tienen el campo `recurring`, el filtro se hace en memoria
+    // (igual que el de la papelera). visible(evento) (async) descarta además los que el usuario
+    // no debe ver en un listado (ver lib/visibility.js).
+    async query({ creatorUid, location, dateGte, dateLt, sort = "createdAt", direction = "desc", limit, after, excludeRecurring = false, visible } = {}) {
+      let q = collection();
+      if (creatorUid) q = q.where("creatorUid", "==", creatorUid);
+      if (location) q = q.where("location", "==", location);
+      if (dateGte) q = q.where("date", ">=", dateGte);
+      if (dateLt) q = q.where("date", "<", dateLt);
+      q = q.orderBy(sort, direction).orderBy("__name__", direction);
+
+      const items = [];
+      let cursor = after;
+      for (;;) {
+        let page = cursor ? q.startAfter(cursor.value, cursor.id) : q;
+        // pedimos uno de más para saber si hay página siguiente
+        if (limit) page = page.limit(limit + 1);
+        const snap = await page.get();
+        for (const ev of snap.docs.map(toEvent)) {
+          if (isLive(ev) && (!excludeRecurring || !ev.recurring) && (!visible || await visible(ev))) items.push(ev);
+        }
+        if (!limit || snap.size < limit + 1 || items.length > limit) break;
+        const last = snap.docs[snap.size - 1];
+        cursor = { value: last.get(sort), id: last.id };
+      }
+
+      const hasMore = !!limit && items.length > limit;
+      return { items: hasMore ? items.slice(0, limit) : items, hasMore };
+    },
+
+    // series recurrentes (opcionalmente de un creador)
+    async listRecurring({ creatorUid } = {}) {
+      let q = collection().where("recurring", "==", true);
+      if (creatorUid) q = q.where("creatorUid", "==", creatorUid);
+      const snap = await q.get();
+      return snap.docs.map(toEvent).filter(isLive);
+    },
+
+    // Eventos en la papelera, los eliminados más recientemente primero. Opcionales: creatorUid
+    // y before (ISO, sólo los eliminados antes de esa fecha; lo usa la purga).
+    async listTrashed({ creatorUid, before } = {}) {
+      let q = collection().where("deletedAt", ">", "");
+      if (creatorUid) q = q.where("creatorUid", "==", creatorUid);
+      if (before) q = q.where("deletedAt", "<", before);
+      const snap = await q.orderBy("deletedAt", "desc").get();
+      return snap.docs.map(toEvent);
+    },
+
+    // Mejor calificados primero (por ratingSummary.score, ver repositories/ratings.js); sólo los
+    // que tienen al menos `minCount` calificaciones. Devuelve { items, hasMore } como query
+    // (también con su filtro `visible`).
+    async topRated({ minCount = 1, limit, after, visible } = {}) {
+      const q = collection().where("ratingSummary.score", ">", 0).orderBy("ratingSummary.score", "desc").orderBy("__name__", "desc");
+      const items = [];
+      let cursor = after;
+      for (;;) {
+        let page = cursor ? q.startAfter(cursor.value, cursor.id) : q;
+        if (limit) page = page.limit(limit + 1);
+        const snap = await page.get();
+        for (const ev of snap.docs.map(toEvent)) {
+          if (isLive(ev) && ev.ratingSummary.count >= minCount && (!visible || await visible(ev))) items.push(ev);
+        }
+        if (!limit || snap.size < limit + 1 || items.length > limit) break;
+        const last = snap.docs[snap.size - 1];
+        cursor = { value: last.get("ratingSummary.score"), id: last.id };
+      }
+      const hasMore = !!limit && items.length > limit;
+      return { items: hasMore ? items.slice(0, limit) : items, hasMore };
+    },
+
+    // Eventos con coordenadas cuyo `geohash` empieza con alguno de los prefijos (ver lib/geo.js);
+    // una consulta de rango por prefijo. "" trae todos los que tienen coordenadas.
+    async listByGeohash(prefixes) {
+      const found = new Map();
+      for (const prefix of prefixes) {
+        const snap = await collection().where("geohash", ">=", prefix).where("geohash", "<", `${prefix}~`).get();
+        snap.docs.map(toEvent).forEach(ev => {
+          if (isLive(ev)) found.set(ev.id, ev);
+        });
+      }
+      return [...found.values()];
+    },
+
+    async create(data) {
+      const ref = await collection().add(data);
+      return { id: ref.id, ...data };
+    },
+
+    // Alta de varios eventos en batches de `batchSize` (importaciones); devuelve los creados.
+    // Los batches no son atómicos entre sí: si uno falla, el error lleva en `created` los
+    // eventos de los batches que ya se guardaron.
+    async createMany(list, { batchSize = 400 } = {}) {
+      const created = [];
+      for (let i = 0; i < list.length; i += batchSize) {
+        const batch = db.batch();
+        const chunk = list.slice(i, i + batchSize).map(data => {
+          const ref = collection().doc();
+          batch.set(ref, data);
+          return { id: ref.id, ...data };
+        });
+        try {
+          await batch.commit();
+        } catch (e) {
+          e.created = created;
+          throw e;
+        }
+        created.push(...chunk);
+      }
+      return created;
+    },
+
+    async update(id, changes) {
+      await collection().doc(id).update(changes);
+      return this.get(id);
+    },
+
+    // Mueve el evento a la papelera y deja un registro en eventTombstones con quiénes asistían
+    // para publicar la cancelación en los calendarios.
+    async trash(id, { deletedBy = null } = {}) {
+      const eventRef = collection().doc(id);
+      const eventDoc = await eventRef.get();
+      if (!eventDoc.exists) return null;
+      const event = eventDoc.data();
+      const deletedAt = new Date().toISOString();
+      const attendeeOccurrences = await confirmedAttendees(eventRef);
+
+      const batch = db.batch();
+      batch.update(eventRef, { deletedAt, deletedBy });
+      batch.set(db.collection("eventTombstones").doc(id), {
+        title: event.title || null,
+        date: event.date || null,
+        location: event.location || null,
+        description: event.description || null,
+        creatorUid: event.creatorUid || null,
+        createdAt: event.createdAt || null,
+        recurring: !!event.recurring,
+        recurrence: event.recurrence || null,
+        // los .ics de un evento privado eliminado siguen siendo sólo para sus invitados
+        visibility: event.visibility || "public",
+        coOrganizers: event.coOrganizers || [],
+        sequence: (event.sequence || 0) + 1,
+        deletedAt,
+        attendeeUids: Object.keys(attendeeOccurrences),
+        attendeeOccurrences
+      });
+      await batch.commit();
+      return { id, ...event, deletedAt, deletedBy };
+    },
+
+    // Saca el evento de la papelera. La sequence queda por encima de la del registro de
+    // eliminación para que los calendarios lo vuelvan a mostrar.
+    async restore(id) {
+      const eventRef = collection().doc(id);
+      const eventDoc = await eventRef.get();
+      if (!eventDoc.exists) return null;
+      const batch = db.batch();
+      batch.update(eventRef, {
+        deletedAt: null,
+        deletedBy: null,
+        sequence: (eventDoc.get("sequence") || 0) + 2,
+        updatedAt: new Date().toISOString()
+      });
+      batch.delete(db.collection("eventTombstones").doc(id));
+      await batch.commit();
+      return this.get(id);
+    },
+
+    // Elimina para siempre el evento junto con sus subcolecciones comments (con sus reacciones),
+    // attendees y ratings (también las de cada ocurrencia), attachments, dailyStats e
+    // invitations. Se borra en varios batches (ver repositories/batches.js) y el doc del evento
+    // va último, así que si falla a mitad de camino el evento sigue en la papelera y la próxima
+    // purga termina el trabajo. El registro de eventTombstones se mantiene; los archivos los
+    // borra lib/trash.js.
+    async purge(id) {
+      const eventRef = collection().doc(id);
+      const refs = [];
+      const collectChildren = async ref => {
+        const commentsSnap = await ref.collection("comments").get();
+        for (const c of commentsSnap.docs) {
+          (await c.ref.collection("reactions").get()).forEach(r => refs.push(r.ref));
+          refs.push(c.ref);
+        }
+        (await ref.collection("attendees").get()).forEach(a => refs.push(a.ref));
+        (await ref.collection("ratings").get()).forEach(r => refs.push(r.ref));
+      };
+      await collectChildren(eventRef);
+      (await eventRef.collection("attachments").get()).forEach(a => refs.push(a.ref));
+      (await eventRef.collection("dailyStats").get()).forEach(d => refs.push(d.ref));
+      (await eventRef.collection("invitations").get()).forEach(i => refs.push(i.ref));
+      const occurrencesSnap = await eventRef.collection("occurrences").get();
+      for (const occ of occurrencesSnap.docs) {
+        await collectChildren(occ.ref);
+        refs.push(occ.ref);
+      }
+      await deleteAll(db, refs);
+      await eventRef.delete();
+    }
+  };
+}
+
+module.exports = { createEventsRepository };
@@ -0,0 +1,45 @@
+// repositories/index.js - Repositorios de la API sobre el backend elegido en storage/
+// Todos hablan el mismo subconjunto de la API de Firestore, por lo que funcionan igual
+// con Firestore real o con el backend local.
+const { createUsersRepository } = require("./users");
+const { createEventsRepository } = require("./events");
+const { createCommentsRepository } = require("./comments");
+const { createAttendeesRepository } = require("./attendees");
+const { createOccurrencesRepository } = require("./occurrences");
+const { createTombstonesRepository } = require("./tombstones");
+const { createRefreshTokensRepository, createRevokedTokensRepository } = require("./tokens");
+const { createRateLimitStore } = require("./rateLimits");
+const { createAuditRepository } = require("./audit");
+const { createNotificationsRepository } = require("./notifications");
+const { createRemindersRepository } = require("./reminders");
+const { createModerationRepository } = require("./moderation");
+const { createRatingsRepository } = require("./ratings");
+const { createAttachmentsRepository } = require("./attachments");
+const { createStatsRepository } = require("./stats");
+const { createBackupRepository } = require("./backup");
+const { createInvitationsRepository } = require("./invitations");
+
+function createRepositories(db) {
+  return {
+    users: createUsersRepository(db),
+    events: createEventsRepository(db),
+    comments: createCommentsRepository(db),
+    attendees: createAttendeesRepository(db),
+    occurrences: createOccurrencesRepository(db),
+    tombstones: createTombstonesRepository(db),
+    refreshTokens: createRefreshTokensRepository(db),
+    revokedTokens: createRevokedTokensRepository(db),
+    rateLimits: createRateLimitStore(db),
+    audit: createAuditRepository(db),
+    notifications: createNotificationsRepository(db),
+    reminders: createRemindersRepository(db),
+    moderation: createModerationRepository(db),
+    ratings: createRatingsRepository(db),
+    attachments: createAttachmentsRepository(db),
+    stats: createStatsRepository(db),
+    backup: createBackupRepository(db),
+    invitations: createInvitationsRepository(db)
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,80 @@
+// repositories/invitations.js - Invitaciones a eventos privados: events/{id}/invitations/{id}
+// Cada doc es { email, uid, status, via, invitedBy, createdAt, respondedAt }:
+//  - via "email": la mandó un organizador a `email`; `uid` queda en null hasta que la acepta
+//    (o desde el principio, si ya había una cuenta con ese email).
+//  - via "link": se creó al aceptar el enlace de invitación del evento; no tiene email.
+// status: pending, accepted o declined. Las pendientes y aceptadas dejan ver el evento.
+
+const { deleteAll } = require("./batches");
+
+function toInvitation(doc) {
+  if (!doc.exists) return null;
+  // events/{eventId}/invitations/{id}
+  return { id: doc.id, eventId: doc.ref.path.split("/")[1], ...doc.data() };
+}
+
+const isActive = invitation => invitation.status !== "declined";
+
+function createInvitationsRepository(db) {
+  const collection = eventId => db.collection("events").doc(eventId).collection("invitations");
+
+  return {
+    async get(eventId, id) {
+      return toInvitation(await collection(eventId).doc(id).get());
+    },
+
+    // las más antiguas primero; opcional: status
+    async list(eventId, { status } = {}) {
+      let q = collection(eventId);
+      if (status) q = q.where("status", "==", status);
+      const snap = await q.orderBy("createdAt", "asc").get();
+      return snap.docs.map(toInvitation);
+    },
+
+    // La invitación de un usuario a un evento: la que ya tiene su uid o, si no, la enviada a su email
+    async findFor(eventId, { uid, email }) {
+      if (uid) {
+        const snap = await collection(eventId).where("uid", "==", uid).limit(1).get();
+        if (!snap.empty) return toInvitation(snap.docs[0]);
+      }
+      if (email) {
+        const snap = await collection(eventId).where("email", "==", email.toLowerCase()).limit(1).get();
+        if (!snap.empty) return toInvitation(snap.docs[0]);
+      }
+      return null;
+    },
+
+    async create(eventId, data) {
+      const ref = await collection(eventId).add(data);
+      return { id: ref.id, eventId, ...data };
+    },
+
+    async update(eventId, id, changes) {
+      await collection(eventId).doc(id).update(changes);
+      return this.get(eventId, id);
+    },
+
+    async delete(eventId, id) {
+      await collection(eventId).doc(id).delete();
+    },
+
+    // invitaciones de un usuario en todos los eventos, las más recientes primero
+    async listByUser(uid) {
+      const snap = await db.collectionGroup("invitations").where("uid", "==", uid).get();
+      return snap.docs.map(toInvitation).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    // ids de los eventos a los que el usuario está invitado (pendiente o aceptada)
+    async eventIdsForUser(uid) {
+      return new Set((await this.listByUser(uid)).filter(isActive).map(i => i.eventId));
+    },
+
+    // Borra las invitaciones del usuario (baja de la cuenta); devuelve cuántas
+    async deleteForUser(uid) {
+      const snap = await db.collectionGroup("invitations").where("uid", "==", uid).get();
+      return deleteAll(db, snap.docs.map(d => d.ref));
+    }
+  };
+}
+
+module.exports = { createInvitationsRepository, isActive };
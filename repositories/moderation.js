@@ -0,0 +1,119 @@
+// repositories/moderation.js - Cola de moderación de comentarios: colección "moderationQueue"
+// Un doc por comentario señalado (reportado o retenido por el filtro), con `status` pending,
+// approved o hidden. Cada reporte es un doc de la subcolección "reports" con el uid de quien
+// reportó como id, así nadie reporta dos veces el mismo comentario. Un reporte nuevo sobre un
+// comentario ya revisado lo vuelve a poner pendiente.
+const { commitInBatches, deleteAll } = require("./batches");
+
+function toItem(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// ids de Firestore sin "/"; un comentario de una ocurrencia es distinto del de la serie
+function itemId(eventId, occurrence, commentId) {
+  return `${eventId}_${occurrence || "-"}_${commentId}`;
+}
+
+const union = (a, b) => [...new Set([...(a || []), ...(b || [])])];
+
+function createModerationRepository(db) {
+  const collection = () => db.collection("moderationQueue");
+
+  // cada item después de sus reportes, así un borrado a medias se puede repetir
+  async function deleteItems(docs) {
+    const refs = [];
+    for (const doc of docs) {
+      (await doc.ref.collection("reports").get()).forEach(r => refs.push(r.ref));
+      refs.push(doc.ref);
+    }
+    await deleteAll(db, refs);
+  }
+
+  return {
+    async get(id) {
+      return toItem(await collection().doc(id).get());
+    },
+
+    // Agrega el comentario a la cola (o lo vuelve a poner pendiente). reason: "report" o
+    // "blocklist"; matches: palabras bloqueadas encontradas; report: { uid, reason, details }.
+    // Devuelve { item, duplicate } (duplicate: ese usuario ya lo había reportado).
+    async flag({ eventId, occurrence = null, comment, reason, matches = [], report = null }) {
+      const ref = collection().doc(itemId(eventId, occurrence, comment.id));
+      const reportRef = report ? ref.collection("reports").doc(report.uid) : null;
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        if (reportRef && (await tx.get(reportRef)).exists) return { item: toItem(doc), duplicate: true };
+        const now = new Date().toISOString();
+        const current = doc.exists ? doc.data() : {
+          eventId,
+          occurrence,
+          commentId: comment.id,
+          reasons: [],
+          matches: [],
+          reportCount: 0,
+          createdAt: now
+        };
+        const data = {
+          ...current,
+          authorUid: comment.uid || null,
+          excerpt: String(comment.comment || "").slice(0, 500),
+          reasons: union(current.reasons, [reason]),
+          matches: union(current.matches, matches),
+          reportCount: current.reportCount + (report ? 1 : 0),
+          status: "pending",
+          updatedAt: now,
+          resolvedAt: null,
+          resolvedBy: null,
+          decision: null,
+          note: null
+        };
+        tx.set(ref, data);
+        if (reportRef) tx.set(reportRef, { ...report, at: now });
+        return { item: { id: ref.id, ...data }, duplicate: false };
+      });
+    },
+
+    // Los más antiguos primero. Devuelve { items, hasMore }; `after` es el cursor { value: createdAt, id }.
+    async list({ status = "pending", limit, after } = {}) {
+      let q = collection().where("status", "==", status).orderBy("createdAt", "asc").orderBy("__name__", "asc");
+      if (after) q = q.startAfter(after.value, after.id);
+      if (limit) q = q.limit(limit + 1);
+      const snap = await q.get();
+      const items = snap.docs.map(toItem);
+      const hasMore = !!limit && items.length > limit;
+      return { items: hasMore ? items.slice(0, limit) : items, hasMore };
+    },
+
+    async listReports(id) {
+      const snap = await collection().doc(id).collection("reports").orderBy("at", "asc").get();
+      return snap.docs.map(d => d.data());
+    },
+
+    // decision: approve, hide o ban; status: approved o hidden
+    async resolve(id, { status, decision, by, note = null }) {
+      const changes = { status, decision, resolvedBy: by, resolvedAt: new Date().toISOString(), note };
+      await collection().doc(id).update(changes);
+      return this.get(id);
+    },
+
+    async deleteForComment(eventId, commentId, occurrence) {
+      const doc = await collection().doc(itemId(eventId, occurrence, commentId)).get();
+      if (doc.exists) await deleteItems([doc]);
+    },
+
+    async deleteForEvent(eventId) {
+      const snap = await collection().where("eventId", "==", eventId).get();
+      await deleteItems(snap.docs);
+    },
+
+    // Al eliminar una cuenta: se borran sus reportes (los contadores quedan) y se desvincula
+    // de los comentarios suyos que están en la cola.
+    async forgetUser(uid) {
+      await deleteAll(db, (await db.collectionGroup("reports").where("uid", "==", uid).get()).docs.map(d => d.ref));
+      const queued = await collection().where("authorUid", "==", uid).get();
+      await commitInBatches(db, queued.docs, (batch, d) => batch.update(d.ref, { authorUid: null }));
+    }
+  };
+}
+
+module.exports = { createModerationRepository };
@@ -0,0 +1,59 @@
+// repositories/notifications.js - Bandeja de notificaciones in-app: colección "notifications"
+// Cada doc es de un usuario (`uid`); `readAt` es null mientras no se lee.
+const { commitInBatches, deleteAll } = require("./batches");
+
+function toNotification(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createNotificationsRepository(db) {
+  const collection = () => db.collection("notifications");
+  const unreadQuery = uid => collection().where("uid", "==", uid).where("readAt", "==", null);
+
+  return {
+    async create(data) {
+      const ref = await collection().add(data);
+      return { id: ref.id, ...data };
+    },
+
+    // Más recientes primero; con unreadOnly sólo las no leídas. Devuelve { items, hasMore };
+    // `after` es el cursor { value: createdAt, id }.
+    async listByUser(uid, { unreadOnly = false, limit, after } = {}) {
+      let q = unreadOnly ? unreadQuery(uid) : collection().where("uid", "==", uid);
+      q = q.orderBy("createdAt", "desc").orderBy("__name__", "desc");
+      if (after) q = q.startAfter(after.value, after.id);
+      // pedimos uno de más para saber si hay página siguiente
+      if (limit) q = q.limit(limit + 1);
+      const snap = await q.get();
+      const items = snap.docs.map(toNotification);
+      const hasMore = !!limit && items.length > limit;
+      return { items: hasMore ? items.slice(0, limit) : items, hasMore };
+    },
+
+    async countUnread(uid) {
+      const snap = await unreadQuery(uid).count().get();
+      return snap.data().count;
+    },
+
+    // Marca como leídas las notificaciones `ids` del usuario (las de otros se ignoran) o, sin
+    // ids, todas las no leídas. Devuelve cuántas cambiaron.
+    async markRead(uid, ids) {
+      const readAt = new Date().toISOString();
+      let docs;
+      if (ids) {
+        const snaps = await Promise.all(ids.map(id => collection().doc(id).get()));
+        docs = snaps.filter(d => d.exists && d.get("uid") === uid && !d.get("readAt"));
+      } else {
+        docs = (await unreadQuery(uid).get()).docs;
+      }
+      return commitInBatches(db, docs, (batch, d) => batch.update(d.ref, { readAt }));
+    },
+
+    async deleteForUser(uid) {
+      const snap = await collection().where("uid", "==", uid).get();
+      await deleteAll(db, snap.docs.map(d => d.ref));
+    }
+  };
+}
+
+module.exports = { createNotificationsRepository };
@@ -0,0 +1,55 @@
+// repositories/occurrences.js - Ocurrencias de eventos recurrentes: events/{id}/occurrences/{día}
+// Sólo existen documentos para las ocurrencias con cambios (overrides), canceladas o con
+// asistentes/comentarios; el resto se calcula a partir de la regla del evento.
+
+function toOccurrence(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// Documento del que cuelgan attendees y comments: el evento, o la ocurrencia si se indica
+function scopeRef(db, eventId, occurrence) {
+  const eventRef = db.collection("events").doc(eventId);
+  return occurrence ? eventRef.collection("occurrences").doc(occurrence) : eventRef;
+}
+
+function createOccurrencesRepository(db) {
+  const collection = eventId => db.collection("events").doc(eventId).collection("occurrences");
+
+  return {
+    async get(eventId, day) {
+      return toOccurrence(await collection(eventId).doc(day).get());
+    },
+
+    // { día: ocurrencia } con todos los documentos de la serie
+    async mapByDay(eventId) {
+      const snap = await collection(eventId).get();
+      const out = {};
+      snap.forEach(d => { out[d.id] = toOccurrence(d); });
+      return out;
+    },
+
+    // crea el documento si no existe (para colgar subcolecciones de él)
+    async ensure(eventId, day) {
+      await collection(eventId).doc(day).set({ eventId, day }, { merge: true });
+    },
+
+    async setOverrides(eventId, day, overrides) {
+      const current = await this.get(eventId, day);
+      const merged = { ...(current && current.overrides), ...overrides };
+      // sequence: cambios de esta ocurrencia, para el SEQUENCE del .ics
+      const sequence = ((current && current.sequence) || 0) + 1;
+      await collection(eventId).doc(day).set({ eventId, day, overrides: merged, sequence, updatedAt: new Date().toISOString() }, { merge: true });
+      return this.get(eventId, day);
+    },
+
+    async cancel(eventId, day) {
+      const current = await this.get(eventId, day);
+      const now = new Date().toISOString();
+      const sequence = ((current && current.sequence) || 0) + 1;
+      await collection(eventId).doc(day).set({ eventId, day, cancelled: true, cancelledAt: now, sequence, updatedAt: now }, { merge: true });
+      return this.get(eventId, day);
+    }
+  };
+}
+
+module.exports = { createOccurrencesRepository, scopeRef };
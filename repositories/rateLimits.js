@@ -0,0 +1,55 @@
+// repositories/rateLimits.js - Store compartido para lib/rateLimit.js: colección "rateLimits"
+// Sirve cuando hay varias instancias de la API detrás del balanceador. Cada clave es un doc
+// con `expiresAt` (ms); los vencidos se ignoran y se sobrescriben. En Firestore conviene
+// además una política TTL sobre `expiresAtDate` para que se borren solos.
+
+function docId(key) {
+  // los ids de Firestore no admiten "/"
+  return encodeURIComponent(key);
+}
+
+function createRateLimitStore(db) {
+  const collection = () => db.collection("rateLimits");
+
+  async function read(key) {
+    const doc = await collection().doc(docId(key)).get();
+    if (!doc.exists) return null;
+    const data = doc.data();
+    return data.expiresAt > Date.now() ? data : null;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const ref = collection().doc(docId(key));
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        const now = Date.now();
+        const current = doc.exists ? doc.data() : null;
+        if (!current || current.expiresAt <= now) {
+          const resetAt = now + windowMs;
+          tx.set(ref, { key, value: { count: 1, resetAt }, expiresAt: resetAt, expiresAtDate: new Date(resetAt) });
+          return { count: 1, resetAt };
+        }
+        const value = { count: current.value.count + 1, resetAt: current.value.resetAt };
+        tx.update(ref, { value });
+        return value;
+      });
+    },
+
+    async get(key) {
+      const data = await read(key);
+      return data ? data.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const expiresAt = Date.now() + ttlMs;
+      await collection().doc(docId(key)).set({ key, value, expiresAt, expiresAtDate: new Date(expiresAt) });
+    },
+
+    async delete(key) {
+      await collection().doc(docId(key)).delete();
+    }
+  };
+}
+
+module.exports = { createRateLimitStore };
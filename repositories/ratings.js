@@ -0,0 +1,138 @@
+// repositories/ratings.js - Calificaciones: subcolección events/{id}/ratings (o de una ocurrencia)
+// Una por usuario: el id del documento es el uid. Los totales se guardan en `ratingSummary`
+// ({ count, sum, average, score, distribution }) del evento y, si es de una ocurrencia, también
+// en la ocurrencia; el del evento suma las de todas sus ocurrencias. Cada alta, cambio o baja
+// actualiza la calificación y los totales en la misma transacción.
+//
+// `score` es el promedio ponderado con PRIOR (como si hubiera PRIOR.weight calificaciones de
+// PRIOR.mean): ordena el ranking sin que un único 5 le gane a veinte 4,8.
+const crypto = require("crypto");
+const { scopeRef } = require("./occurrences");
+const { commitInBatches } = require("./batches");
+
+const PRIOR = { mean: 3, weight: 5 };
+const STARS = [1, 2, 3, 4, 5];
+
+function toRating(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function emptySummary() {
+  return { count: 0, sum: 0, average: 0, score: 0, distribution: Object.fromEntries(STARS.map(s => [s, 0])) };
+}
+
+// totales después de quitar la calificación `before` y agregar `after` (cualquiera puede ser null)
+function applyRating(summary, before, after) {
+  const out = { ...emptySummary(), ...summary };
+  out.distribution = { ...emptySummary().distribution, ...out.distribution };
+  if (before) {
+    out.count--;
+    out.sum -= before;
+    out.distribution[before]--;
+  }
+  if (after) {
+    out.count++;
+    out.sum += after;
+    out.distribution[after]++;
+  }
+  out.average = out.count ? out.sum / out.count : 0;
+  out.score = out.count ? (out.sum + PRIOR.mean * PRIOR.weight) / (out.count + PRIOR.weight) : 0;
+  return out;
+}
+
+function createRatingsRepository(db) {
+  const eventRef = eventId => db.collection("events").doc(eventId);
+  const collection = (eventId, occurrence) => scopeRef(db, eventId, occurrence).collection("ratings");
+
+  // Cambia la calificación del usuario (value null la quita) y los totales. Devuelve
+  // { before, rating, summary } con los totales del alcance (evento u ocurrencia), o null si el
+  // evento no existe o está en la papelera.
+  async function write(eventId, uid, value, occurrence) {
+    const ratingRef = collection(eventId, occurrence).doc(uid);
+    const occurrenceRef = occurrence ? scopeRef(db, eventId, occurrence) : null;
+    return db.runTransaction(async tx => {
+      const eventDoc = await tx.get(eventRef(eventId));
+      if (!eventDoc.exists || eventDoc.get("deletedAt")) return null;
+      const occurrenceDoc = occurrenceRef ? await tx.get(occurrenceRef) : null;
+      const ratingDoc = await tx.get(ratingRef);
+      const before = toRating(ratingDoc);
+      const previous = before ? before.rating : null;
+
+      const eventSummary = applyRating(eventDoc.get("ratingSummary"), previous, value);
+      tx.update(eventRef(eventId), { ratingSummary: eventSummary });
+      let summary = eventSummary;
+      if (occurrenceRef) {
+        summary = applyRating(occurrenceDoc.exists ? occurrenceDoc.get("ratingSummary") : null, previous, value);
+        tx.set(occurrenceRef, { eventId, day: occurrence, ratingSummary: summary }, { merge: true });
+      }
+
+      let rating = null;
+      if (value) {
+        const now = new Date().toISOString();
+        rating = {
+          uid,
+          rating: value,
+          ...(occurrence ? { occurrence } : {}),
+          createdAt: before ? before.createdAt : now,
+          updatedAt: now
+        };
+        tx.set(ratingRef, rating);
+        rating = { id: uid, ...rating };
+      } else if (before) {
+        tx.delete(ratingRef);
+      }
+      return { before, rating, summary };
+    });
+  }
+
+  return {
+    async get(eventId, uid, occurrence) {
+      return toRating(await collection(eventId, occurrence).doc(uid).get());
+    },
+
+    // totales guardados del evento (o de la ocurrencia); vacíos si todavía no hay calificaciones
+    async summary(eventId, occurrence) {
+      const doc = await scopeRef(db, eventId, occurrence).get();
+      return { ...emptySummary(), ...(doc.exists ? doc.get("ratingSummary") : null) };
+    },
+
+    // value: entero 1..5
+    async set(eventId, uid, value, occurrence) {
+      return write(eventId, uid, value, occurrence);
+    },
+
+    async remove(eventId, uid, occurrence) {
+      return write(eventId, uid, null, occurrence);
+    },
+
+    // Recalcula desde cero los totales del evento y de sus ocurrencias a partir de las
+    // calificaciones guardadas. Devuelve el `ratingSummary` del evento.
+    async rebuild(eventId) {
+      const add = (summary, snap) => snap.docs.reduce((acc, d) => applyRating(acc, null, d.get("rating")), summary);
+      let eventSummary = add(emptySummary(), await collection(eventId).get());
+      const updates = [];
+      const occurrencesSnap = await eventRef(eventId).collection("occurrences").get();
+      for (const occ of occurrencesSnap.docs) {
+        const ratingsSnap = await occ.ref.collection("ratings").get();
+        updates.push({ ref: occ.ref, ratingSummary: add(emptySummary(), ratingsSnap) });
+        eventSummary = add(eventSummary, ratingsSnap);
+      }
+      // una serie larga puede tener más ocurrencias de las que entran en un batch
+      updates.push({ ref: eventRef(eventId), ratingSummary: eventSummary });
+      await commitInBatches(db, updates, (batch, { ref, ratingSummary }) => batch.update(ref, { ratingSummary }));
+      return eventSummary;
+    },
+
+    // Desvincula al usuario de sus calificaciones, como la asistencia (ver attendees.js): los
+    // documentos pasan a un id anónimo y los totales no cambian. Devuelve cuántas había.
+    async anonymizeByUser(uid) {
+      const snap = await db.collectionGroup("ratings").where("uid", "==", uid).get();
+      return commitInBatches(db, snap.docs, (batch, d) => {
+        batch.set(d.ref.parent.doc(`anon-${crypto.randomBytes(10).toString("hex")}`), { ...d.data(), uid: null, anonymized: true });
+        batch.delete(d.ref);
+      }, { writesPerItem: 2 });
+    }
+  };
+}
+
+module.exports = { createRatingsRepository };
@@ -0,0 +1,23 @@
+// repositories/reminders.js - Recordatorios ya enviados: colección "sentReminders"
+// El id del doc identifica el recordatorio (evento, ocurrencia, fecha de inicio y anticipación);
+// reclamarlo en una transacción garantiza que sólo se envíe una vez aunque corran varias
+// instancias del scheduler.
+
+function createRemindersRepository(db) {
+  const collection = () => db.collection("sentReminders");
+
+  return {
+    // true si el recordatorio no se había enviado (y queda marcado), false si ya estaba
+    async claim(key, data) {
+      const ref = collection().doc(encodeURIComponent(key));
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        if (doc.exists) return false;
+        tx.set(ref, { ...data, sentAt: new Date().toISOString() });
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = { createRemindersRepository };
@@ -0,0 +1,37 @@
+// repositories/stats.js - Contadores diarios de cada evento: events/{id}/dailyStats/{YYYY-MM-DD}
+// Cada doc tiene `day` y los contadores de ese día (UTC): views, confirmations, cancellations,
+// checkIns, comments y, de las calificaciones, ratingCount / ratingSum como diferencias (una
+// calificación nueva suma 1 y su valor; cambiarla sólo cambia la suma; quitarla resta).
+// Los incrementos son transaccionales; lo de un evento recurrente se cuenta en la serie.
+
+function toStats(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createStatsRepository(db) {
+  const collection = eventId => db.collection("events").doc(eventId).collection("dailyStats");
+
+  return {
+    // counts: { views: 1, ... } (pueden ser negativos); day: YYYY-MM-DD, por defecto hoy
+    async increment(eventId, counts, day = new Date().toISOString().split("T")[0]) {
+      const ref = collection(eventId).doc(day);
+      await db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        const current = doc.exists ? doc.data() : { day };
+        const next = { ...current };
+        for (const [key, n] of Object.entries(counts)) next[key] = (current[key] || 0) + n;
+        tx.set(ref, next);
+      });
+    },
+
+    // todos los días con movimiento, en orden (hasta `to` inclusive si se indica)
+    async list(eventId, { to } = {}) {
+      let q = collection(eventId);
+      if (to) q = q.where("day", "<=", to);
+      const snap = await q.orderBy("day", "asc").get();
+      return snap.docs.map(toStats);
+    }
+  };
+}
+
+module.exports = { createStatsRepository };
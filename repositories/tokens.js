@@ -0,0 +1,75 @@
+// repositories/tokens.js - Refresh tokens y lista de access tokens revocados
+// Los refresh tokens se guardan por su hash (sha256), nunca en claro.
+const { commitInBatches, deleteAll } = require("./batches");
+
+function toRefreshToken(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createRefreshTokensRepository(db) {
+  const collection = () => db.collection("refreshTokens");
+
+  return {
+    async get(hash) {
+      return toRefreshToken(await collection().doc(hash).get());
+    },
+
+    async create(hash, data) {
+      await collection().doc(hash).set(data);
+    },
+
+    // Marca el token como usado dentro de una transacción para que dos refresh simultáneos
+    // con el mismo token no puedan rotarlo dos veces. Devuelve el doc tal como estaba antes.
+    async consume(hash, now) {
+      return db.runTransaction(async tx => {
+        const ref = collection().doc(hash);
+        const doc = await tx.get(ref);
+        if (!doc.exists) return null;
+        const data = doc.data();
+        if (!data.revokedAt) tx.update(ref, { revokedAt: now, revokedReason: "rotated" });
+        return { id: doc.id, ...data };
+      });
+    },
+
+    async revokeWhere(field, value, reason) {
+      const snap = await collection().where(field, "==", value).where("revokedAt", "==", null).get();
+      if (snap.empty) return;
+      const now = new Date().toISOString();
+      await commitInBatches(db, snap.docs, (batch, d) => batch.update(d.ref, { revokedAt: now, revokedReason: reason }));
+    },
+
+    // revoca todos los tokens de una sesión (misma familia de rotación)
+    async revokeFamily(familyId, reason) {
+      await this.revokeWhere("familyId", familyId, reason);
+    },
+
+    async revokeAllForUser(uid, reason) {
+      await this.revokeWhere("uid", uid, reason);
+    }
+  };
+}
+
+function createRevokedTokensRepository(db) {
+  const collection = () => db.collection("revokedTokens");
+
+  return {
+    // jti del access token revocado, con su expiresAt: pasada esa fecha el token ya no vale
+    // aunque no esté en la lista y la purga periódica borra la entrada (deleteExpired)
+    async add(jti, data) {
+      await collection().doc(jti).set(data);
+    },
+
+    async has(jti) {
+      const doc = await collection().doc(jti).get();
+      return doc.exists;
+    },
+
+    // borra las entradas de tokens vencidos antes de `before` (ISO); devuelve cuántas
+    async deleteExpired(before) {
+      const snap = await collection().where("expiresAt", "<", before).get();
+      return deleteAll(db, snap.docs.map(d => d.ref));
+    }
+  };
+}
+
+module.exports = { createRefreshTokensRepository, createRevokedTokensRepository };
@@ -0,0 +1,30 @@
+// repositories/tombstones.js - Registro de eventos eliminados: eventTombstones/{eventId}
+// Lo escribe repositories/events.js al mandar un evento a la papelera (y lo quita al restaurarlo);
+// sirve para publicar la cancelación (STATUS:CANCELLED) en los calendarios .ics que ya tenían
+// el evento.
+
+function toTombstone(doc) {
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function createTombstonesRepository(db) {
+  const collection = () => db.collection("eventTombstones");
+
+  return {
+    async get(eventId) {
+      return toTombstone(await collection().doc(eventId).get());
+    },
+
+    async listByCreator(uid, since) {
+      const snap = await collection().where("creatorUid", "==", uid).where("deletedAt", ">=", since).get();
+      return snap.docs.map(toTombstone);
+    },
+
+    async listByAttendee(uid, since) {
+      const snap = await collection().where("attendeeUids", "array-contains", uid).where("deletedAt", ">=", since).get();
+      return snap.docs.map(toTombstone);
+    }
+  };
+}
+
+module.exports = { createTombstonesRepository };
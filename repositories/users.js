@@ -0,0 +1,51 @@
+// repositories/users.js - Acceso a la colección "users"
+
+function toUser(doc) {
+  return doc.exists ? { uid: doc.id, ...doc.data() } : null;
+}
+
+function createUsersRepository(db) {
+  const collection = () => db.collection("users");
+
+  return {
+    async get(uid) {
+      return toUser(await collection().doc(uid).get());
+    },
+
+    async findByEmail(email) {
+      const snap = await collection().where("email", "==", email).limit(1).get();
+      return snap.empty ? null : toUser(snap.docs[0]);
+    },
+
+    // `role` guarda el rol principal (el más alto de `roles`), también en usuarios anteriores a `roles`
+    async countByRole(role) {
+      const snap = await collection().where("role", "==", role).count().get();
+      return snap.data().count;
+    },
+
+    async list() {
+      const snap = await collection().get();
+      return snap.docs.map(toUser);
+    },
+
+    async create(data) {
+      const ref = await collection().add(data);
+      return { uid: ref.id, ...data };
+    },
+
+    async setRoles(uid, roles, role) {
+      return this.update(uid, { roles, role });
+    },
+
+    async update(uid, changes) {
+      await collection().doc(uid).update(changes);
+      return this.get(uid);
+    },
+
+    async delete(uid) {
+      await collection().doc(uid).delete();
+    }
+  };
+}
+
+module.exports = { createUsersRepository };
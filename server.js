@@ -1,675 +1,2867 @@
 // server.js - API DSM completa (Eventos, Comentarios, Asistencia, Usuarios, Roles, Seguridad)
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const admin = require("firebase-admin");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { createStorage } = require("./storage");
+const { createRepositories } = require("./repositories");
+const { encodeCursor, decodeCursor, parseLimit } = require("./lib/pagination");
+const { ApiError, asyncHandler, badRequest, unauthorized, forbidden, notFound, conflict, gone, validationError, notFoundHandler, errorHandler } = require("./lib/errors");
+const { validate, check, isDay } = require("./lib/validation");
+const schemas = require("./lib/schemas");
+const { createRateLimiter, createLoginGuard, createMemoryStore } = require("./lib/rateLimit");
+const { createRealtime } = require("./lib/realtime");
+const { createPolicy, rolesOf, primaryRole, ROLES, PERMISSIONS } = require("./lib/policy");
+const { createEventSearch } = require("./lib/eventSearch");
+const { createTokenService } = require("./lib/tokens");
+const { parseRule, formatRule, lastOccurrence, isOccurrence, buildOccurrences } = require("./lib/recurrence");
+const { buildCalendar } = require("./lib/ical");
+const { createEventCalendar } = require("./lib/eventCalendar");
+const { createAuditLog } = require("./lib/audit");
+const { csvHeader, csvRow, toCsv, parseCsv } = require("./lib/csv");
+const { createTrash } = require("./lib/trash");
+const { createMailer } = require("./lib/mailer");
+const { createNotifier, inAppChannel, emailChannel, pushChannel, createFcmSender, preferencesOf } = require("./lib/notifier");
+const { createReminderScheduler } = require("./lib/reminders");
+const { createContentFilter, loadBlocklist, isPublished } = require("./lib/moderation");
+const { buildThreads, pinnedFirst, parentOf } = require("./lib/commentThreads");
+const { encodeGeohash, coveringPrefixes, distanceKm } = require("./lib/geo");
+const { createFileStorage } = require("./lib/fileStorage");
+const { checkFile, processCover, IMAGE_TYPES, ATTACHMENT_TYPES } = require("./lib/uploads");
+const { renderTicketQr } = require("./lib/tickets");
+const { eventRows, sumRows, buildReport, CSV_COLUMNS: STATS_CSV_COLUMNS } = require("./lib/eventStats");
+const { DUMP_TREE, collectionOf, stripSecrets, dumpHeader, parseDump } = require("./lib/backup");
+const { buildOpenApi, undocumentedRoutes, createContractCheck } = require("./lib/openapi");
+const apiDocs = require("./lib/apiDocs");
+const { ANONYMOUS, visibilityOf, needsInvitations, canView, isListed } = require("./lib/visibility");
+const { createVersioning, deprecated, RESPONSE_HEADER: VERSION_RESPONSE_HEADER } = require("./lib/versioning");
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// detrás del proxy de Render la IP real viene en X-Forwarded-For (necesaria para el rate limit)
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+// el cliente tiene que poder leer la versión y los avisos de rutas obsoletas
+app.use(cors({ exposedHeaders: [VERSION_RESPONSE_HEADER, "Deprecation", "Sunset", "Link"] }));
+// /events/import lee el JSON con su propio límite (IMPORT_MAX_MB); el resto, con el de express
+const IMPORT_ROUTE = /^(\/v\d+)?\/events\/import\/?$/;
+const jsonBody = express.json();
+app.use((req, res, next) => (IMPORT_ROUTE.test(req.path) ? next() : jsonBody(req, res, next)));
+// Las rutas van en el router de su versión, montado en /v1 y sin prefijo (ver VERSIONES al final)
+const v1 = express.Router();
+
+const DEFAULT_JWT_SECRET = "super_secret_key";
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+if (process.env.NODE_ENV === "production" && JWT_SECRET === DEFAULT_JWT_SECRET) {
+  // con el secreto por defecto cualquiera podría firmar tokens válidos
+  throw new Error("JWT_SECRET es obligatorio en producción (no se puede usar el valor por defecto)");
+}
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// hasta cuántos días hacia adelante se expanden las series recurrentes sin fin
+const RECURRENCE_HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS) || 365;
+const BASE_URL_PUBLIC = process.env.BASE_URL_PUBLIC || "https://api-proyecto-2-dsm.onrender.com"; // para compartir enlaces
+// días que un evento eliminado sigue apareciendo como CANCELLED en los feeds .ics
+const ICS_TOMBSTONE_DAYS = Number(process.env.ICS_TOMBSTONE_DAYS) || 90;
+// Límites por grupo de rutas ("máximo/ventana"). RATE_LIMITS (JSON) pisa los que indique,
+// p. ej. {"auth":{"ip":"10/15m"},"reads":{"ip":null}}; null desactiva ese balde.
+const RATE_LIMITS = mergeRateLimits({
+  auth: { ip: "30/15m", account: "10/15m" },
+  writes: { ip: "120/1m", account: "30/1m" },
+  reads: { ip: "600/1m" }
+}, JSON.parse(process.env.RATE_LIMITS || "{}"));
+// memory (por instancia) o storage (compartido, en el backend de datos)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+// open: cualquier usuario crea eventos; organizers: sólo organizer, moderator y admin
+const EVENT_CREATION = process.env.EVENT_CREATION || "open";
+// días que lo eliminado sigue en la papelera (restaurable) y cada cuánto corre la purga (0 = nunca)
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// Correo: MAIL_TRANSPORT=console (por defecto) o file (guarda cada correo como JSON en MAIL_DIR)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_DIR = process.env.MAIL_DIR || "./data/mail";
+const MAIL_FROM = process.env.MAIL_FROM || "API DSM <no-reply@api-dsm.local>";
+// vigencia de los enlaces de verificación de email y de restablecimiento de contraseña
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || "2d";
+const PASSWORD_RESET_TTL = process.env.PASSWORD_RESET_TTL || "1h";
+// vencimiento de las invitaciones por email a eventos privados
+const INVITATION_TTL = process.env.INVITATION_TTL || "30d";
+// pantalla de la app que recibe ?token= y pide la contraseña nueva
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || `${BASE_URL_PUBLIC}/auth/reset-password`;
+// true: sólo los usuarios con email verificado pueden crear eventos
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === "true";
+// nombre que reemplaza al de los usuarios eliminados en sus comentarios
+const DELETED_USERNAME = "Usuario eliminado";
+// Palabras bloqueadas en comentarios: COMMENT_BLOCKLIST (separadas por comas) y/o
+// COMMENT_BLOCKLIST_FILE (una por línea). Con COMMENT_FILTER_ACTION=hold (por defecto) el
+// comentario no se publica hasta que lo apruebe un moderador; con flag se publica y va a la cola.
+const COMMENT_BLOCKLIST = process.env.COMMENT_BLOCKLIST || "";
+const COMMENT_BLOCKLIST_FILE = process.env.COMMENT_BLOCKLIST_FILE;
+const COMMENT_FILTER_ACTION = process.env.COMMENT_FILTER_ACTION || "hold";
+// Calificaciones: sólo de asistentes confirmados (RATING_REQUIRES_ATTENDANCE=false lo desactiva)
+// y, con RATING_AFTER_EVENT=true, recién desde que empieza el evento
+const RATING_REQUIRES_ATTENDANCE = process.env.RATING_REQUIRES_ATTENDANCE !== "false";
+const RATING_AFTER_EVENT = process.env.RATING_AFTER_EVENT === "true";
+// niveles de respuestas anidadas (1 = sólo respuestas a comentarios principales)
+const COMMENT_MAX_DEPTH = Number(process.env.COMMENT_MAX_DEPTH) || 5;
+// Portadas y adjuntos de los eventos: FILE_STORAGE=local (archivos en FILE_DIR) o firebase
+// (bucket FILE_BUCKET de Firebase Storage). Sin definir: firebase con Firestore. Las URLs
+// firmadas vencen a los FILE_URL_TTL_MINUTES.
+const FILE_STORAGE = process.env.FILE_STORAGE;
+const FILE_DIR = process.env.FILE_DIR || "./data/files";
+const FILE_BUCKET = process.env.FILE_BUCKET || `${process.env.FIREBASE_PROJECT_ID}.appspot.com`;
+const FILE_URL_TTL_MINUTES = Number(process.env.FILE_URL_TTL_MINUTES) || 15;
+// tamaño máximo (MB) de las portadas y de cada adjunto, y adjuntos por evento
+const MAX_COVER_MB = Number(process.env.MAX_COVER_MB) || 5;
+const MAX_ATTACHMENT_MB = Number(process.env.MAX_ATTACHMENT_MB) || 10;
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS) || 10;
+// Notificaciones push: fcm (Firebase Cloud Messaging) o none. Sin definir: fcm con Firestore.
+const PUSH_TRANSPORT = process.env.PUSH_TRANSPORT;
+// anticipación de los recordatorios, cada cuánto se buscan (0 = nunca) y zona horaria de las fechas
+const REMINDER_OFFSETS = process.env.REMINDER_OFFSETS || "24h,1h";
+const REMINDER_INTERVAL_MINUTES = process.env.REMINDER_INTERVAL_MINUTES === undefined ? 5 : Number(process.env.REMINDER_INTERVAL_MINUTES);
+const EVENT_UTC_OFFSET = process.env.EVENT_UTC_OFFSET || "+00:00";
+// Importación de eventos: filas por importación y tamaño máximo del CSV o JSON (MB); y del volcado a restaurar
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB) || 2;
+const RESTORE_MAX_MB = Number(process.env.RESTORE_MAX_MB) || 50;
+// Alias sin prefijo (/events = /v1/events): fechas (YYYY-MM-DD) para marcarlos obsoletos y para
+// dejar de atenderlos. Sin definir siguen funcionando sin avisos.
+const UNVERSIONED_DEPRECATED_AT = process.env.UNVERSIONED_DEPRECATED_AT;
+const UNVERSIONED_SUNSET_AT = process.env.UNVERSIONED_SUNSET_AT;
+// POST /admin/users/:uid/make-admin (reemplazada por POST /admin/users/:uid/roles): desde cuándo
+// está obsoleta y hasta cuándo se atiende (YYYY-MM-DD)
+const MAKE_ADMIN_DEPRECATED_AT = process.env.MAKE_ADMIN_DEPRECATED_AT || "2026-10-19";
+const MAKE_ADMIN_SUNSET_AT = process.env.MAKE_ADMIN_SUNSET_AT || "2027-04-30";
+// Comprobación de las respuestas contra lib/apiDocs.js: off (por defecto), warn o strict
+const OPENAPI_CONTRACT = process.env.OPENAPI_CONTRACT || "off";
+const TRASH_PURGE_INTERVAL_MINUTES = process.env.TRASH_PURGE_INTERVAL_MINUTES === undefined ? 60 : Number(process.env.TRASH_PURGE_INTERVAL_MINUTES);
+
+// Backend de datos: Firestore o local según STORAGE_BACKEND (ver storage/index.js)
+const storage = createStorage();
+const repos = createRepositories(storage.db);
+const tokens = createTokenService({
+  repos,
+  secret: JWT_SECRET,
+  accessTtl: ACCESS_TOKEN_TTL,
+  refreshTtlDays: REFRESH_TOKEN_TTL_DAYS,
+  verifyEmailTtl: EMAIL_VERIFICATION_TTL,
+  passwordResetTtl: PASSWORD_RESET_TTL,
+  invitationTtl: INVITATION_TTL
+});
+const eventCalendar = createEventCalendar({ baseUrl: BASE_URL_PUBLIC });
+const rateLimitStore = RATE_LIMIT_STORE === "storage" ? repos.rateLimits : createMemoryStore();
+const rateLimiter = createRateLimiter({
+  store: rateLimitStore,
+  policies: RATE_LIMITS,
+  enabled: process.env.RATE_LIMIT_ENABLED !== "false"
+});
+const loginGuard = createLoginGuard({ store: rateLimitStore, maxFailures: LOGIN_MAX_FAILURES });
+// Índice de búsqueda en memoria, lo actualizan los handlers de eventos y comentarios
+const eventSearch = createEventSearch(repos);
+// Bus de mensajes en tiempo real (SSE), lo alimentan los handlers de escritura
+const realtime = createRealtime();
+// Roles y permisos (ver lib/policy.js)
+const policy = createPolicy({ openEventCreation: EVENT_CREATION !== "organizers" });
+// Registro de auditoría de escrituras y acciones de admin (ver lib/audit.js)
+const audit = createAuditLog(repos.audit);
+// Portadas y adjuntos de los eventos (ver lib/fileStorage.js)
+const fileDriver = FILE_STORAGE || (storage.backend === "firestore" ? "firebase" : "local");
+const files = createFileStorage({
+  driver: fileDriver,
+  dir: FILE_DIR,
+  secret: JWT_SECRET,
+  baseUrl: BASE_URL_PUBLIC,
+  bucket: fileDriver === "firebase" ? require("firebase-admin").storage().bucket(FILE_BUCKET) : null,
+  urlTtlMinutes: FILE_URL_TTL_MINUTES
+});
+// Papelera de eventos y comentarios (ver lib/trash.js)
+const trash = createTrash({ repos, files, retentionDays: TRASH_RETENTION_DAYS });
+const mailer = createMailer({ transport: MAIL_TRANSPORT, from: MAIL_FROM, dir: MAIL_DIR });
+// Notificaciones a usuarios (ver lib/notifier.js) y recordatorios antes de cada evento
+const notifier = createNotifier({
+  repos,
+  channels: {
+    inApp: inAppChannel(repos),
+    email: emailChannel(mailer, { linkFor: n => (n.data && n.data.eventId ? `${BASE_URL_PUBLIC}/events/${n.data.eventId}` : null) }),
+    push: (PUSH_TRANSPORT || (storage.backend === "firestore" ? "fcm" : "none")) === "fcm"
+      ? pushChannel(createFcmSender(require("firebase-admin").messaging()), repos)
+      : null
+  }
+});
+const reminders = createReminderScheduler({ repos, notifier, offsets: REMINDER_OFFSETS, utcOffset: EVENT_UTC_OFFSET });
+// Filtro de palabras bloqueadas de los comentarios (ver lib/moderation.js)
+const contentFilter = createContentFilter(loadBlocklist({ words: COMMENT_BLOCKLIST, file: COMMENT_BLOCKLIST_FILE }));
+
+// -----------------------------
+// UTIL / MIDDLEWARES
+// -----------------------------
+
+// TRUST_PROXY: número de proxies, true/false o lista de IPs/subredes (ver "trust proxy" de Express).
+// Sin configurar: 1 en producción (Render) y ninguno en desarrollo.
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return process.env.NODE_ENV === "production" ? 1 : false;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
 
-// Inicializar Firebase Admin con variables de entorno
-if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
-  console.warn("WARNING: Firebase env vars no configuradas. Asegúrate de setear FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY");
+function mergeRateLimits(defaults, overrides) {
+  const out = { ...defaults };
+  for (const [group, buckets] of Object.entries(overrides)) out[group] = { ...out[group], ...buckets };
+  return out;
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert({
-    projectId: process.env.FIREBASE_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    // la privateKey debe venir con \n por cada nueva línea; aquí lo transformamos
-    privateKey: (process.env.FIREBASE_PRIVATE_KEY || "").replace(/\\n/g, "\n")
-  })
+// Rate limit por grupo de rutas (ver lib/rateLimit.js):
+//  - auth: por IP y por email del body (registro, login, refresh)
+//  - writes: por IP y por usuario; va después de authenticateToken
+//  - reads: por IP, para todos los GET
+const limitAuth = rateLimiter.limit("auth", {
+  account: req => (req.body && typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : null)
 });
+const limitWrites = rateLimiter.limit("writes", { account: req => req.user && req.user.uid });
+const limitReads = rateLimiter.limit("reads");
+app.use((req, res, next) => (req.method === "GET" || req.method === "HEAD" ? limitReads(req, res, next) : next()));
 
-const db = admin.firestore();
-const JWT_SECRET = process.env.JWT_SECRET || "super_secret_key";
-const BASE_URL_PUBLIC = process.env.BASE_URL_PUBLIC || "https://api-proyecto-2-dsm.onrender.com"; // para compartir enlaces
+// Middleware de autenticación: rechaza tokens vencidos, revocados (logout) o emitidos
+// antes del último cambio de contraseña / cierre de todas las sesiones
+const authenticateToken = asyncHandler(async (req, res, next) => {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith("Bearer ")) throw unauthorized("Token requerido", "TOKEN_REQUIRED");
+  req.user = await verifiedUser(auth.split(" ")[1]);
+  next();
+});
+
+// Igual que authenticateToken pero acepta también ?access_token= (EventSource del navegador no
+// permite enviar encabezados). Sólo para las rutas de streaming.
+const authenticateStream = asyncHandler(async (req, res, next) => {
+  const auth = req.headers.authorization;
+  const token = auth && auth.startsWith("Bearer ") ? auth.split(" ")[1] : req.query.access_token;
+  if (!token) throw unauthorized("Token requerido", "TOKEN_REQUIRED");
+  req.user = await verifiedUser(token);
+  next();
+});
+
+// Rutas públicas: con un token válido se sabe quién es el usuario (los eventos privados se ven
+// según él, ver lib/visibility.js); sin token o con uno inválido o vencido siguen como anónimas,
+// como antes de que existieran los privados.
+const authenticateOptional = asyncHandler(async (req, res, next) => {
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith("Bearer ")) {
+    const data = await tokens.verifyAccess(auth.split(" ")[1]);
+    if (data) req.user = data;
+  }
+  next();
+});
+
+async function verifiedUser(token) {
+  const data = await tokens.verifyAccess(token);
+  if (!data) throw unauthorized("Token inválido", "INVALID_TOKEN");
+  return data; // contiene uid, email, jti, ver y exp según generamos
+}
+
+// Usuario autenticado con sus roles y permisos (se carga una vez por request)
+async function loadActor(req) {
+  if (!req.actor) {
+    const user = await repos.users.get(req.user.uid);
+    if (!user) throw unauthorized("Token inválido", "INVALID_TOKEN");
+    req.actor = policy.actorFor(user);
+  }
+  return req.actor;
+}
+
+// Lanza 403 si el usuario no puede hacer `action` (sobre `resource`, si la acción lo requiere)
+async function authorize(req, action, resource, message) {
+  const actor = await loadActor(req);
+  if (!policy.can(actor, action, resource)) throw forbidden(message || "No tienes permiso para realizar esta acción");
+  return actor;
+}
+
+// Middleware - requiere un permiso global (p. ej. "user:manage")
+function requirePermission(permission) {
+  const middleware = asyncHandler(async (req, res, next) => {
+    await authorize(req, permission, null, `Requiere el permiso ${permission}`);
+    next();
+  });
+  middleware.permission = permission; // para el documento OpenAPI
+  return middleware;
+}
+
+// Con OPENAPI_CONTRACT cada respuesta JSON se compara con lo documentado (ver lib/openapi.js)
+if (OPENAPI_CONTRACT !== "off") app.use(createContractCheck(apiDocs, { mode: OPENAPI_CONTRACT }));
 
 // -----------------------------
-// UTIL / MIDDLEWARES
+// TIEMPO REAL - mensajes para los streams (ver lib/realtime.js)
 // -----------------------------
+// Canales: "event:{id}" (todo lo de un evento), "feed:events" (altas, cambios y bajas de
+// eventos) y "feed:upcoming" (lo mismo, sólo eventos que siguen por delante).
+// Publicar nunca debe romper la escritura que ya se hizo: los errores se registran y listo.
+
+function isUpcoming(event) {
+  const today = new Date().toISOString().split("T")[0];
+  if (event.recurring) return !event.recurrenceEnd || event.recurrenceEnd >= today;
+  return String(event.date).slice(0, 10) >= today;
+}
 
-function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "7d" });
+function publishEvent(type, event) {
+  const channels = [`event:${event.id}`];
+  // los feeds son para todos: sólo llevan los eventos públicos
+  if (visibilityOf(event) === "public") {
+    channels.push("feed:events");
+    if (isUpcoming(event)) channels.push("feed:upcoming");
+  }
+  realtime.publish(channels, type, { eventId: event.id, event: type === "event.deleted" ? { id: event.id } : event });
 }
 
-// Middleware de autenticación
-function authenticateToken(req, res, next) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith("Bearer ")) return res.status(401).json({ message: "Token requerido" });
-  const token = auth.split(" ")[1];
+async function publishSafely(fn) {
   try {
-    const data = jwt.verify(token, JWT_SECRET);
-    req.user = data; // contiene uid y email según generamos
-    next();
+    await fn();
   } catch (e) {
-    return res.status(401).json({ message: "Token inválido" });
+    console.error("Error publicando mensaje en tiempo real:", e);
   }
 }
 
-// Middleware - requiere rol admin
-async function requireAdmin(req, res, next) {
+// Suma a los contadores de hoy del evento (ver repositories/stats.js); un error no corta el request
+async function recordStats(eventId, counts) {
   try {
-    const uid = req.user?.uid;
-    if (!uid) return res.status(403).json({ message: "Acceso denegado" });
-    const userDoc = await db.collection("users").doc(uid).get();
-    const role = userDoc.exists ? userDoc.data().role : null;
-    if (role === "admin") return next();
-    return res.status(403).json({ message: "Requiere permiso de administrador" });
+    await repos.stats.increment(eventId, counts);
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+    console.error("Error registrando estadísticas:", eventId, e);
+  }
+}
+
+function publishComment(type, eventId, occurrence, comment) {
+  return publishSafely(async () => {
+    realtime.publish(`event:${eventId}`, type, { eventId, occurrence, comment });
+  });
+}
+
+// totales nuevos de calificaciones (summary de repositories/ratings.js)
+function publishRating(eventId, occurrence, { average, count, distribution }) {
+  return publishSafely(async () => {
+    realtime.publish(`event:${eventId}`, "rating.updated", { eventId, occurrence, average, count, distribution });
+  });
+}
+
+// confirmaciones y cancelaciones, con los contadores ya actualizados
+function publishAttendance(type, eventId, occurrence, data) {
+  return publishSafely(async () => {
+    const count = await repos.attendees.count(eventId, occurrence);
+    const waitlistCount = await repos.attendees.waitlistCount(eventId, occurrence);
+    realtime.publish(`event:${eventId}`, type, { eventId, occurrence, ...data, count, waitlistCount });
+  });
+}
+
+// Vuelve a indexar un evento restaurado con sus comentarios (también los de las ocurrencias)
+async function indexEventWithComments(event) {
+  await eventSearch.indexEvent(event);
+  const days = event.recurring ? Object.keys(await repos.occurrences.mapByDay(event.id)) : [];
+  for (const occurrence of [null, ...days]) {
+    const comments = await repos.comments.list(event.id, occurrence);
+    for (const comment of comments) await eventSearch.indexComment(event.id, comment);
   }
 }
 
-// Middleware - requiere ser creador del recurso o admin
-async function requireOwnerOrAdmin(req, res, next) {
+// -----------------------------
+// NOTIFICACIONES - avisos a asistentes y autores (ver lib/notifier.js)
+// -----------------------------
+// Igual que los mensajes en tiempo real, un aviso que falla no rompe la escritura. Quien hizo
+// el cambio no se avisa a sí mismo.
+
+async function notifySafely(uids, notification, actorUid) {
   try {
-    const uid = req.user?.uid;
-    if (!uid) return res.status(403).json({ message: "Acceso denegado" });
+    await notifier.notify(uids.filter(uid => uid !== actorUid), notification);
+  } catch (e) {
+    console.error("Error enviando notificaciones:", e);
+  }
+}
+
+// cambio de fecha o lugar (changes: { date?, location? }) de un evento o de una ocurrencia
+async function notifyEventChanged(req, event, occurrence, changes) {
+  const uids = occurrence
+    ? (await repos.attendees.list(event.id, occurrence)).map(a => a.uid).filter(Boolean)
+    : await repos.attendees.listUidsForEvent(event.id);
+  const parts = [];
+  if (changes.date) parts.push(`nueva fecha ${String(changes.date).replace("T", " ")}`);
+  if (changes.location) parts.push(`nuevo lugar ${changes.location}`);
+  await notifySafely(uids, {
+    type: "eventChanged",
+    title: `Cambios en ${event.title}`,
+    body: `"${event.title}"${occurrence ? ` (${occurrence})` : ""} cambió: ${parts.join(", ")}.`,
+    data: { eventId: event.id, occurrence, ...changes }
+  }, req.user.uid);
+}
+
+async function notifyEventCancelled(req, event, occurrence) {
+  const uids = occurrence
+    ? (await repos.attendees.list(event.id, occurrence)).map(a => a.uid).filter(Boolean)
+    : await repos.attendees.listUidsForEvent(event.id);
+  await notifySafely(uids, {
+    type: "eventCancelled",
+    title: `Cancelado: ${event.title}`,
+    body: occurrence ? `Se canceló la fecha ${occurrence} de "${event.title}".` : `Se canceló "${event.title}".`,
+    data: { eventId: event.id, occurrence }
+  }, req.user.uid);
+}
 
-    // owner check: for events route expect req.params.id
-    const resourceId = req.params.id || req.params.eventId;
-    if (!resourceId) return res.status(400).json({ message: "ID de recurso requerido" });
+// respuesta publicada: avisa al autor del comentario al que responde
+async function notifyReply(reply, parent, event, occurrence) {
+  if (!parent.uid) return;
+  await notifySafely([parent.uid], {
+    type: "commentReply",
+    title: `${reply.username} respondió tu comentario`,
+    body: `${reply.username} respondió en "${event.title}": ${reply.comment}`,
+    data: { eventId: event.id, occurrence, commentId: reply.id, parentId: parent.id }
+  }, reply.uid);
+}
+
+// -----------------------------
+// VISIBILIDAD - eventos no listados y privados (ver lib/visibility.js)
+// -----------------------------
 
-    // check event owner
-    const eventDoc = await db.collection("events").doc(resourceId).get();
-    if (!eventDoc.exists) return res.status(404).json({ message: "Evento no encontrado" });
+// Usuario de la request para lib/visibility.js (se carga una vez por request); sin sesión, anónimo.
+// Sus invitaciones no: las carga viewerFor la primera vez que se cruza un evento privado que no organiza
+async function viewerOf(req) {
+  if (!req.user) return ANONYMOUS;
+  if (!req.viewer) {
+    const actor = await loadActor(req);
+    req.viewer = {
+      manages: event => policy.can(actor, "event:invite", event),
+      invited: null
+    };
+  }
+  return req.viewer;
+}
 
-    const eventData = eventDoc.data();
-    if (!eventData) return res.status(404).json({ message: "Evento no encontrado" });
+// viewerOf listo para decidir sobre `event` (con las invitaciones cargadas si hacen falta)
+async function viewerFor(req, event) {
+  const viewer = await viewerOf(req);
+  if (needsInvitations(event, viewer)) viewer.invited = await repos.invitations.eventIdsForUser(req.user.uid);
+  return viewer;
+}
 
-    if (eventData.creatorUid === uid) return next();
+// Qué autoriza un token de invitación (?invite= o body.token) para el evento:
+// { via: "link" } o { via: "email", invitation }; null si no es válido para ese evento
+async function inviteFromToken(event, token) {
+  const link = tokens.verifyInviteLinkToken(token);
+  if (link) return link.eventId === event.id && link.version === (event.inviteVersion || 0) ? { via: "link" } : null;
+  const sent = tokens.verifyInvitationToken(token);
+  if (!sent || sent.eventId !== event.id) return null;
+  const invitation = await repos.invitations.get(event.id, sent.invitationId);
+  return invitation ? { via: "email", invitation } : null;
+}
 
-    // else check admin
-    const userDoc = await db.collection("users").doc(uid).get();
-    const role = userDoc.exists ? userDoc.data().role : null;
-    if (role === "admin") return next();
+// Evento que el usuario puede ver. Los privados sin invitación responden 404, igual que si no
+// existieran. inviteToken: el del enlace o del correo, deja verlo antes de aceptar.
+async function visibleEvent(req, id, { inviteToken } = {}) {
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+  if (canView(event, await viewerFor(req, event))) return event;
+  if (inviteToken && await inviteFromToken(event, inviteToken)) return event;
+  throw notFound("Evento no encontrado");
+}
 
-    return res.status(403).json({ message: "Solo el creador o admin puede realizar esta acción" });
+// filtro (async) de los listados, la búsqueda y los eventos cercanos para el usuario de la request
+function listedFor(req) {
+  return async event => isListed(event, await viewerFor(req, event));
+}
 
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+// los de `events` que pasan el filtro `visible`, en el mismo orden
+async function filterListed(events, visible) {
+  const out = [];
+  for (const event of events) {
+    if (await visible(event)) out.push(event);
   }
+  return out;
 }
 
 // -----------------------------
-// AUTH - Registro / Login
+// LISTADOS DE EVENTOS - filtros, orden y paginación
 // -----------------------------
 
-// Registro
-app.post("/auth/register", async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-    if (!username || !email || !password) return res.status(400).json({ message: "Faltan campos" });
-
-    const q = await db.collection("users").where("email", "==", email).get();
-    if (!q.empty) return res.status(400).json({ message: "Email ya registrado" });
-
-    const passwordHash = await bcrypt.hash(password, 10);
-    const newUser = {
-      username,
-      email,
-      passwordHash,
-      role: "user",
-      createdAt: new Date().toISOString()
-    };
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split("T")[0];
+}
 
-    const ref = await db.collection("users").add(newUser);
+function nextDay(day) {
+  return addDays(day, 1);
+}
 
-    const token = generateToken({ uid: ref.id, email });
+// orden de los listados: campo de orden y, a igualdad, id (u occurrenceId), como en Firestore
+function compareListed(a, b, sortField, direction) {
+  const keyA = [a[sortField], a.occurrenceId || a.id];
+  const keyB = [b[sortField], b.occurrenceId || b.id];
+  let diff = 0;
+  for (let i = 0; i < 2 && diff === 0; i++) {
+    if (keyA[i] === keyB[i]) continue;
+    // números (distanceKm) por valor; el resto como texto
+    const numeric = typeof keyA[i] === "number" && typeof keyB[i] === "number";
+    diff = (numeric ? keyA[i] < keyB[i] : String(keyA[i]) < String(keyB[i])) ? -1 : 1;
+  }
+  return direction === "desc" ? -diff : diff;
+}
 
-    res.json({ uid: ref.id, token });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Ocurrencias de una serie recurrente con fecha en [dateGte, dateLt) (sin dateLt, hasta
+// RECURRENCE_HORIZON_DAYS desde hoy)
+async function expandSeries(event, { dateGte, dateLt }) {
+  const today = new Date().toISOString().split("T")[0];
+  const to = dateLt ? addDays(dateLt, -1) : addDays(today, RECURRENCE_HORIZON_DAYS);
+  if (event.recurrenceEnd && dateGte && event.recurrenceEnd < dateGte) return [];
+  const docs = await repos.occurrences.mapByDay(event.id);
+  return buildOccurrences(event, docs, { from: dateGte, to })
+    .filter(occ => (!dateGte || occ.date >= dateGte) && (!dateLt || occ.date < dateLt));
+}
+
+// Ocurrencias de las series recurrentes con fecha en [dateGte, dateLt), ordenadas y después del
+// cursor; `visible` filtra las series como en repos.events.query
+async function listSeriesOccurrences({ creatorUid, location, dateGte, dateLt, sortField, direction, after, visible }) {
+  const series = await filterListed(await repos.events.listRecurring({ creatorUid }), visible);
+
+  const out = [];
+  for (const event of series) {
+    (await expandSeries(event, { dateGte, dateLt })).forEach(occ => {
+      if (location && occ.location !== location) return;
+      out.push(occ);
+    });
   }
-});
 
-// Login
-app.post("/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ message: "Faltan campos" });
+  const cursorEntry = after ? { [sortField]: after.value, id: after.id } : null;
+  return out
+    .filter(occ => !cursorEntry || compareListed(occ, cursorEntry, sortField, direction) > 0)
+    .sort((a, b) => compareListed(a, b, sortField, direction));
+}
 
-    const snap = await db.collection("users").where("email", "==", email).get();
-    if (snap.empty) return res.status(400).json({ message: "Usuario no encontrado" });
+// Responde un listado de eventos aplicando los query params comunes (ya validados con
+// schemas.listEvents): from / to (YYYY-MM-DD, inclusivos), location, creator, sort, order, limit, cursor.
+// `base` fija lo propio de cada ruta (orden por defecto y rango/creador obligatorios).
+// Con base.expandRecurring las series recurrentes se reemplazan por sus ocurrencias en el rango.
+// Sin limit ni cursor se responde el array completo como antes; con ellos { items, nextCursor }.
+// Sólo aparecen los eventos listados para el usuario (ver lib/visibility.js).
+async function sendEventList(req, res, base) {
+  const { from, to, location, creator, sort, order, limit, cursor } = req.query;
+  const sortField = sort || base.sort;
+  const direction = order || base.direction;
+
+  const paginated = limit !== undefined || cursor !== undefined;
+  const pageSize = paginated ? parseLimit(limit) : null;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
+  }
 
-    const doc = snap.docs[0];
-    const data = doc.data();
-    const match = await bcrypt.compare(password, data.passwordHash || "");
-    if (!match) return res.status(401).json({ message: "Credenciales inválidas" });
+  // los rangos propios de la ruta se combinan con los del cliente quedándonos con el más estrecho
+  const dateGte = [base.dateGte, from].filter(Boolean).sort().pop();
+  const dateLt = [base.dateLt, to && nextDay(to)].filter(Boolean).sort()[0];
+
+  const creatorUid = base.creatorUid || creator;
+  const visible = listedFor(req);
+  const page = await repos.events.query({
+    creatorUid,
+    location,
+    dateGte,
+    dateLt,
+    sort: sortField,
+    direction,
+    limit: pageSize,
+    after,
+    excludeRecurring: !!base.expandRecurring,
+    visible
+  });
+  let { items, hasMore } = page;
+
+  if (base.expandRecurring) {
+    const occurrences = await listSeriesOccurrences({ creatorUid, location, dateGte, dateLt, sortField, direction, after, visible });
+    const merged = [...items, ...occurrences].sort((a, b) => compareListed(a, b, sortField, direction));
+    hasMore = hasMore || (!!pageSize && merged.length > pageSize);
+    items = pageSize ? merged.slice(0, pageSize) : merged;
+  }
 
-    const token = generateToken({ uid: doc.id, email });
-    res.json({ uid: doc.id, token });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  if (!paginated) return res.json(items);
+  const last = items[items.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(last[sortField], last.occurrenceId || last.id) : null;
+  res.json({ items, nextCursor });
+}
+
+// Eventos a menos de radiusKm del punto, cada uno con `distanceKm`, del más cercano al más
+// lejano (a igual distancia, por id u occurrenceId). Con dateGte / dateLt se filtran por fecha
+// y las series recurrentes se reemplazan por sus ocurrencias en el rango, como en /events/upcoming.
+// `visible` filtra como en repos.events.query.
+async function listNearby({ lat, lng, radiusKm, dateGte, dateLt, visible }) {
+  const center = { lat, lng };
+  const candidates = await filterListed(await repos.events.listByGeohash(coveringPrefixes(lat, lng, radiusKm)), visible);
+  const dated = !!(dateGte || dateLt);
+  const out = [];
+  for (const event of candidates) {
+    const distance = Math.round(distanceKm(center, event) * 1000) / 1000;
+    if (distance > radiusKm) continue;
+    let entries = [event];
+    if (dated && event.recurring) entries = await expandSeries(event, { dateGte, dateLt });
+    else if (dated) entries = entries.filter(ev => (!dateGte || ev.date >= dateGte) && (!dateLt || ev.date < dateLt));
+    entries.forEach(entry => out.push({ ...entry, distanceKm: distance }));
   }
-});
+  return out.sort((a, b) => compareListed(a, b, "distanceKm", "asc"));
+}
+
+// recurrence: string RRULE u objeto (ver lib/recurrence.js). Devuelve los campos a guardar en
+// el evento; lanza VALIDATION_ERROR si la regla no es válida. null quita la recurrencia.
+function recurrenceFields(recurrence, date) {
+  if (recurrence === null) return { recurring: false, recurrence: null, rrule: null, recurrenceEnd: null };
+  const { rule, error } = parseRule(recurrence);
+  if (error) throw validationError([{ field: "recurrence", in: "body", code: "invalid", message: error }]);
+  // eventos anteriores a la validación pueden tener un date libre
+  if (!isDay(String(date).slice(0, 10))) {
+    throw validationError([{ field: "date", in: "body", code: "invalid_format", message: "date debe empezar con YYYY-MM-DD en eventos recurrentes" }]);
+  }
+  return { recurring: true, recurrence: rule, rrule: formatRule(rule), recurrenceEnd: lastOccurrence(rule, date) };
+}
+
+// lat / lng (ya validados) a los campos a guardar en el evento, con su geohash. Van juntos:
+// con uno solo responde VALIDATION_ERROR; ambos null quitan las coordenadas.
+function geoFields(lat, lng) {
+  if (lat === undefined && lng === undefined) return {};
+  if (lat === null && lng === null) return { lat: null, lng: null, geohash: null };
+  if (lat === undefined || lat === null || lng === undefined || lng === null) {
+    const field = lat === undefined || lat === null ? "lat" : "lng";
+    throw validationError([{ field, in: "body", code: "required", message: "lat y lng se envían juntos" }]);
+  }
+  return { lat, lng, geohash: encodeGeohash(lat, lng) };
+}
+
+// Resuelve la ocurrencia pedida (?occurrence= o body.occurrence, ya validados) de un evento.
+// Devuelve { event, occurrence, occurrenceDoc } o lanza el ApiError correspondiente (también
+// 404 si el evento no existe, está en la papelera o es privado y el usuario no lo ve). Con
+// `required` los recurrentes exigen ocurrencia (la asistencia es siempre por ocurrencia); sin
+// él, la ocurrencia es opcional.
+async function resolveOccurrence(req, eventId, { required = false } = {}) {
+  const raw = req.query.occurrence || (req.body && req.body.occurrence);
+  const event = await visibleEvent(req, eventId);
+  if (!raw) {
+    if (required && event.recurring) {
+      throw validationError([{ field: "occurrence", in: "query", code: "required", message: "occurrence requerido para eventos recurrentes" }]);
+    }
+    return { event, occurrence: null };
+  }
+  if (!event.recurring) throw badRequest("El evento no es recurrente", "NOT_RECURRING");
+  if (!isOccurrence(event.recurrence, event.date, raw)) throw notFound("Ocurrencia no encontrada", "OCCURRENCE_NOT_FOUND");
+  const occurrenceDoc = await repos.occurrences.get(eventId, raw);
+  return { event, occurrence: raw, occurrenceDoc };
+}
 
 // -----------------------------
-// USERS - Perfil
+// CORREO - verificación de email y restablecimiento de contraseña
 // -----------------------------
+// Un correo que no sale no debe romper la operación que lo disparó: se registra el error y el
+// usuario puede pedirlo de nuevo.
 
-// Obtener usuario (solo info pública, no passwordHash)
-app.get("/users/:uid", async (req, res) => {
+async function sendMailSafely(message) {
   try {
-    const doc = await db.collection("users").doc(req.params.uid).get();
-    if (!doc.exists) return res.status(404).json({ message: "Usuario no encontrado" });
-    const d = doc.data();
-    // devolver solo campos públicos
-    const out = {
-      uid: doc.id,
-      username: d.username,
-      email: d.email,
-      role: d.role || "user",
-      createdAt: d.createdAt
-    };
-    res.json(out);
+    await mailer.send(message);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+    console.error("Error enviando correo:", e);
   }
-});
+}
 
-// Actualizar perfil (solo el usuario o admin)
-app.put("/users/:uid", authenticateToken, async (req, res) => {
-  try {
-    const targetUid = req.params.uid;
-    const callerUid = req.user.uid;
-    // sólo owner o admin
-    const callerDoc = await db.collection("users").doc(callerUid).get();
-    const callerRole = callerDoc.exists ? callerDoc.data().role : null;
-    if (callerUid !== targetUid && callerRole !== "admin") {
-      return res.status(403).json({ message: "Acceso denegado" });
-    }
+function sendVerificationMail(user) {
+  const token = tokens.emailVerificationToken(user);
+  return sendMailSafely({
+    to: user.email,
+    subject: "Confirma tu email",
+    text: `Hola ${user.username}:\n\nPara confirmar tu email abre este enlace (vence en ${EMAIL_VERIFICATION_TTL}):\n` +
+      `${BASE_URL_PUBLIC}/auth/verify-email?token=${token}\n`
+  });
+}
 
-    const { username, email } = req.body;
-    const update = {};
-    if (username) update.username = username;
-    if (email) update.email = email;
+function sendPasswordResetMail(user) {
+  const token = tokens.passwordResetToken(user);
+  return sendMailSafely({
+    to: user.email,
+    subject: "Restablecer contraseña",
+    text: `Hola ${user.username}:\n\nPara elegir una contraseña nueva abre este enlace (vence en ${PASSWORD_RESET_TTL}):\n` +
+      `${PASSWORD_RESET_URL}?token=${token}\n\nSi no lo pediste, ignora este correo.\n`
+  });
+}
 
-    await db.collection("users").doc(targetUid).update(update);
-    const doc = await db.collection("users").doc(targetUid).get();
-    const d = doc.data();
-    res.json({ uid: doc.id, username: d.username, email: d.email, role: d.role });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// -----------------------------
+// AUTH - Registro / Login
+// -----------------------------
+
+// Registro
+v1.post("/auth/register", limitAuth, validate(schemas.register), asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+
+  const existing = await repos.users.findByEmail(email);
+  if (existing) throw badRequest("Email ya registrado", "EMAIL_TAKEN");
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const newUser = {
+    username,
+    email,
+    passwordHash,
+    role: "user",
+    roles: ["user"],
+    emailVerified: false,
+    createdAt: new Date().toISOString()
+  };
+
+  const created = await repos.users.create(newUser);
+  await audit.record(req, "auth.register", { type: "user", id: created.uid, actorUid: created.uid, after: { username, email, roles: newUser.roles } });
+  await sendVerificationMail(created);
+
+  const session = await tokens.issue(created);
+
+  res.json({ uid: created.uid, ...session });
+}));
+
+// Login
+v1.post("/auth/login", limitAuth, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  // tras LOGIN_MAX_FAILURES intentos fallidos la cuenta se bloquea (cada fallo extra duplica el tiempo)
+  await loginGuard.check(email, res);
+
+  const user = await repos.users.findByEmail(email);
+  if (!user) {
+    await loginGuard.fail(email);
+    throw badRequest("Usuario no encontrado", "USER_NOT_FOUND");
   }
-});
 
-// Cambiar contraseña
-app.put("/users/:uid/password", authenticateToken, async (req, res) => {
-  try {
-    const targetUid = req.params.uid;
-    const callerUid = req.user.uid;
-    if (callerUid !== targetUid) return res.status(403).json({ message: "Sólo el usuario puede cambiar su contraseña" });
+  const match = await bcrypt.compare(password, user.passwordHash || "");
+  if (!match) {
+    await loginGuard.fail(email);
+    throw unauthorized("Credenciales inválidas", "INVALID_CREDENTIALS");
+  }
+  await loginGuard.succeed(email);
+
+  const session = await tokens.issue(user);
+  res.json({ uid: user.uid, ...session });
+}));
+
+// Renovar sesión: cambia un refresh token por un par nuevo (el anterior queda inválido)
+v1.post("/auth/refresh", limitAuth, validate(schemas.refresh), asyncHandler(async (req, res) => {
+  const session = await tokens.refresh(req.body.refreshToken);
+  if (!session) throw unauthorized("Refresh token inválido", "INVALID_REFRESH_TOKEN");
+  res.json(session);
+}));
+
+// Verificar email con el token del correo. GET es el enlace del correo; POST, para la app.
+async function verifyEmail(req, res) {
+  const token = req.method === "GET" ? req.query.token : req.body.token;
+  const user = await tokens.verifyEmailToken(token);
+  if (!user) throw badRequest("Enlace de verificación inválido o vencido", "INVALID_VERIFICATION_TOKEN");
+  if (!user.emailVerified) {
+    await repos.users.update(user.uid, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+    await audit.record(req, "user.email_verify", { type: "user", id: user.uid, actorUid: user.uid, meta: { email: user.email } });
+  }
+  res.json({ message: "Email verificado", uid: user.uid, email: user.email });
+}
+v1.get("/auth/verify-email", limitAuth, validate(schemas.verifyEmailLink), asyncHandler(verifyEmail));
+v1.post("/auth/verify-email", limitAuth, validate(schemas.verifyEmail), asyncHandler(verifyEmail));
+
+// Reenviar el correo de verificación al usuario autenticado
+v1.post("/auth/resend-verification", authenticateToken, limitWrites, validate(schemas.resendVerification), asyncHandler(async (req, res) => {
+  const user = await repos.users.get(req.user.uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  if (user.emailVerified) throw conflict("El email ya está verificado", "ALREADY_VERIFIED");
+  await sendVerificationMail(user);
+  res.json({ message: "Correo de verificación enviado" });
+}));
+
+// Olvidé mi contraseña: envía el enlace de restablecimiento. Responde igual exista o no la
+// cuenta, para no revelar qué emails están registrados.
+v1.post("/auth/forgot-password", limitAuth, validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  const user = await repos.users.findByEmail(req.body.email);
+  if (user) await sendPasswordResetMail(user);
+  res.json({ message: "Si el email está registrado, te enviamos un enlace para restablecer la contraseña" });
+}));
+
+// Restablecer contraseña con el token del correo: cierra todas las sesiones y desbloquea la cuenta
+v1.post("/auth/reset-password", limitAuth, validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const user = await tokens.verifyPasswordResetToken(req.body.token);
+  if (!user) throw badRequest("Enlace inválido, vencido o ya usado", "INVALID_RESET_TOKEN");
+
+  const passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+  // recibir el correo también prueba que el email es suyo
+  await repos.users.update(user.uid, {
+    passwordHash,
+    ...(user.emailVerified ? {} : { emailVerified: true, emailVerifiedAt: new Date().toISOString() })
+  });
+  await tokens.revokeAll(user.uid, "password-reset");
+  await loginGuard.succeed(user.email);
+  await audit.record(req, "user.password_reset", { type: "user", id: user.uid, actorUid: user.uid, before: user, after: { passwordHash } });
+  res.json({ message: "Contraseña restablecida, inicia sesión con la nueva" });
+}));
+
+// Cerrar sesión en este dispositivo (revoca el access token y, si se envía, el refresh token)
+v1.post("/auth/logout", authenticateToken, limitWrites, validate(schemas.logout), asyncHandler(async (req, res) => {
+  await tokens.logout(req.user, req.body.refreshToken);
+  res.json({ message: "Sesión cerrada" });
+}));
+
+// Cerrar sesión en todos los dispositivos
+v1.post("/auth/logout-all", authenticateToken, limitWrites, validate(schemas.logoutAll), asyncHandler(async (req, res) => {
+  await tokens.revokeAll(req.user.uid, "logout-all");
+  await audit.record(req, "auth.logout_all", { type: "user", id: req.user.uid });
+  res.json({ message: "Sesiones cerradas en todos los dispositivos" });
+}));
+
+// -----------------------------
+// USERS - Perfil
+// -----------------------------
 
-    const { oldPassword, newPassword } = req.body;
-    if (!oldPassword || !newPassword) return res.status(400).json({ message: "Faltan datos" });
+// Obtener usuario (solo info pública, no passwordHash)
+v1.get("/users/:uid", validate(schemas.getUser), asyncHandler(async (req, res) => {
+  const d = await repos.users.get(req.params.uid);
+  if (!d) throw notFound("Usuario no encontrado");
+  // devolver solo campos públicos
+  const out = {
+    uid: d.uid,
+    username: d.username,
+    email: d.email,
+    emailVerified: !!d.emailVerified,
+    role: primaryRole(rolesOf(d)),
+    roles: rolesOf(d),
+    createdAt: d.createdAt
+  };
+  res.json(out);
+}));
 
-    const doc = await db.collection("users").doc(targetUid).get();
-    if (!doc.exists) return res.status(404).json({ message: "Usuario no encontrado" });
+// Actualizar perfil (solo el usuario o admin)
+v1.put("/users/:uid", authenticateToken, limitWrites, validate(schemas.updateUser), asyncHandler(async (req, res) => {
+  const targetUid = req.params.uid;
+  await authorize(req, "user:update", { uid: targetUid }, "Acceso denegado");
+
+  const before = await repos.users.get(targetUid);
+  if (!before) throw notFound("Usuario no encontrado");
+
+  const { username, email } = req.body;
+  const update = {};
+  if (username !== undefined) update.username = username;
+  if (email !== undefined) {
+    const owner = await repos.users.findByEmail(email);
+    if (owner && owner.uid !== targetUid) throw badRequest("Email ya registrado", "EMAIL_TAKEN");
+    update.email = email;
+    // un email nuevo hay que volver a verificarlo
+    if (email !== before.email) Object.assign(update, { emailVerified: false, emailVerifiedAt: null });
+  }
 
-    const data = doc.data();
-    const match = await bcrypt.compare(oldPassword, data.passwordHash || "");
-    if (!match) return res.status(401).json({ message: "Contraseña actual incorrecta" });
+  const d = await repos.users.update(targetUid, update);
+  await audit.record(req, "user.update", { type: "user", id: targetUid, before, after: update });
+  if (update.emailVerified === false) await sendVerificationMail(d);
+  res.json({ uid: d.uid, username: d.username, email: d.email, emailVerified: !!d.emailVerified, role: primaryRole(rolesOf(d)), roles: rolesOf(d) });
+}));
 
-    const newHash = await bcrypt.hash(newPassword, 10);
-    await db.collection("users").doc(targetUid).update({ passwordHash: newHash });
+// Cambiar contraseña
+v1.put("/users/:uid/password", authenticateToken, limitWrites, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+  const targetUid = req.params.uid;
+  const callerUid = req.user.uid;
+  if (callerUid !== targetUid) throw forbidden("Sólo el usuario puede cambiar su contraseña");
+
+  const { oldPassword, newPassword } = req.body;
+
+  const data = await repos.users.get(targetUid);
+  if (!data) throw notFound("Usuario no encontrado");
+
+  const match = await bcrypt.compare(oldPassword, data.passwordHash || "");
+  if (!match) throw unauthorized("Contraseña actual incorrecta", "INVALID_CREDENTIALS");
+
+  const newHash = await bcrypt.hash(newPassword, 10);
+  await repos.users.update(targetUid, { passwordHash: newHash });
+  await audit.record(req, "user.password_change", { type: "user", id: targetUid, before: data, after: { passwordHash: newHash } });
+  // invalida todas las sesiones anteriores y entrega una nueva para este dispositivo
+  const updated = await tokens.revokeAll(targetUid, "password-change");
+  const session = await tokens.issue(updated);
+
+  res.json({ message: "Contraseña actualizada", ...session });
+}));
+
+// Eliminar cuenta (el propio usuario con su contraseña, o user:manage). Sus comentarios y
+// asistencias y calificaciones se conservan anonimizadas; sus reacciones y reportes se borran (los totales
+// quedan) y los eventos que creó siguen publicados.
+v1.delete("/users/:uid", authenticateToken, limitWrites, validate(schemas.deleteUser), asyncHandler(async (req, res) => {
+  const targetUid = req.params.uid;
+  await authorize(req, "user:delete", { uid: targetUid }, "Acceso denegado");
+  const user = await repos.users.get(targetUid);
+  if (!user) throw notFound("Usuario no encontrado");
+
+  if (targetUid === req.user.uid) {
+    const match = await bcrypt.compare(req.body.password || "", user.passwordHash || "");
+    if (!match) throw unauthorized("Contraseña incorrecta", "INVALID_CREDENTIALS");
+  }
+  if (rolesOf(user).includes("admin") && (await repos.users.countByRole("admin")) <= 1) {
+    throw conflict("No se puede eliminar el último admin", "LAST_ADMIN");
+  }
 
-    res.json({ message: "Contraseña actualizada" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  const comments = await repos.comments.anonymizeByUser(targetUid, DELETED_USERNAME);
+  for (const { eventId, occurrence, ...comment } of comments) {
+    if (!comment.deletedAt && isPublished(comment)) await eventSearch.indexComment(eventId, comment);
   }
-});
+  const attendance = await repos.attendees.anonymizeByUser(targetUid);
+  const ratings = await repos.ratings.anonymizeByUser(targetUid);
+  await repos.comments.deleteReactionsByUser(targetUid);
+  await repos.moderation.forgetUser(targetUid);
+  await repos.notifications.deleteForUser(targetUid);
+  await repos.invitations.deleteForUser(targetUid);
+  await tokens.revokeAll(targetUid, "account-deleted");
+  await repos.users.delete(targetUid);
+  // sólo el uid y los totales: el registro de auditoría no guarda los datos personales borrados
+  await audit.record(req, "user.delete", { type: "user", id: targetUid, meta: { comments: comments.length, attendance, ratings } });
+  res.json({ message: "Cuenta eliminada" });
+}));
 
 // -----------------------------
 // EVENTS - CRUD y extras
 // -----------------------------
 
-// Listar todos (sin paginar)
-app.get("/events", async (req, res) => {
-  try {
-    const snap = await db.collection("events").orderBy("createdAt", "desc").get();
-    const events = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(events);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Papelera: eventos eliminados propios (o todos, con event:manage) con su plazo para restaurar.
+// Va antes de /events/:id para que "trash" no se tome como id.
+v1.get("/events/trash", authenticateToken, validate(schemas.trashedEvents), asyncHandler(async (req, res) => {
+  const actor = await loadActor(req);
+  const events = await repos.events.listTrashed({ creatorUid: policy.can(actor, "event:manage") ? undefined : actor.uid });
+  res.json(events.map(event => ({ ...event, restorableUntil: trash.restorableUntil(event.deletedAt) })));
+}));
+
+// Listar todos (paginado opcional, ver sendEventList)
+v1.get("/events", authenticateOptional, validate(schemas.listEvents), asyncHandler(async (req, res) => {
+  await sendEventList(req, res, { sort: "createdAt", direction: "desc" });
+}));
+
+// Próximos eventos (date >= hoy) - orden ascendente por date; incluye ocurrencias de recurrentes
+v1.get("/events/upcoming", authenticateOptional, validate(schemas.listEvents), asyncHandler(async (req, res) => {
+  const today = new Date().toISOString().split("T")[0]; // compararemos YYYY-MM-DD simple
+  await sendEventList(req, res, { sort: "date", direction: "asc", dateGte: today, expandRecurring: true });
+}));
+
+// Eventos pasados (history) date < hoy, orden descendente; incluye ocurrencias de recurrentes
+v1.get("/events/past", authenticateOptional, validate(schemas.listEvents), asyncHandler(async (req, res) => {
+  const today = new Date().toISOString().split("T")[0];
+  await sendEventList(req, res, { sort: "date", direction: "desc", dateLt: today, expandRecurring: true });
+}));
+
+// Mejor calificados (por promedio ponderado, ver repositories/ratings.js), paginado con
+// limit / cursor; minCount: mínimo de calificaciones (por defecto 1)
+v1.get("/events/top-rated", authenticateOptional, validate(schemas.topRated), asyncHandler(async (req, res) => {
+  const { minCount, limit, cursor } = req.query;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
   }
-});
+  const { items, hasMore } = await repos.events.topRated({ minCount, limit: parseLimit(limit), after, visible: listedFor(req) });
+  const last = items[items.length - 1];
+  res.json({ items, nextCursor: hasMore && last ? encodeCursor(last.ratingSummary.score, last.id) : null });
+}));
+
+// Eventos cerca de un punto: ?lat=&lng=&radius= (km, por defecto 10), del más cercano al más
+// lejano y con `distanceKm`. when=upcoming|past y from / to filtran por fecha; paginado con
+// limit / cursor. Sólo aparecen los eventos con coordenadas.
+v1.get("/events/nearby", authenticateOptional, validate(schemas.nearbyEvents), asyncHandler(async (req, res) => {
+  const { lat, lng, radius, when, from, to, limit, cursor } = req.query;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
+  }
+  const today = new Date().toISOString().split("T")[0];
+  const dateGte = [when === "upcoming" && today, from].filter(Boolean).sort().pop();
+  const dateLt = [when === "past" && today, to && nextDay(to)].filter(Boolean).sort()[0];
+
+  const pageSize = parseLimit(limit);
+  const cursorEntry = after ? { distanceKm: after.value, id: after.id } : null;
+  const nearby = (await listNearby({ lat, lng, radiusKm: radius, dateGte, dateLt, visible: listedFor(req) }))
+    .filter(ev => !cursorEntry || compareListed(ev, cursorEntry, "distanceKm", "asc") > 0);
+  const items = nearby.slice(0, pageSize);
+  const last = items[items.length - 1];
+  const nextCursor = nearby.length > pageSize && last ? encodeCursor(last.distanceKm, last.occurrenceId || last.id) : null;
+  res.json({ items, nextCursor });
+}));
+
+// Buscar eventos por texto (título, descripción, ubicación y, con comments=true, comentarios)
+// Ordenado por relevancia; tolera acentos y errores de tipeo. Ver lib/eventSearch.js
+v1.get("/events/search", authenticateOptional, validate(schemas.searchEvents), asyncHandler(async (req, res) => {
+  const events = await eventSearch.search(req.query.q, { includeComments: req.query.comments });
+  res.json(await filterListed(events, listedFor(req)));
+}));
 
-// Próximos eventos (date >= hoy) - orden ascendente por date
-app.get("/events/upcoming", async (req, res) => {
-  try {
-    const today = new Date().toISOString().split("T")[0]; // compararemos YYYY-MM-DD simple
-    const snap = await db.collection("events")
-      .where("date", ">=", today)
-      .orderBy("date", "asc")
-      .get();
-    const events = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(events);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Mis eventos (creados por uid)
+v1.get("/events/creator/:uid", authenticateOptional, validate(schemas.listCreatorEvents), asyncHandler(async (req, res) => {
+  await sendEventList(req, res, { sort: "createdAt", direction: "desc", creatorUid: req.params.uid });
+}));
+
+// Evento en formato iCalendar (.ics) para agregarlo a Google Calendar / Outlook.
+// Va antes de /events/:id para que "abc.ics" no se tome como id. Si el evento fue eliminado
+// se publica cancelado (el de un evento privado, sólo para quienes lo veían).
+v1.get("/events/:id.ics", authenticateOptional, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const event = await repos.events.get(id);
+  let entries;
+  if (event) {
+    if (!canView(event, await viewerFor(req, event))) throw notFound("Evento no encontrado");
+    const docs = event.recurring ? await repos.occurrences.mapByDay(id) : {};
+    entries = eventCalendar.eventEntries(event, docs);
+  } else {
+    const tombstone = await repos.tombstones.get(id);
+    const target = tombstone && { ...tombstone, id };
+    if (!target || !canView(target, await viewerFor(req, target))) throw notFound("Evento no encontrado");
+    entries = eventCalendar.tombstoneEntries(tombstone);
   }
-});
+  res.type("text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="evento-${id}.ics"`);
+  res.send(buildCalendar({ name: event ? event.title : undefined, events: entries }));
+}));
+
+// Obtener evento. Los privados, con ?invite= (enlace o correo de invitación) aunque todavía no
+// se haya aceptado.
+v1.get("/events/:id", authenticateOptional, validate(schemas.viewEvent), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id, { inviteToken: req.query.invite });
+  await recordStats(event.id, { views: 1 });
+  res.json(event);
+}));
+
+// Evento a guardar con los campos ya validados; creatorName sale del doc del creador. Lanza
+// VALIDATION_ERROR si la regla de recurrencia o las coordenadas no sirven.
+function newEventData({ title, date, location, description, capacity, recurrence, lat, lng, visibility }, creator) {
+  const recurring = recurrence === undefined || recurrence === null ? { recurring: false } : recurrenceFields(recurrence, date);
+  return {
+    title,
+    date,
+    location,
+    description,
+    creatorUid: creator.uid,
+    creatorName: creator.username || "Desconocido",
+    capacity: capacity === undefined ? null : capacity,
+    attendeeCount: 0,
+    visibility: visibility || "public",
+    ...recurring,
+    ...geoFields(lat, lng),
+    createdAt: new Date().toISOString()
+  };
+}
 
-// Eventos pasados (history) date < hoy, orden descendente
-app.get("/events/past", async (req, res) => {
-  try {
-    const today = new Date().toISOString().split("T")[0];
-    const snap = await db.collection("events")
-      .where("date", "<", today)
-      .orderBy("date", "desc")
-      .get();
-    const events = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(events);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Crear evento - ahora obtiene creatorName desde users doc
+v1.post("/events", authenticateToken, limitWrites, validate(schemas.createEvent), asyncHandler(async (req, res) => {
+  const { title, date, location, description, creatorUid, capacity, recurrence, lat, lng, visibility } = req.body;
+  await authorize(req, "event:create", null, "Tu rol no permite crear eventos");
+  // crear a nombre de otro usuario requiere event:manage
+  if (creatorUid !== req.user.uid) await authorize(req, "event:manage", null, "Sólo puedes crear eventos a tu nombre");
+  if (REQUIRE_VERIFIED_EMAIL) {
+    const author = await repos.users.get(req.user.uid);
+    if (!author.emailVerified) throw forbidden("Verifica tu email para crear eventos", "EMAIL_NOT_VERIFIED");
+  }
+  const creator = await repos.users.get(creatorUid);
+  if (!creator) throw notFound("Usuario creador no encontrado");
+  const newEvent = newEventData({ title, date, location, description, capacity, recurrence, lat, lng, visibility }, creator);
+
+  const created = await repos.events.create(newEvent);
+  await audit.record(req, "event.create", { type: "event", id: created.id, after: newEvent });
+  await eventSearch.indexEvent(created);
+  publishEvent("event.created", created);
+  res.json(created);
+
+}));
+
+// Editar evento (creador, co-organizadores o event:manage)
+v1.put("/events/:id", authenticateToken, limitWrites, validate(schemas.updateEvent), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const { title, date, location, description, capacity, recurrence, lat, lng, visibility } = req.body;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+
+  await authorize(req, "event:update", event, "Solo el creador, un co-organizador o admin puede editar");
+
+  const update = {};
+  if (title !== undefined) update.title = title;
+  if (date !== undefined) update.date = date;
+  if (location !== undefined) update.location = location;
+  if (description !== undefined) update.description = description;
+  if (capacity !== undefined) update.capacity = capacity;
+  if (visibility !== undefined) update.visibility = visibility;
+  Object.assign(update, geoFields(lat, lng));
+  // cambiar la regla o la fecha de inicio recalcula el fin de la serie
+  if (recurrence !== undefined || (date && event.recurring)) {
+    Object.assign(update, recurrenceFields(recurrence !== undefined ? recurrence : event.recurrence, date || event.date));
+  }
+  // cada cambio real incrementa sequence (SEQUENCE en los .ics, para que los calendarios lo apliquen)
+  const changed = Object.keys(update).some(k => JSON.stringify(update[k]) !== JSON.stringify(event[k] === undefined ? null : event[k]));
+  if (changed) {
+    update.sequence = (event.sequence || 0) + 1;
+    update.updatedAt = new Date().toISOString();
   }
-});
 
-// Buscar eventos por texto (título o descripción)
-app.get("/events/search", async (req, res) => {
-  try {
-    const q = (req.query.q || "").toString().toLowerCase();
-    if (!q) return res.status(400).json({ message: "query q requerido" });
-
-    // Firestore no tiene LIKE nativo; hacemos una simple estrategia: buscar en todos y filtrar
-    const snap = await db.collection("events").get();
-    const events = snap.docs
-      .map(d => ({ id: d.id, ...d.data() }))
-      .filter(ev => {
-        const title = (ev.title || "").toString().toLowerCase();
-        const desc = (ev.description || "").toString().toLowerCase();
-        return title.includes(q) || desc.includes(q);
+  let updated = await repos.events.update(id, update);
+  await audit.record(req, "event.update", { type: "event", id, before: event, after: update });
+  // si se amplió o quitó el cupo, entran los primeros de la lista de espera
+  if (capacity !== undefined) {
+    const promoted = await repos.attendees.promoteWaitlisted(id);
+    if (promoted.length) updated = await repos.events.get(id);
+    if (updated.recurring) {
+      const occurrences = await repos.occurrences.mapByDay(id);
+      for (const day of Object.keys(occurrences)) promoted.push(...await repos.attendees.promoteWaitlisted(id, day));
+    }
+    if (promoted.length) await recordStats(id, { confirmations: promoted.length });
+  }
+  await eventSearch.indexEvent(updated);
+  publishEvent("event.updated", updated);
+  // dejó de ser público: para los feeds es como si se hubiera eliminado
+  if (visibilityOf(event) === "public" && visibilityOf(updated) !== "public") {
+    realtime.publish(["feed:events", "feed:upcoming"], "event.deleted", { eventId: id, event: { id } });
+  }
+  const noticed = {};
+  if (update.date !== undefined && update.date !== event.date) noticed.date = update.date;
+  if (update.location !== undefined && update.location !== event.location) noticed.location = update.location;
+  if (Object.keys(noticed).length) await notifyEventChanged(req, updated, null, noticed);
+  res.json(updated);
+
+}));
+
+// Eliminar evento (solo creador o event:manage). Va a la papelera con sus comentarios y
+// asistentes; se puede restaurar durante TRASH_RETENTION_DAYS.
+v1.delete("/events/:id", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+
+  await authorize(req, "event:delete", event, "Solo el creador o admin puede eliminar");
+
+  const trashed = await repos.events.trash(id, { deletedBy: req.user.uid });
+  await audit.record(req, "event.delete", { type: "event", id, before: event });
+  await eventSearch.removeEvent(id);
+  publishEvent("event.deleted", event);
+  await notifyEventCancelled(req, event, null);
+
+  res.json({ message: "Evento eliminado", restorableUntil: trash.restorableUntil(trashed.deletedAt) });
+}));
+
+// Restaurar un evento de la papelera (creador o event:manage), con sus comentarios y asistentes
+v1.post("/events/:id/restore", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const event = await repos.events.get(id, { includeDeleted: true });
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:restore", event, "Solo el creador o admin puede restaurar");
+  if (!event.deletedAt) throw conflict("El evento no está en la papelera", "NOT_IN_TRASH");
+  if (trash.isExpired(event.deletedAt)) throw gone("Venció el plazo para restaurar el evento", "RESTORE_EXPIRED");
+
+  const restored = await repos.events.restore(id);
+  await audit.record(req, "event.restore", { type: "event", id, before: { deletedAt: event.deletedAt }, after: { deletedAt: null } });
+  await indexEventWithComments(restored);
+  publishEvent("event.restored", restored);
+  res.json(restored);
+}));
+
+// URLs para compartir; en los privados los organizadores reciben además `inviteUrl`, el enlace
+// de invitación (quien lo abre ve el evento y puede aceptar, ver INVITACIONES)
+function shareLinks(event, actor) {
+  // podrías generar slug; por ahora devolvemos URL directa
+  const url = `${BASE_URL_PUBLIC}/events/${event.id}`;
+  const links = { url, icsUrl: `${BASE_URL_PUBLIC}/events/${event.id}.ics` };
+  if (visibilityOf(event) === "private" && actor && policy.can(actor, "event:invite", event)) {
+    links.inviteUrl = `${url}?invite=${tokens.inviteLinkToken(event)}`;
+  }
+  return links;
+}
+
+// Compartir evento - devuelve URL pública para compartir (Android hace Intent share)
+v1.get("/events/:id/share", authenticateOptional, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  res.json(shareLinks(event, req.user ? await loadActor(req) : null));
+}));
+
+// Regenerar el enlace de invitación (creador, co-organizadores o event:manage): el anterior
+// deja de valer; las invitaciones ya aceptadas se mantienen
+v1.post("/events/:id/share/rotate", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  const actor = await authorize(req, "event:invite", event, "Solo el creador, un co-organizador o admin puede regenerar el enlace");
+  if (visibilityOf(event) !== "private") throw conflict("Sólo los eventos privados tienen enlace de invitación", "EVENT_NOT_PRIVATE");
+  const updated = await repos.events.update(event.id, { inviteVersion: (event.inviteVersion || 0) + 1 });
+  await audit.record(req, "event.invite_link_rotate", { type: "event", id: event.id });
+  res.json(shareLinks(updated, actor));
+}));
+
+// -----------------------------
+// INVITACIONES - eventos privados (ver lib/visibility.js y repositories/invitations.js)
+// -----------------------------
+// Dos formas de invitar: el enlace del evento (`inviteUrl` de /events/:id/share, para
+// cualquiera que lo reciba) y las invitaciones por email, que llegan con un enlace propio. El
+// invitado abre GET /events/:id?invite=<token>, ve el evento y acepta o rechaza. Sólo con la
+// invitación pendiente o aceptada puede confirmar asistencia.
+
+function sendInvitationMail(event, invitation, inviter, message) {
+  const token = tokens.invitationToken(invitation);
+  return sendMailSafely({
+    to: invitation.email,
+    subject: `Invitación: ${event.title}`,
+    text: `${inviter ? inviter.username : "Un organizador"} te invitó a "${event.title}" (${String(event.date).replace("T", " ")}, ${event.location}).\n` +
+      `${message ? `\n${message}\n` : ""}` +
+      `\nPara verlo y responder abre este enlace (vence en ${INVITATION_TTL}):\n${BASE_URL_PUBLIC}/events/${event.id}?invite=${token}\n`
+  });
+}
+
+// Asistir a un evento privado: organizadores o invitados (confirmar acepta la invitación pendiente)
+async function requireInvitation(req, event) {
+  if ((await viewerOf(req)).manages(event)) return;
+  const invitation = await repos.invitations.findFor(event.id, { uid: req.user.uid });
+  if (!invitation || invitation.status === "declined") {
+    throw forbidden("Este evento es privado: necesitas una invitación", "INVITATION_REQUIRED");
+  }
+  if (invitation.status === "pending") {
+    await repos.invitations.update(event.id, invitation.id, { status: "accepted", respondedAt: new Date().toISOString() });
+  }
+}
+
+// evento de la ruta con permiso para invitar (creador, co-organizadores o event:manage)
+async function invitingEvent(req) {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:invite", event, "Solo el creador, un co-organizador o admin puede gestionar las invitaciones");
+  return event;
+}
+
+// Invitaciones del evento (?status=pending|accepted|declined)
+v1.get("/events/:id/invitations", authenticateToken, validate(schemas.listInvitations), asyncHandler(async (req, res) => {
+  const event = await invitingEvent(req);
+  res.json(await repos.invitations.list(event.id, { status: req.query.status }));
+}));
+
+// Invitar por email (hasta 50 direcciones). Si el email es de una cuenta que lo verificó, la
+// invitación queda a su nombre y le llega también la notificación; si no, queda sólo con el email
+// (un email sin verificar no prueba que la dirección sea de esa cuenta). Las rechazadas o
+// pendientes se vuelven a enviar y las aceptadas quedan igual.
+v1.post("/events/:id/invitations", authenticateToken, limitWrites, validate(schemas.inviteByEmail), asyncHandler(async (req, res) => {
+  const event = await invitingEvent(req);
+  if (visibilityOf(event) !== "private") throw conflict("Sólo se invita a eventos privados", "EVENT_NOT_PRIVATE");
+  const inviter = await repos.users.get(req.user.uid);
+  const byEmail = new Map(req.body.emails.map(email => [email.toLowerCase(), email]));
+
+  const items = [];
+  for (const [email, typed] of byEmail) {
+    const found = await repos.users.findByEmail(typed);
+    const user = found && found.emailVerified ? found : null;
+    let invitation = await repos.invitations.findFor(event.id, { uid: user && user.uid, email });
+    if (invitation && invitation.status === "accepted") {
+      items.push(invitation);
+      continue;
+    }
+    invitation = invitation
+      ? await repos.invitations.update(event.id, invitation.id, { status: "pending", invitedBy: req.user.uid, respondedAt: null })
+      : await repos.invitations.create(event.id, {
+        email,
+        uid: user ? user.uid : null,
+        status: "pending",
+        via: "email",
+        invitedBy: req.user.uid,
+        createdAt: new Date().toISOString(),
+        respondedAt: null
       });
+    await sendInvitationMail(event, { ...invitation, email }, inviter, req.body.message);
+    if (user) {
+      await notifySafely([user.uid], {
+        type: "eventInvitation",
+        title: `Invitación: ${event.title}`,
+        body: `${inviter ? inviter.username : "Un organizador"} te invitó a "${event.title}".`,
+        data: { eventId: event.id, invitationId: invitation.id }
+      }, req.user.uid);
+    }
+    items.push(invitation);
+  }
+  await audit.record(req, "event.invite", { type: "event", id: event.id, meta: { emails: [...byEmail.keys()] } });
+  res.status(201).json({ items });
+}));
+
+// Quitar una invitación: el usuario deja de ver el evento (si ya confirmó, su asistencia queda)
+v1.delete("/events/:id/invitations/:iid", authenticateToken, limitWrites, validate(schemas.invitation), asyncHandler(async (req, res) => {
+  const event = await invitingEvent(req);
+  const invitation = await repos.invitations.get(event.id, req.params.iid);
+  if (!invitation) throw notFound("Invitación no encontrada", "INVITATION_NOT_FOUND");
+  await repos.invitations.delete(event.id, invitation.id);
+  await audit.record(req, "event.uninvite", { type: "event", id: event.id, before: invitation });
+  res.json({ message: "Invitación eliminada" });
+}));
+
+// Acepta o rechaza (status) la invitación del usuario: la del token (enlace del evento o correo)
+// o, sin token, la que ya tiene por uid o por su email si lo verificó (uno sin verificar podría
+// ser de otra persona). El enlace del evento crea la invitación.
+async function respondInvitation(req, status) {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  const uid = req.user.uid;
+  const user = await repos.users.get(uid);
+  let invitation = await repos.invitations.findFor(event.id, { uid, email: user.emailVerified ? user.email : null });
+
+  if (req.body.token) {
+    const invite = await inviteFromToken(event, req.body.token);
+    if (!invite) throw badRequest("La invitación no es válida o venció", "INVALID_INVITATION");
+    if (invite.via === "email") {
+      // el correo vale para una sola cuenta
+      if (invite.invitation.uid && invite.invitation.uid !== uid) throw forbidden("La invitación es de otro usuario", "INVITATION_TAKEN");
+      invitation = invite.invitation;
+    }
+  } else if (!invitation) {
+    throw notFound("No tienes invitación a este evento", "INVITATION_NOT_FOUND");
+  }
 
-    res.json(events);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  const changes = { uid, status, respondedAt: new Date().toISOString() };
+  const saved = invitation
+    ? await repos.invitations.update(event.id, invitation.id, changes)
+    : await repos.invitations.create(event.id, { email: null, via: "link", invitedBy: null, createdAt: changes.respondedAt, ...changes });
+  await audit.record(req, status === "accepted" ? "invitation.accept" : "invitation.decline", { type: "event", id: event.id, meta: { invitationId: saved.id } });
+  return saved;
+}
+
+v1.post("/events/:id/invitations/accept", authenticateToken, limitWrites, validate(schemas.respondInvitation), asyncHandler(async (req, res) => {
+  res.json(await respondInvitation(req, "accepted"));
+}));
+
+v1.post("/events/:id/invitations/decline", authenticateToken, limitWrites, validate(schemas.respondInvitation), asyncHandler(async (req, res) => {
+  res.json(await respondInvitation(req, "declined"));
+}));
+
+// Invitaciones del propio usuario con un resumen de cada evento (las de eventos eliminados no
+// aparecen). Las enviadas por email antes de crear la cuenta aparecen al aceptarlas con el enlace.
+v1.get("/users/:uid/invitations", authenticateToken, validate(schemas.userInvitations), asyncHandler(async (req, res) => {
+  if (req.user.uid !== req.params.uid) throw forbidden("Acceso denegado");
+  const invitations = (await repos.invitations.listByUser(req.params.uid))
+    .filter(i => !req.query.status || i.status === req.query.status);
+  const items = [];
+  for (const invitation of invitations) {
+    const event = await repos.events.get(invitation.eventId);
+    if (!event) continue;
+    const { id, title, date, location, creatorName } = event;
+    items.push({ ...invitation, event: { id, title, date, location, creatorName } });
   }
-});
+  res.json(items);
+}));
 
-// Mis eventos (creados por uid)
-app.get("/events/creator/:uid", async (req, res) => {
-  try {
-    const snap = await db.collection("events").where("creatorUid", "==", req.params.uid).orderBy("createdAt", "desc").get();
-    const events = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(events);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// -----------------------------
+// ARCHIVOS - portada y adjuntos de los eventos
+// -----------------------------
+// El archivo va crudo en el body con su Content-Type (image/png, application/pdf...), sin
+// multipart. Se guardan con `files` (ver lib/fileStorage.js) bajo events/{id}/ y se entregan
+// con URLs firmadas que vencen. Al eliminar el evento quedan (se puede restaurar); se borran
+// cuando la papelera lo purga.
+
+// body crudo de cualquier tipo hasta maxMb; lo que pase el límite es 413 PAYLOAD_TOO_LARGE
+const rawUpload = maxMb => express.raw({ type: () => true, limit: `${maxMb}mb` });
+
+// Archivo subido, comprobado contra los tipos permitidos. Devuelve { buffer, contentType, extension }.
+function uploadedFile(req, allowed) {
+  const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const checked = checkFile(buffer, req.get("Content-Type"), allowed);
+  if (checked.code === "UNSUPPORTED_MEDIA_TYPE") throw new ApiError(415, checked.code, checked.error);
+  if (!buffer.length) throw badRequest("Falta el archivo en el cuerpo", "FILE_REQUIRED");
+  if (checked.error) throw new ApiError(415, checked.code, checked.error);
+  return { buffer, ...checked };
+}
+
+// evento de la ruta con permiso para editarlo (creador, co-organizadores o event:manage)
+async function editableEvent(req) {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:update", event, "Solo el creador, un co-organizador o admin puede cambiar los archivos");
+  return event;
+}
+
+// Borra archivos que ya no se usan; si falla quedan huérfanos hasta la purga del evento
+async function removeFilesSafely(keys) {
+  for (const key of keys) {
+    try {
+      await files.remove(key);
+    } catch (e) {
+      console.error("Error borrando archivo:", key, e);
+    }
   }
-});
+}
 
-// Obtener evento
-app.get("/events/:id", async (req, res) => {
+// Subir o reemplazar la portada (jpeg, png o webp). Se guarda achicada y con una miniatura
+// cuadrada; `cover.url` y `cover.thumbnailUrl` son fijas y redirigen a URLs firmadas.
+v1.put("/events/:id/cover", authenticateToken, limitWrites, validate(schemas.getEvent), rawUpload(MAX_COVER_MB), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const event = await editableEvent(req);
+  const upload = uploadedFile(req, IMAGE_TYPES);
+  let processed;
   try {
-    const doc = await db.collection("events").doc(req.params.id).get();
-    if (!doc.exists) return res.status(404).json({ message: "Evento no encontrado" });
-    res.json({ id: doc.id, ...doc.data() });
+    processed = await processCover(upload.buffer, upload.contentType);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+    throw badRequest("La imagen está dañada o no se puede leer", "INVALID_IMAGE");
   }
-});
 
-// Crear evento - ahora obtiene creatorName desde users doc
-app.post("/events", authenticateToken, async (req, res) => {
-  try {
-    const { title, date, location, description, creatorUid } = req.body;
-    if (!title || !date || !location || !description || !creatorUid) return res.status(400).json({ message: "Faltan campos" });
-
-    // traer username
-    const userDoc = await db.collection("users").doc(creatorUid).get();
-    if (!userDoc.exists) return res.status(404).json({ message: "Usuario creador no encontrado" });
-    const creatorName = userDoc.data().username || "Desconocido";
-
-    const newEvent = {
-      title,
-      date,
-      location,
-      description,
-      creatorUid,
-      creatorName,
-      createdAt: new Date().toISOString()
-    };
+  // nombre nuevo en cada subida: las URLs firmadas ya entregadas no muestran la portada nueva
+  const name = `cover-${crypto.randomBytes(6).toString("hex")}`;
+  const key = `events/${id}/${name}.${upload.extension}`;
+  const thumbnailKey = `events/${id}/${name}-thumb.webp`;
+  await files.put(key, processed.image.buffer, processed.image.contentType);
+  await files.put(thumbnailKey, processed.thumbnail.buffer, processed.thumbnail.contentType);
+  const cover = {
+    key,
+    thumbnailKey,
+    contentType: processed.image.contentType,
+    size: processed.image.buffer.length,
+    width: processed.image.width,
+    height: processed.image.height,
+    url: `${BASE_URL_PUBLIC}/events/${id}/cover`,
+    thumbnailUrl: `${BASE_URL_PUBLIC}/events/${id}/cover?size=thumbnail`,
+    uploadedBy: req.user.uid,
+    updatedAt: new Date().toISOString()
+  };
+
+  const updated = await repos.events.update(id, { cover });
+  await audit.record(req, "event.cover_update", { type: "event", id, before: { cover: event.cover || null }, after: { cover } });
+  if (event.cover) await removeFilesSafely([event.cover.key, event.cover.thumbnailKey]);
+  publishEvent("event.updated", updated);
+  res.json({ cover });
+}));
+
+v1.delete("/events/:id/cover", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const event = await editableEvent(req);
+  if (!event.cover) throw notFound("El evento no tiene portada", "NO_COVER");
+  const updated = await repos.events.update(id, { cover: null });
+  await audit.record(req, "event.cover_delete", { type: "event", id, before: { cover: event.cover }, after: { cover: null } });
+  await removeFilesSafely([event.cover.key, event.cover.thumbnailKey]);
+  publishEvent("event.updated", updated);
+  res.json({ message: "Portada eliminada" });
+}));
+
+// Redirige a una URL firmada de la portada (o de la miniatura con size=thumbnail)
+v1.get("/events/:id/cover", authenticateOptional, validate(schemas.eventCover), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  if (!event.cover) throw notFound("El evento no tiene portada", "NO_COVER");
+  const url = await files.signedUrl(req.query.size === "thumbnail" ? event.cover.thumbnailKey : event.cover.key);
+  res.set("Cache-Control", "no-store");
+  res.redirect(302, url);
+}));
+
+// Adjuntos (pdf o imágenes), con una URL firmada cada uno
+v1.get("/events/:id/attachments", authenticateOptional, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  const attachments = await repos.attachments.list(event.id);
+  res.json(await Promise.all(attachments.map(async a => ({ ...a, url: await files.signedUrl(a.key) }))));
+}));
+
+// Agregar un adjunto: ?name= es el nombre a mostrar (por defecto "adjunto.<ext>")
+v1.post("/events/:id/attachments", authenticateToken, limitWrites, validate(schemas.addAttachment), rawUpload(MAX_ATTACHMENT_MB), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  await editableEvent(req);
+  const upload = uploadedFile(req, ATTACHMENT_TYPES);
+  if ((await repos.attachments.count(id)) >= MAX_ATTACHMENTS) {
+    throw conflict(`El evento ya tiene ${MAX_ATTACHMENTS} adjuntos`, "TOO_MANY_ATTACHMENTS");
+  }
 
-    const ref = await db.collection("events").add(newEvent);
-    res.json({ id: ref.id, ...newEvent });
+  const aid = crypto.randomBytes(8).toString("hex");
+  const key = `events/${id}/attachments/${aid}.${upload.extension}`;
+  await files.put(key, upload.buffer, upload.contentType);
+  const attachment = await repos.attachments.create(id, aid, {
+    name: (req.query.name || `adjunto.${upload.extension}`).replace(/[\\/]/g, "_"),
+    key,
+    contentType: upload.contentType,
+    size: upload.buffer.length,
+    uploadedBy: req.user.uid,
+    createdAt: new Date().toISOString()
+  });
+  await audit.record(req, "attachment.create", { type: "attachment", id: aid, eventId: id, after: attachment });
+  res.status(201).json({ ...attachment, url: await files.signedUrl(key) });
+}));
+
+// Redirige a una URL firmada del adjunto
+v1.get("/events/:id/attachments/:aid", authenticateOptional, validate(schemas.attachment), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  const attachment = await repos.attachments.get(event.id, req.params.aid);
+  if (!attachment) throw notFound("Adjunto no encontrado");
+  res.set("Cache-Control", "no-store");
+  res.redirect(302, await files.signedUrl(attachment.key));
+}));
+
+v1.delete("/events/:id/attachments/:aid", authenticateToken, limitWrites, validate(schemas.attachment), asyncHandler(async (req, res) => {
+  const { id, aid } = req.params;
+  await editableEvent(req);
+  const attachment = await repos.attachments.get(id, aid);
+  if (!attachment) throw notFound("Adjunto no encontrado");
+  await repos.attachments.delete(id, aid);
+  await audit.record(req, "attachment.delete", { type: "attachment", id: aid, eventId: id, before: attachment });
+  await removeFilesSafely([attachment.key]);
+  res.json({ message: "Adjunto eliminado" });
+}));
+
+// Archivos del almacenamiento local, sólo con una URL firmada vigente (con firebase las URLs
+// apuntan directo al bucket y esta ruta no existe)
+v1.get("/files/*", validate(schemas.signedFile), asyncHandler(async (req, res, next) => {
+  if (!files.local) return next();
+  const key = req.params[0];
+  if (!files.local.verify(key, req.query.expires, req.query.signature)) {
+    throw forbidden("El enlace venció o no es válido", "INVALID_FILE_URL");
+  }
+  res.set("Cache-Control", "private, max-age=300");
+  res.sendFile(key, { root: files.local.dir, dotfiles: "deny" }, err => {
+    if (err) next(err.status === 404 ? notFound("Archivo no encontrado") : err);
+  });
+}));
 
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// -----------------------------
+// OCURRENCIAS - eventos recurrentes
+// -----------------------------
+
+// Listar ocurrencias de un evento recurrente (incluye las canceladas, marcadas con cancelled)
+v1.get("/events/:id/occurrences", authenticateOptional, validate(schemas.listOccurrences), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  if (!event.recurring) throw badRequest("El evento no es recurrente", "NOT_RECURRING");
+
+  const { from, to } = req.query;
+  const today = new Date().toISOString().split("T")[0];
+  const docs = await repos.occurrences.mapByDay(event.id);
+  const occurrences = buildOccurrences(event, docs, {
+    from: from || today,
+    to: to || addDays(today, RECURRENCE_HORIZON_DAYS),
+    includeCancelled: true
+  });
+  res.json(occurrences);
+}));
+
+// Editar una sola ocurrencia (creador, co-organizadores o event:manage): title, date, location, description
+v1.put("/events/:id/occurrences/:day", authenticateToken, limitWrites, validate(schemas.updateOccurrence), asyncHandler(async (req, res) => {
+  const { id, day } = req.params;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+
+  await authorize(req, "event:update", event, "Solo el creador, un co-organizador o admin puede editar");
+  if (!event.recurring || !isOccurrence(event.recurrence, event.date, day)) {
+    throw notFound("Ocurrencia no encontrada", "OCCURRENCE_NOT_FOUND");
   }
-});
 
-// Editar evento (solo creador o admin)
-app.put("/events/:id", authenticateToken, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const { title, date, location, description } = req.body;
-    // validaciones mínimas
-    const doc = await db.collection("events").doc(id).get();
-    if (!doc.exists) return res.status(404).json({ message: "Evento no encontrado" });
-
-    const event = doc.data();
-    const callerUid = req.user.uid;
-    // check owner or admin
-    const callerDoc = await db.collection("users").doc(callerUid).get();
-    const callerRole = callerDoc.exists ? callerDoc.data().role : null;
-    if (event.creatorUid !== callerUid && callerRole !== "admin") {
-      return res.status(403).json({ message: "Solo el creador o admin puede editar" });
-    }
+  // req.body sólo trae title, date, location y description (ver schemas.updateOccurrence)
+  const overrides = req.body;
+
+  const occurrenceDocBefore = (await repos.occurrences.get(id, day)) || {};
+  await repos.occurrences.setOverrides(id, day, overrides);
+  await audit.record(req, "occurrence.update", { type: "occurrence", id: `${id}/${day}`, eventId: id, after: overrides });
+  const docs = await repos.occurrences.mapByDay(id);
+  const previous = buildOccurrences(event, { ...docs, [day]: occurrenceDocBefore }, { from: day, to: day, includeCancelled: true })[0];
+  const [occurrence] = buildOccurrences(event, docs, { from: day, to: day, includeCancelled: true });
+  realtime.publish(`event:${id}`, "occurrence.updated", { eventId: id, occurrence: day, event: occurrence });
+  const noticed = {};
+  if (occurrence.date !== previous.date) noticed.date = occurrence.date;
+  if (occurrence.location !== previous.location) noticed.location = occurrence.location;
+  if (Object.keys(noticed).length) await notifyEventChanged(req, event, day, noticed);
+  res.json(occurrence);
+}));
+
+// Cancelar una sola ocurrencia (creador, co-organizadores o event:manage); el resto de la serie sigue igual
+v1.delete("/events/:id/occurrences/:day", authenticateToken, limitWrites, validate(schemas.occurrence), asyncHandler(async (req, res) => {
+  const { id, day } = req.params;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+
+  await authorize(req, "event:update", event, "Solo el creador, un co-organizador o admin puede cancelar");
+  if (!event.recurring || !isOccurrence(event.recurrence, event.date, day)) {
+    throw notFound("Ocurrencia no encontrada", "OCCURRENCE_NOT_FOUND");
+  }
 
-    const update = {};
-    if (title) update.title = title;
-    if (date) update.date = date;
-    if (location) update.location = location;
-    if (description) update.description = description;
+  await repos.occurrences.cancel(id, day);
+  await audit.record(req, "occurrence.cancel", { type: "occurrence", id: `${id}/${day}`, eventId: id });
+  realtime.publish(`event:${id}`, "occurrence.cancelled", { eventId: id, occurrence: day });
+  await notifyEventCancelled(req, event, day);
+  res.json({ message: "Ocurrencia cancelada" });
+}));
 
-    await db.collection("events").doc(id).update(update);
-    const updated = await db.collection("events").doc(id).get();
-    res.json({ id: updated.id, ...updated.data() });
+// -----------------------------
+// CO-ORGANIZADORES - pueden editar el evento y sus ocurrencias, no eliminarlo
+// -----------------------------
 
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Creador y co-organizadores con su username
+v1.get("/events/:id/organizers", authenticateOptional, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  const uids = [event.creatorUid, ...(event.coOrganizers || [])];
+  const organizers = [];
+  for (const uid of uids) {
+    const user = await repos.users.get(uid);
+    organizers.push({ uid, username: user ? user.username : "Desconocido", role: uid === event.creatorUid ? "creator" : "co-organizer" });
   }
-});
+  res.json(organizers);
+}));
+
+// Agregar co-organizador (creador o event:manage)
+v1.post("/events/:id/organizers", authenticateToken, limitWrites, validate(schemas.addOrganizer), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const { uid } = req.body;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:organizers", event, "Solo el creador o admin puede agregar co-organizadores");
+  if (!(await repos.users.get(uid))) throw notFound("Usuario no encontrado");
+  if (uid === event.creatorUid) throw conflict("El creador ya organiza el evento", "ALREADY_ORGANIZER");
+
+  const coOrganizers = event.coOrganizers || [];
+  if (coOrganizers.includes(uid)) throw conflict("El usuario ya es co-organizador", "ALREADY_ORGANIZER");
+  const updated = await repos.events.update(id, { coOrganizers: [...coOrganizers, uid] });
+  await audit.record(req, "event.organizer_add", { type: "event", id, before: event, after: { coOrganizers: updated.coOrganizers }, meta: { uid } });
+  publishEvent("event.updated", updated);
+  res.json({ message: "Co-organizador agregado", coOrganizers: updated.coOrganizers });
+}));
+
+// Quitar co-organizador (creador, event:manage o el propio co-organizador)
+v1.delete("/events/:id/organizers/:uid", authenticateToken, limitWrites, validate(schemas.organizer), asyncHandler(async (req, res) => {
+  const { id, uid } = req.params;
+  const event = await repos.events.get(id);
+  if (!event) throw notFound("Evento no encontrado");
+  if (uid !== req.user.uid) await authorize(req, "event:organizers", event, "Solo el creador o admin puede quitar co-organizadores");
+
+  const coOrganizers = event.coOrganizers || [];
+  if (!coOrganizers.includes(uid)) throw notFound("El usuario no es co-organizador");
+  const updated = await repos.events.update(id, { coOrganizers: coOrganizers.filter(u => u !== uid) });
+  await audit.record(req, "event.organizer_remove", { type: "event", id, before: event, after: { coOrganizers: updated.coOrganizers }, meta: { uid } });
+  publishEvent("event.updated", updated);
+  res.json({ message: "Co-organizador quitado", coOrganizers: updated.coOrganizers });
+}));
 
-// Eliminar evento (solo creador o admin)
-app.delete("/events/:id", authenticateToken, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const doc = await db.collection("events").doc(id).get();
-    if (!doc.exists) return res.status(404).json({ message: "Evento no encontrado" });
-
-    const event = doc.data();
-    const callerUid = req.user.uid;
-    const callerDoc = await db.collection("users").doc(callerUid).get();
-    const callerRole = callerDoc.exists ? callerDoc.data().role : null;
-    if (event.creatorUid !== callerUid && callerRole !== "admin") {
-      return res.status(403).json({ message: "Solo el creador o admin puede eliminar" });
-    }
+// -----------------------------
+// COMMENTS - CRUD + rating, respuestas, reacciones y reportes
+// -----------------------------
 
-    // eliminar subcolecciones: comments y attendees (opcional: en batch)
-    const commentsSnap = await db.collection("events").doc(id).collection("comments").get();
-    const batch = db.batch();
-    commentsSnap.forEach(c => batch.delete(c.ref));
-    const attendeesSnap = await db.collection("events").doc(id).collection("attendees").get();
-    attendeesSnap.forEach(a => batch.delete(a.ref));
-    // eliminar documento
-    batch.delete(db.collection("events").doc(id));
-    await batch.commit();
-
-    res.json({ message: "Evento eliminado" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// comment:create, con un 403 COMMENT_BANNED propio si un moderador bloqueó los comentarios del usuario
+async function authorizeComment(req) {
+  const actor = await loadActor(req);
+  if (actor.commentBan) {
+    const until = actor.commentBan.until ? ` hasta ${actor.commentBan.until}` : "";
+    throw forbidden(`Un moderador bloqueó tus comentarios${until}`, "COMMENT_BANNED");
   }
-});
+  return authorize(req, "comment:create", null, "Tu cuenta no puede comentar");
+}
 
-// Compartir evento - devuelve URL pública para compartir (Android hace Intent share)
-app.get("/events/:id/share", async (req, res) => {
+// Cerrar / abrir los comentarios del evento (organizadores o comment:moderate). Cerrados, sólo
+// ellos pueden comentar o responder, en la serie y en sus ocurrencias.
+async function setCommentsLocked(req, locked) {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:comments", event, "Solo los organizadores o un moderador pueden cerrar los comentarios");
+  const updated = await repos.events.update(event.id, { commentsLocked: locked });
+  await audit.record(req, locked ? "event.comments_lock" : "event.comments_unlock", { type: "event", id: event.id, before: event, after: { commentsLocked: locked } });
+  publishEvent("event.updated", updated);
+  return { message: locked ? "Comentarios cerrados" : "Comentarios abiertos", commentsLocked: locked };
+}
+
+// van antes de /events/:id/comments/:cid para que "lock" no se tome como id de comentario
+v1.put("/events/:id/comments/lock", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  res.json(await setCommentsLocked(req, true));
+}));
+
+v1.delete("/events/:id/comments/lock", authenticateToken, limitWrites, validate(schemas.getEvent), asyncHandler(async (req, res) => {
+  res.json(await setCommentsLocked(req, false));
+}));
+
+// Crear comentario (autenticado). En eventos recurrentes, ?occurrence=YYYY-MM-DD lo asocia a una ocurrencia.
+// Con parentId es una respuesta. Si tiene palabras bloqueadas va a la cola de moderación y, con
+// COMMENT_FILTER_ACTION=hold, queda retenido (202, status "held") hasta que lo apruebe un moderador.
+// Un `rating` que no se acepta no impide el comentario: se guarda sin rating y el motivo vuelve
+// en `ratingError` (ver rateFromComment).
+v1.post("/events/:id/comments", authenticateToken, limitWrites, validate(schemas.createComment), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const { comment, rating } = req.body;
+  const parentId = req.body.parentId || req.body.replyTo;
+  const uid = req.user.uid;
+  const actor = await authorizeComment(req);
+  const scope = await resolveOccurrence(req, eventId);
+  if (scope.event.commentsLocked && !policy.can(actor, "event:comments", scope.event)) {
+    throw forbidden("Los comentarios de este evento están cerrados", "COMMENTS_LOCKED");
+  }
+  const parent = parentId ? await repos.comments.get(eventId, parentId, scope.occurrence) : null;
+  if (parentId && (!parent || !isPublished(parent))) throw notFound("El comentario al que respondes no existe", "PARENT_NOT_FOUND");
+  const depth = parent ? (parent.depth || 0) + 1 : 0;
+  if (depth > COMMENT_MAX_DEPTH) throw badRequest(`Las respuestas se pueden anidar hasta ${COMMENT_MAX_DEPTH} niveles`, "THREAD_TOO_DEEP");
+
+  const user = await repos.users.get(uid);
+  const username = user ? user.username : "Desconocido";
+  const matches = contentFilter.check(comment);
+  const held = matches.length > 0 && COMMENT_FILTER_ACTION === "hold";
+
+  // `rating` en el comentario (forma anterior) califica el evento como PUT /events/:id/ratings/:uid
+  const ratingError = rating !== undefined && rating !== null ? await rateFromComment(req, scope, uid, rating) : null;
+  const newComment = {
+    uid,
+    username,
+    comment,
+    rating: rating === undefined || ratingError ? null : rating,
+    ...(parent ? { parentId, depth } : {}),
+    status: held ? "held" : "published",
+    ...(scope.occurrence ? { occurrence: scope.occurrence } : {}),
+    createdAt: new Date().toISOString()
+  };
+
+  if (scope.occurrence) await repos.occurrences.ensure(eventId, scope.occurrence);
+  const created = await repos.comments.create(eventId, newComment, scope.occurrence);
+  const body = ratingError ? { ...created, ratingError } : created;
+  await audit.record(req, "comment.create", { type: "comment", id: created.id, eventId, after: newComment });
+  await recordStats(eventId, { comments: 1 });
+  if (matches.length) await repos.moderation.flag({ eventId, occurrence: scope.occurrence, comment: created, reason: "blocklist", matches });
+  if (held) return res.status(202).json(body);
+
+  await eventSearch.indexComment(eventId, created);
+  await publishComment("comment.created", eventId, scope.occurrence, created);
+  if (parent) await notifyReply(created, parent, scope.event, scope.occurrence);
+  res.json(body);
+}));
+
+// Listar comentarios publicados (de la serie, o de una ocurrencia con ?occurrence=): los fijados
+// primero y luego los más recientes. Con ?threaded=true, como árbol de respuestas.
+v1.get("/events/:id/comments", authenticateOptional, validate(schemas.listComments), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const scope = await resolveOccurrence(req, eventId);
+  const comments = await repos.comments.list(eventId, scope.occurrence);
+  res.json(req.query.threaded ? buildThreads(comments) : pinnedFirst(comments));
+}));
+
+// Editar comentario (autor o comment:moderate). Un texto con palabras bloqueadas lo manda a la
+// cola de moderación como al crearlo.
+v1.put("/events/:id/comments/:cid", authenticateToken, limitWrites, validate(schemas.updateComment), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const cid = req.params.cid;
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence);
+  if (!data) throw notFound("Comentario no encontrado");
+
+  await authorize(req, "comment:update", data, "Solo el autor o un moderador puede editar");
+
+  const { comment, rating } = req.body;
+  const update = {};
+  if (comment !== undefined) update.comment = comment;
+  // el autor cambia (o quita, con null) su calificación del evento; un moderador sólo el texto
+  // mostrado. Si no se acepta, el texto se edita igual y el rating queda como estaba.
+  const ratingError = rating !== undefined && data.uid === req.user.uid ? await rateFromComment(req, scope, data.uid, rating) : null;
+  if (rating !== undefined && !ratingError) update.rating = rating;
+  const matches = comment !== undefined ? contentFilter.check(comment) : [];
+  const hold = matches.length > 0 && COMMENT_FILTER_ACTION === "hold" && isPublished(data);
+  if (hold) update.status = "held";
+  const updated = await repos.comments.update(eventId, cid, { ...update, editedAt: new Date().toISOString() }, scope.occurrence);
+  await audit.record(req, "comment.update", { type: "comment", id: cid, eventId, before: data, after: update, meta: scope.occurrence ? { occurrence: scope.occurrence } : null });
+  if (matches.length) await repos.moderation.flag({ eventId, occurrence: scope.occurrence, comment: updated, reason: "blocklist", matches });
+  if (hold) {
+    await eventSearch.removeComment(eventId, cid);
+    await publishComment("comment.hidden", eventId, scope.occurrence, { id: cid, uid: data.uid });
+    return res.status(202).json(ratingError ? { ...updated, ratingError } : updated);
+  }
+  if (isPublished(updated)) {
+    await eventSearch.indexComment(eventId, updated);
+    await publishComment("comment.updated", eventId, scope.occurrence, updated);
+  }
+  res.json(ratingError ? { ...updated, ratingError } : updated);
+}));
+
+// Eliminar comentario (autor o comment:moderate); va a la papelera
+v1.delete("/events/:id/comments/:cid", authenticateToken, limitWrites, validate(schemas.comment), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const cid = req.params.cid;
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence);
+  if (!data) throw notFound("Comentario no encontrado");
+
+  await authorize(req, "comment:delete", data, "Solo el autor o un moderador puede eliminar");
+
+  await repos.comments.trash(eventId, cid, { deletedBy: req.user.uid }, scope.occurrence);
+  await audit.record(req, "comment.delete", { type: "comment", id: cid, eventId, before: data });
+  await eventSearch.removeComment(eventId, cid);
+  await publishComment("comment.deleted", eventId, scope.occurrence, { id: cid, uid: data.uid });
+  res.json({ message: "Comentario eliminado", restorableUntil: trash.restorableUntil(new Date().toISOString()) });
+}));
+
+// Papelera de comentarios del evento (o de la ocurrencia): los propios, o todos con comment:moderate
+v1.get("/events/:id/comments/trash", authenticateToken, validate(schemas.eventScope), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const scope = await resolveOccurrence(req, eventId);
+  const actor = await loadActor(req);
+  const comments = (await repos.comments.listTrashed(eventId, scope.occurrence)).filter(c => policy.can(actor, "comment:restore", c));
+  res.json(comments.map(c => ({ ...c, restorableUntil: trash.restorableUntil(c.deletedAt) })));
+}));
+
+// Restaurar comentario de la papelera (autor o comment:moderate)
+v1.post("/events/:id/comments/:cid/restore", authenticateToken, limitWrites, validate(schemas.comment), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const cid = req.params.cid;
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence, { includeDeleted: true });
+  if (!data) throw notFound("Comentario no encontrado");
+  await authorize(req, "comment:restore", data, "Solo el autor o un moderador puede restaurar");
+  if (!data.deletedAt) throw conflict("El comentario no está en la papelera", "NOT_IN_TRASH");
+  if (trash.isExpired(data.deletedAt)) throw gone("Venció el plazo para restaurar el comentario", "RESTORE_EXPIRED");
+
+  const restored = await repos.comments.restore(eventId, cid, scope.occurrence);
+  await audit.record(req, "comment.restore", { type: "comment", id: cid, eventId, before: { deletedAt: data.deletedAt }, after: { deletedAt: null } });
+  if (isPublished(restored)) {
+    await eventSearch.indexComment(eventId, restored);
+    await publishComment("comment.restored", eventId, scope.occurrence, restored);
+  }
+  res.json(restored);
+}));
+
+// Fijar / desfijar un comentario publicado (organizadores del evento o comment:moderate)
+async function setPinned(req, pinned) {
+  const { id: eventId, cid } = req.params;
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence);
+  if (!data || !isPublished(data)) throw notFound("Comentario no encontrado");
+  await authorize(req, "event:comments", scope.event, "Solo los organizadores o un moderador pueden fijar comentarios");
+
+  const changes = pinned ? { pinnedAt: new Date().toISOString(), pinnedBy: req.user.uid } : { pinnedAt: null, pinnedBy: null };
+  const updated = await repos.comments.update(eventId, cid, changes, scope.occurrence);
+  await audit.record(req, pinned ? "comment.pin" : "comment.unpin", { type: "comment", id: cid, eventId, before: data, after: changes });
+  await publishComment("comment.updated", eventId, scope.occurrence, updated);
+  return updated;
+}
+
+v1.put("/events/:id/comments/:cid/pin", authenticateToken, limitWrites, validate(schemas.comment), asyncHandler(async (req, res) => {
+  res.json(await setPinned(req, true));
+}));
+
+v1.delete("/events/:id/comments/:cid/pin", authenticateToken, limitWrites, validate(schemas.comment), asyncHandler(async (req, res) => {
+  res.json(await setPinned(req, false));
+}));
+
+// Reacciones con emoji (uno de schemas.REACTIONS, codificado en la URL): PUT agrega la del
+// usuario y DELETE la quita. Devuelve { reactions, mine }: totales por emoji y las del usuario.
+async function react(req, on) {
+  const { id: eventId, cid, emoji } = req.params;
+  await authorizeComment(req);
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence);
+  if (!data || !isPublished(data)) throw notFound("Comentario no encontrado");
+
+  const result = await repos.comments.react(eventId, cid, req.user.uid, emoji, on, scope.occurrence);
+  await publishSafely(async () => {
+    realtime.publish(`event:${eventId}`, "comment.reactions", { eventId, occurrence: scope.occurrence, commentId: cid, reactions: result.reactions });
+  });
+  return result;
+}
+
+v1.put("/events/:id/comments/:cid/reactions/:emoji", authenticateToken, limitWrites, validate(schemas.reaction), asyncHandler(async (req, res) => {
+  res.json(await react(req, true));
+}));
+
+v1.delete("/events/:id/comments/:cid/reactions/:emoji", authenticateToken, limitWrites, validate(schemas.reaction), asyncHandler(async (req, res) => {
+  res.json(await react(req, false));
+}));
+
+// Reportar un comentario (una vez por usuario); va a la cola de moderación
+v1.post("/events/:id/comments/:cid/report", authenticateToken, limitWrites, validate(schemas.reportComment), asyncHandler(async (req, res) => {
+  const { id: eventId, cid } = req.params;
+  const scope = await resolveOccurrence(req, eventId);
+  const data = await repos.comments.get(eventId, cid, scope.occurrence);
+  if (!data || !isPublished(data)) throw notFound("Comentario no encontrado");
+  if (data.uid === req.user.uid) throw badRequest("No puedes reportar tu propio comentario", "CANNOT_REPORT_OWN");
+
+  const { reason, details } = req.body;
+  const report = { uid: req.user.uid, reason, details: details || null };
+  const { item, duplicate } = await repos.moderation.flag({ eventId, occurrence: scope.occurrence, comment: data, reason: "report", report });
+  if (duplicate) throw conflict("Ya reportaste este comentario", "ALREADY_REPORTED");
+  await audit.record(req, "comment.report", { type: "comment", id: cid, eventId, meta: { reason, queueId: item.id } });
+  res.status(202).json({ message: "Comentario reportado, lo revisará un moderador" });
+}));
+
+// -----------------------------
+// RATINGS - calificaciones, una por usuario (ver repositories/ratings.js)
+// -----------------------------
+
+// Califica (value 1..5) o quita la calificación (null) de `uid` en el evento u ocurrencia del
+// scope de resolveOccurrence. Para calificar hay que ser asistente confirmado (salvo
+// RATING_REQUIRES_ATTENDANCE=false), no organizar el evento y, con RATING_AFTER_EVENT, que ya
+// haya empezado. En los recurrentes se califica cada ocurrencia.
+async function rateEvent(req, scope, uid, value) {
+  const { event, occurrence } = scope;
+  if (value !== null) {
+    if (event.recurring && !occurrence) {
+      throw validationError([{ field: "occurrence", in: "query", code: "required", message: "occurrence requerido para calificar eventos recurrentes" }]);
+    }
+    if (event.creatorUid === uid || (event.coOrganizers || []).includes(uid)) {
+      throw forbidden("No puedes calificar un evento que organizas", "CANNOT_RATE_OWN_EVENT");
+    }
+    if (RATING_REQUIRES_ATTENDANCE) {
+      const attendee = await repos.attendees.get(event.id, uid, occurrence);
+      if (!attendee || !attendee.confirmed) throw forbidden("Solo los asistentes confirmados pueden calificar", "NOT_ATTENDEE");
+    }
+    const overrides = (scope.occurrenceDoc && scope.occurrenceDoc.overrides) || {};
+    const date = overrides.date || (occurrence ? `${occurrence}${String(event.date).slice(10)}` : event.date);
+    if (RATING_AFTER_EVENT && reminders.startOf(date) > Date.now()) {
+      throw forbidden("Podrás calificar cuando empiece el evento", "RATING_TOO_EARLY");
+    }
+  }
+
+  const result = value === null
+    ? await repos.ratings.remove(event.id, uid, occurrence)
+    : await repos.ratings.set(event.id, uid, value, occurrence);
+  if (!result) throw notFound("Evento no encontrado");
+  await audit.record(req, value === null ? "rating.delete" : "rating.set", {
+    type: "rating",
+    id: uid,
+    eventId: event.id,
+    before: result.before,
+    after: result.rating,
+    meta: occurrence ? { occurrence } : null
+  });
+  await publishRating(event.id, occurrence, result.summary);
+  const before = result.before ? result.before.rating : null;
+  await recordStats(event.id, { ratingCount: (value ? 1 : 0) - (before ? 1 : 0), ratingSum: (value || 0) - (before || 0) });
+  return result;
+}
+
+// rateEvent desde POST / PUT de un comentario: el comentario no se pierde porque la calificación
+// no se acepte, así que los errores de la API se devuelven ({ code, message, fields }) para
+// mandarlos en `ratingError`; null si se calificó.
+async function rateFromComment(req, scope, uid, value) {
   try {
-    const id = req.params.id;
-    // podrías generar slug; por ahora devolvemos URL directa
-    const url = `${BASE_URL_PUBLIC}/events/${id}`;
-    res.json({ url });
+    await rateEvent(req, scope, uid, value);
+    return null;
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+    if (!(e instanceof ApiError) || e.status >= 500) throw e;
+    return { code: e.code, message: e.message, ...(e.fields ? { fields: e.fields } : {}) };
   }
-});
+}
+
+// lo que se publica de los totales (sum y score son internos)
+function publicSummary({ average, count, distribution }) {
+  return { average, count, distribution };
+}
+
+// Promedio, cantidad y distribución (de la serie completa, o de una ocurrencia con ?occurrence=)
+v1.get("/events/:id/rating", authenticateOptional, validate(schemas.eventScope), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const scope = await resolveOccurrence(req, eventId);
+  res.json(publicSummary(await repos.ratings.summary(eventId, scope.occurrence)));
+}));
+
+v1.get("/events/:id/ratings/:uid", authenticateOptional, validate(schemas.rating), asyncHandler(async (req, res) => {
+  const { id: eventId, uid } = req.params;
+  const scope = await resolveOccurrence(req, eventId);
+  const rating = await repos.ratings.get(eventId, uid, scope.occurrence);
+  if (!rating) throw notFound("Calificación no encontrada");
+  res.json(rating);
+}));
+
+// Calificar (crea o reemplaza la del propio usuario)
+v1.put("/events/:id/ratings/:uid", authenticateToken, limitWrites, validate(schemas.setRating), asyncHandler(async (req, res) => {
+  const { id: eventId, uid } = req.params;
+  if (uid !== req.user.uid) throw forbidden("Solo puedes calificar por ti mismo");
+  const scope = await resolveOccurrence(req, eventId);
+  const { rating, summary } = await rateEvent(req, scope, uid, req.body.rating);
+  res.json({ rating, summary: publicSummary(summary) });
+}));
+
+// Quitar una calificación (la propia, o cualquiera con comment:moderate)
+v1.delete("/events/:id/ratings/:uid", authenticateToken, limitWrites, validate(schemas.rating), asyncHandler(async (req, res) => {
+  const { id: eventId, uid } = req.params;
+  await authorize(req, "rating:delete", { uid }, "Solo el autor o un moderador puede quitar la calificación");
+  const scope = await resolveOccurrence(req, eventId);
+  const { before, summary } = await rateEvent(req, scope, uid, null);
+  if (!before) throw notFound("Calificación no encontrada");
+  res.json({ message: "Calificación eliminada", summary: publicSummary(summary) });
+}));
 
 // -----------------------------
-// COMMENTS - CRUD + rating
+// MODERACIÓN - comentarios reportados o retenidos por el filtro (ver lib/moderation.js)
 // -----------------------------
 
-// Crear comentario (autenticado)
-app.post("/events/:id/comments", authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    const { comment, rating } = req.body;
-    const uid = req.user.uid;
-    if (!comment) return res.status(400).json({ message: "Falta comment" });
-
-    const userDoc = await db.collection("users").doc(uid).get();
-    const username = userDoc.exists ? userDoc.data().username : "Desconocido";
-
-    const newComment = {
-      uid,
-      username,
-      comment,
-      rating: rating || null,
-      createdAt: new Date().toISOString()
-    };
+// Cola de moderación (comment:moderate): por defecto los pendientes, los más antiguos primero.
+// Cada item trae el comentario como está ahora (null si ya no existe) y sus reportes.
+v1.get("/moderation/queue", authenticateToken, requirePermission("comment:moderate"), validate(schemas.moderationQueue), asyncHandler(async (req, res) => {
+  const { status, limit, cursor } = req.query;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
+  }
+  const { items, hasMore } = await repos.moderation.list({ status, limit: parseLimit(limit), after });
+  const out = await Promise.all(items.map(async item => ({
+    ...item,
+    comment: await repos.comments.get(item.eventId, item.commentId, item.occurrence, { includeDeleted: true }),
+    reports: await repos.moderation.listReports(item.id)
+  })));
+  const last = items[items.length - 1];
+  res.json({ items: out, nextCursor: hasMore && last ? encodeCursor(last.createdAt, last.id) : null });
+}));
+
+// Bloquea los comentarios del usuario `days` días (sin days, hasta que se levante)
+async function banFromComments(req, uid, { days, note }) {
+  const user = await repos.users.get(uid);
+  if (!user) return null;
+  const at = new Date();
+  const commentBan = {
+    at: at.toISOString(),
+    by: req.user.uid,
+    until: days ? new Date(at.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+    reason: note || null
+  };
+  await repos.users.update(uid, { commentBan });
+  await audit.record(req, "user.comment_ban", { type: "user", id: uid, before: user, after: { commentBan } });
+  return commentBan;
+}
 
-    const ref = await db.collection("events").doc(eventId).collection("comments").add(newComment);
-    res.json({ id: ref.id, ...newComment });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Resolver un item de la cola (comment:moderate): approve publica el comentario, hide lo oculta
+// y ban además bloquea los comentarios del autor (requiere comment:ban).
+v1.post("/moderation/queue/:id/:action", authenticateToken, limitWrites, requirePermission("comment:moderate"), validate(schemas.moderate), asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  const { note, days } = req.body;
+  if (action === "ban") await authorize(req, "comment:ban", null, "Requiere el permiso comment:ban");
+  const item = await repos.moderation.get(id);
+  if (!item) throw notFound("Item de moderación no encontrado");
+  const { eventId, commentId: cid, occurrence } = item;
+  const data = await repos.comments.get(eventId, cid, occurrence);
+  if (!data) throw notFound("El comentario ya no existe", "COMMENT_NOT_FOUND");
+
+  let comment = data;
+  if (action === "approve" && !isPublished(data)) {
+    comment = await repos.comments.update(eventId, cid, { status: "published" }, occurrence);
+    await eventSearch.indexComment(eventId, comment);
+    await publishComment("comment.created", eventId, occurrence, comment);
+    // una respuesta retenida por el filtro se avisa recién cuando se publica
+    const parent = data.status === "held" && parentOf(data) ? await repos.comments.get(eventId, parentOf(data), occurrence) : null;
+    const event = parent ? await repos.events.get(eventId) : null;
+    if (parent && event) await notifyReply(comment, parent, event, occurrence);
+  } else if (action !== "approve" && data.status !== "hidden") {
+    comment = await repos.comments.update(eventId, cid, { status: "hidden" }, occurrence);
+    await eventSearch.removeComment(eventId, cid);
+    if (isPublished(data)) await publishComment("comment.hidden", eventId, occurrence, { id: cid, uid: data.uid });
   }
-});
 
-// Listar comentarios
-app.get("/events/:id/comments", async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    const snap = await db.collection("events").doc(eventId).collection("comments").orderBy("createdAt", "desc").get();
-    const comments = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(comments);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  const resolved = await repos.moderation.resolve(id, { status: action === "approve" ? "approved" : "hidden", decision: action, by: req.user.uid, note });
+  await audit.record(req, `moderation.${action}`, {
+    type: "comment",
+    id: cid,
+    eventId,
+    before: { status: data.status || "published" },
+    after: { status: comment.status },
+    meta: { queueId: id, note: note || null }
+  });
+  const ban = action === "ban" && data.uid ? await banFromComments(req, data.uid, { days, note }) : null;
+  res.json({ item: resolved, comment, ban });
+}));
+
+// Levantar el bloqueo de comentarios de un usuario (comment:ban)
+v1.delete("/moderation/bans/:uid", authenticateToken, limitWrites, requirePermission("comment:ban"), validate(schemas.commentBan), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  const user = await repos.users.get(uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  if (!user.commentBan) throw conflict("El usuario no tiene los comentarios bloqueados", "NOT_BANNED");
+  await repos.users.update(uid, { commentBan: null });
+  await audit.record(req, "user.comment_unban", { type: "user", id: uid, before: user, after: { commentBan: null } });
+  res.json({ message: "Bloqueo de comentarios levantado" });
+}));
+
+// -----------------------------
+// ATTENDANCE (Asistencia)
+// -----------------------------
+
+// Entrada firmada del asistente: { ticketId, token }, o null si no está anotado
+async function ticketFor(eventId, uid, occurrence) {
+  const ticketId = await repos.attendees.ensureTicket(eventId, uid, occurrence);
+  return ticketId ? { ticketId, token: tokens.ticketToken({ eventId, occurrence, uid, ticketId }) } : null;
+}
+
+// sin el ticketId: con él y el secreto se arma la entrada
+const publicAttendee = ({ ticketId, ...attendee }) => attendee;
+
+// Confirmar asistencia (guarda uid y username). Si el evento está lleno queda en lista de espera.
+// En eventos recurrentes es obligatorio indicar la ocurrencia (?occurrence= o body.occurrence).
+// Los confirmados reciben su entrada (`ticket`; ver GET /attend/:eventId/ticket).
+v1.post("/attend/:eventId/confirm", authenticateToken, limitWrites, validate(schemas.attend), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const uid = req.user.uid;
+  const scope = await resolveOccurrence(req, eventId, { required: true });
+  if (scope.occurrenceDoc && scope.occurrenceDoc.cancelled) throw conflict("Ocurrencia cancelada", "OCCURRENCE_CANCELLED");
+  if (visibilityOf(scope.event) === "private") await requireInvitation(req, scope.event);
+
+  const user = await repos.users.get(uid);
+  const username = user ? user.username : "Desconocido";
+
+  // Evitar doble confirmación: usamos doc con id = uid (ver repositories/attendees.js)
+  const ticketId = crypto.randomBytes(12).toString("base64url");
+  const result = await repos.attendees.confirm(eventId, uid, { uid, username, ticketId }, scope.occurrence);
+  if (!result) throw notFound("Evento no encontrado");
+  await audit.record(req, "attendance.confirm", { type: "event", id: eventId, meta: { occurrence: scope.occurrence, status: result.status } });
+  if (!result.already && result.status === "confirmed") await recordStats(eventId, { confirmations: 1 });
+  await publishAttendance("attendance.confirmed", eventId, scope.occurrence, { uid, username, status: result.status });
+
+  if (result.status === "waitlisted") {
+    const waitlistPosition = await repos.attendees.waitlistPosition(eventId, uid, scope.occurrence);
+    return res.json({ message: "Evento lleno: agregado a la lista de espera", status: "waitlisted", waitlistPosition });
+  }
+  res.json({ message: "Asistencia confirmada", status: "confirmed", ticket: await ticketFor(eventId, uid, scope.occurrence) });
+}));
+
+// Cancelar asistencia (o salir de la lista de espera); el primero en espera toma el lugar.
+// Igual que al confirmar, en eventos recurrentes se indica la ocurrencia.
+v1.post("/attend/:eventId/cancel", authenticateToken, limitWrites, validate(schemas.attend), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const uid = req.user.uid;
+  const scope = await resolveOccurrence(req, eventId, { required: true });
+  const result = await repos.attendees.cancel(eventId, uid, scope.occurrence);
+  if (!result) throw notFound("Evento no encontrado");
+  if (result.removed) {
+    await audit.record(req, "attendance.cancel", { type: "event", id: eventId, meta: { occurrence: scope.occurrence, promotedUid: result.promotedUid || null } });
+    await publishAttendance("attendance.cancelled", eventId, scope.occurrence, { uid, promotedUid: result.promotedUid });
+    // el promovido desde la lista de espera cuenta como confirmación
+    await recordStats(eventId, { cancellations: result.wasConfirmed ? 1 : 0, confirmations: result.promotedUid ? 1 : 0 });
+  }
+  res.json({ message: "Asistencia cancelada", promotedUid: result.promotedUid });
+}));
+
+// Listar asistentes con username (confirmados y luego lista de espera con waitlistPosition).
+// ?status= filtra: confirmed, waitlisted, checked_in (ingresaron) o no_show (confirmados que no).
+v1.get("/attend/:eventId/attendees", authenticateOptional, validate(schemas.listAttendees), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const scope = await resolveOccurrence(req, eventId);
+  const filters = {
+    confirmed: a => a.confirmed,
+    waitlisted: a => a.status === "waitlisted",
+    checked_in: a => a.confirmed && !!a.checkedInAt,
+    no_show: a => a.confirmed && !a.checkedInAt
+  };
+  const attendees = await repos.attendees.list(eventId, scope.occurrence);
+  res.json(attendees.filter(req.query.status ? filters[req.query.status] : () => true).map(publicAttendee));
+}));
+
+// Entrada del propio usuario (sólo confirmados): JSON con el token, o el QR con format=png|svg
+v1.get("/attend/:eventId/ticket", authenticateToken, validate(schemas.ticket), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const uid = req.user.uid;
+  const scope = await resolveOccurrence(req, eventId, { required: true });
+  const attendee = await repos.attendees.get(eventId, uid, scope.occurrence);
+  if (!attendee) throw notFound("No confirmaste asistencia a este evento", "NOT_ATTENDING");
+  if (!attendee.confirmed) throw conflict("Estás en la lista de espera: la entrada llega al confirmarse tu lugar", "NOT_CONFIRMED");
+  const ticket = await ticketFor(eventId, uid, scope.occurrence);
+
+  if (req.query.format !== "json") {
+    const qr = await renderTicketQr(ticket.token, req.query.format);
+    res.set("Cache-Control", "private, no-store");
+    return res.type(qr.contentType).send(qr.body);
+  }
+  res.json({ eventId, occurrence: scope.occurrence, uid, ...ticket, checkedInAt: attendee.checkedInAt || null });
+}));
+
+// Registrar el ingreso con la entrada escaneada (creador, co-organizadores o event:manage).
+// Rechaza entradas falsas, de otro evento, de asistencias canceladas y las ya usadas.
+v1.post("/attend/:eventId/check-in", authenticateToken, limitWrites, validate(schemas.checkIn), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const event = await repos.events.get(eventId);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:checkin", event, "Solo el creador o un co-organizador puede registrar ingresos");
+
+  const ticket = tokens.verifyTicketToken(req.body.token);
+  if (!ticket) throw badRequest("La entrada no es válida", "INVALID_TICKET");
+  if (ticket.eventId !== eventId) throw badRequest("La entrada es de otro evento", "TICKET_WRONG_EVENT");
+  if (ticket.occurrence) {
+    const occurrenceDoc = await repos.occurrences.get(eventId, ticket.occurrence);
+    if (occurrenceDoc && occurrenceDoc.cancelled) throw conflict("Ocurrencia cancelada", "OCCURRENCE_CANCELLED");
   }
-});
 
-// Editar comentario (autor o admin)
-app.put("/events/:id/comments/:cid", authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    const cid = req.params.cid;
-    const uid = req.user.uid;
-    const docRef = db.collection("events").doc(eventId).collection("comments").doc(cid);
-    const doc = await docRef.get();
-    if (!doc.exists) return res.status(404).json({ message: "Comentario no encontrado" });
-
-    const data = doc.data();
-    if (data.uid !== uid) {
-      // verificar admin
-      const callerDoc = await db.collection("users").doc(uid).get();
-      const callerRole = callerDoc.exists ? callerDoc.data().role : null;
-      if (callerRole !== "admin") return res.status(403).json({ message: "Solo autor o admin puede editar" });
-    }
+  const { result, attendee } = await repos.attendees.checkIn(eventId, ticket.uid, ticket.ticketId, ticket.occurrence, { by: req.user.uid });
+  if (result === "revoked") throw gone("La entrada ya no es válida: la asistencia se canceló", "TICKET_REVOKED");
+  if (result === "not_confirmed") throw conflict("El asistente está en la lista de espera", "NOT_CONFIRMED");
+  if (result === "duplicate") throw conflict(`La entrada ya se usó (${attendee.checkedInAt})`, "ALREADY_CHECKED_IN");
 
-    const { comment, rating } = req.body;
-    const update = {};
-    if (comment) update.comment = comment;
-    if (rating !== undefined) update.rating = rating;
-    await docRef.update({ ...update, editedAt: new Date().toISOString() });
-    const updated = await docRef.get();
-    res.json({ id: updated.id, ...updated.data() });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  const checkedIn = { uid: ticket.uid, username: attendee.username || null, occurrence: ticket.occurrence, checkedInAt: attendee.checkedInAt };
+  await audit.record(req, "attendance.check_in", { type: "event", id: eventId, meta: { uid: ticket.uid, occurrence: ticket.occurrence } });
+  await publishAttendance("attendance.checked_in", eventId, ticket.occurrence, checkedIn);
+  await recordStats(eventId, { checkIns: 1 });
+  res.json({ message: "Ingreso registrado", ...checkedIn });
+}));
+
+// Chequear estado de asistencia de un usuario
+v1.get("/attend/:eventId/status/:uid", authenticateOptional, validate(schemas.attendStatus), asyncHandler(async (req, res) => {
+  const eventId = req.params.eventId;
+  const uid = req.params.uid;
+  const scope = await resolveOccurrence(req, eventId);
+  const attendee = await repos.attendees.get(eventId, uid, scope.occurrence);
+  if (!attendee) return res.json({ confirmed: false, status: null });
+  const { id, ...data } = publicAttendee(attendee);
+  const status = data.status || (data.confirmed ? "confirmed" : null);
+  const waitlistPosition = status === "waitlisted" ? await repos.attendees.waitlistPosition(eventId, uid, scope.occurrence) : null;
+  res.json({ confirmed: !!data.confirmed, ...data, status, waitlistPosition });
+}));
+
+// Contador de asistentes
+v1.get("/events/:id/attendees/count", authenticateOptional, validate(schemas.eventScope), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  const { event, occurrence } = await resolveOccurrence(req, eventId);
+  const count = await repos.attendees.count(eventId, occurrence);
+  const waitlistCount = await repos.attendees.waitlistCount(eventId, occurrence);
+  res.json({ count, waitlistCount, capacity: event.capacity || null });
+}));
+
+// -----------------------------
+// ESTADÍSTICAS - tableros de los organizadores (ver lib/eventStats.js)
+// -----------------------------
+// Baldes diarios de `from` a `to` (YYYY-MM-DD, por defecto los últimos 30 días, hasta
+// STATS_MAX_DAYS). format=csv descarga un día por fila.
+
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+
+function statsRange({ from, to }) {
+  const end = to || new Date().toISOString().split("T")[0];
+  const start = from || addDays(end, -(STATS_DEFAULT_DAYS - 1));
+  if (start > end) throw validationError([{ field: "from", in: "query", code: "invalid", message: "from no puede ser posterior a to" }]);
+  if (addDays(start, STATS_MAX_DAYS) <= end) {
+    throw validationError([{ field: "from", in: "query", code: "invalid", message: `el rango es de ${STATS_MAX_DAYS} días como máximo` }]);
   }
-});
+  return { from: start, to: end };
+}
 
-// Eliminar comentario (autor o admin)
-app.delete("/events/:id/comments/:cid", authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    const cid = req.params.cid;
-    const uid = req.user.uid;
-    const docRef = db.collection("events").doc(eventId).collection("comments").doc(cid);
-    const doc = await docRef.get();
-    if (!doc.exists) return res.status(404).json({ message: "Comentario no encontrado" });
-
-    const data = doc.data();
-    if (data.uid !== uid) {
-      const callerDoc = await db.collection("users").doc(uid).get();
-      const callerRole = callerDoc.exists ? callerDoc.data().role : null;
-      if (callerRole !== "admin") return res.status(403).json({ message: "Solo autor o admin puede eliminar" });
+async function statsRows(event, range) {
+  const docs = await repos.stats.list(event.id, { to: range.to });
+  return eventRows(docs, { ...range, ratingSummary: event.ratingSummary });
+}
+
+function sendStats(req, res, report, filename) {
+  if (req.query.format !== "csv") return res.json(report);
+  res.type("text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}-${report.from}-${report.to}.csv"`);
+  res.send(toCsv(report.days, STATS_CSV_COLUMNS));
+}
+
+// Un evento (creador, co-organizadores o event:manage); lo de las ocurrencias se suma a la serie
+v1.get("/events/:id/stats", authenticateToken, validate(schemas.eventStats), asyncHandler(async (req, res) => {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:stats", event, "Solo el creador o un co-organizador puede ver las estadísticas");
+  const range = statsRange(req.query);
+  const rows = await statsRows(event, range);
+  const report = buildReport(rows, { ...range, attendance: await repos.attendees.checkInTotals(event.id) });
+  sendStats(req, res, { eventId: event.id, ...report }, `estadisticas-${event.id}`);
+}));
+
+// Todos los eventos de un creador sumados (el propio usuario o event:manage), con los totales
+// de cada evento en `events`
+v1.get("/events/creator/:uid/stats", authenticateToken, validate(schemas.creatorStats), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  await authorize(req, "user:stats", { uid }, "Solo puedes ver tus propias estadísticas");
+  const range = statsRange(req.query);
+  const { items: events } = await repos.events.query({ creatorUid: uid });
+
+  const rowsList = [];
+  const perEvent = [];
+  const attendance = { confirmed: 0, checkedIn: 0 };
+  for (const event of events) {
+    const rows = await statsRows(event, range);
+    const eventAttendance = await repos.attendees.checkInTotals(event.id);
+    const { totals, rates } = buildReport(rows, { ...range, attendance: eventAttendance });
+    perEvent.push({ id: event.id, title: event.title, date: event.date, totals, attendance: eventAttendance, rates });
+    rowsList.push(rows);
+    attendance.confirmed += eventAttendance.confirmed;
+    attendance.checkedIn += eventAttendance.checkedIn;
+  }
+  const report = buildReport(sumRows(rowsList, range), { ...range, attendance });
+  sendStats(req, res, { creatorUid: uid, ...report, events: perEvent }, `estadisticas-${uid}`);
+}));
+
+// -----------------------------
+// IMPORTAR / EXPORTAR - eventos en lote y descargas de los organizadores
+// -----------------------------
+
+// Escribe una descarga de a una fila, sin armarla entera en memoria: CSV con encabezado o un
+// array JSON con sólo las columnas indicadas. Devuelve { write(row), end() }.
+function exportStream(res, format, filename, columns) {
+  res.set("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  if (format === "csv") {
+    res.type("text/csv; charset=utf-8");
+    res.write(csvHeader(columns));
+    return { write: row => res.write(csvRow(row, columns)), end: () => res.end() };
+  }
+  res.type("application/json; charset=utf-8");
+  let separator = "";
+  res.write("[");
+  return {
+    write(row) {
+      const picked = Object.fromEntries(columns.map(c => [c, row[c] === undefined ? null : row[c]]));
+      res.write(`${separator}\n${JSON.stringify(picked)}`);
+      separator = ",";
+    },
+    end: () => res.end("\n]\n")
+  };
+}
+
+// Filas de la importación: CSV con encabezado (text/csv) o JSON, una lista o { events: [...] }
+function importedRows(req) {
+  if (req.is("text/csv")) return { rows: parseCsv(req.body), csv: true };
+  if (req.is("application/json")) {
+    const rows = Array.isArray(req.body) ? req.body : req.body.events;
+    if (!Array.isArray(rows)) throw validationError([{ field: "events", in: "body", code: "invalid_type", message: "events debe ser una lista" }]);
+    return { rows, csv: false };
+  }
+  throw new ApiError(415, "UNSUPPORTED_MEDIA_TYPE", "Se importa text/csv o application/json");
+}
+
+// Valida cada fila como POST /events. Devuelve { events, errors }: los eventos listos para
+// guardar y los problemas de cada fila ({ row, field, in, code, message }, row desde 1).
+async function checkImportRows(req, { rows, csv }) {
+  const canManage = policy.can(await loadActor(req), "event:manage");
+  const creators = new Map();
+  const events = [];
+  const errors = [];
+  for (const [i, raw] of rows.entries()) {
+    const fail = issues => issues.forEach(({ field, code, message }) => errors.push({ row: i + 1, field, in: "body", code, message }));
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      fail([{ field: "row", code: "invalid_type", message: "la fila debe ser un objeto" }]);
+      continue;
+    }
+    // en el CSV todo es texto: se convierte como los valores de la query
+    const { value, issues } = check(schemas.importEvents.row, raw, csv ? "query" : "body");
+    if (issues.length) {
+      fail(issues);
+      continue;
+    }
+    const creatorUid = value.creatorUid || req.user.uid;
+    if (creatorUid !== req.user.uid && !canManage) {
+      fail([{ field: "creatorUid", code: "forbidden", message: "sólo puedes importar eventos a tu nombre" }]);
+      continue;
+    }
+    if (!creators.has(creatorUid)) creators.set(creatorUid, await repos.users.get(creatorUid));
+    if (!creators.get(creatorUid)) {
+      fail([{ field: "creatorUid", code: "not_found", message: "usuario creador no encontrado" }]);
+      continue;
     }
+    try {
+      events.push(newEventData(value, creators.get(creatorUid)));
+    } catch (e) {
+      if (!(e instanceof ApiError) || !e.fields) throw e;
+      fail(e.fields);
+    }
+  }
+  return { events, errors };
+}
 
-    await docRef.delete();
-    res.json({ message: "Comentario eliminado" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Importar eventos (hasta IMPORT_MAX_ROWS por vez). Las columnas / campos son los de
+// POST /events; creatorUid es opcional (a nombre de otro requiere event:manage). Con
+// dryRun=true sólo valida y responde el informe fila por fila; si no, con una fila inválida no
+// se guarda ninguna (VALIDATION_ERROR con los mismos `fields`). Se guardan en batches que no son
+// atómicos entre sí: si uno falla, los anteriores quedan y la respuesta (500 IMPORT_INCOMPLETE)
+// trae los que se crearon para que el cliente no los repita.
+v1.post("/events/import", authenticateToken, limitWrites, express.text({ type: "text/csv", limit: `${IMPORT_MAX_MB}mb` }), express.json({ limit: `${IMPORT_MAX_MB}mb` }), validate(schemas.importEvents), asyncHandler(async (req, res) => {
+  await authorize(req, "event:create", null, "Tu rol no permite crear eventos");
+  if (REQUIRE_VERIFIED_EMAIL) {
+    const author = await repos.users.get(req.user.uid);
+    if (!author.emailVerified) throw forbidden("Verifica tu email para crear eventos", "EMAIL_NOT_VERIFIED");
   }
-});
+  const input = importedRows(req);
+  if (!input.rows.length) throw badRequest("No hay eventos para importar", "EMPTY_IMPORT");
+  if (input.rows.length > IMPORT_MAX_ROWS) throw badRequest(`Se importan como máximo ${IMPORT_MAX_ROWS} eventos por vez`, "TOO_MANY_ROWS");
+
+  const { events, errors } = await checkImportRows(req, input);
+  const invalid = new Set(errors.map(e => e.row)).size;
+  if (req.query.dryRun) {
+    return res.json({ dryRun: true, total: input.rows.length, valid: events.length, invalid, errors });
+  }
+  if (errors.length) throw validationError(errors, `${invalid} filas con errores: no se importó ningún evento`);
 
-// Promedio de rating
-app.get("/events/:id/rating", async (req, res) => {
+  let created;
+  let failure = null;
   try {
-    const eventId = req.params.id;
-    const snap = await db.collection("events").doc(eventId).collection("comments").get();
-    const ratings = snap.docs.map(d => d.data().rating).filter(Boolean);
-    if (ratings.length === 0) return res.json({ average: 0, count: 0 });
-    const sum = ratings.reduce((s, r) => s + Number(r), 0);
-    const avg = sum / ratings.length;
-    res.json({ average: avg, count: ratings.length });
+    created = await repos.events.createMany(events);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+    if (!e.created) throw e;
+    failure = e;
+    created = e.created;
   }
-});
+  for (const event of created) {
+    const { id, ...data } = event;
+    await audit.record(req, "event.create", { type: "event", id, after: data, meta: { import: true } });
+    await eventSearch.indexEvent(event);
+    publishEvent("event.created", event);
+  }
+  if (failure) {
+    console.error("Importación incompleta:", failure);
+    return res.status(500).json({
+      code: "IMPORT_INCOMPLETE",
+      message: `Se importaron ${created.length} de ${events.length} eventos; el resto no se guardó`,
+      dryRun: false,
+      total: input.rows.length,
+      imported: created.length,
+      items: created
+    });
+  }
+  res.status(201).json({ dryRun: false, total: input.rows.length, imported: created.length, items: created });
+}));
+
+// columnas de los eventos exportados; son las que lee la importación (id y los contadores se
+// ignoran al importar)
+const EVENT_EXPORT_COLUMNS = ["id", "title", "date", "location", "description", "capacity", "recurrence", "lat", "lng", "visibility", "creatorUid", "creatorName", "attendeeCount", "createdAt", "updatedAt"];
+const ATTENDEE_EXPORT_COLUMNS = ["occurrence", "uid", "username", "status", "waitlistPosition", "updatedAt", "checkedInAt"];
+const COMMENT_EXPORT_COLUMNS = ["occurrence", "id", "parentId", "uid", "username", "comment", "rating", "reactions", "pinnedAt", "createdAt", "editedAt"];
+
+// Eventos de un creador (el propio usuario o event:manage), de a páginas; la recurrencia va
+// como RRULE
+v1.get("/events/creator/:uid/export", authenticateToken, validate(schemas.exportCreatorEvents), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  await authorize(req, "user:export", { uid }, "Solo puedes exportar tus propios eventos");
+  const out = exportStream(res, req.query.format, `eventos-${uid}`, EVENT_EXPORT_COLUMNS);
+  let page = { hasMore: true, items: [] };
+  let after = null;
+  while (page.hasMore) {
+    page = await repos.events.query({ creatorUid: uid, limit: 500, after });
+    page.items.forEach(event => out.write({ ...event, recurrence: event.rrule || null }));
+    const last = page.items[page.items.length - 1];
+    after = last ? { value: last.createdAt, id: last.id } : null;
+  }
+  out.end();
+}));
+
+// Asistentes del evento y de cada ocurrencia (creador, co-organizadores o event:manage)
+v1.get("/events/:id/attendees/export", authenticateToken, validate(schemas.exportAttendees), asyncHandler(async (req, res) => {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:export", event, "Solo el creador o un co-organizador puede exportar los asistentes");
+  const days = event.recurring ? Object.keys(await repos.occurrences.mapByDay(event.id)) : [];
+  const out = exportStream(res, req.query.format, `asistentes-${event.id}`, ATTENDEE_EXPORT_COLUMNS);
+  for (const occurrence of [null, ...days]) {
+    const attendees = await repos.attendees.list(event.id, occurrence);
+    attendees.forEach(a => out.write({ ...publicAttendee(a), occurrence, status: a.confirmed ? "confirmed" : a.status }));
+  }
+  out.end();
+}));
+
+// Comentarios publicados del evento y de cada ocurrencia, más antiguos primero (mismos permisos)
+v1.get("/events/:id/comments/export", authenticateToken, validate(schemas.exportComments), asyncHandler(async (req, res) => {
+  const event = await repos.events.get(req.params.id);
+  if (!event) throw notFound("Evento no encontrado");
+  await authorize(req, "event:export", event, "Solo el creador o un co-organizador puede exportar los comentarios");
+  const days = event.recurring ? Object.keys(await repos.occurrences.mapByDay(event.id)) : [];
+  const out = exportStream(res, req.query.format, `comentarios-${event.id}`, COMMENT_EXPORT_COLUMNS);
+  for (const occurrence of [null, ...days]) {
+    const comments = await repos.comments.list(event.id, occurrence);
+    comments.reverse().forEach(c => out.write({ ...c, occurrence }));
+  }
+  out.end();
+}));
 
 // -----------------------------
-// ATTENDANCE (Asistencia)
+// NOTIFICACIONES - bandeja in-app, preferencias y dispositivos (sólo el propio usuario)
 // -----------------------------
 
-// Confirmar asistencia (guarda uid y username)
-app.post("/attend/:eventId/confirm", authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.eventId;
-    const uid = req.user.uid;
-
-    const userDoc = await db.collection("users").doc(uid).get();
-    const username = userDoc.exists ? userDoc.data().username : "Desconocido";
-
-    // Evitar doble confirmación: usamos doc con id = uid
-    await db.collection("events").doc(eventId).collection("attendees").doc(uid).set({
-      uid,
-      username,
-      confirmed: true,
-      updatedAt: new Date().toISOString()
-    });
+function requireSelf(req) {
+  if (req.user.uid !== req.params.uid) throw forbidden("Acceso denegado");
+}
 
-    res.json({ message: "Asistencia confirmada" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Bandeja, más recientes primero; ?unread=true sólo las no leídas. Paginada con limit / cursor.
+v1.get("/users/:uid/notifications", authenticateToken, validate(schemas.listNotifications), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const { unread, limit, cursor } = req.query;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
   }
-});
+  const { items, hasMore } = await repos.notifications.listByUser(req.params.uid, { unreadOnly: unread, limit: parseLimit(limit), after });
+  const last = items[items.length - 1];
+  res.json({
+    items: items.map(n => ({ ...n, read: !!n.readAt })),
+    unreadCount: await repos.notifications.countUnread(req.params.uid),
+    nextCursor: hasMore && last ? encodeCursor(last.createdAt, last.id) : null
+  });
+}));
+
+// Marcar como leídas: { ids } o, sin body, todas
+v1.post("/users/:uid/notifications/read", authenticateToken, limitWrites, validate(schemas.readNotifications), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const updated = await repos.notifications.markRead(req.params.uid, req.body.ids);
+  res.json({ updated, unreadCount: await repos.notifications.countUnread(req.params.uid) });
+}));
+
+// Preferencias: { tipo: { inApp, email, push } } (ver lib/notifier.js)
+v1.get("/users/:uid/notification-preferences", authenticateToken, validate(schemas.notificationPreferences), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const user = await repos.users.get(req.params.uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  res.json(preferencesOf(user));
+}));
+
+// Cambia sólo los tipos y canales enviados
+v1.put("/users/:uid/notification-preferences", authenticateToken, limitWrites, validate(schemas.updateNotificationPreferences), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const user = await repos.users.get(req.params.uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  const saved = user.notificationPreferences || {};
+  const merged = { ...saved };
+  Object.entries(req.body).forEach(([type, channels]) => {
+    merged[type] = { ...(saved[type] || {}), ...channels };
+  });
+  const updated = await repos.users.update(user.uid, { notificationPreferences: merged });
+  await audit.record(req, "user.notification_preferences", { type: "user", id: user.uid, before: user, after: { notificationPreferences: merged } });
+  res.json(preferencesOf(updated));
+}));
+
+// Registrar el token FCM de un dispositivo para recibir push
+v1.post("/users/:uid/devices", authenticateToken, limitWrites, validate(schemas.addDevice), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const user = await repos.users.get(req.params.uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  const current = user.fcmTokens || [];
+  if (!current.includes(req.body.token)) {
+    await repos.users.update(user.uid, { fcmTokens: [...current, req.body.token] });
+    await audit.record(req, "user.device_add", { type: "user", id: user.uid });
+  }
+  res.json({ message: "Dispositivo registrado" });
+}));
+
+// Quitar el token (p. ej. al cerrar sesión en ese dispositivo)
+v1.delete("/users/:uid/devices/:token", authenticateToken, limitWrites, validate(schemas.device), asyncHandler(async (req, res) => {
+  requireSelf(req);
+  const user = await repos.users.get(req.params.uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  await repos.users.update(user.uid, { fcmTokens: (user.fcmTokens || []).filter(t => t !== req.params.token) });
+  await audit.record(req, "user.device_remove", { type: "user", id: user.uid });
+  res.json({ message: "Dispositivo quitado" });
+}));
 
-// Cancelar asistencia
-app.post("/attend/:eventId/cancel", authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.eventId;
-    const uid = req.user.uid;
-    await db.collection("events").doc(eventId).collection("attendees").doc(uid).delete();
-    res.json({ message: "Asistencia cancelada" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// -----------------------------
+// CALENDARIO (feeds iCalendar suscribibles)
+// -----------------------------
+
+function calendarUrls(uid, token) {
+  return {
+    attendingUrl: `${BASE_URL_PUBLIC}/calendar/${uid}/attending.ics?token=${token}`,
+    createdUrl: `${BASE_URL_PUBLIC}/calendar/${uid}/created.ics?token=${token}`
+  };
+}
+
+// compara el token del feed en tiempo constante
+function validCalendarToken(user, token) {
+  if (!user || !user.calendarToken || !token) return false;
+  const a = Buffer.from(String(user.calendarToken));
+  const b = Buffer.from(String(token));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function tombstoneCutoff() {
+  return new Date(Date.now() - ICS_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function sendCalendar(res, name, entries) {
+  res.type("text/calendar; charset=utf-8");
+  res.send(buildCalendar({ name, events: entries }));
+}
+
+// URLs de los feeds del usuario (solo el propio usuario); crea el token secreto la primera vez
+v1.get("/users/:uid/calendar", authenticateToken, validate(schemas.userCalendar), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  if (req.user.uid !== uid) throw forbidden("Acceso denegado");
+  let user = await repos.users.get(uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  if (!user.calendarToken) user = await repos.users.update(uid, { calendarToken: crypto.randomBytes(24).toString("base64url") });
+  res.json({ token: user.calendarToken, ...calendarUrls(uid, user.calendarToken) });
+}));
+
+// Regenerar el token (invalida las suscripciones anteriores)
+v1.post("/users/:uid/calendar/rotate", authenticateToken, limitWrites, validate(schemas.userCalendar), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  if (req.user.uid !== uid) throw forbidden("Acceso denegado");
+  const user = await repos.users.get(uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  const updated = await repos.users.update(uid, { calendarToken: crypto.randomBytes(24).toString("base64url") });
+  await audit.record(req, "user.calendar_rotate", { type: "user", id: uid, before: user, after: { calendarToken: updated.calendarToken } });
+  res.json({ token: updated.calendarToken, ...calendarUrls(uid, updated.calendarToken) });
+}));
+
+// Feed con los eventos (u ocurrencias) a los que el usuario confirmó asistencia
+v1.get("/calendar/:uid/attending.ics", validate(schemas.calendarFeed), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  const user = await repos.users.get(uid);
+  if (!validCalendarToken(user, req.query.token)) throw notFound("Calendario no encontrado");
+
+  const entries = [];
+  const attendance = await repos.attendees.listConfirmedByUser(uid);
+  const events = {};
+  for (const { eventId, occurrence } of attendance) {
+    if (!events[eventId]) events[eventId] = { event: await repos.events.get(eventId), docs: null };
+    const { event } = events[eventId];
+    if (!event) continue;
+    if (!occurrence) {
+      entries.push(...eventCalendar.eventEntries(event, event.recurring ? await repos.occurrences.mapByDay(eventId) : {}));
+    } else {
+      if (!events[eventId].docs) events[eventId].docs = await repos.occurrences.mapByDay(eventId);
+      entries.push(eventCalendar.occurrenceEntry(event, events[eventId].docs, occurrence));
+    }
   }
-});
+  const tombstones = await repos.tombstones.listByAttendee(uid, tombstoneCutoff());
+  tombstones.forEach(t => entries.push(...eventCalendar.tombstoneEntries(t, (t.attendeeOccurrences || {})[uid] || [])));
+
+  sendCalendar(res, `Eventos de ${user.username}`, entries);
+}));
+
+// Feed con los eventos creados por el usuario (como /events/creator/:uid)
+v1.get("/calendar/:uid/created.ics", validate(schemas.calendarFeed), asyncHandler(async (req, res) => {
+  const uid = req.params.uid;
+  const user = await repos.users.get(uid);
+  if (!validCalendarToken(user, req.query.token)) throw notFound("Calendario no encontrado");
+
+  const entries = [];
+  const { items } = await repos.events.query({ creatorUid: uid });
+  for (const event of items) {
+    entries.push(...eventCalendar.eventEntries(event, event.recurring ? await repos.occurrences.mapByDay(event.id) : {}));
+  }
+  const tombstones = await repos.tombstones.listByCreator(uid, tombstoneCutoff());
+  tombstones.forEach(t => entries.push(...eventCalendar.tombstoneEntries(t)));
 
-// Listar asistentes con username
-app.get("/attend/:eventId/attendees", async (req, res) => {
-  try {
-    const eventId = req.params.eventId;
-    const snap = await db.collection("events").doc(eventId).collection("attendees").get();
-    const attendees = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(attendees);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+  sendCalendar(res, `Eventos creados por ${user.username}`, entries);
+}));
+
+// -----------------------------
+// STREAMING (Server-Sent Events)
+// -----------------------------
+// Se reanuda con el encabezado Last-Event-ID (EventSource lo envía solo) o ?lastEventId=.
+// El stream se corta cuando vence el access token (mensaje "auth-expired"): el cliente
+// renueva la sesión y reconecta con el último id recibido.
+
+function openStream(req, res, channels) {
+  realtime.open(req, res, {
+    channels,
+    lastEventId: req.get("Last-Event-ID") || req.query.lastEventId,
+    expiresAt: req.user.exp ? req.user.exp * 1000 : null
+  });
+}
+
+// Cambios de un evento: comentarios, rating, asistencia, ediciones y borrado
+v1.get("/events/:id/stream", authenticateStream, validate(schemas.eventStream), asyncHandler(async (req, res) => {
+  const event = await visibleEvent(req, req.params.id);
+  openStream(req, res, [`event:${event.id}`]);
+}));
+
+// Feeds: "events" (todos los eventos) o "upcoming" (sólo los que siguen por delante)
+v1.get("/feeds/:feed/stream", authenticateStream, validate(schemas.feedStream), asyncHandler(async (req, res) => {
+  openStream(req, res, [`feed:${req.params.feed}`]);
+}));
+
+// -----------------------------
+// ADMIN UTILITIES
+// -----------------------------
+
+// Listar todos los usuarios (user:manage)
+v1.get("/admin/users", authenticateToken, requirePermission("user:manage"), validate(schemas.adminUsers), asyncHandler(async (req, res) => {
+  const users = await repos.users.list();
+  res.json(users.map(user => stripSecrets("users", user)));
+}));
+
+// Roles disponibles y sus permisos
+v1.get("/admin/roles", authenticateToken, requirePermission("role:manage"), validate(schemas.adminRoles), asyncHandler(async (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: policy.table[role] })),
+    permissions: PERMISSIONS
+  });
+}));
+
+// Asigna o quita un rol. "user" no se puede quitar y siempre queda al menos un admin.
+async function changeRole(req, uid, role, grant) {
+  const user = await repos.users.get(uid);
+  if (!user) throw notFound("Usuario no encontrado");
+  const current = rolesOf(user);
+  if (!grant && role === "user") throw badRequest("El rol user no se puede quitar", "ROLE_REQUIRED");
+  if (!grant && role === "admin" && current.includes("admin") && (await repos.users.countByRole("admin")) <= 1) {
+    throw conflict("No se puede quitar el último admin", "LAST_ADMIN");
   }
-});
+  const roles = grant ? [...new Set([...current, role])] : current.filter(r => r !== role);
+  const updated = await repos.users.setRoles(uid, roles, primaryRole(roles));
+  await audit.record(req, grant ? "role.grant" : "role.revoke", { type: "user", id: uid, before: { roles: current }, after: { roles: rolesOf(updated) }, meta: { role } });
+  return { uid, role: updated.role, roles: rolesOf(updated) };
+}
 
-// Chequear estado de asistencia de un usuario
-app.get("/attend/:eventId/status/:uid", async (req, res) => {
-  try {
-    const eventId = req.params.eventId;
-    const uid = req.params.uid;
-    const doc = await db.collection("events").doc(eventId).collection("attendees").doc(uid).get();
-    if (!doc.exists) return res.json({ confirmed: false });
-    res.json({ confirmed: !!doc.data().confirmed, ...doc.data() });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// Asignar rol (role:manage)
+v1.post("/admin/users/:uid/roles", authenticateToken, limitWrites, requirePermission("role:manage"), validate(schemas.grantRole), asyncHandler(async (req, res) => {
+  res.json(await changeRole(req, req.params.uid, req.body.role, true));
+}));
+
+// Quitar rol (role:manage)
+v1.delete("/admin/users/:uid/roles/:role", authenticateToken, limitWrites, requirePermission("role:manage"), validate(schemas.revokeRole), asyncHandler(async (req, res) => {
+  res.json(await changeRole(req, req.params.uid, req.params.role, false));
+}));
+
+// Hacer admin a un usuario: equivale a POST /admin/users/:uid/roles con { role: "admin" }, que la reemplaza
+const makeAdminDeprecated = deprecated({ since: MAKE_ADMIN_DEPRECATED_AT, sunset: MAKE_ADMIN_SUNSET_AT, link: req => `/v1/admin/users/${req.params.uid}/roles` });
+v1.post("/admin/users/:uid/make-admin", makeAdminDeprecated, authenticateToken, limitWrites, requirePermission("role:manage"), validate(schemas.adminUser), asyncHandler(async (req, res) => {
+  await changeRole(req, req.params.uid, "admin", true);
+  res.json({ message: "Usuario promovido a admin" });
+}));
+
+// Purgar ya lo que venció en la papelera (trash:purge); normalmente lo hace el job periódico
+v1.post("/admin/trash/purge", authenticateToken, limitWrites, requirePermission("trash:purge"), validate(schemas.purgeTrash), asyncHandler(async (req, res) => {
+  const purged = await trash.purge();
+  await audit.record(req, "trash.purge", { meta: purged });
+  res.json({ purged, retentionDays: TRASH_RETENTION_DAYS });
+}));
+
+// Pasa a la subcolección ratings las calificaciones que estaban en los comentarios (la más
+// reciente de cada usuario en cada evento u ocurrencia) de los eventos anteriores a las
+// calificaciones (sin `ratingSummary`) y recalcula los totales de todos los eventos. Se puede
+// repetir: los eventos ya migrados sólo se recalculan.
+v1.post("/admin/ratings/rebuild", authenticateToken, limitWrites, requirePermission("event:manage"), validate(schemas.rebuildRatings), asyncHandler(async (req, res) => {
+  const events = await repos.events.listAll();
+  let imported = 0;
+  for (const event of events) {
+    if (event.ratingSummary) {
+      await repos.ratings.rebuild(event.id);
+      continue;
+    }
+    const days = event.recurring ? Object.keys(await repos.occurrences.mapByDay(event.id)) : [];
+    for (const occurrence of [null, ...days]) {
+      // list() viene de más reciente a más antiguo; comentarios viejos pueden tener ratings no numéricos
+      const latest = new Map();
+      for (const c of await repos.comments.list(event.id, occurrence)) {
+        const value = Number(c.rating);
+        if (c.uid && Number.isInteger(value) && value >= 1 && value <= 5 && !latest.has(c.uid)) latest.set(c.uid, value);
+      }
+      for (const [uid, value] of latest) {
+        await repos.ratings.set(event.id, uid, value, occurrence);
+        imported++;
+      }
+    }
+    await repos.ratings.rebuild(event.id);
   }
-});
+  await audit.record(req, "ratings.rebuild", { meta: { events: events.length, imported } });
+  res.json({ events: events.length, imported });
+}));
+
+// Volcado completo de los datos en NDJSON, sin secretos (data:backup; ver lib/backup.js)
+v1.get("/admin/dump", authenticateToken, requirePermission("data:backup"), validate(schemas.dump), asyncHandler(async (req, res) => {
+  res.type("application/x-ndjson; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="dump-${new Date().toISOString().split("T")[0]}.ndjson"`);
+  res.write(`${JSON.stringify(dumpHeader())}\n`);
+  let documents = 0;
+  await repos.backup.walk(DUMP_TREE, async ({ path, collection, data }) => {
+    res.write(`${JSON.stringify({ path, data: stripSecrets(collection, data) })}\n`);
+    documents++;
+  });
+  await audit.record(req, "data.dump", { meta: { documents } });
+  res.end();
+}));
+
+// Restaurar un volcado (application/x-ndjson, hasta RESTORE_MAX_MB). Reemplaza los documentos
+// con el mismo path y deja el resto como está. Con dryRun=true sólo lo revisa; si tiene líneas
+// inválidas no se escribe nada (VALIDATION_ERROR con la línea de cada problema).
+v1.post("/admin/restore", authenticateToken, limitWrites, requirePermission("data:backup"), express.text({ type: "application/x-ndjson", limit: `${RESTORE_MAX_MB}mb` }), validate(schemas.restore), asyncHandler(async (req, res) => {
+  if (typeof req.body !== "string") throw new ApiError(415, "UNSUPPORTED_MEDIA_TYPE", "El volcado va como application/x-ndjson");
+  const { docs, errors } = parseDump(req.body);
+  const collections = {};
+  docs.forEach(({ path }) => {
+    const name = collectionOf(path);
+    collections[name] = (collections[name] || 0) + 1;
+  });
+  const issues = errors.map(e => ({ ...e, in: "body" }));
+  if (req.query.dryRun) return res.json({ dryRun: true, documents: docs.length, collections, errors: issues });
+  if (issues.length) throw validationError(issues, "El volcado tiene líneas inválidas: no se restauró nada");
+
+  await repos.backup.writeAll(docs, { merge: ["users"] });
+  await audit.record(req, "data.restore", { meta: { documents: docs.length, collections } });
+  // el índice de búsqueda vuelve a tomar los eventos restaurados con sus comentarios
+  for (const { path } of docs.filter(d => /^events\/[^/]+$/.test(d.path))) {
+    const event = await repos.events.get(path.split("/")[1]);
+    if (event) await indexEventWithComments(event);
+  }
+  res.json({ dryRun: false, documents: docs.length, collections });
+}));
+
+// Registro de auditoría (audit:read). Filtros: actor, action, targetType, target, event, from, to.
+// En JSON se pagina con limit / cursor como los listados; con format=csv se exporta todo lo que
+// coincide con los filtros (de a páginas, sin cargarlo entero en memoria).
+const AUDIT_CSV_COLUMNS = ["at", "actorUid", "action", "targetType", "targetId", "eventId", "changes", "meta", "ip", "userAgent", "id"];
+
+// from / to del query como instantes ISO: un día en `to` incluye el día completo
+function auditRange({ from, to }) {
+  const toIso = value => new Date(isDay(value) ? `${value}T00:00:00Z` : value).toISOString();
+  return {
+    since: from ? toIso(from) : undefined,
+    until: to ? (isDay(to) ? toIso(nextDay(to)) : toIso(to)) : undefined
+  };
+}
 
-// Contador de asistentes
-app.get("/events/:id/attendees/count", async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    const snap = await db.collection("events").doc(eventId).collection("attendees").get();
-    res.json({ count: snap.size });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+v1.get("/admin/audit", authenticateToken, requirePermission("audit:read"), validate(schemas.audit), asyncHandler(async (req, res) => {
+  const { actor, action, targetType, target, event, limit, cursor, format } = req.query;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw validationError([{ field: "cursor", in: "query", code: "invalid_format", message: "cursor inválido" }]);
   }
-});
+  const filters = { actorUid: actor, action, targetType, targetId: target, eventId: event, ...auditRange(req.query) };
+
+  if (format === "csv") {
+    res.type("text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().split("T")[0]}.csv"`);
+    res.write(csvHeader(AUDIT_CSV_COLUMNS));
+    let page = { hasMore: true, items: [] };
+    let next = after;
+    while (page.hasMore) {
+      page = await repos.audit.query({ ...filters, limit: 500, after: next });
+      page.items.forEach(entry => res.write(csvRow(entry, AUDIT_CSV_COLUMNS)));
+      const last = page.items[page.items.length - 1];
+      next = last ? { value: last.at, id: last.id } : null;
+    }
+    return res.end();
+  }
+
+  const pageSize = parseLimit(limit);
+  const { items, hasMore } = await repos.audit.query({ ...filters, limit: pageSize, after });
+  const last = items[items.length - 1];
+  res.json({ items, nextCursor: hasMore && last ? encodeCursor(last.at, last.id) : null });
+}));
 
 // -----------------------------
-// ADMIN UTILITIES
+// DOCUMENTACIÓN - OpenAPI 3 y Swagger UI
 // -----------------------------
 
-// Listar todos los usuarios (admin)
-app.get("/admin/users", authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const snap = await db.collection("users").get();
-    const users = snap.docs.map(d => ({ uid: d.id, ...d.data() }));
-    res.json(users);
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+// se arma la primera vez que se pide, con todas las rutas ya registradas
+let openApiDocument = null;
+
+v1.get("/openapi.json", (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApi(v1, { docs: apiDocs, authenticators: [authenticateToken, authenticateStream], optionalAuthenticators: [authenticateOptional], servers: [`${BASE_URL_PUBLIC}/v1`] });
+    const missing = undocumentedRoutes(v1, apiDocs);
+    if (missing.length) openApiDocument["x-undocumented"] = missing;
   }
+  res.json(openApiDocument);
 });
 
-// Hacer admin a un usuario (admin)
-app.post("/admin/users/:uid/make-admin", authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const uid = req.params.uid;
-    await db.collection("users").doc(uid).update({ role: "admin" });
-    res.json({ message: "Usuario promovido a admin" });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
-  }
+// Swagger UI sale del CDN de unpkg: versión exacta y hashes SRI de sus archivos, así el
+// navegador no ejecuta otra cosa si el CDN cambia lo que sirve. Para actualizarla se cambian
+// los tres valores juntos.
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.1";
+const SWAGGER_UI_CSS_SRI = "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW";
+const SWAGGER_UI_JS_SRI = "sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw";
+
+v1.get("/docs", (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>API DSM - Documentación</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_SRI}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_SRI}" crossorigin="anonymous"></script>
+  <script>SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui" });</script>
+</body>
+</html>`);
 });
 
 // -----------------------------
 // ROOT
 // -----------------------------
 
-app.get("/", (req, res) => {
+v1.get("/", (req, res) => {
   res.json({ message: "API DSM completa corriendo" });
 });
 
+// -----------------------------
+// VERSIONES - /v1 y los alias sin prefijo (ver lib/versioning.js)
+// -----------------------------
+
+createVersioning({
+  versions: { 1: v1 },
+  defaultVersion: "1",
+  unversioned: { since: UNVERSIONED_DEPRECATED_AT, sunset: UNVERSIONED_SUNSET_AT }
+}).mount(app);
+
+// -----------------------------
+// ERRORES - rutas inexistentes y manejador central (siempre al final)
+// -----------------------------
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // -----------------------------
 // RUN
 // -----------------------------
 const port = process.env.PORT || 3000;
-app.listen(port, () => {
-  console.log(`API DSM escuchando en puerto ${port}`);
-});
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`API DSM escuchando en puerto ${port}`);
+  });
+  const undocumented = undocumentedRoutes(v1, apiDocs);
+  if (undocumented.length) console.warn("Rutas sin documentar en lib/apiDocs.js:", undocumented.join(", "));
+  if (TRASH_PURGE_INTERVAL_MINUTES > 0) trash.start(TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  if (REMINDER_INTERVAL_MINUTES > 0) reminders.start(REMINDER_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = app;
@@ -0,0 +1,25 @@
+// storage/firestore.js - Backend Firestore (Firebase Admin con variables de entorno)
+const admin = require("firebase-admin");
+
+function hasFirebaseEnv() {
+  return !!(process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY);
+}
+
+function createFirestoreStore() {
+  if (!hasFirebaseEnv()) {
+    console.warn("WARNING: Firebase env vars no configuradas. Asegúrate de setear FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY");
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      // la privateKey debe venir con \n por cada nueva línea; aquí lo transformamos
+      privateKey: (process.env.FIREBASE_PRIVATE_KEY || "").replace(/\\n/g, "\n")
+    })
+  });
+
+  return admin.firestore();
+}
+
+module.exports = { createFirestoreStore, hasFirebaseEnv };
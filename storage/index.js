@@ -0,0 +1,27 @@
+// storage/index.js - Selección del backend de datos
+// STORAGE_BACKEND=firestore | local. Si no se indica, se usa Firestore cuando hay credenciales
+// de Firebase y el backend local en caso contrario (desarrollo, CI, sin conexión).
+const { createFirestoreStore, hasFirebaseEnv } = require("./firestore");
+const { createLocalStore } = require("./local");
+
+function resolveBackend() {
+  const backend = (process.env.STORAGE_BACKEND || "").toLowerCase();
+  if (backend) return backend;
+  return hasFirebaseEnv() ? "firestore" : "local";
+}
+
+function createStorage() {
+  const backend = resolveBackend();
+  if (backend === "firestore") {
+    return { backend, db: createFirestoreStore() };
+  }
+  if (backend === "local" || backend === "memory") {
+    // LOCAL_DB_FILE es opcional: sin él los datos viven sólo en memoria
+    const file = process.env.LOCAL_DB_FILE || null;
+    console.warn(`Usando backend local${file ? ` (persistido en ${file})` : " en memoria"}`);
+    return { backend: "local", db: createLocalStore({ file }) };
+  }
+  throw new Error(`STORAGE_BACKEND desconocido: ${backend}`);
+}
+
+module.exports = { createStorage };
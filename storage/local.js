@@ -0,0 +1,412 @@
+// storage/local.js - Backend local compatible con el subconjunto de Firestore que usa la API
+// Guarda todo en memoria y, si se indica un archivo, lo persiste como JSON tras cada escritura.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function autoId() {
+  // mismo largo y alfabeto que los ids automáticos de Firestore
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.randomBytes(20);
+  let id = "";
+  for (let i = 0; i < 20; i++) id += chars[bytes[i] % chars.length];
+  return id;
+}
+
+function getField(data, field) {
+  if (field === "__name__") return undefined;
+  return field.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), data);
+}
+
+function setField(data, field, value) {
+  const keys = field.split(".");
+  let target = data;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (typeof target[keys[i]] !== "object" || target[keys[i]] === null) target[keys[i]] = {};
+    target = target[keys[i]];
+  }
+  if (value === undefined) delete target[keys[keys.length - 1]];
+  else target[keys[keys.length - 1]] = value;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function matches(data, { field, op, value }) {
+  const current = getField(data, field);
+  switch (op) {
+    case "==": return compareValues(current, value) === 0 && current !== undefined;
+    case "!=": return current !== undefined && compareValues(current, value) !== 0;
+    case "<": return current !== undefined && compareValues(current, value) < 0;
+    case "<=": return current !== undefined && compareValues(current, value) <= 0;
+    case ">": return current !== undefined && compareValues(current, value) > 0;
+    case ">=": return current !== undefined && compareValues(current, value) >= 0;
+    case "in": return Array.isArray(value) && value.some(v => compareValues(current, v) === 0);
+    case "not-in": return current !== undefined && Array.isArray(value) && !value.some(v => compareValues(current, v) === 0);
+    case "array-contains": return Array.isArray(current) && current.some(v => compareValues(v, value) === 0);
+    case "array-contains-any": return Array.isArray(current) && Array.isArray(value) && current.some(v => value.some(x => compareValues(v, x) === 0));
+    default: throw new Error(`Operador no soportado: ${op}`);
+  }
+}
+
+// -----------------------------
+// SNAPSHOTS
+// -----------------------------
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(field) {
+    return clone(getField(this._data || {}, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+// -----------------------------
+// REFERENCIAS Y QUERIES
+// -----------------------------
+
+class DocumentReference {
+  constructor(store, collectionPath, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this._collectionPath);
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._store.read(this._collectionPath, this.id));
+  }
+
+  async set(data, options = {}) {
+    this._store.write(this._collectionPath, this.id, data, options);
+  }
+
+  async create(data) {
+    if (this._store.read(this._collectionPath, this.id) !== undefined) throw new Error(`Documento ya existe: ${this.path}`);
+    this._store.write(this._collectionPath, this.id, data);
+  }
+
+  async update(data) {
+    this._store.update(this._collectionPath, this.id, data);
+  }
+
+  async delete() {
+    this._store.remove(this._collectionPath, this.id);
+  }
+}
+
+class Query {
+  constructor(store, source, options = {}) {
+    this._store = store;
+    this._source = source; // { collectionPath } o { group }
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._cursor = options.cursor;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._source, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      cursor: this._cursor,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  startAfter(...values) {
+    return this._with({ cursor: { values, inclusive: false } });
+  }
+
+  startAt(...values) {
+    return this._with({ cursor: { values, inclusive: true } });
+  }
+
+  _compare(a, b) {
+    for (const { field, direction } of this._orders) {
+      const diff = field === "__name__"
+        ? compareValues(a.id, b.id)
+        : compareValues(getField(a.data, field), getField(b.data, field));
+      if (diff !== 0) return direction === "desc" ? -diff : diff;
+    }
+    return compareValues(a.id, b.id);
+  }
+
+  _cursorEntry() {
+    const [first] = this._cursor.values;
+    if (first instanceof DocumentSnapshot) return { id: first.id, data: first._data || {} };
+    // valores sueltos: se comparan sólo contra los campos de orderBy
+    const data = {};
+    let id;
+    this._orders.forEach(({ field }, i) => {
+      if (field === "__name__") id = this._cursor.values[i];
+      else setField(data, field, this._cursor.values[i]);
+    });
+    return { id, data, partial: id === undefined };
+  }
+
+  _run() {
+    let entries = this._source.group
+      ? this._store.listGroup(this._source.group)
+      : this._store.list(this._source.collectionPath);
+
+    entries = entries.filter(e => this._filters.every(f => matches(e.data, f)));
+    // Firestore excluye los documentos que no tienen el campo de orden
+    entries = entries.filter(e => this._orders.every(o => o.field === "__name__" || getField(e.data, o.field) !== undefined));
+    entries.sort((a, b) => this._compare(a, b));
+
+    if (this._cursor) {
+      const cursor = this._cursorEntry();
+      entries = entries.filter(e => {
+        let diff = 0;
+        for (const { field, direction } of this._orders) {
+          const d = field === "__name__"
+            ? compareValues(e.id, cursor.id)
+            : compareValues(getField(e.data, field), getField(cursor.data, field));
+          if (d !== 0) { diff = direction === "desc" ? -d : d; break; }
+        }
+        if (diff === 0 && !cursor.partial) diff = compareValues(e.id, cursor.id);
+        return this._cursor.inclusive ? diff >= 0 : diff > 0;
+      });
+    }
+
+    if (typeof this._limit === "number") entries = entries.slice(0, this._limit);
+    return entries;
+  }
+
+  async get() {
+    const docs = this._run().map(e => new DocumentSnapshot(new DocumentReference(this._store, e.collectionPath, e.id), e.data));
+    return new QuerySnapshot(docs);
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._run().length;
+        return { data: () => ({ count }) };
+      }
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collectionPath) {
+    super(store, { collectionPath });
+    this.path = collectionPath;
+    this.id = collectionPath.split("/").pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(this._store, this.path, id || autoId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// -----------------------------
+// BATCH Y TRANSACCIONES
+// -----------------------------
+
+// igual que Firestore: un batch (o transacción) no puede tener más escrituras
+const MAX_BATCH_WRITES = 500;
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._ops = [];
+  }
+
+  set(ref, data, options) {
+    this._ops.push(() => this._store.write(ref._collectionPath, ref.id, data, options, false));
+    return this;
+  }
+
+  create(ref, data) {
+    this._ops.push(() => {
+      if (this._store.read(ref._collectionPath, ref.id) !== undefined) throw new Error(`Documento ya existe: ${ref.path}`);
+      this._store.write(ref._collectionPath, ref.id, data, {}, false);
+    });
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push(() => this._store.update(ref._collectionPath, ref.id, data, false));
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push(() => this._store.remove(ref._collectionPath, ref.id, false));
+    return this;
+  }
+
+  async commit() {
+    if (this._ops.length > MAX_BATCH_WRITES) {
+      throw new Error(`INVALID_ARGUMENT: maximum ${MAX_BATCH_WRITES} writes allowed per request (${this._ops.length})`);
+    }
+    // validar antes de escribir para que el batch sea todo-o-nada
+    const snapshot = this._store.snapshot();
+    try {
+      this._ops.forEach(op => op());
+    } catch (e) {
+      this._store.restore(snapshot);
+      throw e;
+    }
+    this._store.persist();
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+}
+
+// -----------------------------
+// STORE
+// -----------------------------
+
+class LocalFirestore {
+  constructor({ file } = {}) {
+    this._file = file ? path.resolve(file) : null;
+    this._collections = {}; // collectionPath -> { id: data }
+    this._txQueue = Promise.resolve();
+    if (this._file && fs.existsSync(this._file)) {
+      this._collections = JSON.parse(fs.readFileSync(this._file, "utf8") || "{}");
+    }
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  collectionGroup(name) {
+    return new Query(this, { group: name });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Las transacciones se serializan: en un solo proceso esto basta para que no se pisen entre sí
+  runTransaction(fn) {
+    const run = this._txQueue.then(async () => {
+      const tx = new Transaction(this);
+      const result = await fn(tx);
+      await tx.commit();
+      return result;
+    });
+    this._txQueue = run.catch(() => {});
+    return run;
+  }
+
+  read(collectionPath, id) {
+    const col = this._collections[collectionPath];
+    return col && col[id] !== undefined ? clone(col[id]) : undefined;
+  }
+
+  list(collectionPath) {
+    const col = this._collections[collectionPath] || {};
+    return Object.keys(col).map(id => ({ collectionPath, id, data: clone(col[id]) }));
+  }
+
+  listGroup(name) {
+    return Object.keys(this._collections)
+      .filter(p => p.split("/").pop() === name)
+      .flatMap(p => this.list(p));
+  }
+
+  write(collectionPath, id, data, options = {}, persist = true) {
+    if (!this._collections[collectionPath]) this._collections[collectionPath] = {};
+    const col = this._collections[collectionPath];
+    col[id] = options.merge && col[id] ? { ...col[id], ...clone(data) } : clone(data);
+    if (persist) this.persist();
+  }
+
+  update(collectionPath, id, data, persist = true) {
+    const col = this._collections[collectionPath];
+    if (!col || col[id] === undefined) throw new Error(`No existe el documento: ${collectionPath}/${id}`);
+    Object.keys(data).forEach(field => setField(col[id], field, clone(data[field])));
+    if (persist) this.persist();
+  }
+
+  remove(collectionPath, id, persist = true) {
+    const col = this._collections[collectionPath];
+    if (col) delete col[id];
+    if (persist) this.persist();
+  }
+
+  snapshot() {
+    return clone(this._collections);
+  }
+
+  restore(snapshot) {
+    this._collections = snapshot;
+  }
+
+  persist() {
+    if (!this._file) return;
+    fs.mkdirSync(path.dirname(this._file), { recursive: true });
+    fs.writeFileSync(this._file, JSON.stringify(this._collections, null, 2));
+  }
+}
+
+function createLocalStore(options) {
+  return new LocalFirestore(options);
+}
+
+module.exports = { createLocalStore, LocalFirestore, MAX_BATCH_WRITES };
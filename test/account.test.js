@@ -0,0 +1,121 @@
+// Cuenta: verificación de correo, recuperación de contraseña y eliminación de la cuenta
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { setupApi, ADMIN, PASSWORD } = require("./helpers/api");
+
+// "many" tiene más asistencias y calificaciones de las que entran en un batch
+const seed = { users: { many: { username: "many", email: "many@example.com", passwordHash: bcrypt.hashSync(PASSWORD, 4), role: "user", createdAt: "2025-01-01T00:00:00.000Z" } }, events: {} };
+for (let i = 0; i < 300; i++) {
+  seed.events[`e${i}`] = { title: `E${i}`, date: "2099-01-01", creatorUid: ADMIN.uid, createdAt: "2025-01-01T00:00:00.000Z" };
+  seed[`events/e${i}/attendees`] = { many: { uid: "many", username: "many", confirmed: true, status: "confirmed" } };
+  seed[`events/e${i}/ratings`] = { many: { uid: "many", rating: 4 } };
+}
+const api = setupApi({ admin: true, seed, env: { REQUIRE_VERIFIED_EMAIL: "true" } });
+const tokenOf = mail => /token=([\w.-]+)/.exec(mail.text)[1];
+let root;
+let ana;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+});
+
+test("verificación de correo", async () => {
+  let mails = api.mails();
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].to, "ana@example.com");
+  const token = tokenOf(mails[0]);
+  let r = await api.call("POST", "/auth/logout-all", null, token);
+  assert.equal(r.status, 401);
+  r = await api.call("POST", "/events", { title: "T", date: "2099-01-01", location: "L", description: "D", creatorUid: ana.uid }, ana.token);
+  assert.equal(r.body.code, "EMAIL_NOT_VERIFIED");
+  r = await api.call("GET", `/auth/verify-email?token=${token}`);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/users/${ana.uid}`);
+  assert.equal(r.body.emailVerified, true);
+  r = await api.call("POST", "/auth/resend-verification", { email: "otra@example.com" }, ana.token);
+  assert.equal(r.body.fields[0].code, "unknown_field");
+  r = await api.call("POST", "/auth/resend-verification", null, ana.token);
+  assert.equal(r.status, 409);
+
+  r = await api.call("PUT", `/users/${ana.uid}`, { email: "ana2@example.com" }, ana.token);
+  assert.equal(r.body.emailVerified, false);
+  mails = api.mails();
+  assert.equal(mails[1].to, "ana2@example.com");
+  r = await api.call("POST", "/auth/verify-email", { token });
+  assert.equal(r.status, 400);
+  r = await api.call("POST", "/auth/verify-email", { token: tokenOf(mails[1]) });
+  assert.equal(r.status, 200);
+});
+
+test("recuperación de contraseña", async () => {
+  let r = await api.call("POST", "/auth/forgot-password", { email: "nobody@example.com" });
+  assert.equal(r.status, 200);
+  assert.equal(api.mails().length, 2);
+  await api.call("POST", "/auth/forgot-password", { email: "ana2@example.com" });
+  const mail = api.mails()[2];
+  assert.ok(mail.subject.includes("Restablecer"));
+  r = await api.call("POST", "/auth/reset-password", { token: tokenOf(mail), newPassword: "short" });
+  assert.equal(r.status, 400);
+  r = await api.call("POST", "/auth/reset-password", { token: tokenOf(mail), newPassword: "secret-456" });
+  assert.equal(r.status, 200);
+  r = await api.call("POST", "/auth/reset-password", { token: tokenOf(mail), newPassword: "secret-789" });
+  assert.equal(r.body.code, "INVALID_RESET_TOKEN");
+  r = await api.call("GET", `/users/${ana.uid}/calendar`, null, ana.token);
+  assert.equal(r.status, 401);
+  ana = await api.login("ana2@example.com", "secret-456");
+});
+
+test("eliminar la cuenta conserva su actividad anonimizada", async () => {
+  const event = await api.createEvent(ana);
+  const bob = await api.register("bob");
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "hola", rating: 4 }, bob.token);
+
+  let r = await api.call("DELETE", `/users/${bob.uid}`, {}, bob.token);
+  assert.equal(r.status, 401);
+  r = await api.call("DELETE", `/users/${bob.uid}`, {}, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("DELETE", `/users/${bob.uid}`, { password: PASSWORD }, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/users/${bob.uid}`);
+  assert.equal(r.status, 404);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.body[0].username, "Usuario eliminado");
+  assert.equal(r.body[0].uid, null);
+  r = await api.call("GET", `/attend/${event.id}/attendees`);
+  assert.equal(r.body[0].uid, null);
+  assert.equal(r.body[0].username, undefined);
+  r = await api.call("GET", `/events/${event.id}/attendees/count`);
+  assert.equal(r.body.count, 1);
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 1);
+  r = await api.call("POST", "/auth/login", { email: "bob@example.com", password: PASSWORD });
+  assert.equal(r.status, 400);
+});
+
+test("la auditoría de la eliminación no guarda datos personales", async () => {
+  await api.call("DELETE", `/users/${ana.uid}`, {}, root.token);
+  const { items } = (await api.call("GET", "/admin/audit?action=user.delete", null, root.token)).body;
+  const entry = items.find(i => i.targetId === ana.uid);
+  assert.deepEqual(entry.changes, {});
+  assert.ok(!JSON.stringify(entry).includes("ana2@example.com"));
+  assert.ok(!JSON.stringify(entry).includes("passwordHash"));
+});
+
+test("elimina cuentas con más actividad de la que entra en un batch", async () => {
+  let r = await api.call("DELETE", "/users/many", {}, root.token);
+  assert.equal(r.status, 200);
+  const { items } = (await api.call("GET", "/admin/audit?action=user.delete", null, root.token)).body;
+  assert.deepEqual(items.find(i => i.targetId === "many").meta, { comments: 0, attendance: 300, ratings: 300 });
+  r = await api.call("GET", "/attend/e0/attendees");
+  assert.equal(r.body[0].uid, null);
+  r = await api.call("GET", "/events/e299/attendees/count");
+  assert.equal(r.body.count, 1);
+});
+
+test("no se elimina al último administrador", async () => {
+  const r = await api.call("DELETE", `/users/${root.uid}`, { password: PASSWORD }, root.token);
+  assert.equal(r.body.code, "LAST_ADMIN");
+});
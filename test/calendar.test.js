@@ -0,0 +1,75 @@
+// iCalendar: .ics de cada evento y feeds suscribibles
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+const day = n => new Date(Date.now() + n * 864e5).toISOString().slice(0, 10);
+const countEvents = ics => (ics.match(/BEGIN:VEVENT/g) || []).length;
+let ana;
+let bob;
+let single;
+let series;
+let feeds;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  single = await api.createEvent(ana, { title: `Charla; larga, con comas y acentos ñ ${"x".repeat(80)}`, date: `${day(3)}T18:00`, location: "Sala 1", description: "línea1\nlínea2" });
+  series = await api.createEvent(ana, { title: "Meetup", date: day(1), recurrence: `FREQ=WEEKLY;UNTIL=${day(30)}` });
+});
+
+test("exporta un evento con líneas plegadas y SEQUENCE", async () => {
+  let r = await api.call("GET", `/events/${single.id}.ics`);
+  assert.equal(r.status, 200);
+  assert.ok(r.headers.get("content-type").startsWith("text/calendar"));
+  assert.ok(r.body.includes("SEQUENCE:0"));
+  assert.ok(r.body.includes("\r\n "));
+  await api.call("PUT", `/events/${single.id}`, { location: "Sala 2" }, ana.token);
+  await api.call("PUT", `/events/${single.id}`, { location: "Sala 2" }, ana.token);
+  r = await api.call("GET", `/events/${single.id}.ics`);
+  assert.ok(r.body.includes("SEQUENCE:1"));
+});
+
+test("las series salen con RRULE, EXDATE y RECURRENCE-ID", async () => {
+  await api.call("DELETE", `/events/${series.id}/occurrences/${day(8)}`, null, ana.token);
+  await api.call("PUT", `/events/${series.id}/occurrences/${day(15)}`, { location: "Otro" }, ana.token);
+  const r = await api.call("GET", `/events/${series.id}.ics`);
+  assert.ok(r.body.includes("RRULE:FREQ=WEEKLY"));
+  assert.ok(r.body.includes("EXDATE;VALUE=DATE"));
+  assert.ok(r.body.includes("RECURRENCE-ID;VALUE=DATE"));
+});
+
+test("feed de asistencias con token secreto", async () => {
+  let r = await api.call("GET", `/users/${bob.uid}/calendar`, null, bob.token);
+  feeds = r.body;
+  assert.ok(feeds.token);
+  r = await api.call("GET", `/users/${bob.uid}/calendar`, null, ana.token);
+  assert.equal(r.status, 403);
+  await api.call("POST", `/attend/${single.id}/confirm`, null, bob.token);
+  await api.call("POST", `/attend/${series.id}/confirm?occurrence=${day(15)}`, null, bob.token);
+  r = await api.call("GET", `/calendar/${bob.uid}/attending.ics?token=${feeds.token}`);
+  assert.equal(countEvents(r.body), 2);
+  assert.ok(r.body.includes(`${series.id}-${day(15)}@`));
+  r = await api.call("GET", `/calendar/${bob.uid}/attending.ics?token=bad`);
+  assert.equal(r.status, 404);
+});
+
+test("los eventos eliminados quedan cancelados en los feeds", async () => {
+  await api.call("DELETE", `/events/${single.id}`, null, ana.token);
+  let r = await api.call("GET", `/calendar/${bob.uid}/attending.ics?token=${feeds.token}`);
+  assert.ok(r.body.includes("STATUS:CANCELLED"));
+  assert.ok(r.body.includes("SEQUENCE:2"));
+  r = await api.call("GET", `/events/${single.id}.ics`);
+  assert.equal(r.status, 200);
+  assert.ok(r.body.includes("STATUS:CANCELLED"));
+});
+
+test("feed de eventos creados y rotación del token", async () => {
+  const own = (await api.call("GET", `/users/${ana.uid}/calendar`, null, ana.token)).body;
+  let r = await api.call("GET", `/calendar/${ana.uid}/created.ics?token=${own.token}`);
+  assert.equal(countEvents(r.body), 3);
+  await api.call("POST", `/users/${ana.uid}/calendar/rotate`, null, ana.token);
+  r = await api.call("GET", `/calendar/${ana.uid}/created.ics?token=${own.token}`);
+  assert.equal(r.status, 404);
+});
@@ -0,0 +1,150 @@
+// Comentarios: hilos, fijados, reacciones, bloqueo, filtro de palabras, reportes y moderación
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN, PASSWORD } = require("./helpers/api");
+
+const api = setupApi({ admin: true, env: { COMMENT_BLOCKLIST: "tonto,mala palabra" } });
+let root;
+let ana;
+let bob;
+let cam;
+let event;
+let first;
+let second;
+let held;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cam = await api.register("cam");
+  event = await api.createEvent(ana);
+  first = (await api.call("POST", `/events/${event.id}/comments`, { comment: "primero" }, bob.token)).body;
+  second = (await api.call("POST", `/events/${event.id}/comments`, { comment: "segundo" }, cam.token)).body;
+});
+
+test("respuestas en hilo", async () => {
+  let r = await api.call("POST", `/events/${event.id}/comments`, { comment: "resp", parentId: first.id }, cam.token);
+  assert.equal(r.body.parentId, first.id);
+  assert.equal(r.body.depth, 1);
+  assert.equal(r.body.status, "published");
+  const reply = r.body;
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "resp2", replyTo: reply.id }, ana.token);
+  assert.equal(r.body.parentId, reply.id);
+  assert.equal(r.body.depth, 2);
+  r = await api.call("GET", `/events/${event.id}/comments?threaded=true`);
+  assert.deepEqual(r.body.map(c => c.id), [second.id, first.id]);
+  assert.equal(r.body[1].replies[0].id, reply.id);
+  assert.equal(r.body[1].replies[0].replies.length, 1);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.body.length, 4);
+});
+
+test("el organizador fija comentarios", async () => {
+  let r = await api.call("PUT", `/events/${event.id}/comments/${first.id}/pin`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("PUT", `/events/${event.id}/comments/${first.id}/pin`, null, ana.token);
+  assert.ok(r.body.pinnedAt);
+  r = await api.call("GET", `/events/${event.id}/comments?threaded=true`);
+  assert.equal(r.body[0].id, first.id);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.body[0].id, first.id);
+});
+
+test("reacciones", async () => {
+  const like = encodeURIComponent("👍");
+  let r = await api.call("PUT", `/events/${event.id}/comments/${first.id}/reactions/${like}`, null, cam.token);
+  assert.equal(r.body.reactions["👍"], 1);
+  assert.deepEqual(r.body.mine, ["👍"]);
+  r = await api.call("PUT", `/events/${event.id}/comments/${first.id}/reactions/${like}`, null, cam.token);
+  assert.equal(r.body.reactions["👍"], 1);
+  await api.call("PUT", `/events/${event.id}/comments/${first.id}/reactions/${encodeURIComponent("🎉")}`, null, ana.token);
+  r = await api.call("PUT", `/events/${event.id}/comments/${first.id}/reactions/x`, null, ana.token);
+  assert.equal(r.status, 400);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.body[0].reactions["🎉"], 1);
+  assert.equal(r.body[0].reactions["👍"], 1);
+  r = await api.call("DELETE", `/events/${event.id}/comments/${first.id}/reactions/${like}`, null, cam.token);
+  assert.ok(!r.body.reactions["👍"]);
+  assert.deepEqual(r.body.mine, []);
+});
+
+test("comentarios bloqueados salvo para el organizador", async () => {
+  let r = await api.call("PUT", `/events/${event.id}/comments/lock`, null, ana.token);
+  assert.equal(r.body.commentsLocked, true);
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "x" }, bob.token);
+  assert.equal(r.body.code, "COMMENTS_LOCKED");
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "organizadora" }, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("DELETE", `/events/${event.id}/comments/lock`, null, ana.token);
+  assert.equal(r.body.commentsLocked, false);
+});
+
+test("el filtro de palabras retiene comentarios sin publicarlos ni indexarlos", async () => {
+  let r = await api.call("POST", `/events/${event.id}/comments`, { comment: "eres un TONTÓ!" }, bob.token);
+  assert.equal(r.status, 202);
+  assert.equal(r.body.status, "held");
+  held = r.body;
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "tontería no" }, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.ok(!r.body.some(c => c.id === held.id));
+  r = await api.call("GET", "/events/search?q=tonto&comments=true");
+  assert.ok(!JSON.stringify(r.body).includes(held.id));
+});
+
+test("reportes, cola de moderación y bloqueos", async () => {
+  let r = await api.call("POST", `/events/${event.id}/comments/${second.id}/report`, { reason: "spam" }, bob.token);
+  assert.equal(r.status, 202);
+  r = await api.call("POST", `/events/${event.id}/comments/${second.id}/report`, { reason: "spam" }, bob.token);
+  assert.equal(r.body.code, "ALREADY_REPORTED");
+  r = await api.call("POST", `/events/${event.id}/comments/${second.id}/report`, { reason: "spam" }, cam.token);
+  assert.equal(r.body.code, "CANNOT_REPORT_OWN");
+  r = await api.call("POST", `/events/${event.id}/comments/${second.id}/report`, { reason: "nah" }, ana.token);
+  assert.equal(r.status, 400);
+  r = await api.call("GET", "/moderation/queue", null, bob.token);
+  assert.equal(r.status, 403);
+
+  r = await api.call("GET", "/moderation/queue", null, root.token);
+  const [heldItem, reportItem] = r.body.items;
+  assert.equal(r.body.items.length, 2);
+  assert.deepEqual(heldItem.reasons, ["blocklist"]);
+  assert.deepEqual(heldItem.matches, ["tonto"]);
+  assert.equal(reportItem.reportCount, 1);
+  assert.equal(reportItem.reports[0].reason, "spam");
+  r = await api.call("POST", `/moderation/queue/${encodeURIComponent(heldItem.id)}/approve`, {}, root.token);
+  assert.equal(r.body.comment.status, "published");
+  assert.equal(r.body.item.status, "approved");
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.ok(r.body.some(c => c.id === held.id));
+
+  r = await api.call("POST", `/moderation/queue/${encodeURIComponent(reportItem.id)}/ban`, { note: "spam", days: 7 }, root.token);
+  assert.equal(r.body.comment.status, "hidden");
+  assert.ok(r.body.ban.until > new Date().toISOString());
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.ok(!r.body.some(c => c.id === second.id));
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "hola" }, cam.token);
+  assert.equal(r.body.code, "COMMENT_BANNED");
+  r = await api.call("GET", "/moderation/queue", null, root.token);
+  assert.equal(r.body.items.length, 0);
+  r = await api.call("GET", "/moderation/queue?status=hidden", null, root.token);
+  assert.equal(r.body.items.length, 1);
+  r = await api.call("DELETE", `/moderation/bans/${cam.uid}`, null, root.token);
+  assert.equal(r.status, 200);
+  r = await api.call("DELETE", `/moderation/bans/${cam.uid}`, null, root.token);
+  assert.equal(r.status, 409);
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "hola" }, cam.token);
+  assert.equal(r.status, 200);
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "x", parentId: second.id }, bob.token);
+  assert.equal(r.status, 404);
+  r = await api.call("GET", "/admin/audit?action=moderation.ban", null, root.token);
+  assert.equal(r.body.items.length, 1);
+});
+
+test("eliminar una cuenta borra sus reacciones pero no los totales", async () => {
+  let r = await api.call("DELETE", `/users/${ana.uid}`, { password: PASSWORD }, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.find(c => c.id === first.id).reactions["🎉"], 1);
+});
@@ -0,0 +1,125 @@
+// Archivos: portada del evento (con miniatura), adjuntos, URLs firmadas y limpieza
+const fs = require("fs");
+const path = require("path");
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { setupApi, ADMIN } = require("./helpers/api");
+
+const api = setupApi({ admin: true, env: { BASE_URL_PUBLIC: "http://base", TRASH_RETENTION_DAYS: "0.00001" } });
+const files = key => path.join(process.env.FILE_DIR, key);
+// las URLs públicas apuntan a BASE_URL_PUBLIC; las pruebas las piden al servidor local
+const local = async url => url.replace("http://base", await api.url(""));
+const upload = (method, route, body, type, token) => api.call(method, route, body, token, type ? { "content-type": type } : {});
+let root;
+let ana;
+let bob;
+let event;
+let png;
+let jpg;
+let firstCover;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  event = await api.createEvent(ana);
+  png = await sharp({ create: { width: 3000, height: 1000, channels: 3, background: "red" } }).png().toBuffer();
+  jpg = await sharp({ create: { width: 200, height: 100, channels: 3, background: "blue" } }).jpeg().toBuffer();
+});
+
+test("la portada se valida antes de guardarla", async () => {
+  let r = await upload("PUT", `/events/${event.id}/cover`, png, "image/png", bob.token);
+  assert.equal(r.status, 403);
+  r = await upload("PUT", `/events/${event.id}/cover`, png, "image/png");
+  assert.equal(r.status, 401);
+  r = await upload("PUT", `/events/${event.id}/cover`, png, "image/gif", ana.token);
+  assert.equal(r.body.code, "UNSUPPORTED_MEDIA_TYPE");
+  r = await upload("PUT", `/events/${event.id}/cover`, png, "image/jpeg", ana.token);
+  assert.equal(r.body.code, "CONTENT_TYPE_MISMATCH");
+  r = await upload("PUT", `/events/${event.id}/cover`, undefined, "image/png", ana.token);
+  assert.equal(r.body.code, "FILE_REQUIRED");
+  r = await upload("PUT", `/events/${event.id}/cover`, JSON.stringify({ a: 1 }), "application/json", ana.token);
+  assert.equal(r.status, 415);
+  r = await upload("PUT", `/events/${event.id}/cover`, Buffer.concat([png.subarray(0, 40), Buffer.alloc(100)]), "image/png", ana.token);
+  assert.equal(r.body.code, "INVALID_IMAGE");
+  r = await upload("PUT", `/events/${event.id}/cover`, Buffer.concat([png, Buffer.alloc(6 * 1024 * 1024)]), "image/png", ana.token);
+  assert.equal(r.status, 413);
+});
+
+test("portada redimensionada con miniatura en URL firmada", async () => {
+  let r = await upload("PUT", `/events/${event.id}/cover`, png, "image/png", ana.token);
+  assert.equal(r.body.cover.width, 1600);
+  assert.equal(r.body.cover.height, 533);
+  assert.equal(r.body.cover.url, `http://base/events/${event.id}/cover`);
+  firstCover = r.body.cover;
+  r = await api.call("GET", `/events/${event.id}`);
+  assert.equal(r.body.cover.key, firstCover.key);
+
+  r = await api.call("GET", `/events/${event.id}/cover?size=thumbnail`);
+  assert.equal(r.status, 302);
+  const location = await local(r.headers.get("location"));
+  assert.ok(location.includes("-thumb.webp"));
+  let res = await fetch(location);
+  assert.equal(res.headers.get("content-type"), "image/webp");
+  const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+  assert.deepEqual([meta.width, meta.height, meta.format], [400, 400, "webp"]);
+  // cambia el primer carácter de la firma (reemplazarlo por uno fijo a veces la deja igual)
+  res = await fetch(location.replace(/signature=(.)/, (_, c) => `signature=${c === "A" ? "B" : "A"}`));
+  assert.equal(res.status, 403);
+  res = await fetch(location.replace(/expires=\d+/, "expires=1"));
+  assert.equal(res.status, 403);
+  res = await fetch(await api.url("/files/../db.json?expires=99999999999&signature=x"));
+  assert.ok([403, 404].includes(res.status));
+});
+
+test("reemplazar la portada borra los archivos anteriores", async () => {
+  let r = await upload("PUT", `/events/${event.id}/cover`, jpg, "image/jpeg", ana.token);
+  assert.equal(r.body.cover.width, 200);
+  assert.ok(r.body.cover.key.endsWith(".jpg"));
+  assert.ok(!fs.existsSync(files(firstCover.key)));
+  assert.ok(!fs.existsSync(files(firstCover.thumbnailKey)));
+  assert.ok(fs.existsSync(files(r.body.cover.key)));
+  r = await api.call("DELETE", `/events/${event.id}/cover`, null, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/events/${event.id}/cover`);
+  assert.equal(r.body.code, "NO_COVER");
+});
+
+test("adjuntos", async () => {
+  const pdf = Buffer.from("%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF");
+  let r = await upload("POST", `/events/${event.id}/attachments?name=Agenda%20final.pdf`, pdf, "application/pdf", ana.token);
+  assert.equal(r.status, 201);
+  assert.equal(r.body.name, "Agenda final.pdf");
+  const attachment = r.body;
+  r = await upload("POST", `/events/${event.id}/attachments`, Buffer.from("hola"), "text/plain", ana.token);
+  assert.equal(r.status, 415);
+  r = await api.call("GET", `/events/${event.id}/attachments`);
+  assert.equal(r.body.length, 1);
+  const res = await fetch(await local(r.body[0].url));
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.ok((await res.text()).startsWith("%PDF"));
+  r = await api.call("GET", `/events/${event.id}/attachments/${attachment.id}`);
+  assert.equal(r.status, 302);
+  r = await api.call("DELETE", `/events/${event.id}/attachments/${attachment.id}`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("DELETE", `/events/${event.id}/attachments/${attachment.id}`, null, ana.token);
+  assert.equal(r.status, 200);
+  assert.ok(!fs.existsSync(files(attachment.key)));
+  r = await api.call("GET", `/admin/audit?event=${event.id}`, null, root.token);
+  for (const action of ["event.cover_update", "attachment.create", "attachment.delete"]) {
+    assert.ok(r.body.items.some(i => i.action === action), action);
+  }
+});
+
+test("los archivos de un evento eliminado se borran con la purga", async () => {
+  await upload("PUT", `/events/${event.id}/cover`, jpg, "image/jpeg", ana.token);
+  await api.call("DELETE", `/events/${event.id}`, null, ana.token);
+  assert.ok(fs.existsSync(files(`events/${event.id}`)));
+  let r = await api.call("GET", `/events/${event.id}/attachments`);
+  assert.equal(r.status, 404);
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  r = await api.call("POST", "/admin/trash/purge", null, root.token);
+  assert.equal(r.body.purged.events, 1);
+  assert.ok(!fs.existsSync(files(`events/${event.id}`)));
+});
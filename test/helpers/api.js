@@ -0,0 +1,131 @@
+// test/helpers/api.js - Levanta la API para las pruebas de rutas
+//
+// Cada archivo de prueba corre en su propio proceso (node --test), así que cada uno tiene su
+// app: backend local en memoria, sin variables de Firebase, correo y archivos en un directorio
+// temporal, sin rate limit y con la comprobación de contrato OpenAPI en strict (cualquier
+// respuesta que no coincida con lib/apiDocs.js llega como 500 CONTRACT_VIOLATION).
+//
+//   const api = setupApi({ admin: true, env: { REQUIRE_VERIFIED_EMAIL: "true" } });
+//   test("...", async () => { const r = await api.call("GET", "/events"); ... });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { after } = require("node:test");
+
+const PASSWORD = "secret-123";
+const ADMIN = { uid: "root", username: "root", email: "root@example.com" };
+
+const FIREBASE_ENV = ["FIREBASE_PROJECT_ID", "FIREBASE_CLIENT_EMAIL", "FIREBASE_PRIVATE_KEY"];
+
+// env: variables propias de la prueba (pisan las de abajo); admin: crea el usuario ADMIN;
+// seed: datos iniciales del backend local ({ colección: { id: datos } })
+function setupApi({ env = {}, admin = false, seed = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-dsm-test-"));
+  FIREBASE_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    STORAGE_BACKEND: "local",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: path.join(dir, "mail"),
+    FILE_STORAGE: "local",
+    FILE_DIR: path.join(dir, "files"),
+    PUSH_TRANSPORT: "none",
+    OPENAPI_CONTRACT: "strict",
+    RATE_LIMITS: JSON.stringify({ auth: { ip: null, account: null }, writes: { ip: null, account: null }, reads: { ip: null } }),
+    ...env
+  });
+  delete process.env.LOCAL_DB_FILE;
+
+  const data = { ...seed };
+  if (admin) {
+    const bcrypt = require("bcryptjs");
+    data.users = {
+      ...data.users,
+      [ADMIN.uid]: { username: ADMIN.username, email: ADMIN.email, passwordHash: bcrypt.hashSync(PASSWORD, 4), role: "admin", roles: ["admin"], createdAt: "2025-01-01T00:00:00.000Z" }
+    };
+  }
+  if (Object.keys(data).length) {
+    process.env.LOCAL_DB_FILE = path.join(dir, "db.json");
+    fs.writeFileSync(process.env.LOCAL_DB_FILE, JSON.stringify(data));
+  }
+
+  const app = require("../../server");
+  // escucha ya (no en un hook) para que los before() de cada archivo puedan usar la API
+  const server = app.listen(0, "127.0.0.1");
+  const ready = new Promise(resolve => server.once("listening", resolve))
+    .then(() => `http://127.0.0.1:${server.address().port}`);
+
+  after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    });
+  }));
+
+  // URL completa de una ruta (para fetch directo, p. ej. los streams)
+  async function url(route) {
+    return (await ready) + route;
+  }
+
+  // { status, headers, body } con el body ya leído como JSON (o texto si no lo es)
+  async function call(method, route, body, token, headers = {}) {
+    const isRaw = typeof body === "string" || Buffer.isBuffer(body);
+    const res = await fetch(await ready + route, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && body !== null && !isRaw ? { "content-type": "application/json" } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined || body === null ? undefined : isRaw ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // no es JSON (CSV, iCalendar, HTML)
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  // Registra un usuario (email <username>@example.com) y devuelve su sesión
+  async function register(username, password = PASSWORD) {
+    const res = await call("POST", "/auth/register", { username, email: `${username}@example.com`, password });
+    if (res.status !== 200) throw new Error(`No se pudo registrar ${username}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  async function login(email, password = PASSWORD) {
+    const res = await call("POST", "/auth/login", { email, password });
+    if (res.status !== 200) throw new Error(`No se pudo iniciar sesión con ${email}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  // Crea un evento a nombre de `session` (con valores por defecto para lo obligatorio)
+  async function createEvent(session, fields = {}) {
+    const res = await call("POST", "/events", {
+      title: "Evento",
+      date: "2099-01-01T18:00",
+      location: "San Salvador",
+      description: "Descripción",
+      creatorUid: session.uid,
+      ...fields
+    }, session.token);
+    if (res.status !== 200) throw new Error(`No se pudo crear el evento: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  // correos enviados hasta ahora (MAIL_TRANSPORT=file), del más viejo al más nuevo
+  function mails() {
+    const mailDir = process.env.MAIL_DIR;
+    if (!fs.existsSync(mailDir)) return [];
+    return fs.readdirSync(mailDir).sort().map(f => JSON.parse(fs.readFileSync(path.join(mailDir, f), "utf8")));
+  }
+
+  return { app, url, call, register, login, createEvent, mails, dir };
+}
+
+module.exports = { setupApi, PASSWORD, ADMIN };
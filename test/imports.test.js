@@ -0,0 +1,173 @@
+// Importación y exportación de eventos, volcado completo y restauración
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN } = require("./helpers/api");
+const { createLocalStore } = require("../storage/local");
+const { createEventsRepository } = require("../repositories/events");
+
+const api = setupApi({ admin: true });
+const csv = [
+  "title,date,location,description,capacity,recurrence,lat,lng",
+  "Uno,2030-01-01,Lima,\"Desc, con coma\",10,,-12.05,-77.04",
+  "Dos,2030-13-01,Lima,D,,,,",
+  "Tres,2030-01-06,Cusco,D,,FREQ=WEEKLY;COUNT=3,,",
+  "Cuatro,2030-01-06,Cusco,D,abc,,10,",
+  ""
+].join("\r\n");
+const send = (method, route, body, type, token) => api.call(method, route, body, token, { "content-type": type });
+let root;
+let ana;
+let bob;
+let event;
+let dump;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+});
+
+test("dryRun informa los errores por fila y sin dryRun entran todas o ninguna", async () => {
+  let r = await send("POST", "/events/import?dryRun=true", csv, "text/csv", ana.token);
+  assert.deepEqual([r.body.total, r.body.valid, r.body.invalid], [4, 2, 2]);
+  assert.ok(r.body.errors.some(e => e.row === 2 && e.field === "date"));
+  assert.ok(r.body.errors.some(e => e.row === 4 && e.field === "capacity"));
+  r = await send("POST", "/events/import", csv, "text/csv", ana.token);
+  assert.equal(r.body.code, "VALIDATION_ERROR");
+  r = await api.call("GET", `/events/creator/${ana.uid}`);
+  assert.equal(r.body.length, 0);
+});
+
+test("importa CSV y JSON", async () => {
+  const good = csv.split("\r\n").filter((line, i) => i !== 2 && i !== 4).join("\r\n");
+  let r = await send("POST", "/events/import", good, "text/csv", ana.token);
+  assert.equal(r.status, 201);
+  assert.equal(r.body.imported, 2);
+  assert.ok(r.body.items[0].geohash);
+  assert.ok(r.body.items[1].recurring);
+  assert.equal(r.body.items[0].creatorName, "ana");
+  r = await api.call("POST", "/events/import", { events: [{ title: "J", date: "2030-02-01", location: "L", description: "D" }, { title: "K", date: "2030-02-01", location: "L", description: "D", creatorUid: bob.uid }] }, ana.token);
+  assert.equal(r.body.fields[0].row, 2);
+  assert.equal(r.body.fields[0].field, "creatorUid");
+  r = await api.call("POST", "/events/import", [{ title: "J", date: "2030-02-01", location: "L", description: "D", capacity: 5 }], ana.token);
+  assert.equal(r.body.imported, 1);
+  r = await api.call("POST", "/events/import", [{ title: "K", date: "2030-02-01", location: "L", description: "D", creatorUid: bob.uid }], root.token);
+  assert.equal(r.body.items[0].creatorUid, bob.uid);
+  r = await send("POST", "/events/import", "x", "text/xml", ana.token);
+  assert.equal(r.status, 415);
+  r = await send("POST", "/events/import", "title\r\n", "text/csv", ana.token);
+  assert.equal(r.body.code, "EMPTY_IMPORT");
+  r = await api.call("GET", "/events/search?q=Cusco");
+  assert.ok(r.body.length >= 1);
+});
+
+test("el JSON de la importación tiene el límite de IMPORT_MAX_MB", async () => {
+  const rows = Array.from({ length: 300 }, (_, i) => ({ title: `Grande ${i}`, date: "2030-03-01", location: "L", description: "x".repeat(1000) }));
+  const body = JSON.stringify(rows);
+  assert.ok(body.length > 100 * 1024);
+  let r = await send("POST", "/events/import?dryRun=true", body, "application/json", ana.token);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.valid, 300);
+  // el resto de las rutas sigue con el límite de express.json()
+  r = await api.call("POST", "/events", { title: "T", date: "2030-03-01", location: "L", description: "x".repeat(200 * 1024), creatorUid: ana.uid }, ana.token);
+  assert.equal(r.body.code, "PAYLOAD_TOO_LARGE");
+});
+
+test("si un batch falla, createMany informa los eventos que sí se guardaron", async () => {
+  const db = createLocalStore();
+  const batch = db.batch.bind(db);
+  let commits = 0;
+  db.batch = () => {
+    const b = batch();
+    const commit = b.commit.bind(b);
+    b.commit = () => (++commits === 2 ? Promise.reject(new Error("sin conexión")) : commit());
+    return b;
+  };
+  const events = createEventsRepository(db);
+  const list = Array.from({ length: 5 }, (_, i) => ({ title: `E${i}`, createdAt: "2030-01-01" }));
+  const error = await events.createMany(list, { batchSize: 2 }).catch(e => e);
+  assert.equal(error.message, "sin conexión");
+  assert.deepEqual(error.created.map(e => e.title), ["E0", "E1"]);
+  const saved = await db.collection("events").get();
+  assert.equal(saved.size, 2);
+});
+
+test("exporta eventos, asistentes y comentarios", async () => {
+  let r = await api.call("GET", `/events/creator/${ana.uid}/export?format=csv`, null, ana.token);
+  assert.ok(r.headers.get("content-type").startsWith("text/csv"));
+  assert.equal(r.body.split("\r\n").length, 5);
+  assert.ok(r.body.includes("FREQ=WEEKLY"));
+  const exported = r.body;
+  r = await send("POST", "/events/import?dryRun=true", exported, "text/csv", ana.token);
+  assert.equal(r.body.valid, 3);
+  assert.equal(r.body.invalid, 0);
+  r = await api.call("GET", `/events/creator/${ana.uid}/export`, null, ana.token);
+  assert.equal(r.body.length, 3);
+  assert.ok("recurrence" in r.body[0]);
+  assert.ok(!("geohash" in r.body[0]));
+  r = await api.call("GET", `/events/creator/${ana.uid}/export`, null, bob.token);
+  assert.equal(r.status, 403);
+
+  event = (await api.call("GET", `/events/creator/${ana.uid}`)).body.find(e => e.title === "J");
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "=HYPERLINK(1)" }, bob.token);
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "segundo" }, bob.token);
+  r = await api.call("GET", `/events/${event.id}/attendees/export?format=csv`, null, ana.token);
+  assert.ok(r.body.includes(`,${bob.uid},bob,confirmed,`));
+  assert.ok(!r.body.includes("ticket"));
+  r = await api.call("GET", `/events/${event.id}/attendees/export`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("GET", `/events/${event.id}/comments/export?format=csv`, null, ana.token);
+  const lines = r.body.split("\r\n");
+  assert.ok(lines[1].includes("'=HYPERLINK(1)"));
+  assert.ok(lines[2].includes("segundo"));
+});
+
+test("el volcado no tiene secretos, sesiones ni auditoría", async () => {
+  await api.call("GET", `/users/${bob.uid}/calendar`, null, bob.token);
+  let r = await api.call("GET", "/admin/users", null, root.token);
+  assert.equal(r.body.length, 3);
+  assert.ok(r.body.every(u => !u.passwordHash && !u.calendarToken));
+  r = await api.call("GET", "/admin/dump", null, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("GET", "/admin/dump?collections=events", null, root.token);
+  assert.equal(r.body.fields[0].code, "unknown_field");
+  r = await api.call("GET", "/admin/dump", null, root.token);
+  dump = r.body;
+  const docs = dump.trim().split("\n").map(line => JSON.parse(line));
+  assert.equal(docs[0].format, "api-dsm-dump");
+  assert.ok(docs.some(d => d.path === `events/${event.id}/attendees/${bob.uid}`));
+  assert.ok(!docs.some(d => d.data && (d.data.passwordHash || d.data.ticketId || d.data.calendarToken)));
+  assert.ok(!docs.some(d => d.path && (d.path.startsWith("refreshTokens/") || d.path.startsWith("auditLog/"))));
+});
+
+test("restaura el volcado sin tocar el registro de auditoría", async () => {
+  await api.call("DELETE", `/events/${event.id}`, null, ana.token);
+  const lines = dump.trim().split("\n").length;
+  let r = await send("POST", "/admin/restore?dryRun=true", `${dump}{"path":"foo/bar","data":{}}\n`, "application/x-ndjson", root.token);
+  assert.equal(r.body.errors.length, 1);
+  assert.equal(r.body.errors[0].line, lines + 1);
+  assert.equal(r.body.collections.events, 4);
+  r = await send("POST", "/admin/restore", `${dump}nojson\n`, "application/x-ndjson", root.token);
+  assert.equal(r.status, 400);
+
+  const audit = (await api.call("GET", "/admin/audit?limit=1", null, root.token)).body.items[0];
+  const forged = { path: `auditLog/${audit.id}`, data: { ...audit, action: "nada", actorUid: "otro" } };
+  r = await send("POST", "/admin/restore", `${dump}${JSON.stringify(forged)}\n`, "application/x-ndjson", root.token);
+  assert.equal(r.status, 400);
+  assert.equal(r.body.fields[0].line, lines + 1);
+
+  r = await send("POST", "/admin/restore", dump, "application/x-ndjson", root.token);
+  assert.equal(r.body.documents, lines - 1);
+  r = await api.call("GET", `/events/${event.id}`);
+  assert.equal(r.status, 200);
+  assert.ok(!r.body.deletedAt);
+  r = await api.call("POST", "/auth/login", { email: "bob@example.com", password: "secret-123" });
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/attend/${event.id}/ticket`, null, bob.token);
+  assert.ok(r.body.ticketId);
+  const { items } = (await api.call("GET", "/admin/audit", null, root.token)).body;
+  const kept = items.find(i => i.id === audit.id);
+  assert.equal(kept.action, audit.action);
+  assert.equal(kept.actorUid, audit.actorUid);
+});
@@ -0,0 +1,65 @@
+// Listados de eventos: paginación con cursor, filtros y orden
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+let ana;
+let bob;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  for (let i = 0; i < 7; i++) {
+    const owner = i % 2 ? bob : ana;
+    await api.createEvent(owner, { title: `E${i}`, date: `20${i < 3 ? "00" : "99"}-01-0${i + 1}`, location: i % 3 ? "San Salvador" : "Santa Ana" });
+  }
+});
+
+test("sin limit ni cursor responde el array completo", async () => {
+  const r = await api.call("GET", "/events");
+  assert.ok(Array.isArray(r.body));
+  assert.equal(r.body.length, 7);
+});
+
+test("recorre todas las páginas con el cursor", async () => {
+  const titles = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const r = await api.call("GET", `/events?limit=3&sort=title&order=asc${cursor ? `&cursor=${cursor}` : ""}`);
+    titles.push(...r.body.items.map(e => e.title));
+    cursor = r.body.nextCursor;
+    pages++;
+  } while (cursor);
+  assert.equal(pages, 3);
+  assert.deepEqual(titles, ["E0", "E1", "E2", "E3", "E4", "E5", "E6"]);
+});
+
+test("próximos y pasados con rango de fechas", async () => {
+  let r = await api.call("GET", "/events/upcoming?limit=2");
+  assert.equal(r.body.items[0].title, "E3");
+  assert.equal(r.body.items.length, 2);
+  assert.ok(r.body.nextCursor);
+  r = await api.call("GET", "/events/upcoming?to=2099-01-05");
+  assert.deepEqual(r.body.map(e => e.title), ["E3", "E4"]);
+  r = await api.call("GET", "/events/past?from=2000-01-02");
+  assert.deepEqual(r.body.map(e => e.title), ["E2", "E1"]);
+});
+
+test("filtros por lugar y creador", async () => {
+  let r = await api.call("GET", "/events?location=Santa Ana");
+  assert.equal(r.body.length, 3);
+  r = await api.call("GET", `/events?creator=${bob.uid}`);
+  assert.equal(r.body.length, 3);
+  r = await api.call("GET", `/events/creator/${ana.uid}?limit=10`);
+  assert.equal(r.body.items.length, 4);
+  assert.equal(r.body.nextCursor, null);
+});
+
+test("rechaza orden, cursor y limit inválidos", async () => {
+  for (const query of ["sort=foo", "cursor=zzz", "limit=0"]) {
+    const r = await api.call("GET", `/events?${query}`);
+    assert.equal(r.status, 400, query);
+  }
+});
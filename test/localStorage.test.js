@@ -0,0 +1,38 @@
+// Backend local: el subconjunto de Firestore que usan los repositorios
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore, MAX_BATCH_WRITES } = require("../storage/local");
+
+test("consultas con filtros, orden y límite", async () => {
+  const db = createLocalStore();
+  await db.collection("events").doc("a").set({ title: "A", date: "2030-01-02", creatorUid: "u1" });
+  await db.collection("events").doc("b").set({ title: "B", date: "2030-01-01", creatorUid: "u1" });
+  await db.collection("events").doc("c").set({ title: "C", date: "2030-01-03", creatorUid: "u2" });
+  const snap = await db.collection("events").where("creatorUid", "==", "u1").orderBy("date", "asc").limit(1).get();
+  assert.deepEqual(snap.docs.map(d => d.id), ["b"]);
+});
+
+test("collectionGroup recorre las subcolecciones con ese nombre", async () => {
+  const db = createLocalStore();
+  await db.collection("events").doc("a").collection("attendees").doc("u1").set({ uid: "u1" });
+  await db.collection("events").doc("b").collection("attendees").doc("u1").set({ uid: "u1" });
+  const snap = await db.collectionGroup("attendees").where("uid", "==", "u1").get();
+  assert.deepEqual(snap.docs.map(d => d.ref.path).sort(), ["events/a/attendees/u1", "events/b/attendees/u1"]);
+});
+
+test("un batch es todo o nada", async () => {
+  const db = createLocalStore();
+  const batch = db.batch();
+  batch.set(db.collection("x").doc("1"), { n: 1 });
+  batch.update(db.collection("x").doc("no-existe"), { n: 2 });
+  await assert.rejects(batch.commit());
+  assert.equal((await db.collection("x").doc("1").get()).exists, false);
+});
+
+test("rechaza batches de más de 500 escrituras, como Firestore", async () => {
+  const db = createLocalStore();
+  const batch = db.batch();
+  for (let i = 0; i <= MAX_BATCH_WRITES; i++) batch.set(db.collection("x").doc(String(i)), { i });
+  await assert.rejects(batch.commit(), /maximum 500 writes/);
+  assert.equal((await db.collection("x").get()).size, 0);
+});
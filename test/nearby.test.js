@@ -0,0 +1,88 @@
+// Eventos cercanos: geohash, distancia, radio, próximos / pasados y paginación
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const geo = require("../lib/geo");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+// centro de San Salvador
+const here = "lat=13.6929&lng=-89.2182";
+const day = n => new Date(Date.now() + n * 864e5).toISOString().slice(0, 10);
+let ana;
+let center;
+let past;
+let far;
+let plain;
+let series;
+
+before(async () => {
+  ana = await api.register("ana");
+  center = await api.createEvent(ana, { title: "A", date: "2099-01-01", lat: 13.6929, lng: -89.2182 });
+  past = await api.createEvent(ana, { date: "2020-05-01", lat: 13.70, lng: -89.24 });
+  far = await api.createEvent(ana, { date: "2099-01-01", lat: 13.9, lng: -89.5 });
+  plain = await api.createEvent(ana, { date: "2099-01-01" });
+  series = await api.createEvent(ana, { date: `${day(30)}T10:00`, lat: 13.6935, lng: -89.2190, recurrence: "FREQ=WEEKLY;COUNT=3" });
+});
+
+test("geohash y distancia", () => {
+  assert.equal(geo.encodeGeohash(57.64911, 10.40744, 11), "u4pruydqqvj");
+  const d = geo.distanceKm({ lat: -33.4489, lng: -70.6693 }, { lat: -34.6037, lng: -58.3816 });
+  assert.ok(Math.abs(d - 1137) < 15);
+  assert.deepEqual(geo.coveringPrefixes(89.9, 0, 100), [""]);
+});
+
+test("valida las coordenadas del evento", async () => {
+  let r = await api.call("POST", "/events", { title: "E", date: "2099-01-01", location: "L", description: "D", creatorUid: ana.uid, lat: 13.6929 }, ana.token);
+  assert.equal(r.body.fields[0].field, "lng");
+  r = await api.call("POST", "/events", { title: "E", date: "2099-01-01", location: "L", description: "D", creatorUid: ana.uid, lat: 91, lng: 0 }, ana.token);
+  assert.equal(r.status, 400);
+  assert.equal(center.geohash.length, 9);
+});
+
+test("ordena por distancia dentro del radio", async () => {
+  let r = await api.call("GET", `/events/nearby?${here}&radius=5`);
+  assert.deepEqual(r.body.items.map(i => i.id), [center.id, series.id, past.id]);
+  assert.equal(r.body.items[0].distanceKm, 0);
+  r = await api.call("GET", `/events/nearby?${here}&radius=50`);
+  assert.equal(r.body.items.length, 4);
+  assert.equal(r.body.items[3].id, far.id);
+  assert.ok(r.body.items[3].distanceKm > 30);
+});
+
+test("próximos (con ocurrencias), pasados y paginación", async () => {
+  let r = await api.call("GET", `/events/nearby?${here}&radius=5&when=upcoming`);
+  assert.equal(r.body.items.length, 4);
+  assert.equal(r.body.items.filter(i => i.seriesId === series.id).length, 3);
+  r = await api.call("GET", `/events/nearby?${here}&radius=5&when=past`);
+  assert.deepEqual(r.body.items.map(i => i.id), [past.id]);
+  r = await api.call("GET", `/events/nearby?${here}&radius=5&when=upcoming&limit=2`);
+  assert.equal(r.body.items.length, 2);
+  const next = await api.call("GET", `/events/nearby?${here}&radius=5&when=upcoming&limit=2&cursor=${r.body.nextCursor}`);
+  assert.equal(next.body.items.length, 2);
+  assert.equal(next.body.nextCursor, null);
+  const key = i => i.occurrenceId || i.id;
+  assert.ok(!next.body.items.some(i => r.body.items.some(j => key(j) === key(i))));
+  r = await api.call("GET", "/events/nearby?lat=13.6929");
+  assert.equal(r.status, 400);
+  r = await api.call("GET", `/events/nearby?${here}&cursor=zz`);
+  assert.equal(r.status, 400);
+});
+
+test("las coordenadas se cambian o quitan al editar", async () => {
+  let r = await api.call("PUT", `/events/${center.id}`, { lat: null, lng: null }, ana.token);
+  assert.equal(r.body.geohash, null);
+  assert.equal(r.body.lat, null);
+  r = await api.call("PUT", `/events/${plain.id}`, { lat: 13.6929, lng: -89.2182 }, ana.token);
+  assert.ok(r.body.geohash);
+  r = await api.call("GET", `/events/${plain.id}.ics`);
+  assert.ok(r.body.includes("GEO:13.6929;-89.2182"));
+  await api.call("DELETE", `/events/${plain.id}`, null, ana.token);
+  r = await api.call("GET", `/events/nearby?${here}&radius=5`);
+  assert.ok(!r.body.items.some(i => i.id === plain.id || i.id === center.id));
+});
+
+test("busca del otro lado del antimeridiano", async () => {
+  const event = await api.createEvent(ana, { date: "2099-01-01", lat: 0, lng: 179.99 });
+  const r = await api.call("GET", "/events/nearby?lat=0&lng=-179.99&radius=10");
+  assert.ok(r.body.items.some(i => i.id === event.id));
+});
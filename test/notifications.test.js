@@ -0,0 +1,117 @@
+// Notificaciones: bandeja in-app, preferencias, dispositivos y recordatorios
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN } = require("./helpers/api");
+
+// el admin tiene más notificaciones sin leer de las que entran en un batch
+const inbox = {};
+for (let i = 0; i < 600; i++) {
+  inbox[`n${i}`] = { uid: ADMIN.uid, type: "eventChanged", title: "T", body: "B", data: {}, createdAt: `2025-01-01T00:00:${String(i % 60).padStart(2, "0")}.000Z`, readAt: null };
+}
+const api = setupApi({ admin: true, seed: { notifications: inbox } });
+let ana;
+let bob;
+let cam;
+let event;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cam = await api.register("cam");
+  event = await api.createEvent(ana, { title: "Fiesta", location: "Casa" });
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, cam.token);
+});
+
+test("preferencias por tipo y canal", async () => {
+  await api.call("PUT", `/users/${cam.uid}/notification-preferences`, { eventChanged: { inApp: false } }, cam.token);
+  let r = await api.call("GET", `/users/${cam.uid}/notification-preferences`, null, cam.token);
+  assert.equal(r.body.eventChanged.inApp, false);
+  assert.equal(r.body.eventChanged.email, true);
+  assert.equal(r.body.reminder.inApp, true);
+  r = await api.call("PUT", `/users/${cam.uid}/notification-preferences`, { eventChanged: { inApp: "x" } }, cam.token);
+  assert.equal(r.status, 400);
+});
+
+test("avisa cambios de lugar o fecha, respuestas y cancelaciones", async () => {
+  await api.call("PUT", `/events/${event.id}`, { description: "otra" }, ana.token);
+  let r = await api.call("GET", `/users/${bob.uid}/notifications`, null, bob.token);
+  assert.equal(r.body.items.length, 0);
+  await api.call("PUT", `/events/${event.id}`, { location: "Parque" }, ana.token);
+  r = await api.call("GET", `/users/${bob.uid}/notifications`, null, bob.token);
+  assert.equal(r.body.items[0].type, "eventChanged");
+  assert.equal(r.body.items[0].data.location, "Parque");
+  assert.equal(r.body.unreadCount, 1);
+  r = await api.call("GET", `/users/${cam.uid}/notifications`, null, cam.token);
+  assert.equal(r.body.items.length, 0);
+  r = await api.call("GET", `/users/${ana.uid}/notifications`, null, ana.token);
+  assert.equal(r.body.items.length, 0);
+  r = await api.call("GET", `/users/${bob.uid}/notifications`, null, cam.token);
+  assert.equal(r.status, 403);
+
+  const comment = (await api.call("POST", `/events/${event.id}/comments`, { comment: "voy" }, bob.token)).body;
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "genial", replyTo: "nope" }, ana.token);
+  assert.equal(r.body.code, "PARENT_NOT_FOUND");
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "genial", replyTo: comment.id }, ana.token);
+  assert.equal(r.body.parentId, comment.id);
+  r = await api.call("GET", `/users/${bob.uid}/notifications?unread=true&limit=1`, null, bob.token);
+  assert.equal(r.body.items[0].type, "commentReply");
+  assert.ok(r.body.nextCursor);
+  assert.equal(r.body.unreadCount, 2);
+  r = await api.call("POST", `/users/${bob.uid}/notifications/read`, { ids: [r.body.items[0].id] }, bob.token);
+  assert.equal(r.body.updated, 1);
+  assert.equal(r.body.unreadCount, 1);
+
+  await api.call("DELETE", `/events/${event.id}`, null, ana.token);
+  r = await api.call("GET", `/users/${cam.uid}/notifications`, null, cam.token);
+  assert.equal(r.body.items[0].type, "eventCancelled");
+  r = await api.call("POST", `/users/${bob.uid}/notifications/read`, {}, bob.token);
+  assert.equal(r.body.updated, 2);
+  r = await api.call("GET", `/users/${bob.uid}/notifications`, null, bob.token);
+  assert.equal(r.body.items.length, 3);
+  assert.ok(r.body.items.every(n => n.read));
+});
+
+test("marca como leídas más notificaciones de las que entran en un batch", async () => {
+  const root = await api.login(ADMIN.email);
+  const r = await api.call("POST", `/users/${root.uid}/notifications/read`, {}, root.token);
+  assert.equal(r.body.updated, 600);
+  assert.equal(r.body.unreadCount, 0);
+});
+
+test("dispositivos para push", async () => {
+  let r = await api.call("POST", `/users/${bob.uid}/devices`, { token: "tok:1" }, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("DELETE", `/users/${bob.uid}/devices/tok:1`, null, bob.token);
+  assert.equal(r.status, 200);
+});
+
+test("recordatorios antes de cada evento u ocurrencia, una sola vez", async () => {
+  const { createStorage } = require("../storage");
+  const { createRepositories } = require("../repositories");
+  const { createReminderScheduler } = require("../lib/reminders");
+  const { parseRule } = require("../lib/recurrence");
+  const repos = createRepositories(createStorage().db);
+  const sent = [];
+  const notifier = { notify: async (uids, notification) => sent.push({ uids, ...notification }) };
+  const scheduler = createReminderScheduler({ repos, notifier, offsets: "24h,1h", utcOffset: "-06:00" });
+  const start = Date.parse("2030-01-10T20:00:00-06:00");
+
+  const single = await repos.events.create({ title: "A", date: "2030-01-10T20:00", location: "L", creatorUid: "x", createdAt: "2030-01-01" });
+  await repos.attendees.confirm(single.id, "u1", { uid: "u1", username: "u1" });
+  const moved = await repos.events.create({ title: "B", date: "2030-01-10T20:00", location: "L", creatorUid: "x", createdAt: "2030-01-01" });
+  await repos.attendees.confirm(moved.id, "u2", { uid: "u2", username: "u2" });
+  const series = await repos.events.create({ title: "S", date: "2030-01-03T20:00", location: "L", creatorUid: "x", createdAt: "2030-01-01", recurring: true, recurrence: parseRule("FREQ=WEEKLY").rule });
+  await repos.attendees.confirm(series.id, "u3", { uid: "u3", username: "u3" }, "2030-01-10");
+
+  assert.equal(scheduler.startOf("2030-01-10T20:00"), start);
+  assert.equal(await scheduler.run(start - 30 * 3600e3), 0);
+  assert.equal(await scheduler.run(start - 23 * 3600e3), 3);
+  assert.equal(await scheduler.run(start - 22 * 3600e3), 0);
+  await repos.events.update(moved.id, { date: "2030-01-10T20:30" });
+  assert.equal(await scheduler.run(start - 20 * 60e3), 3);
+  const reminder = sent.find(n => n.data.eventId === series.id);
+  assert.deepEqual(reminder.uids, ["u3"]);
+  assert.equal(reminder.data.occurrence, "2030-01-10");
+  assert.equal(await scheduler.run(start + 60e3), 0);
+});
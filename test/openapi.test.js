@@ -0,0 +1,93 @@
+// Contrato OpenAPI: todas las rutas están documentadas y las GET responden lo documentado
+//
+// Como todas las pruebas, corre con OPENAPI_CONTRACT=strict (ver helpers/api.js): una respuesta
+// que no coincide con lib/apiDocs.js llega como 500 CONTRACT_VIOLATION. Las escrituras quedan
+// cubiertas por las pruebas de cada tema; acá se recorren todas las GET del documento con datos
+// de ejemplo, y con ?limit= las que paginan. Los streams (SSE) están en realtime.test.js.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { setupApi, ADMIN } = require("./helpers/api");
+
+const api = setupApi({ admin: true, env: { BASE_URL_PUBLIC: "http://base" } });
+let doc;
+let root;
+// valores de los parámetros de path y de las query obligatorias; `routes` pisa los de una ruta
+const samples = { path: {}, query: { q: "fiesta", lat: "13.69", lng: "-89.21" }, routes: {} };
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  const ana = await api.register("ana");
+  const event = await api.createEvent(root, { title: "Fiesta", date: "2020-01-01", lat: 13.69, lng: -89.21 });
+  const series = await api.createEvent(root, { title: "Semanal", date: "2030-01-06", recurrence: "FREQ=WEEKLY;COUNT=3" });
+  await api.call("POST", `/attend/${event.id}/confirm`, null, root.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, ana.token);
+  const comment = (await api.call("POST", `/events/${event.id}/comments`, { comment: "fiesta!", rating: 5 }, ana.token)).body;
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "respuesta", parentId: comment.id }, root.token);
+  await api.call("POST", `/events/${event.id}/comments/${comment.id}/report`, { reason: "spam" }, root.token);
+  const cover = await sharp({ create: { width: 20, height: 20, channels: 3, background: "red" } }).png().toBuffer();
+  await api.call("PUT", `/events/${event.id}/cover`, cover, root.token, { "content-type": "image/png" });
+  const pdf = Buffer.from("%PDF-1.4\n%%EOF");
+  const attachment = (await api.call("POST", `/events/${event.id}/attachments`, pdf, root.token, { "content-type": "application/pdf" })).body;
+  const feeds = (await api.call("GET", `/users/${root.uid}/calendar`, null, root.token)).body;
+  const verification = /token=([\w.-]+)/.exec(api.mails()[0].text)[1];
+
+  samples.path = { id: event.id, eventId: event.id, uid: root.uid, cid: comment.id, aid: attachment.id };
+  samples.routes = {
+    "/events/{id}/occurrences": { path: { id: series.id } },
+    "/events/{id}/ratings/{uid}": { path: { uid: ana.uid } },
+    "/auth/verify-email": { query: { token: verification } },
+    "/calendar/{uid}/attending.ics": { query: { token: feeds.token } },
+    "/calendar/{uid}/created.ics": { query: { token: feeds.token } },
+    "/files/{path}": { url: attachment.url.replace("http://base", "") }
+  };
+  doc = (await api.call("GET", "/openapi.json")).body;
+});
+
+test("todas las rutas registradas están documentadas", () => {
+  assert.equal(doc.openapi, "3.0.3");
+  assert.equal(doc["x-undocumented"], undefined);
+});
+
+test("las rutas sin entrada no documentan body y /docs fija la versión de Swagger UI", async () => {
+  assert.equal(doc.paths["/admin/users"].get.requestBody, undefined);
+  assert.equal(doc.paths["/auth/logout-all"].post.requestBody, undefined);
+  const html = (await api.call("GET", "/docs")).body;
+  assert.match(html, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+  assert.equal((html.match(/integrity="sha384-/g) || []).length, 2);
+});
+
+test("las GET documentadas responden lo que dice el documento", async () => {
+  const checked = [];
+  for (const [path, operations] of Object.entries(doc.paths)) {
+    const operation = operations.get;
+    if (!operation) continue;
+    if (Object.values(operation.responses).some(r => r.content && r.content["text/event-stream"])) continue;
+    const sample = samples.routes[path] || {};
+    const parameters = operation.parameters || [];
+    let url = sample.url;
+    if (!url) {
+      url = path.replace(/\{(\w+)\}/g, (_, name) => {
+        const value = (sample.path || {})[name] || samples.path[name];
+        assert.ok(value, `${path}: falta un valor para {${name}}`);
+        return encodeURIComponent(value);
+      });
+      const query = new URLSearchParams();
+      parameters.filter(p => p.in === "query" && p.required).forEach(({ name }) => {
+        const value = (sample.query || {})[name] || samples.query[name];
+        assert.ok(value, `${path}: falta un valor para ?${name}`);
+        query.set(name, value);
+      });
+      if (query.size) url += `?${query}`;
+    }
+    const urls = [url];
+    if (parameters.some(p => p.in === "query" && p.name === "limit")) urls.push(`${url}${url.includes("?") ? "&" : "?"}limit=1`);
+    for (const target of urls) {
+      const r = await api.call("GET", target, null, root.token);
+      assert.notEqual(r.body && r.body.code, "CONTRACT_VIOLATION", `${target}: ${JSON.stringify(r.body.fields)}`);
+      assert.ok(r.status < 400, `${target}: ${r.status} ${JSON.stringify(r.body)}`);
+      checked.push(target);
+    }
+  }
+  assert.ok(checked.length > 50);
+});
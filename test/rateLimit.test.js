@@ -0,0 +1,48 @@
+// Rate limit por grupo de rutas y bloqueo de cuenta tras intentos fallidos
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi({
+  env: {
+    RATE_LIMITS: JSON.stringify({ auth: { ip: "8/1m", account: "6/1m" }, reads: { ip: "5/1m" } }),
+    LOGIN_MAX_FAILURES: "3"
+  }
+});
+
+before(async () => {
+  await api.register("ana");
+});
+
+test("bloquea la cuenta tras los intentos fallidos", async () => {
+  let r;
+  for (let i = 0; i < 3; i++) r = await api.call("POST", "/auth/login", { email: "ana@example.com", password: "wrong" });
+  assert.equal(r.status, 401);
+  // el email se normaliza para que no se pueda esquivar el bloqueo
+  r = await api.call("POST", "/auth/login", { email: "ANA@example.com ", password: "secret-123" });
+  assert.equal(r.status, 429);
+  assert.equal(r.body.code, "ACCOUNT_LOCKED");
+  assert.ok(Number(r.headers.get("retry-after")) >= 59);
+});
+
+test("límite por cuenta y por IP en las rutas de auth", async () => {
+  let r = await api.call("POST", "/auth/login", { email: "ana@example.com", password: "secret-123" });
+  assert.equal(r.headers.get("ratelimit-remaining"), "0");
+  r = await api.call("POST", "/auth/login", { email: "ana@example.com", password: "secret-123" });
+  assert.equal(r.status, 429);
+  assert.equal(r.body.code, "RATE_LIMITED");
+  r = await api.call("POST", "/auth/login", { email: "bob@example.com", password: "secret-123" });
+  assert.equal(r.status, 400);
+  r = await api.call("POST", "/auth/login", { email: "cam@example.com", password: "secret-123" });
+  assert.equal(r.status, 429);
+});
+
+test("límite de lecturas por IP", async () => {
+  let r;
+  for (let i = 0; i < 5; i++) r = await api.call("GET", "/events");
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("ratelimit-remaining"), "0");
+  r = await api.call("GET", "/events");
+  assert.equal(r.status, 429);
+  assert.ok(r.headers.get("retry-after"));
+});
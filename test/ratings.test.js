@@ -0,0 +1,148 @@
+// Calificaciones: una por usuario, reglas para calificar, ocurrencias, migración y ranking
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN, PASSWORD } = require("./helpers/api");
+
+// evento anterior a la subcolección ratings, con las calificaciones en los comentarios
+const api = setupApi({
+  admin: true,
+  seed: {
+    events: { old: { title: "Viejo", date: "2020-01-01", location: "L", description: "D", creatorUid: ADMIN.uid, createdAt: "2019-01-01T00:00:00.000Z" } },
+    "events/old/comments": {
+      a: { uid: "u1", username: "u1", comment: "x", rating: 2, createdAt: "2019-02-01T00:00:00.000Z" },
+      b: { uid: "u1", username: "u1", comment: "y", rating: 5, createdAt: "2019-03-01T00:00:00.000Z" },
+      c: { uid: "u2", username: "u2", comment: "z", rating: "4", createdAt: "2019-02-01T00:00:00.000Z" },
+      d: { uid: "u3", username: "u3", comment: "w", rating: "abc", createdAt: "2019-02-01T00:00:00.000Z" }
+    }
+  }
+});
+let root;
+let ana;
+let bob;
+let cam;
+let dan;
+let event;
+let series;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cam = await api.register("cam");
+  dan = await api.register("dan");
+  event = await api.createEvent(ana, { title: "Fiesta" });
+});
+
+test("sólo los asistentes confirmados califican, una vez cada uno", async () => {
+  let r = await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 5 }, bob.token);
+  assert.equal(r.body.code, "NOT_ATTENDEE");
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, cam.token);
+  r = await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 5 }, bob.token);
+  assert.equal(r.body.rating.rating, 5);
+  assert.equal(r.body.summary.count, 1);
+  r = await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 3 }, bob.token);
+  assert.equal(r.body.summary.count, 1);
+  assert.equal(r.body.summary.average, 3);
+  assert.equal(r.body.summary.distribution["3"], 1);
+  assert.equal(r.body.summary.distribution["5"], 0);
+  r = await api.call("PUT", `/events/${event.id}/ratings/${cam.uid}`, { rating: 5 }, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 0 }, bob.token);
+  assert.equal(r.status, 400);
+  r = await api.call("PUT", `/events/${event.id}/ratings/${ana.uid}`, { rating: 5 }, ana.token);
+  assert.equal(r.body.code, "CANNOT_RATE_OWN_EVENT");
+});
+
+test("rating en comentarios: califica con las mismas reglas", async () => {
+  let r = await api.call("POST", `/events/${event.id}/comments`, { comment: "top", rating: 5 }, cam.token);
+  assert.equal(r.body.rating, 5);
+  assert.equal(r.body.ratingError, undefined);
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "top otra vez", rating: 5 }, cam.token);
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 2);
+  assert.equal(r.body.average, 4);
+  assert.equal(r.body.sum, undefined);
+  r = await api.call("GET", `/events/${event.id}/ratings/${cam.uid}`);
+  assert.equal(r.body.rating, 5);
+  r = await api.call("GET", `/events/${event.id}`);
+  assert.equal(r.body.ratingSummary.count, 2);
+});
+
+test("un rating rechazado no impide el comentario", async () => {
+  let r = await api.call("POST", `/events/${event.id}/comments`, { comment: "no fui", rating: 1 }, dan.token);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.rating, null);
+  assert.equal(r.body.ratingError.code, "NOT_ATTENDEE");
+  const comment = r.body;
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "gracias por venir", rating: 5 }, ana.token);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.ratingError.code, "CANNOT_RATE_OWN_EVENT");
+  r = await api.call("PUT", `/events/${event.id}/comments/${comment.id}`, { comment: "no fui, pero", rating: 2 }, dan.token);
+  assert.equal(r.body.comment, "no fui, pero");
+  assert.equal(r.body.rating, null);
+  assert.equal(r.body.ratingError.code, "NOT_ATTENDEE");
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.ok(r.body.some(c => c.id === comment.id));
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 2);
+});
+
+test("quitar calificaciones", async () => {
+  let r = await api.call("DELETE", `/events/${event.id}/ratings/${cam.uid}`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("DELETE", `/events/${event.id}/ratings/${cam.uid}`, null, root.token);
+  assert.equal(r.body.summary.count, 1);
+  r = await api.call("DELETE", `/events/${event.id}/ratings/${cam.uid}`, null, root.token);
+  assert.equal(r.status, 404);
+});
+
+test("en los recurrentes se califica cada ocurrencia", async () => {
+  series = await api.createEvent(ana, { title: "Semanal", date: "2030-01-07T10:00", recurrence: "FREQ=WEEKLY" });
+  let r = await api.call("PUT", `/events/${series.id}/ratings/${bob.uid}`, { rating: 4 }, bob.token);
+  assert.equal(r.status, 400);
+  await api.call("POST", `/attend/${series.id}/confirm?occurrence=2030-01-14`, null, bob.token);
+  r = await api.call("PUT", `/events/${series.id}/ratings/${bob.uid}?occurrence=2030-01-14`, { rating: 4 }, bob.token);
+  assert.equal(r.body.summary.count, 1);
+  r = await api.call("GET", `/events/${series.id}/rating`);
+  assert.equal(r.body.count, 1);
+  assert.equal(r.body.average, 4);
+  r = await api.call("GET", `/events/${series.id}/rating?occurrence=2030-01-21`);
+  assert.equal(r.body.count, 0);
+});
+
+test("migra las calificaciones de los comentarios viejos", async () => {
+  let r = await api.call("POST", "/admin/ratings/rebuild", { event: "old" }, root.token);
+  assert.equal(r.body.fields[0].code, "unknown_field");
+  r = await api.call("POST", "/admin/ratings/rebuild", null, root.token);
+  assert.equal(r.body.imported, 2);
+  assert.equal(r.body.events, 3);
+  r = await api.call("GET", "/events/old/rating");
+  assert.equal(r.body.count, 2);
+  assert.equal(r.body.average, 4.5);
+  r = await api.call("POST", "/admin/ratings/rebuild", null, root.token);
+  assert.equal(r.body.imported, 0);
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 1);
+});
+
+test("ranking de mejor calificados", async () => {
+  let r = await api.call("GET", "/events/top-rated");
+  assert.deepEqual(r.body.items.map(e => e.id), ["old", series.id, event.id]);
+  r = await api.call("GET", "/events/top-rated?minCount=2");
+  assert.deepEqual(r.body.items.map(e => e.id), ["old"]);
+  r = await api.call("GET", "/events/top-rated?limit=1");
+  r = await api.call("GET", `/events/top-rated?limit=1&cursor=${r.body.nextCursor}`);
+  assert.equal(r.body.items[0].id, series.id);
+  await api.call("DELETE", `/events/${series.id}`, null, ana.token);
+  r = await api.call("GET", "/events/top-rated");
+  assert.equal(r.body.items.length, 2);
+});
+
+test("al eliminar la cuenta la calificación queda anónima", async () => {
+  await api.call("DELETE", `/users/${bob.uid}`, { password: PASSWORD }, bob.token);
+  let r = await api.call("GET", `/events/${event.id}/ratings/${bob.uid}`);
+  assert.equal(r.status, 404);
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 1);
+});
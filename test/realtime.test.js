@@ -0,0 +1,100 @@
+// Tiempo real: streams SSE de un evento y de los feeds
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+const day = n => new Date(Date.now() + n * 864e5).toISOString().slice(0, 10);
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const open = [];
+
+// Abre un stream y junta sus mensajes en `events` ({ id, type, data }) hasta que se cierra
+function stream(route, token, headers = {}) {
+  const controller = new AbortController();
+  const events = [];
+  const done = api.url(route)
+    .then(target => fetch(target, { headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers }, signal: controller.signal }))
+    .then(async res => {
+      events.status = res.status;
+      if (res.status !== 200) return;
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk);
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const message = {};
+          buffer.slice(0, end).split("\n").forEach(line => {
+            const m = /^(\w+): ?(.*)$/.exec(line);
+            if (m) message[m[1]] = m[2];
+          });
+          buffer = buffer.slice(end + 2);
+          if (message.event) events.push({ id: message.id, type: message.event, data: JSON.parse(message.data) });
+        }
+      }
+    })
+    .catch(() => {});
+  const handle = { events, close: () => controller.abort(), done };
+  open.push(handle);
+  return handle;
+}
+
+let ana;
+let bob;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+});
+
+after(async () => {
+  open.forEach(s => s.close());
+  await Promise.all(open.map(s => s.done));
+});
+
+test("los streams exigen sesión (también por ?access_token)", async () => {
+  const anonymous = stream("/feeds/events/stream");
+  await anonymous.done;
+  assert.equal(anonymous.events.status, 401);
+});
+
+test("stream de un evento, feeds y reanudación con Last-Event-ID", async () => {
+  const upcoming = stream("/feeds/upcoming/stream", ana.token);
+  const all = stream(`/feeds/events/stream?access_token=${bob.token}`);
+  await wait(100);
+  const event = await api.createEvent(ana, { title: "T", date: day(3), capacity: 1 });
+  await api.createEvent(ana, { title: "Old", date: day(-3) });
+
+  const es = stream(`/events/${event.id}/stream`, bob.token);
+  await wait(100);
+  const comment = (await api.call("POST", `/events/${event.id}/comments`, { comment: "hola" }, bob.token)).body;
+  await api.call("PUT", `/events/${event.id}/comments/${comment.id}`, { comment: "edit" }, bob.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, ana.token);
+  await api.call("POST", `/attend/${event.id}/cancel`, null, bob.token);
+  await api.call("PUT", `/events/${event.id}`, { title: "T2" }, ana.token);
+  await wait(150);
+
+  assert.deepEqual(es.events.map(e => e.type), ["ready", "comment.created", "comment.updated", "attendance.confirmed", "attendance.confirmed", "attendance.cancelled", "event.updated"]);
+  const cancelled = es.events.find(e => e.type === "attendance.cancelled").data;
+  assert.equal(cancelled.promotedUid, ana.uid);
+  assert.equal(cancelled.count, 1);
+  assert.equal(cancelled.waitlistCount, 0);
+  assert.deepEqual(upcoming.events.map(e => `${e.type}:${e.data.event ? e.data.event.title : ""}`), ["ready:", "event.created:T", "event.updated:T2"]);
+  assert.equal(all.events.filter(e => e.type === "event.created").length, 2);
+
+  const lastSeen = es.events[2].id;
+  es.close();
+  await api.call("DELETE", `/events/${event.id}/comments/${comment.id}`, null, bob.token);
+  const resumed = stream(`/events/${event.id}/stream`, bob.token, { "Last-Event-ID": lastSeen });
+  await wait(100);
+  assert.deepEqual(resumed.events.map(e => e.type), ["attendance.confirmed", "attendance.confirmed", "attendance.cancelled", "event.updated", "comment.deleted", "ready"]);
+
+  const unknown = stream(`/events/${event.id}/stream?lastEventId=zzz-1`, bob.token);
+  await wait(100);
+  assert.equal(unknown.events[0].type, "reset");
+
+  await api.call("DELETE", `/events/${event.id}`, null, ana.token);
+  await wait(100);
+  assert.equal(resumed.events[resumed.events.length - 1].type, "event.deleted");
+});
@@ -0,0 +1,98 @@
+// Eventos recurrentes: expansión de ocurrencias, overrides, cancelaciones y asistencia por ocurrencia
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+const { parseRule, expand } = require("../lib/recurrence");
+
+const api = setupApi();
+const day = n => new Date(Date.now() + n * 864e5).toISOString().slice(0, 10);
+let ana;
+let bob;
+let series;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  series = await api.createEvent(ana, { title: "Meetup", date: `${day(-14)}T18:00`, recurrence: "FREQ=WEEKLY;COUNT=6", capacity: 1 });
+  await api.createEvent(ana, { title: "Single", date: day(3) });
+});
+
+test("expande la regla RRULE", () => {
+  const { rule } = parseRule("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4");
+  assert.deepEqual(expand(rule, "2030-01-07", { from: "2030-01-01", to: "2030-12-31" }), ["2030-01-07", "2030-01-09", "2030-01-14", "2030-01-16"]);
+});
+
+test("crea la serie y rechaza reglas no soportadas", async () => {
+  assert.equal(series.recurring, true);
+  assert.ok(series.rrule.includes("COUNT=6"));
+  const r = await api.call("POST", "/events", { title: "X", date: day(1), location: "L", description: "D", creatorUid: ana.uid, recurrence: "FREQ=YEARLY" }, ana.token);
+  assert.equal(r.status, 400);
+});
+
+test("los listados incluyen las ocurrencias", async () => {
+  let r = await api.call("GET", "/events/upcoming");
+  assert.equal(r.body.length, 5);
+  assert.equal(r.body.filter(e => e.occurrence).length, 4);
+  r = await api.call("GET", "/events/past");
+  assert.equal(r.body.length, 2);
+  assert.ok(r.body[0].date > r.body[1].date);
+  const all = [];
+  let cursor = null;
+  do {
+    r = await api.call("GET", `/events/upcoming?limit=1${cursor ? `&cursor=${cursor}` : ""}`);
+    all.push(...r.body.items);
+    cursor = r.body.nextCursor;
+  } while (cursor);
+  assert.equal(all.length, 5);
+});
+
+test("cancelar y editar una ocurrencia", async () => {
+  let r = await api.call("DELETE", `/events/${series.id}/occurrences/${day(7)}`, null, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", "/events/upcoming");
+  assert.equal(r.body.length, 4);
+  r = await api.call("PUT", `/events/${series.id}/occurrences/${day(14)}`, { location: "Otro" }, ana.token);
+  assert.equal(r.body.location, "Otro");
+  assert.equal(r.body.title, "Meetup");
+  r = await api.call("PUT", `/events/${series.id}/occurrences/${day(15)}`, { location: "Otro" }, ana.token);
+  assert.equal(r.status, 404);
+  r = await api.call("GET", `/events/${series.id}/occurrences?from=${day(-30)}`);
+  assert.equal(r.body.length, 6);
+  assert.equal(r.body.find(o => o.occurrence === day(7)).cancelled, true);
+});
+
+test("la asistencia y el cupo son por ocurrencia", async () => {
+  let r = await api.call("POST", `/attend/${series.id}/confirm`, null, bob.token);
+  assert.equal(r.status, 400);
+  r = await api.call("POST", `/attend/${series.id}/confirm?occurrence=${day(7)}`, null, bob.token);
+  assert.equal(r.status, 409);
+  r = await api.call("POST", `/attend/${series.id}/confirm?occurrence=${day(14)}`, null, bob.token);
+  assert.equal(r.body.status, "confirmed");
+  r = await api.call("POST", `/attend/${series.id}/confirm`, { occurrence: day(14) }, ana.token);
+  assert.equal(r.body.status, "waitlisted");
+  r = await api.call("POST", `/attend/${series.id}/confirm`, { occurrence: day(21) }, ana.token);
+  assert.equal(r.body.status, "confirmed");
+  r = await api.call("GET", `/events/${series.id}/attendees/count?occurrence=${day(14)}`);
+  assert.equal(r.body.count, 1);
+  assert.equal(r.body.waitlistCount, 1);
+  r = await api.call("GET", "/events/upcoming");
+  assert.equal(r.body.find(e => e.occurrence === day(14)).attendeeCount, 1);
+});
+
+test("los comentarios son por ocurrencia", async () => {
+  let r = await api.call("POST", `/events/${series.id}/comments?occurrence=${day(14)}`, { comment: "nos vemos" }, bob.token);
+  assert.equal(r.body.occurrence, day(14));
+  r = await api.call("GET", `/events/${series.id}/comments`);
+  assert.equal(r.body.length, 0);
+  r = await api.call("GET", `/events/${series.id}/comments?occurrence=${day(14)}`);
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", "/events/search?q=vemos&comments=true");
+  assert.equal(r.body.length, 1);
+});
+
+test("eliminar la serie quita todas sus ocurrencias", async () => {
+  let r = await api.call("DELETE", `/events/${series.id}`, null, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", "/events/upcoming");
+  assert.equal(r.body.length, 1);
+});
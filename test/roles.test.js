@@ -0,0 +1,96 @@
+// Roles: co-organizadores, moderadores y administración de roles
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN } = require("./helpers/api");
+
+// "legacy" tiene sólo el campo role de antes de la lista de roles
+const api = setupApi({ admin: true, seed: { users: { legacy: { username: "legacy", email: "legacy@example.com", role: "admin", createdAt: "2025-01-01T00:00:00.000Z" } } } });
+let root;
+let ana;
+let bob;
+let cam;
+let event;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cam = await api.register("cam");
+  event = await api.createEvent(ana);
+});
+
+test("los usuarios con sólo role tienen los roles equivalentes", async () => {
+  const r = await api.call("GET", "/users/legacy");
+  assert.equal(r.body.role, "admin");
+  assert.deepEqual(r.body.roles, ["user", "admin"]);
+});
+
+test("la tabla de roles es sólo para administradores", async () => {
+  let r = await api.call("GET", "/admin/roles", null, root.token);
+  assert.equal(r.body.roles.length, 4);
+  r = await api.call("GET", "/admin/roles?role=admin", null, root.token);
+  assert.equal(r.body.fields[0].code, "unknown_field");
+  r = await api.call("GET", "/admin/roles", null, ana.token);
+  assert.equal(r.status, 403);
+  assert.equal(r.body.code, "FORBIDDEN");
+});
+
+test("no se crean eventos a nombre de otro", async () => {
+  const r = await api.call("POST", "/events", { title: "T", date: "2099-01-01", location: "L", description: "D", creatorUid: ana.uid }, bob.token);
+  assert.equal(r.status, 403);
+});
+
+test("co-organizadores: editan pero no borran", async () => {
+  let r = await api.call("POST", `/events/${event.id}/organizers`, { uid: bob.uid }, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/events/${event.id}/organizers`, { uid: bob.uid }, ana.token);
+  assert.deepEqual(r.body.coOrganizers, [bob.uid]);
+  r = await api.call("POST", `/events/${event.id}/organizers`, { uid: bob.uid }, ana.token);
+  assert.equal(r.status, 409);
+  r = await api.call("PUT", `/events/${event.id}`, { title: "por bob" }, bob.token);
+  assert.equal(r.body.title, "por bob");
+  r = await api.call("DELETE", `/events/${event.id}`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("GET", `/events/${event.id}/organizers`);
+  assert.deepEqual(r.body.map(o => o.username), ["ana", "bob"]);
+  r = await api.call("DELETE", `/events/${event.id}/organizers/${bob.uid}`, null, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("PUT", `/events/${event.id}`, { title: "x" }, bob.token);
+  assert.equal(r.status, 403);
+});
+
+test("los moderadores borran comentarios ajenos pero no editan eventos", async () => {
+  const comment = (await api.call("POST", `/events/${event.id}/comments`, { comment: "spam" }, ana.token)).body;
+  let r = await api.call("DELETE", `/events/${event.id}/comments/${comment.id}`, null, cam.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/admin/users/${cam.uid}/roles`, { role: "moderator" }, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/admin/users/${cam.uid}/roles`, { role: "moderator" }, root.token);
+  assert.equal(r.body.role, "moderator");
+  assert.deepEqual(r.body.roles, ["user", "moderator"]);
+  r = await api.call("POST", `/admin/users/${cam.uid}/roles`, { role: "boss" }, root.token);
+  assert.equal(r.body.code, "VALIDATION_ERROR");
+  r = await api.call("DELETE", `/events/${event.id}/comments/${comment.id}`, null, cam.token);
+  assert.equal(r.status, 200);
+  r = await api.call("PUT", `/events/${event.id}`, { title: "x" }, cam.token);
+  assert.equal(r.status, 403);
+  r = await api.call("DELETE", `/admin/users/${cam.uid}/roles/moderator`, null, root.token);
+  assert.deepEqual(r.body.roles, ["user"]);
+  r = await api.call("DELETE", `/admin/users/${cam.uid}/roles/user`, null, root.token);
+  assert.equal(r.body.code, "ROLE_REQUIRED");
+});
+
+test("siempre queda al menos un administrador", async () => {
+  let r = await api.call("DELETE", "/admin/users/legacy/roles/admin", null, root.token);
+  assert.equal(r.status, 200);
+  r = await api.call("DELETE", `/admin/users/${root.uid}/roles/admin`, null, root.token);
+  assert.equal(r.body.code, "LAST_ADMIN");
+  r = await api.call("POST", `/admin/users/${ana.uid}/make-admin`, null, root.token);
+  assert.equal(r.status, 200);
+  r = await api.call("DELETE", `/admin/users/${root.uid}/roles/admin`, null, ana.token);
+  assert.equal(r.body.role, "user");
+  r = await api.call("GET", "/admin/users", null, root.token);
+  assert.equal(r.status, 403);
+  r = await api.call("PUT", `/users/${bob.uid}`, { username: "bobby" }, ana.token);
+  assert.equal(r.body.username, "bobby");
+});
@@ -0,0 +1,89 @@
+// Recorrido básico de la API (usuarios, eventos, comentarios y asistencia) sobre el backend local
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, PASSWORD } = require("./helpers/api");
+
+const api = setupApi();
+
+test("funciona con el backend local y sin variables de Firebase", async () => {
+  assert.equal(process.env.FIREBASE_PROJECT_ID, undefined);
+  const r = await api.call("GET", "/");
+  assert.equal(r.status, 200);
+});
+
+test("usuarios, eventos, comentarios y asistencia", async () => {
+  let r = await api.call("POST", "/auth/register", { username: "ana", email: "ana@example.com", password: PASSWORD });
+  assert.equal(r.status, 200);
+  assert.ok(r.body.token);
+  const ana = r.body;
+  r = await api.call("POST", "/auth/register", { username: "ana", email: "ana@example.com", password: PASSWORD });
+  assert.equal(r.status, 400);
+  const bob = await api.register("bob");
+  r = await api.call("POST", "/auth/login", { email: "ana@example.com", password: PASSWORD });
+  assert.equal(r.status, 200);
+
+  r = await api.call("GET", `/users/${ana.uid}`);
+  assert.equal(r.body.username, "ana");
+  assert.equal(r.body.passwordHash, undefined);
+  r = await api.call("PUT", `/users/${ana.uid}`, { username: "ana2" }, ana.token);
+  assert.equal(r.body.username, "ana2");
+  r = await api.call("PUT", `/users/${ana.uid}`, { username: "x" }, bob.token);
+  assert.equal(r.status, 403);
+
+  const ev = await api.createEvent(ana, { title: "Concierto de Música", date: "2099-01-01", description: "rock" });
+  const old = await api.createEvent(ana, { title: "Viejo", date: "2000-01-01" });
+  r = await api.call("GET", "/events");
+  assert.equal(r.body.length, 2);
+  r = await api.call("GET", "/events/upcoming");
+  assert.deepEqual(r.body.map(e => e.id), [ev.id]);
+  r = await api.call("GET", "/events/past");
+  assert.deepEqual(r.body.map(e => e.id), [old.id]);
+  r = await api.call("GET", "/events/search?q=rock");
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", `/events/creator/${ana.uid}`);
+  assert.equal(r.body.length, 2);
+  r = await api.call("GET", `/events/${ev.id}`);
+  assert.equal(r.body.title, ev.title);
+  r = await api.call("PUT", `/events/${ev.id}`, { location: "Santa Ana" }, ana.token);
+  assert.equal(r.body.location, "Santa Ana");
+  r = await api.call("PUT", `/events/${ev.id}`, { location: "Santa Ana" }, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("GET", `/events/${ev.id}/share`);
+  assert.ok(r.body.url.endsWith(ev.id));
+
+  r = await api.call("POST", `/events/${ev.id}/comments`, { comment: "genial" }, bob.token);
+  assert.ok(r.body.id);
+  const comment = r.body;
+  r = await api.call("PUT", `/events/${ev.id}/comments/${comment.id}`, { comment: "ok" }, bob.token);
+  assert.equal(r.body.comment, "ok");
+  r = await api.call("GET", `/events/${ev.id}/comments`);
+  assert.deepEqual(r.body.map(c => c.comment), ["ok"]);
+  r = await api.call("DELETE", `/events/${ev.id}/comments/${comment.id}`, null, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("DELETE", `/events/${ev.id}/comments/${comment.id}`, null, bob.token);
+  assert.equal(r.status, 200);
+
+  r = await api.call("POST", `/attend/${ev.id}/confirm`, null, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/attend/${ev.id}/status/${bob.uid}`);
+  assert.equal(r.body.confirmed, true);
+  r = await api.call("GET", `/attend/${ev.id}/attendees`);
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", `/events/${ev.id}/attendees/count`);
+  assert.equal(r.body.count, 1);
+  r = await api.call("POST", `/attend/${ev.id}/cancel`, null, bob.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/attend/${ev.id}/status/${bob.uid}`);
+  assert.equal(r.body.confirmed, false);
+
+  r = await api.call("DELETE", `/events/${old.id}`, null, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", "/events");
+  assert.equal(r.body.length, 1);
+});
+
+test("rutas inexistentes responden 404 con el formato de error", async () => {
+  const r = await api.call("GET", "/no-existe");
+  assert.equal(r.status, 404);
+  assert.equal(r.body.code, "ROUTE_NOT_FOUND");
+});
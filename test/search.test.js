@@ -0,0 +1,51 @@
+// Búsqueda de texto: acentos, ranking, errores de tipeo y comentarios
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+let ana;
+let music;
+let workshop;
+let running;
+
+before(async () => {
+  ana = await api.register("ana");
+  music = await api.createEvent(ana, { title: "Noche de Música", description: "Conciertos en vivo" });
+  workshop = await api.createEvent(ana, { title: "Taller de programación", description: "Aprende JavaScript con música de fondo" });
+  running = await api.createEvent(ana, { title: "Running club", description: "Salimos a correr" });
+});
+
+test("ignora acentos y ordena por relevancia", async () => {
+  const r = await api.call("GET", "/events/search?q=musica");
+  assert.deepEqual(r.body.map(e => e.id), [music.id, workshop.id]);
+  assert.ok(r.body[0].highlights.title.includes("<mark>Música</mark>"));
+});
+
+test("tolera errores de tipeo", async () => {
+  const r = await api.call("GET", "/events/search?q=programacoin");
+  assert.deepEqual(r.body.map(e => e.id), [workshop.id]);
+});
+
+test("el índice sigue las ediciones y eliminaciones", async () => {
+  await api.call("PUT", `/events/${running.id}`, { title: "Club de música y running" }, ana.token);
+  let r = await api.call("GET", "/events/search?q=musica");
+  assert.equal(r.body.length, 3);
+  await api.call("DELETE", `/events/${running.id}`, null, ana.token);
+  r = await api.call("GET", "/events/search?q=musica");
+  assert.equal(r.body.length, 2);
+});
+
+test("busca en comentarios sólo con comments=true", async () => {
+  await api.call("POST", `/events/${workshop.id}/comments`, { comment: "Me encantó el ambiente" }, ana.token);
+  let r = await api.call("GET", "/events/search?q=ambiente");
+  assert.equal(r.body.length, 0);
+  r = await api.call("GET", "/events/search?q=ambiente&comments=true");
+  assert.equal(r.body.length, 1);
+  assert.ok(r.body[0].matchedComments[0].snippet.includes("<mark>"));
+});
+
+test("q es obligatorio", async () => {
+  const r = await api.call("GET", "/events/search");
+  assert.equal(r.status, 400);
+});
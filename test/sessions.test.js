@@ -0,0 +1,65 @@
+// Sesiones: rotación de refresh tokens, logout y revocación
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, PASSWORD } = require("./helpers/api");
+const { createLocalStore } = require("../storage/local");
+const { createRefreshTokensRepository } = require("../repositories/tokens");
+
+const api = setupApi();
+
+test("el registro devuelve access y refresh token", async () => {
+  const r = await api.call("POST", "/auth/register", { username: "ana", email: "ana@example.com", password: PASSWORD });
+  assert.ok(r.body.token);
+  assert.ok(r.body.refreshToken);
+  assert.equal(r.body.expiresIn, 900);
+});
+
+test("reusar un refresh token ya rotado revoca toda la sesión", async () => {
+  const first = await api.login("ana@example.com");
+  let r = await api.call("POST", "/auth/refresh", { refreshToken: first.refreshToken });
+  assert.equal(r.status, 200);
+  const second = r.body;
+  r = await api.call("POST", "/auth/refresh", { refreshToken: first.refreshToken });
+  assert.equal(r.status, 401);
+  r = await api.call("POST", "/auth/refresh", { refreshToken: second.refreshToken });
+  assert.equal(r.status, 401);
+});
+
+test("logout cierra sólo esa sesión", async () => {
+  const phone = await api.login("ana@example.com");
+  const laptop = await api.login("ana@example.com");
+  let r = await api.call("POST", "/auth/logout", { refreshToken: phone.refreshToken }, phone.token);
+  assert.equal(r.status, 200);
+  r = await api.call("PUT", `/users/${phone.uid}`, { username: "z" }, phone.token);
+  assert.equal(r.status, 401);
+  r = await api.call("POST", "/auth/refresh", { refreshToken: phone.refreshToken });
+  assert.equal(r.status, 401);
+  r = await api.call("PUT", `/users/${laptop.uid}`, { username: "z" }, laptop.token);
+  assert.equal(r.status, 200);
+});
+
+test("cambiar la contraseña y logout-all invalidan las demás sesiones", async () => {
+  const old = await api.login("ana@example.com");
+  let r = await api.call("PUT", `/users/${old.uid}/password`, { oldPassword: PASSWORD, newPassword: "otra-clave-1" }, old.token);
+  assert.equal(r.status, 200);
+  const current = r.body;
+  r = await api.call("PUT", `/users/${old.uid}`, { username: "z" }, old.token);
+  assert.equal(r.status, 401);
+  r = await api.call("POST", "/auth/refresh", { refreshToken: old.refreshToken });
+  assert.equal(r.status, 401);
+  r = await api.call("PUT", `/users/${old.uid}`, { username: "z" }, current.token);
+  assert.equal(r.status, 200);
+  r = await api.call("POST", "/auth/logout-all", null, current.token);
+  assert.equal(r.status, 200);
+  r = await api.call("PUT", `/users/${old.uid}`, { username: "z" }, current.token);
+  assert.equal(r.status, 401);
+});
+
+test("revoca más refresh tokens de los que entran en un batch", async () => {
+  const db = createLocalStore();
+  const refreshTokens = createRefreshTokensRepository(db);
+  for (let i = 0; i < 1100; i++) await refreshTokens.create(`hash-${i}`, { uid: "u1", familyId: `f-${i}`, revokedAt: null });
+  await refreshTokens.revokeAllForUser("u1", "logout_all");
+  const active = await db.collection("refreshTokens").where("revokedAt", "==", null).get();
+  assert.equal(active.size, 0);
+});
@@ -0,0 +1,76 @@
+// Estadísticas por evento y por organizador
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+// dan califica sin asistir para poder contar dos calificaciones de un evento con cupo 1
+const api = setupApi({ env: { RATING_REQUIRES_ATTENDANCE: "false" } });
+const today = new Date().toISOString().slice(0, 10);
+let ana;
+let bob;
+let event;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  const cam = await api.register("cam");
+  const dan = await api.register("dan");
+  event = await api.createEvent(ana, { date: "2025-01-01", capacity: 1 });
+  const other = await api.createEvent(ana, { date: "2025-01-01" });
+  for (let i = 0; i < 4; i++) await api.call("GET", `/events/${event.id}`);
+  await api.call("GET", `/events/${other.id}`);
+  const { ticket } = (await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token)).body;
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, cam.token);
+  await api.call("POST", `/attend/${event.id}/check-in`, { token: ticket.token }, ana.token);
+  await api.call("POST", `/events/${event.id}/comments`, { comment: "hola" }, bob.token);
+  await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 4 }, bob.token);
+  await api.call("PUT", `/events/${event.id}/ratings/${bob.uid}`, { rating: 2 }, bob.token);
+  await api.call("PUT", `/events/${event.id}/ratings/${dan.uid}`, { rating: 5 }, dan.token);
+  // cam pasa de la lista de espera a confirmada
+  await api.call("PUT", `/events/${event.id}`, { capacity: 2 }, ana.token);
+  await api.call("POST", `/attend/${other.id}/confirm`, null, dan.token);
+  await api.call("POST", `/attend/${other.id}/cancel`, null, dan.token);
+});
+
+test("totales y tasas de un evento", async () => {
+  let r = await api.call("GET", `/events/${event.id}/stats`, null, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("GET", `/events/${event.id}/stats`, null, ana.token);
+  assert.equal(r.body.days.length, 30);
+  assert.equal(r.body.to, today);
+  assert.deepEqual(
+    [r.body.totals.views, r.body.totals.confirmations, r.body.totals.checkIns, r.body.totals.comments, r.body.totals.ratings, r.body.totals.ratingAverage],
+    [4, 2, 1, 1, 2, 3.5]
+  );
+  assert.equal(r.body.rates.conversion, 0.5);
+  assert.equal(r.body.rates.noShow, 0.5);
+  assert.equal(r.body.attendance.confirmed, 2);
+  assert.equal(r.body.attendance.checkedIn, 1);
+});
+
+test("totales de todos los eventos de un organizador", async () => {
+  let r = await api.call("GET", `/events/creator/${ana.uid}/stats?from=${today}`, null, ana.token);
+  assert.equal(r.body.days.length, 1);
+  assert.equal(r.body.totals.views, 5);
+  assert.equal(r.body.totals.confirmations, 3);
+  assert.equal(r.body.totals.cancellations, 1);
+  assert.equal(r.body.events.length, 2);
+  r = await api.call("GET", `/events/creator/${ana.uid}/stats`, null, bob.token);
+  assert.equal(r.status, 403);
+});
+
+test("valida el rango de fechas", async () => {
+  let r = await api.call("GET", `/events/${event.id}/stats?from=2025-01-02&to=2025-01-01`, null, ana.token);
+  assert.equal(r.status, 400);
+  r = await api.call("GET", `/events/${event.id}/stats?from=2023-01-01&to=2025-01-01`, null, ana.token);
+  assert.equal(r.status, 400);
+});
+
+test("exporta a CSV", async () => {
+  const r = await api.call("GET", `/events/${event.id}/stats?from=${today}&format=csv`, null, ana.token);
+  assert.ok(r.headers.get("content-type").startsWith("text/csv"));
+  const lines = r.body.split("\r\n");
+  assert.equal(lines[0], "day,views,confirmations,cancellations,checkIns,comments,ratings,ratingAverage");
+  assert.ok(lines.includes(`${today},4,2,0,1,1,2,3.5`));
+});
@@ -0,0 +1,110 @@
+// Entradas: token firmado al confirmar, QR, check-in y filtros de asistencia
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+let ana;
+let bob;
+let cam;
+let dan;
+let eve;
+let event;
+let other;
+let bobTicket;
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cam = await api.register("cam");
+  dan = await api.register("dan");
+  eve = await api.register("eve");
+  event = await api.createEvent(ana, { capacity: 2 });
+  other = await api.createEvent(ana);
+});
+
+test("confirmar entrega una entrada; la lista de espera no", async () => {
+  let r = await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  assert.equal(r.body.status, "confirmed");
+  assert.equal(r.body.ticket.token.split(".").length, 3);
+  bobTicket = r.body.ticket;
+  r = await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  assert.equal(r.body.ticket.token, bobTicket.token);
+  await api.call("POST", `/attend/${event.id}/confirm`, null, cam.token);
+  r = await api.call("POST", `/attend/${event.id}/confirm`, null, dan.token);
+  assert.equal(r.body.status, "waitlisted");
+  assert.equal(r.body.ticket, undefined);
+  r = await api.call("GET", `/attend/${event.id}/ticket`, null, dan.token);
+  assert.equal(r.body.code, "NOT_CONFIRMED");
+  r = await api.call("GET", `/attend/${event.id}/ticket`, null, eve.token);
+  assert.equal(r.body.code, "NOT_ATTENDING");
+  r = await api.call("GET", `/attend/${event.id}/ticket`, null, bob.token);
+  assert.equal(r.body.token, bobTicket.token);
+  assert.equal(r.body.checkedInAt, null);
+});
+
+test("QR en PNG y SVG", async () => {
+  const headers = { authorization: `Bearer ${bob.token}` };
+  let res = await fetch(await api.url(`/attend/${event.id}/ticket?format=png`), { headers });
+  const png = Buffer.from(await res.arrayBuffer());
+  assert.equal(res.headers.get("content-type"), "image/png");
+  assert.equal(png[0], 0x89);
+  res = await fetch(await api.url(`/attend/${event.id}/ticket?format=svg`), { headers });
+  assert.ok(res.headers.get("content-type").startsWith("image/svg+xml"));
+  assert.ok((await res.text()).includes("<svg"));
+});
+
+test("los listados no muestran el id de la entrada", async () => {
+  let r = await api.call("GET", `/attend/${event.id}/attendees`);
+  assert.equal(r.body.length, 3);
+  assert.ok(!r.body.some(a => a.ticketId));
+  r = await api.call("GET", `/attend/${event.id}/status/${bob.uid}`);
+  assert.ok(!("ticketId" in r.body));
+});
+
+test("check-in por los organizadores con entradas válidas", async () => {
+  let r = await api.call("POST", `/attend/${event.id}/check-in`, { token: bobTicket.token }, cam.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/attend/${event.id}/check-in`, { token: `${bobTicket.token}x` }, ana.token);
+  assert.equal(r.body.code, "INVALID_TICKET");
+  const [header, payload, signature] = bobTicket.token.split(".");
+  const forged = Buffer.from(Buffer.from(payload, "base64url").toString().replace(bob.uid, cam.uid)).toString("base64url");
+  r = await api.call("POST", `/attend/${event.id}/check-in`, { token: [header, forged, signature].join(".") }, ana.token);
+  assert.equal(r.body.code, "INVALID_TICKET");
+  r = await api.call("POST", `/attend/${other.id}/check-in`, { token: bobTicket.token }, ana.token);
+  assert.equal(r.body.code, "TICKET_WRONG_EVENT");
+  r = await api.call("POST", `/attend/${event.id}/check-in`, { token: bobTicket.token }, ana.token);
+  assert.equal(r.body.uid, bob.uid);
+  assert.equal(r.body.username, "bob");
+  assert.ok(r.body.checkedInAt);
+  r = await api.call("POST", `/attend/${event.id}/check-in`, { token: bobTicket.token }, ana.token);
+  assert.equal(r.body.code, "ALREADY_CHECKED_IN");
+});
+
+test("cancelar revoca la entrada y el promovido recibe una", async () => {
+  await api.call("POST", `/events/${event.id}/organizers`, { uid: eve.uid }, ana.token);
+  const camTicket = (await api.call("GET", `/attend/${event.id}/ticket`, null, cam.token)).body;
+  await api.call("POST", `/attend/${event.id}/cancel`, null, cam.token);
+  let r = await api.call("POST", `/attend/${event.id}/check-in`, { token: camTicket.token }, eve.token);
+  assert.equal(r.status, 410);
+  assert.equal(r.body.code, "TICKET_REVOKED");
+  r = await api.call("GET", `/attend/${event.id}/ticket`, null, dan.token);
+  assert.ok(r.body.token);
+  r = await api.call("GET", `/attend/${event.id}/attendees?status=checked_in`);
+  assert.deepEqual(r.body.map(a => a.uid), [bob.uid]);
+  r = await api.call("GET", `/attend/${event.id}/attendees?status=no_show`);
+  assert.deepEqual(r.body.map(a => a.uid), [dan.uid]);
+  r = await api.call("GET", `/attend/${event.id}/attendees?status=bad`);
+  assert.equal(r.status, 400);
+});
+
+test("en los recurrentes la entrada es de una ocurrencia", async () => {
+  const series = await api.createEvent(ana, { date: "2030-01-06", recurrence: "FREQ=WEEKLY;COUNT=3" });
+  let r = await api.call("POST", `/attend/${series.id}/confirm?occurrence=2030-01-13`, null, bob.token);
+  r = await api.call("POST", `/attend/${series.id}/check-in`, { token: r.body.ticket.token }, ana.token);
+  assert.equal(r.body.occurrence, "2030-01-13");
+  r = await api.call("GET", `/attend/${series.id}/attendees?occurrence=2030-01-13&status=checked_in`);
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", `/attend/${series.id}/ticket`, null, bob.token);
+  assert.equal(r.status, 400);
+});
@@ -0,0 +1,112 @@
+// Papelera: eventos y comentarios eliminados, restauración y purga
+const fs = require("fs");
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, ADMIN } = require("./helpers/api");
+
+const old = "2020-01-01T00:00:00.000Z";
+// "expired" lleva en la papelera más que el plazo de restauración y tiene más hijos de los que
+// entran en un batch
+const attendees = {};
+for (let i = 0; i < 600; i++) attendees[`u${i}`] = { uid: `u${i}`, confirmed: true };
+const api = setupApi({
+  admin: true,
+  seed: {
+    events: {
+      expired: { title: "Old", date: "2099-01-01", creatorUid: ADMIN.uid, createdAt: old, deletedAt: old },
+      live: { title: "Live", date: "2099-01-01", creatorUid: ADMIN.uid, createdAt: old }
+    },
+    "events/expired/comments": { c1: { uid: ADMIN.uid, comment: "x", createdAt: old } },
+    "events/expired/attendees": attendees,
+    "events/live/comments": { c2: { uid: ADMIN.uid, comment: "y", createdAt: old, deletedAt: old }, c3: { uid: ADMIN.uid, comment: "z", createdAt: old } },
+    revokedTokens: { stale: { uid: ADMIN.uid, expiresAt: old }, current: { uid: ADMIN.uid, expiresAt: "2099-01-01T00:00:00.000Z" } }
+  }
+});
+let root;
+let ana;
+let bob;
+let event;
+let comment;
+
+before(async () => {
+  root = await api.login(ADMIN.email);
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  event = await api.createEvent(ana, { title: "Zebra fiesta" });
+  await api.call("POST", `/attend/${event.id}/confirm`, null, bob.token);
+  comment = (await api.call("POST", `/events/${event.id}/comments`, { comment: "genial", rating: 5 }, bob.token)).body;
+});
+
+test("comentarios: papelera y restauración sólo para el autor", async () => {
+  let r = await api.call("DELETE", `/events/${event.id}/comments/${comment.id}`, null, bob.token);
+  assert.ok(r.body.restorableUntil);
+  r = await api.call("GET", `/events/${event.id}/comments`);
+  assert.equal(r.body.length, 0);
+  r = await api.call("GET", `/events/${event.id}/rating`);
+  assert.equal(r.body.count, 1);
+  r = await api.call("GET", `/events/${event.id}/comments/trash`, null, bob.token);
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", `/events/${event.id}/comments/trash`, null, ana.token);
+  assert.equal(r.body.length, 0);
+  r = await api.call("POST", `/events/${event.id}/comments/${comment.id}/restore`, null, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/events/${event.id}/comments/${comment.id}/restore`, null, bob.token);
+  assert.equal(r.body.deletedAt, null);
+  r = await api.call("POST", `/events/${event.id}/comments/${comment.id}/restore`, null, bob.token);
+  assert.equal(r.status, 409);
+});
+
+test("un evento en la papelera desaparece y vuelve al restaurarlo", async () => {
+  let r = await api.call("DELETE", `/events/${event.id}`, null, ana.token);
+  assert.ok(r.body.restorableUntil);
+  for (const route of [`/events/${event.id}`, `/events/${event.id}/comments`, `/events/${event.id}/attendees/count`]) {
+    r = await api.call("GET", route);
+    assert.equal(r.status, 404, route);
+  }
+  r = await api.call("GET", "/events/search?q=zebra");
+  assert.equal(r.body.length, 0);
+  r = await api.call("POST", `/attend/${event.id}/confirm`, null, ana.token);
+  assert.equal(r.status, 404);
+  r = await api.call("GET", `/events/${event.id}.ics`);
+  assert.ok(r.body.includes("CANCELLED"));
+  r = await api.call("GET", "/events/trash", null, ana.token);
+  assert.deepEqual(r.body.map(e => e.id), [event.id]);
+  r = await api.call("GET", "/events/trash", null, bob.token);
+  assert.equal(r.body.length, 0);
+  r = await api.call("POST", `/events/${event.id}/restore`, null, bob.token);
+  assert.equal(r.status, 403);
+
+  r = await api.call("POST", `/events/${event.id}/restore`, null, ana.token);
+  assert.equal(r.body.sequence, 2);
+  r = await api.call("GET", "/events/search?q=zebra&comments=true");
+  assert.equal(r.body.length, 1);
+  r = await api.call("GET", `/events/${event.id}/attendees/count`);
+  assert.equal(r.body.count, 1);
+  r = await api.call("GET", `/events/${event.id}.ics`);
+  assert.ok(!r.body.includes("CANCELLED"));
+  assert.ok(r.body.includes("SEQUENCE:2"));
+});
+
+test("pasado el plazo no se restaura y la purga lo borra todo", async () => {
+  let r = await api.call("POST", "/events/expired/restore", null, root.token);
+  assert.equal(r.status, 410);
+  assert.equal(r.body.code, "RESTORE_EXPIRED");
+  r = await api.call("POST", "/admin/trash/purge", null, ana.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", "/admin/trash/purge?now=1", null, root.token);
+  assert.equal(r.body.fields[0].code, "unknown_field");
+  r = await api.call("POST", "/admin/trash/purge", null, root.token);
+  assert.equal(r.body.purged.events, 1);
+  assert.equal(r.body.purged.comments, 1);
+  assert.equal(r.body.purged.revokedTokens, 1);
+
+  const db = JSON.parse(fs.readFileSync(process.env.LOCAL_DB_FILE, "utf8"));
+  assert.equal(db.events.expired, undefined);
+  assert.equal(Object.keys(db["events/expired/attendees"] || {}).length, 0);
+  assert.equal(Object.keys(db["events/expired/comments"] || {}).length, 0);
+  assert.equal(db["events/live/comments"].c2, undefined);
+  assert.ok(db["events/live/comments"].c3);
+  assert.deepEqual(Object.keys(db.revokedTokens), ["current"]);
+  r = await api.call("GET", "/admin/audit?action=trash.purge", null, root.token);
+  assert.equal(r.body.items.length, 1);
+});
@@ -0,0 +1,85 @@
+// Validación de requests y formato de los errores
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi, PASSWORD } = require("./helpers/api");
+
+const api = setupApi();
+let ana;
+let event;
+
+before(async () => {
+  ana = (await api.call("POST", "/auth/register", { username: " ana ", email: "ana@example.com", password: PASSWORD })).body;
+  event = await api.createEvent(ana);
+});
+
+test("lista todos los campos inválidos del body", async () => {
+  const r = await api.call("POST", "/auth/register", { username: "", email: "nope", password: "1" });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, "VALIDATION_ERROR");
+  assert.equal(r.body.fields.length, 3);
+});
+
+test("recorta los strings y avisa de conflictos con un código", async () => {
+  let r = await api.call("GET", `/users/${ana.uid}`);
+  assert.equal(r.body.username, "ana");
+  r = await api.call("POST", "/auth/register", { username: "x", email: "ana@example.com", password: PASSWORD });
+  assert.equal(r.body.code, "EMAIL_TAKEN");
+  r = await api.call("POST", "/auth/login", { email: "ana@example.com", password: "bad" });
+  assert.equal(r.status, 401);
+  assert.equal(r.body.code, "INVALID_CREDENTIALS");
+});
+
+test("valida fechas, números y descarta campos desconocidos", async () => {
+  let r = await api.call("POST", "/events", { title: "T", date: "mañana", location: "L", description: "D", creatorUid: ana.uid, capacity: "abc" }, ana.token);
+  assert.equal(r.status, 400);
+  assert.deepEqual(r.body.fields.map(f => f.field).sort(), ["capacity", "date"]);
+  r = await api.call("POST", "/events", { title: "T", date: "2025-02-30", location: "L", description: "D", creatorUid: ana.uid }, ana.token);
+  assert.equal(r.body.fields[0].code, "invalid_format");
+  r = await api.call("POST", "/events", { title: "T", date: "2030-02-10T18:30", location: "L", description: "D", creatorUid: ana.uid, extra: 1 }, ana.token);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.extra, undefined);
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "hola", rating: "abc" }, ana.token);
+  assert.equal(r.body.fields[0].field, "rating");
+  r = await api.call("POST", `/events/${event.id}/comments`, { comment: "hola", rating: 6 }, ana.token);
+  assert.equal(r.body.fields[0].code, "too_big");
+  r = await api.call("PUT", `/users/${ana.uid}`, { email: "bad" }, ana.token);
+  assert.equal(r.body.fields[0].field, "email");
+  r = await api.call("PUT", `/events/${event.id}`, { recurrence: "FREQ=YEARLY" }, ana.token);
+  assert.equal(r.body.fields[0].field, "recurrence");
+});
+
+test("valida y convierte los parámetros de query", async () => {
+  let r = await api.call("GET", "/events?limit=abc");
+  assert.equal(r.body.fields[0].field, "limit");
+  assert.equal(r.body.fields[0].in, "query");
+  r = await api.call("GET", "/events?limit=1");
+  assert.ok(Array.isArray(r.body.items));
+  r = await api.call("GET", "/events?cursor=zzz");
+  assert.equal(r.body.code, "VALIDATION_ERROR");
+  r = await api.call("GET", "/events/search");
+  assert.equal(r.body.fields[0].code, "required");
+});
+
+test("las rutas sin entrada rechazan cualquier campo", async () => {
+  let r = await api.call("POST", "/auth/logout-all?all=1", { everywhere: true }, ana.token);
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, "VALIDATION_ERROR");
+  assert.deepEqual(r.body.fields.map(f => [f.in, f.field, f.code]), [["query", "all", "unknown_field"], ["body", "everywhere", "unknown_field"]]);
+  r = await api.call("POST", "/auth/logout-all", null, ana.token);
+  assert.equal(r.status, 200);
+});
+
+test("404, tokens y JSON inválidos", async () => {
+  let r = await api.call("GET", "/nada");
+  assert.equal(r.body.code, "ROUTE_NOT_FOUND");
+  r = await api.call("GET", "/events/zzz");
+  assert.equal(r.status, 404);
+  assert.equal(r.body.code, "NOT_FOUND");
+  r = await api.call("GET", `/events/${event.id}`, null, "bad");
+  assert.equal(r.status, 200);
+  r = await api.call("POST", "/auth/logout", null, "bad");
+  assert.equal(r.body.code, "INVALID_TOKEN");
+  r = await api.call("POST", "/auth/login", "{bad", null, { "content-type": "application/json" });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, "INVALID_JSON");
+});
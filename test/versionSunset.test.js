@@ -0,0 +1,17 @@
+// Alias sin prefijo obsoletos y con Sunset vencido (UNVERSIONED_DEPRECATED_AT / UNVERSIONED_SUNSET_AT)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi({ env: { UNVERSIONED_DEPRECATED_AT: "2026-01-01", UNVERSIONED_SUNSET_AT: "2026-02-01" } });
+
+test("pasado el Sunset los alias responden 410 con el enlace a /v1", async () => {
+  let r = await api.call("GET", "/events?limit=2");
+  assert.equal(r.status, 410);
+  assert.equal(r.body.code, "API_SUNSET");
+  assert.equal(r.headers.get("link"), "</v1/events?limit=2>; rel=\"successor-version\"");
+  assert.equal(r.headers.get("deprecation"), "@1767225600");
+  r = await api.call("GET", "/v1/events");
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("deprecation"), null);
+});
@@ -0,0 +1,51 @@
+// Versiones de la API: prefijo /v1, alias sin prefijo, Accept-Version y rutas obsoletas
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi({ env: { MAKE_ADMIN_SUNSET_AT: "2099-01-01" } });
+
+test("prefijo y alias sin prefijo", async () => {
+  let r = await api.call("GET", "/v1/events");
+  assert.equal(r.headers.get("api-version"), "1");
+  r = await api.call("GET", "/events");
+  assert.equal(r.headers.get("api-version"), "1");
+  assert.equal(r.headers.get("deprecation"), null);
+  assert.ok(String(r.headers.get("vary")).includes("Accept-Version"));
+  const ana = (await api.call("POST", "/v1/auth/register", { username: "ana", email: "ana@example.com", password: "secret-123" })).body;
+  r = await api.call("POST", "/v1/events", { title: "x", date: "2099-01-01", location: "l", description: "d", creatorUid: ana.uid }, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/events/${r.body.id}`);
+  assert.equal(r.status, 200);
+});
+
+test("Accept-Version elige la versión de los alias", async () => {
+  let r = await api.call("GET", "/events", null, null, { "accept-version": "v1" });
+  assert.equal(r.status, 200);
+  r = await api.call("GET", "/events", null, null, { "accept-version": "2" });
+  assert.equal(r.status, 406);
+  assert.equal(r.body.code, "UNSUPPORTED_API_VERSION");
+  r = await api.call("GET", "/v1/events", null, null, { "accept-version": "2" });
+  assert.equal(r.status, 200);
+  r = await api.call("GET", "/v2/events");
+  assert.equal(r.body.code, "ROUTE_NOT_FOUND");
+  r = await api.call("GET", "/v1/nope");
+  assert.equal(r.status, 404);
+});
+
+test("las rutas obsoletas avisan con Deprecation, Sunset y Link", async () => {
+  const ana = await api.login("ana@example.com");
+  let r = await api.call("POST", `/v1/admin/users/${ana.uid}/make-admin`, {}, ana.token);
+  assert.equal(r.status, 403);
+  assert.ok(r.headers.get("deprecation"));
+  assert.equal(new Date(r.headers.get("sunset")).toISOString().slice(0, 10), "2099-01-01");
+  assert.ok(r.headers.get("link").includes(`/v1/admin/users/${ana.uid}/roles`));
+  r = await api.call("GET", "/v1/openapi.json");
+  assert.ok(r.body.servers[0].url.endsWith("/v1"));
+  assert.equal(r.body.paths["/admin/users/{uid}/make-admin"].post.deprecated, true);
+});
+
+test("CORS expone los encabezados de versión", async () => {
+  const r = await api.call("GET", "/v1/events", null, null, { origin: "http://x" });
+  assert.ok(String(r.headers.get("access-control-expose-headers")).includes("API-Version"));
+});
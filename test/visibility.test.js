@@ -0,0 +1,153 @@
+// Eventos no listados y privados: listados, acceso directo, enlace de invitación e invitaciones por correo
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+const { LocalFirestore } = require("../storage/local");
+
+const api = setupApi();
+let ana;
+let bob;
+let cat;
+let pub;
+let priv;
+let unl;
+
+// consultas collectionGroup("invitations") hechas al backend local
+let invitationQueries = 0;
+const collectionGroup = LocalFirestore.prototype.collectionGroup;
+LocalFirestore.prototype.collectionGroup = function (name) {
+  if (name === "invitations") invitationQueries++;
+  return collectionGroup.call(this, name);
+};
+
+// ids de un listado (array o página), con las ocurrencias contadas por su serie
+const ids = body => (Array.isArray(body) ? body : body.items).map(e => e.seriesId || e.id);
+
+// confirma el email con el último correo de verificación enviado a `email`
+async function verifyEmail(email) {
+  const mail = api.mails().filter(m => m.to === email && m.subject === "Confirma tu email").pop();
+  const r = await api.call("GET", `/auth/verify-email?token=${/token=([\w.-]+)/.exec(mail.text)[1]}`);
+  assert.equal(r.status, 200);
+}
+
+before(async () => {
+  ana = await api.register("ana");
+  bob = await api.register("bob");
+  cat = await api.register("cat");
+  pub = await api.createEvent(ana, { title: "Pública", description: "fiesta" });
+  priv = await api.createEvent(ana, { title: "Secreta", description: "fiesta", visibility: "private" });
+  unl = await api.createEvent(ana, { title: "Sin listar", description: "fiesta", visibility: "unlisted" });
+});
+
+test("rechaza una visibilidad desconocida", async () => {
+  const r = await api.call("POST", "/events", { title: "x", date: "2099-01-01", location: "l", description: "d", creatorUid: ana.uid, visibility: "hidden" }, ana.token);
+  assert.equal(r.status, 400);
+});
+
+test("los listados sólo muestran los privados y no listados a sus organizadores", async () => {
+  for (const route of ["/events", "/events/upcoming", `/events/creator/${ana.uid}`, "/events/search?q=fiesta"]) {
+    let r = await api.call("GET", route);
+    assert.deepEqual(ids(r.body).sort(), [pub.id], route);
+    r = await api.call("GET", route, null, bob.token);
+    assert.deepEqual(ids(r.body).sort(), [pub.id], route);
+    r = await api.call("GET", route, null, ana.token);
+    assert.deepEqual(ids(r.body).sort(), [pub.id, priv.id, unl.id].sort(), route);
+  }
+  // un token inválido en una ruta de sesión opcional cuenta como anónimo
+  const r = await api.call("GET", "/events", null, "garbage");
+  assert.equal(r.status, 200);
+  assert.deepEqual(ids(r.body), [pub.id]);
+});
+
+test("un privado no existe para quien no está invitado; uno no listado se ve con el enlace", async () => {
+  for (const route of [`/events/${priv.id}`, `/events/${priv.id}/comments`, `/events/${priv.id}.ics`, `/events/${priv.id}/share`]) {
+    assert.equal((await api.call("GET", route)).status, 404, route);
+    assert.equal((await api.call("GET", route, null, bob.token)).status, 404, route);
+  }
+  assert.equal((await api.call("POST", `/attend/${priv.id}/confirm`, {}, bob.token)).status, 404);
+  assert.equal((await api.call("GET", `/events/${unl.id}`)).status, 200);
+  assert.equal((await api.call("GET", `/events/${priv.id}`, null, ana.token)).status, 200);
+});
+
+test("las lecturas de eventos públicos no consultan las invitaciones", async () => {
+  const start = invitationQueries;
+  await api.call("GET", `/events/${pub.id}`, null, bob.token);
+  await api.call("GET", `/events/${pub.id}/comments`, null, bob.token);
+  await api.call("GET", `/events/${unl.id}`, null, bob.token);
+  await api.call("GET", `/events/${priv.id}`, null, ana.token);
+  assert.equal(invitationQueries, start);
+  // un listado con un privado de otro las carga una sola vez
+  await api.call("GET", "/events", null, bob.token);
+  assert.equal(invitationQueries, start + 1);
+});
+
+test("el enlace de invitación deja ver el evento y aceptarlo; rotarlo lo invalida", async () => {
+  let r = await api.call("GET", `/events/${pub.id}/share`, null, ana.token);
+  assert.equal(r.body.inviteUrl, undefined);
+  r = await api.call("GET", `/events/${priv.id}/share`, null, ana.token);
+  const link = r.body.inviteUrl.split("invite=")[1];
+
+  r = await api.call("GET", `/events/${priv.id}?invite=${link}`);
+  assert.equal(r.status, 200);
+  r = await api.call("POST", `/events/${priv.id}/invitations/accept`, { token: link }, bob.token);
+  assert.equal(r.body.status, "accepted");
+  assert.equal(r.body.via, "link");
+  r = await api.call("GET", "/events", null, bob.token);
+  assert.ok(ids(r.body).includes(priv.id));
+  r = await api.call("POST", `/attend/${priv.id}/confirm`, {}, bob.token);
+  assert.equal(r.status, 200);
+
+  r = await api.call("POST", `/events/${priv.id}/share/rotate`, {}, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/events/${pub.id}/share/rotate`, {}, ana.token);
+  assert.equal(r.body.code, "EVENT_NOT_PRIVATE");
+  r = await api.call("POST", `/events/${priv.id}/share/rotate`, {}, ana.token);
+  assert.equal(r.status, 200);
+  r = await api.call("GET", `/events/${priv.id}?invite=${link}`, null, cat.token);
+  assert.equal(r.status, 404);
+  // las invitaciones ya aceptadas se mantienen
+  r = await api.call("GET", `/events/${priv.id}`, null, bob.token);
+  assert.equal(r.status, 200);
+});
+
+test("invitaciones por correo: pendiente la ve, rechazada no", async () => {
+  await verifyEmail("cat@example.com");
+  let r = await api.call("POST", `/events/${priv.id}/invitations`, { emails: ["cat@example.com"] }, bob.token);
+  assert.equal(r.status, 403);
+  r = await api.call("POST", `/events/${priv.id}/invitations`, { emails: ["CAT@example.com", "cat@example.com"], message: "ven" }, ana.token);
+  assert.equal(r.status, 201);
+  assert.equal(r.body.items.length, 1);
+  assert.equal(r.body.items[0].uid, cat.uid);
+  const mail = api.mails().find(m => m.to === "cat@example.com" && m.subject.startsWith("Invitación"));
+  assert.ok(mail.text.includes("ven"));
+
+  r = await api.call("GET", "/events", null, cat.token);
+  assert.ok(ids(r.body).includes(priv.id));
+  r = await api.call("POST", `/events/${priv.id}/invitations/decline`, {}, cat.token);
+  assert.equal(r.body.status, "declined");
+  assert.equal((await api.call("GET", `/events/${priv.id}`, null, cat.token)).status, 404);
+  assert.equal((await api.call("POST", `/attend/${priv.id}/confirm`, {}, cat.token)).status, 404);
+});
+
+test("un email sin verificar no se queda con la invitación", async () => {
+  const dan = await api.register("dan");
+  const eve = await api.register("eve");
+  let r = await api.call("POST", `/events/${priv.id}/invitations`, { emails: ["dan@example.com", "zoe@example.com"] }, ana.token);
+  assert.deepEqual(r.body.items.map(i => i.uid), [null, null]);
+
+  // eve se pone el email de la invitada sin poder verificarlo
+  r = await api.call("PUT", `/users/${eve.uid}`, { email: "zoe@example.com" }, eve.token);
+  assert.equal(r.body.emailVerified, false);
+  r = await api.call("POST", `/events/${priv.id}/invitations/accept`, {}, eve.token);
+  assert.equal(r.status, 404);
+  assert.equal(r.body.code, "INVITATION_NOT_FOUND");
+  assert.equal((await api.call("GET", `/events/${priv.id}`, null, eve.token)).status, 404);
+
+  r = await api.call("POST", `/events/${priv.id}/invitations/accept`, {}, dan.token);
+  assert.equal(r.body.code, "INVITATION_NOT_FOUND");
+  await verifyEmail("dan@example.com");
+  r = await api.call("POST", `/events/${priv.id}/invitations/accept`, {}, dan.token);
+  assert.equal(r.body.status, "accepted");
+  assert.equal(r.body.uid, dan.uid);
+  assert.equal((await api.call("GET", `/events/${priv.id}`, null, dan.token)).status, 200);
+});
@@ -0,0 +1,64 @@
+// Cupo y lista de espera
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupApi } = require("./helpers/api");
+
+const api = setupApi();
+const users = [];
+let event;
+let results;
+
+before(async () => {
+  for (let i = 0; i < 5; i++) users.push(await api.register(`u${i}`));
+  event = await api.createEvent(users[0], { capacity: 2 });
+});
+
+test("valida el cupo", async () => {
+  assert.equal(event.capacity, 2);
+  const r = await api.call("POST", "/events", { title: "T", date: "2099-01-01", location: "L", description: "D", creatorUid: users[0].uid, capacity: "x" }, users[0].token);
+  assert.equal(r.status, 400);
+});
+
+test("confirmaciones simultáneas no superan el cupo", async () => {
+  results = await Promise.all([1, 2, 3, 4].map(i => api.call("POST", `/attend/${event.id}/confirm`, null, users[i].token)));
+  const statuses = results.map(r => r.body.status);
+  assert.equal(statuses.filter(s => s === "confirmed").length, 2);
+  assert.equal(statuses.filter(s => s === "waitlisted").length, 2);
+  const r = await api.call("GET", `/events/${event.id}/attendees/count`);
+  assert.equal(r.body.count, 2);
+  assert.equal(r.body.waitlistCount, 2);
+});
+
+test("la lista de espera respeta el orden y promueve al primero", async () => {
+  let r = await api.call("GET", `/attend/${event.id}/attendees`);
+  assert.equal(r.body.length, 4);
+  assert.equal(r.body[2].waitlistPosition, 1);
+  const [first, second] = [r.body[2].uid, r.body[3].uid];
+  r = await api.call("GET", `/attend/${event.id}/status/${second}`);
+  assert.equal(r.body.status, "waitlisted");
+  assert.equal(r.body.waitlistPosition, 2);
+
+  const confirmed = users[results.findIndex(x => x.body.status === "confirmed") + 1];
+  r = await api.call("POST", `/attend/${event.id}/cancel`, null, confirmed.token);
+  assert.equal(r.body.promotedUid, first);
+  r = await api.call("GET", `/attend/${event.id}/status/${second}`);
+  assert.equal(r.body.waitlistPosition, 1);
+
+  r = await api.call("PUT", `/events/${event.id}`, { capacity: null }, users[0].token);
+  assert.equal(r.body.attendeeCount, 3);
+  r = await api.call("POST", `/attend/${event.id}/confirm`, null, confirmed.token);
+  assert.equal(r.body.status, "confirmed");
+});
+
+test("el contador interno de la lista de espera no sale en las respuestas", async () => {
+  let r = await api.call("GET", `/events/${event.id}`);
+  assert.equal(r.body.attendeeCount, 4);
+  assert.equal("waitlistSeq" in r.body, false);
+  r = await api.call("GET", "/events");
+  assert.equal(r.body.some(e => "waitlistSeq" in e), false);
+});
+
+test("confirmar en un evento inexistente es 404", async () => {
+  const r = await api.call("POST", "/attend/no-existe/confirm", null, users[1].token);
+  assert.equal(r.status, 404);
+});